@@ -24,6 +24,8 @@ window.ThemeConfig = {
     footnotes: true,                    // [^N] + HTML footnotes
     marginalia: true,                   // [m][params][content] + HTML marginalia
     extensions: false,                  // [+][content] paragraph extensions
+    crossReferences: true,              // [@id] links to notes, marginalia and headings
+    citations: true,                    // [@cite:key] against a CSL-JSON/BibTeX bibliography
     deconstruction: false,              // Future: radical text effects
     
     // Effects
@@ -45,7 +47,7 @@ window.ThemeConfig = {
     footnotes: {
       formats: ['markdown', 'html'],
       patterns: {
-        markdown: /\[\^(\d+)\]/g,      // [^1], [^2], etc.
+        markdown: /\[\^([\w-]+)\]/g,   // [^1], [^derrida-1967], etc.
         html: '[data-ref]',            // <div data-ref="1">
         referenceAttribute: 'data-ref'
       },
@@ -66,7 +68,27 @@ window.ThemeConfig = {
         enableSmoothScrolling: true,
         tooltipDelay: 150,
         enableKeyboardNav: true,
-        enableProgressiveEnhancement: true
+        enableProgressiveEnhancement: true,
+        defaultMode: 'marginal',              // traditional | marginal | hovering | invasive | refusing
+        refusalDelay: 2000,                   // ms a refusing note holds out on hover
+        sidenoteBreakpoint: 1200,             // px; narrower viewports show marginal notes as tooltips
+        sidenoteGap: 12,                      // px between stacked sidenotes
+        maxNestingDepth: 3,                   // tooltips that may stack for notes citing notes
+        modeStorageKey: 'trace-of-the-other.footnote-mode'
+      },
+      // A post overrides these with data-footnote-numbering / data-footnote-restart
+      // or #numbering-<scheme> / #restart-<h2|h3>; a card's data-numbering starts its own sequence
+      numbering: {
+        scheme: 'arabic',                     // arabic | lower-roman | upper-roman | lower-alpha | symbol
+        restart: 'none'                       // none | h2 | h3: number each section from 1
+      },
+      // Cards with data-transclude="/post-slug/#footnote-2" fetch their note from another post
+      transclusion: {
+        source: 'ghost',                      // ghost (Content API) | json; or set loader: slug => Promise<html>
+        apiUrl: null,                         // Defaults to the site Ghost's search script uses
+        apiKey: null,                         // Content API key; defaults to the search script's
+        jsonUrl: null,                        // source 'json': a file shaped like {posts: [{slug, html}]}
+        cachePrefix: 'trace-of-the-other.transclusion:'  // sessionStorage key prefix
       }
     },
     
@@ -75,6 +97,7 @@ window.ThemeConfig = {
       formats: ['pattern', 'html'],
       patterns: {
         pattern: /\[m\]\[([^\]]*)\]\[([\s\S]+)\]/g,  // [m][params][content]
+        anchoredTrigger: '[m~]',                      // [m~][params][anchored words][content]
         html: '.marginalia-voice'                     // HTML elements
       },
       selectors: {
@@ -84,7 +107,31 @@ window.ThemeConfig = {
       },
       classes: {
         marginalia: 'marginalia-voice',
-        container: 'marginalia-container'
+        container: 'marginalia-container',
+        layout: 'marginalia-layout',
+        anchor: 'marginalia-anchor',
+        legend: 'voice-legend',
+        compact: 'marginalia-compact',
+        thread: 'marginalia-thread'
+      },
+      // Key to the voices in a post; a post can override with data-voice-legend or #voice-legend-start/end/none
+      legend: {
+        position: 'start',                    // start | end | none
+        minVoices: 2,                         // Fewer different voices get no legend (unless a post places one)
+        title: 'Voices in this post'
+      },
+      // Narrow screens: each note folds into a voice badge after its anchor that opens it in place
+      compact: {
+        enabled: true,
+        breakpoint: 768                       // px; narrower viewports get badges instead of floats
+      },
+      // Wide screens: notes placed in both margins, level with their paragraph, never overlapping
+      layout: {
+        enabled: true,
+        breakpoint: 1200,                     // px; narrower viewports keep the CSS floats
+        gap: 12,                              // px between stacked notes
+        switchThreshold: 48,                  // px a note may be pushed down before trying the other margin
+        switchSides: true                     // false keeps every note on the side it was written for
       },
       defaults: {
         voice: 1,
@@ -111,6 +158,57 @@ window.ThemeConfig = {
       }
     },
     
+    // Citation processor - [@cite:key, locator] against the post bibliography
+    citations: {
+      formats: ['pattern'],
+      patterns: {
+        citationPattern: /\[@cite:([^\]]+)\]/g   // [@cite:derrida-1967], [@cite:derrida-1967, p. 42; said-1978]
+      },
+      style: 'chicago',                  // 'chicago', 'apa' or 'mla'
+      format: 'author-date',             // 'author-date' or 'numeric'
+      worksCitedTitle: 'Works Cited',
+      selectors: {
+        container: '.post-content, .page-content',
+        paragraphs: 'p, .marginalia-voice, blockquote, li, .footnote-content',
+        bibliography: '[data-bibliography]'
+      },
+      classes: {
+        citation: 'citation',
+        link: 'citation-link',
+        unresolved: 'citation-unresolved',
+        worksCited: 'works-cited',
+        tooltip: 'footnote-tooltip citation-tooltip'
+      },
+      behavior: {
+        enableTooltips: true,
+        enableSmoothScrolling: true,
+        tooltipDelay: 150
+      }
+    },
+
+    // Cross-reference processor - [@id] links to enhanced elements
+    crossrefs: {
+      formats: ['pattern'],
+      patterns: {
+        // Ids are letters, digits, "-" and "_" - no spaces or colons
+        crossrefPattern: /\[@([A-Za-z0-9][\w-]*)\]/g   // [@4], [@derrida-1967], [@critic-1]
+      },
+      selectors: {
+        container: '.post-content, .page-content',
+        paragraphs: 'p, .marginalia-voice, blockquote, li, .footnote-content'
+      },
+      classes: {
+        link: 'crossref-link',
+        unresolved: 'crossref-unresolved',
+        tooltip: 'footnote-tooltip crossref-tooltip'
+      },
+      behavior: {
+        enableTooltips: true,
+        enableSmoothScrolling: true,
+        tooltipDelay: 150
+      }
+    },
+    
     // Deconstruction processor - radical text effects
     deconstruction: {
       formats: ['html'],
@@ -239,6 +337,77 @@ window.ThemeConfig = {
     enableHighContrast: false,
     enableKeyboardNavigation: true,
     
+    // Tooltips (TooltipPositioner; width comes from the tooltip_max_width setting)
+    tooltips: {
+      placement: 'bottom',          // top, bottom, left, right, start, end
+      offset: 8,                    // px between trigger and tooltip
+      viewportPadding: 12,          // px kept clear at viewport edges
+      arrowPadding: 12              // px kept between arrow and tooltip corners
+    },
+    
+    // Touch mode (mobile_responsive setting on and a coarse pointer)
+    touch: {
+      pointerQuery: '(pointer: coarse)',
+      swipeThreshold: 60            // px of drag that dismisses the note sheet or pages it
+    },
+    
+    // Print (beforeprint/afterprint; each processor's preparePrint/restorePrint)
+    print: {
+      endnotes: 'post',             // post | section; a post can override with data-endnotes or #endnotes-section
+      sectionSelector: 'h2',        // Headings that start a section for per-section endnotes
+      insetLabel: 'Inset'           // Caption prefix for printed [?] content
+    },
+    
+    // Voices (VoiceRegistry: marginalia, deconstruction voice spans and the marginalia partial)
+    // Each voice has a label, colour, font, icon and the margin it speaks from when a note names no side
+    voices: {
+      registry: {
+        commentator: { label: 'Commentator', color: '#00ff00', font: "'JetBrains Mono', monospace", icon: '¶', side: 'right' },
+        translator: { label: 'Translator', color: '#00ffff', font: "'Share Tech Mono', monospace", icon: '⇄', side: 'left' },
+        ghost: { label: 'Ghost', color: '#8a2be2', font: "'JetBrains Mono', monospace", icon: '◌', side: 'right' },
+        critic: { label: 'Critic', color: '#ff0040', font: "'JetBrains Mono', monospace", icon: '†', side: 'left' },
+        reader: { label: 'Reader', color: '#ffaa00', font: "'Share Tech Mono', monospace", icon: '◉', side: 'right' },
+        archivist: { label: 'Archivist', color: '#ff6b9d', font: "'JetBrains Mono', monospace", icon: '§', side: 'left' },
+        questioner: { label: 'Questioner', color: '#ffd700', font: "'Share Tech Mono', monospace", icon: '?', side: 'left' },
+        platform: { label: 'Platform', color: '#9e9e9e', font: 'monospace', icon: '⌘', side: 'right' }
+      },
+      aliases: { 1: 'commentator', 2: 'translator', 3: 'ghost', 4: 'critic', 5: 'reader', 6: 'archivist' },
+      fallback: 'commentator'       // Look for voices not in the registry
+    },
+
+    // Notes panel (NotesPanel: every footnote, margin note and extension in one searchable list)
+    notesPanel: {
+      enabled: true,
+      minNotes: 3,                  // Posts with fewer notes get no panel
+      highlightDuration: 1500,      // ms a chosen note's anchor stays highlighted
+      closeBelow: 768               // px; narrower viewports close the panel on choosing a note
+    },
+    
+    // Keyboard navigation (KeyboardNavigator; off with enableKeyboardNavigation)
+    // Shortcuts are KeyboardEvent.key values: a list binds several keys, null unbinds
+    keyboard: {
+      shortcuts: {
+        nextFootnote: 'f',
+        previousFootnote: 'F',
+        nextMarginNote: 'm',
+        previousMarginNote: 'M',
+        nextExtension: 'e',
+        previousExtension: 'E',
+        nextMarker: 'i',
+        previousMarker: 'I',
+        enterTooltip: 'ArrowDown',  // Into the open footnote tooltip
+        notesPanel: 'a',
+        close: 'Escape',            // Top-most tooltip, notes panel, extension or interaction
+        help: '?'                   // Cheat sheet of these shortcuts
+      },
+      targets: {                    // Selectors each pair of shortcuts moves between
+        footnote: '.footnote-ref:not(.footnote-nested-ref) > .footnote-link:not([data-is-extension="true"])',
+        marginalia: '.marginalia-voice',
+        extension: '.extension-trigger, .footnote-ref:not(.footnote-nested-ref) > a.footnote-link[data-is-extension="true"]',
+        marker: '.interactive-marker'
+      }
+    },
+    
     // Debug
     enableLogging: false,
     logLevel: 'INFO',  // DEBUG, INFO, WARN, ERROR, SILENT
@@ -284,6 +453,12 @@ window.CONTENT_ENHANCEMENT_FLAGS = {
   get ENABLE_EXTENSIONS() {
     return window.ThemeConfig.features.extensions;
   },
+  get ENABLE_CROSS_REFERENCES() {
+    return window.ThemeConfig.features.crossReferences;
+  },
+  get ENABLE_CITATIONS() {
+    return window.ThemeConfig.features.citations;
+  },
   get ENABLE_DECONSTRUCTION() {
     return window.ThemeConfig.features.deconstruction;
   },
@@ -345,6 +520,10 @@ document.addEventListener('DOMContentLoaded', () => {
       console.log('🔥 Deconstruction effects enabled via Ghost settings');
     }
     
+    if (window.ghost_custom_settings.enable_keyboard_navigation === false) {
+      window.ThemeConfig.global.enableKeyboardNavigation = false;
+    }
+    
     if (window.ghost_custom_settings.debug_mode) {
       window.ThemeConfig.features.debugMode = true;
       window.ThemeConfig.global.enableLogging = true;
@@ -387,4 +566,9 @@ document.addEventListener('DOMContentLoaded', () => {
     
     console.log('🐛 Debug mode enabled. Use debugThemeConfig() to inspect configuration.');
   }
-});
\ No newline at end of file
+});
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = window.ThemeConfig;
+}
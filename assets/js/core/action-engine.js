@@ -17,7 +17,8 @@ class ActionEngine {
     this.logger = logger;
     
     // Initialize target selector
-    this.targetSelector = new TargetSelector(container, logger);
+    const Selector = typeof TargetSelector !== 'undefined' ? TargetSelector : require('./target-selector.js');
+    this.targetSelector = new Selector(container, logger);
     
     // State management
     this.activeActions = new Map();
@@ -408,6 +409,15 @@ class ActionEngine {
     }));
   }
 
+  /**
+   * Whether any action is still running; a completed action stays active
+   * (its changes on screen) until cleaned up, but is no longer animating
+   * @returns {boolean} Animating
+   */
+  isAnimating() {
+    return Array.from(this.activeActions.values()).some(actionState => actionState.status !== 'completed');
+  }
+
   /**
    * Utility delay function
    * @param {number} ms - Milliseconds to delay
@@ -62,7 +62,7 @@ class ConfigurationManager {
       // Preserve philosophy: easy typeable patterns
       patterns: {
         // Default patterns that preserve editor workflow
-        footnotePattern: /\[\^(\d+)\]/g,  // [^1], [^2], etc.
+        footnotePattern: /\[\^([\w-]+)\]/g,  // [^1], [^derrida-1967], etc.
         extensionPattern: /\[\+\]\[((?:[^\[\]]|\[[^\]]*\])*)\]/g, // [+][content]
         ...processorConfig.patterns
       }
@@ -191,7 +191,7 @@ class ConfigurationManager {
           // Preserve all existing footnote behavior and philosophy
           behavior: legacy.behavior || {},
           patterns: {
-            footnotePattern: legacy.processing?.footnotePattern || /\[\^(\d+)\]/g,
+            footnotePattern: legacy.processing?.footnotePattern || /\[\^([\w-]+)\]/g,
             referenceAttribute: legacy.processing?.referenceAttribute || 'data-ref'
           },
           classes: legacy.classes || {},
@@ -234,7 +234,8 @@ class ConfigurationManager {
           },
           patterns: {
             // Preserve simple, typeable pattern that works in Ghost editor
-            footnotePattern: /\[\^(\d+)\]/g,
+            // Labels may be numbers or names: [^1], [^derrida-1967]
+            footnotePattern: /\[\^([\w-]+)\]/g,
             referenceAttribute: 'data-ref'
           },
           classes: {
@@ -339,4 +340,6 @@ class ConfigurationManager {
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ConfigurationManager;
+} else if (typeof window !== 'undefined') {
+  window.ConfigurationManager = ConfigurationManager;
 }
\ No newline at end of file
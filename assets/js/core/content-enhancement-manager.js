@@ -13,7 +13,8 @@ class ContentEnhancementManager {
     console.log('[ENHANCEMENT_MANAGER] Initializing modular content enhancement system');
     
     // Initialize configuration manager
-    this.configManager = new ConfigurationManager(config);
+    const ConfigManager = this.resolveClass('ConfigurationManager', './configuration-manager.js');
+    this.configManager = new ConfigManager(config);
     this.config = null; // Will be set after initialization
     
     // Find container
@@ -26,6 +27,22 @@ class ContentEnhancementManager {
     // System state
     this.initialized = false;
     this.processed = false;
+    this.pluginsRegistered = false;
+    
+    // Authoring diagnostics (Ghost preview and debug mode only)
+    this.diagnosticsReport = null;
+    this.diagnosticsOverlay = null;
+    this.sourceOverlay = null;
+    
+    // Print pipeline (beforeprint/afterprint)
+    this.printing = false;
+    this.printHandlers = null;
+    
+    // Notes panel listing every processor's notes
+    this.notesPanel = null;
+    
+    // Keyboard shortcuts across every enhancement
+    this.keyboardNavigator = null;
     
     // Statistics tracking
     this.statistics = {
@@ -39,6 +56,31 @@ class ContentEnhancementManager {
     };
   }
 
+  /**
+   * Resolve a theme class by name
+   * In the browser classes are globals loaded by default.hbs; under Node
+   * (pre-rendering, tests) they are required from their module instead
+   * @param {string} name - Global class name
+   * @param {string} modulePath - Module path relative to this file
+   * @returns {Function|null} Class, or null if it is not available
+   * @private
+   */
+  resolveClass(name, modulePath) {
+    if (typeof window !== 'undefined' && window[name]) {
+      return window[name];
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+      try {
+        return require(modulePath);
+      } catch (error) {
+        console.warn(`[ENHANCEMENT_MANAGER] ⚠️ Could not load ${name} from ${modulePath}:`, error.message);
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Initialize the content enhancement system
    * @returns {Promise<boolean>} Success status
@@ -86,7 +128,7 @@ class ContentEnhancementManager {
 
   /**
    * Register default processors based on configuration and feature flags
-   * UPDATED PROCESSING ORDER: Deconstruction → Footnotes → Marginalia → Extensions
+   * UPDATED PROCESSING ORDER: Deconstruction → Footnotes → Marginalia → Extensions → Interactive → Cross-references
    * @private
    */
   async registerDefaultProcessors() {
@@ -108,8 +150,9 @@ class ContentEnhancementManager {
     if (deconstructionEnabled) {
       console.log('[ENHANCEMENT_MANAGER] Registering deconstruction processor (FIRST - radical base layer)');
       try {
-        if (typeof DeconstructionProcessor !== 'undefined') {
-          await this.registerProcessor('deconstruction', DeconstructionProcessor);
+        const DeconstructionProcessorClass = this.resolveClass('DeconstructionProcessor', '../processors/deconstruction-processor.js');
+        if (DeconstructionProcessorClass) {
+          await this.registerProcessor('deconstruction', DeconstructionProcessorClass);
           console.log('[ENHANCEMENT_MANAGER] ✅ Deconstruction processor registered successfully');
         } else {
           console.warn('[ENHANCEMENT_MANAGER] ⚠️ DeconstructionProcessor class not available');
@@ -128,8 +171,9 @@ class ContentEnhancementManager {
     } else {
       console.log('[ENHANCEMENT_MANAGER] Registering modern footnote processor (SECOND)');
       try {
-        if (typeof FootnoteProcessor !== 'undefined') {
-          await this.registerProcessor('footnotes', FootnoteProcessor);
+        const FootnoteProcessorClass = this.resolveClass('FootnoteProcessor', '../processors/footnote-processor.js');
+        if (FootnoteProcessorClass) {
+          await this.registerProcessor('footnotes', FootnoteProcessorClass);
           console.log('[ENHANCEMENT_MANAGER] ✅ Footnote processor registered successfully');
         } else {
           console.warn('[ENHANCEMENT_MANAGER] ⚠️ FootnoteProcessor class not available');
@@ -149,8 +193,9 @@ class ContentEnhancementManager {
     if (flags.ENABLE_MARGINALIA !== false) {
       console.log('[ENHANCEMENT_MANAGER] Registering marginalia processor (THIRD - comments on processed text)');
       try {
-        if (typeof MarginaliaProcessor !== 'undefined') {
-          await this.registerProcessor('marginalia', MarginaliaProcessor);
+        const MarginaliaProcessorClass = this.resolveClass('MarginaliaProcessor', '../processors/marginalia-processor.js');
+        if (MarginaliaProcessorClass) {
+          await this.registerProcessor('marginalia', MarginaliaProcessorClass);
           console.log('[ENHANCEMENT_MANAGER] ✅ Marginalia processor registered successfully');
         } else {
           console.warn('[ENHANCEMENT_MANAGER] ⚠️ MarginaliaProcessor class not available');
@@ -166,8 +211,9 @@ class ContentEnhancementManager {
     if (flags.ENABLE_EXTENSIONS === true) {
       console.log('[ENHANCEMENT_MANAGER] Registering paragraph extension processor (FOURTH - final layer)');
       try {
-        if (typeof ParagraphExtensionProcessor !== 'undefined') {
-          await this.registerProcessor('extensions', ParagraphExtensionProcessor);
+        const ParagraphExtensionProcessorClass = this.resolveClass('ParagraphExtensionProcessor', '../processors/paragraph-extension-processor.js');
+        if (ParagraphExtensionProcessorClass) {
+          await this.registerProcessor('extensions', ParagraphExtensionProcessorClass);
           console.log('[ENHANCEMENT_MANAGER] ✅ Extension processor registered successfully');
         } else {
           console.warn('[ENHANCEMENT_MANAGER] ⚠️ ParagraphExtensionProcessor class not available');
@@ -180,8 +226,9 @@ class ContentEnhancementManager {
     // Register interactive marker processor (FIFTH - after all text processors are done)
     console.log('[ENHANCEMENT_MANAGER] Registering interactive marker processor');
     try {
-      if (typeof InteractiveMarkerProcessor !== 'undefined') {
-        await this.registerProcessor('interactive', InteractiveMarkerProcessor);
+      const InteractiveMarkerProcessorClass = this.resolveClass('InteractiveMarkerProcessor', '../interactive-marker-processor.js');
+      if (InteractiveMarkerProcessorClass) {
+        await this.registerProcessor('interactive', InteractiveMarkerProcessorClass);
         console.log('[ENHANCEMENT_MANAGER] ✅ Interactive marker processor registered successfully');
       } else {
         console.warn('[ENHANCEMENT_MANAGER] ⚠️ InteractiveMarkerProcessor class not available');
@@ -190,20 +237,122 @@ class ContentEnhancementManager {
       console.error('[ENHANCEMENT_MANAGER] ❌ Interactive marker processor registration failed:', error);
     }
 
-    // Future processors can be added here based on feature flags
-    // Processing order matters for DOM manipulation!
-    // if (flags.ENABLE_MARGINALIA === true) {
-    //   await this.registerProcessor('marginalia', MarginaliaProcessor);
-    // }
+    // Register citation processor - after marginalia and extensions so citations inside them resolve
+    if (flags.ENABLE_CITATIONS !== false) {
+      try {
+        const CitationProcessorClass = this.resolveClass('CitationProcessor', '../processors/citation-processor.js');
+        if (CitationProcessorClass) {
+          await this.registerProcessor('citations', CitationProcessorClass);
+          console.log('[ENHANCEMENT_MANAGER] ✅ Citation processor registered successfully');
+        } else {
+          console.warn('[ENHANCEMENT_MANAGER] ⚠️ CitationProcessor class not available');
+        }
+      } catch (error) {
+        console.error('[ENHANCEMENT_MANAGER] ❌ Citation processor registration failed:', error);
+      }
+    }
+
+    // Register cross-reference processor LAST - [@id] links need every target to exist
+    if (flags.ENABLE_CROSS_REFERENCES !== false) {
+      try {
+        const CrossReferenceProcessorClass = this.resolveClass('CrossReferenceProcessor', '../processors/cross-reference-processor.js');
+        if (CrossReferenceProcessorClass) {
+          await this.registerProcessor('crossrefs', CrossReferenceProcessorClass);
+          console.log('[ENHANCEMENT_MANAGER] ✅ Cross-reference processor registered successfully');
+        } else {
+          console.warn('[ENHANCEMENT_MANAGER] ⚠️ CrossReferenceProcessor class not available');
+        }
+      } catch (error) {
+        console.error('[ENHANCEMENT_MANAGER] ❌ Cross-reference processor registration failed:', error);
+      }
+    }
+
+    // Site-specific processors from TraceOfTheOther.registerProcessor
+    for (const definition of ContentEnhancementManager.plugins) {
+      await this.registerPlugin(definition);
+    }
+    this.pluginsRegistered = true;
+  }
+
+  /**
+   * Register a processor defined through TraceOfTheOther.registerProcessor
+   * @param {Object} definition - Plugin definition (see PluginProcessor)
+   * @returns {Promise<boolean>} Success status
+   * @private
+   */
+  async registerPlugin(definition) {
+    const PluginProcessorClass = this.resolveClass('PluginProcessor', './plugin-processor.js');
+    if (!PluginProcessorClass) {
+      console.warn(`[ENHANCEMENT_MANAGER] ⚠️ PluginProcessor class not available - "${definition.name}" skipped`);
+      return false;
+    }
+
+    const registered = await this.registerProcessor(definition.name, PluginProcessorClass, {
+      after: definition.after,
+      before: definition.before,
+      config: { plugin: definition }
+    });
+    if (registered) {
+      console.log(`[ENHANCEMENT_MANAGER] ✅ Plugin processor '${definition.name}' registered for ${definition.trigger}`);
+    }
+    return registered;
+  }
+
+  /**
+   * Add a plugin to a running system
+   * Plugins registered after initialization are initialized at once, and
+   * processed at once if the content has already been processed
+   * @param {Object} definition - Plugin definition
+   * @returns {Promise<boolean>} Success status
+   */
+  async addPlugin(definition) {
+    if (!this.pluginsRegistered) {
+      // registerDefaultProcessors has not reached the plugin list yet and will pick it up
+      return true;
+    }
+
+    if (!await this.registerPlugin(definition)) return false;
+    if (!this.initialized) return true; // initializeProcessors is still running and will reach it
+
+    const processor = this.processors.get(definition.name);
+    const success = await processor.init();
+    this.statistics.totalProcessors = this.processors.size;
+    if (!success) {
+      this.statistics.failedProcessors++;
+      return false;
+    }
+    this.statistics.successfulProcessors++;
+
+    if (this.processed) {
+      try {
+        await processor.process();
+        this.statistics.totalProcessedItems += processor.getStats().processed || 0;
+        this.refreshContent();
+      } catch (error) {
+        console.error(`[ENHANCEMENT_MANAGER] ❌ Processor '${definition.name}' failed:`, error);
+        this.statistics.errors.push({
+          phase: 'processing',
+          processor: definition.name,
+          error: error.message,
+          timestamp: performance.now()
+        });
+        return false;
+      }
+    }
+    return true;
   }
 
   /**
    * Register a content processor
    * @param {string} name - Processor name
    * @param {Function} ProcessorClass - Processor constructor
+   * @param {Object} options - Optional placement and configuration
+   * @param {string} options.after - Run after this processor
+   * @param {string} options.before - Run before this processor
+   * @param {Object} options.config - Merged over the processor configuration
    * @returns {Promise<boolean>} Success status
    */
-  async registerProcessor(name, ProcessorClass) {
+  async registerProcessor(name, ProcessorClass, options = {}) {
     try {
       if (this.processors.has(name)) {
         console.warn(`[ENHANCEMENT_MANAGER] Processor '${name}' already registered - skipping`);
@@ -211,14 +360,17 @@ class ContentEnhancementManager {
       }
 
       // Get processor-specific configuration
-      const processorConfig = this.configManager.getProcessorConfig(name);
+      const processorConfig = {
+        ...this.configManager.getProcessorConfig(name),
+        ...options.config
+      };
       
       // Create processor instance
       const processor = new ProcessorClass(processorConfig, this.container);
       
       // Store processor
       this.processors.set(name, processor);
-      this.processorOrder.push(name);
+      this.processorOrder.splice(this.getInsertIndex(name, options), 0, name);
       
       // Register with configuration manager
       this.configManager.registerProcessor(name, processor);
@@ -238,6 +390,33 @@ class ContentEnhancementManager {
     }
   }
 
+  /**
+   * Find where a processor goes in the processing order
+   * @param {string} name - Processor name
+   * @param {Object} placement - {after, before}; processors without one run last
+   * @returns {number} Index in processorOrder
+   * @private
+   */
+  getInsertIndex(name, { after, before } = {}) {
+    const afterIndex = after ? this.processorOrder.indexOf(after) : -1;
+    const beforeIndex = before ? this.processorOrder.indexOf(before) : -1;
+
+    if (after && afterIndex === -1) {
+      console.warn(`[ENHANCEMENT_MANAGER] '${name}' should run after '${after}', which is not registered`);
+    }
+    if (before && beforeIndex === -1) {
+      console.warn(`[ENHANCEMENT_MANAGER] '${name}' should run before '${before}', which is not registered`);
+    }
+
+    if (afterIndex !== -1 && beforeIndex !== -1 && beforeIndex <= afterIndex) {
+      console.warn(`[ENHANCEMENT_MANAGER] '${name}' cannot run after '${after}' and before '${before}' - running before '${before}'`);
+      return beforeIndex;
+    }
+    if (afterIndex !== -1) return afterIndex + 1;
+    if (beforeIndex !== -1) return beforeIndex;
+    return this.processorOrder.length;
+  }
+
   /**
    * Initialize all registered processors
    * @private
@@ -297,6 +476,11 @@ class ContentEnhancementManager {
     try {
       console.log('[ENHANCEMENT_MANAGER] Starting content processing...');
       
+      // Diagnostics read the raw markup, so they must run before any processor rewrites it
+      if (this.shouldRunDiagnostics()) {
+        this.runDiagnostics();
+      }
+      
       // Process with each registered processor in order
       for (const processorName of this.processorOrder) {
         const processor = this.processors.get(processorName);
@@ -328,8 +512,21 @@ class ContentEnhancementManager {
       }
 
       this.processed = true;
+      this.refreshContent();
       this.statistics.endTime = performance.now();
+      this.bindPrintListeners();
+      this.mountNotesPanel();
+      this.installKeyboardNavigator();
+      
+      if (this.diagnosticsReport) {
+        this.showDiagnostics();
+      }
       
+      if (this.isDebugMode()) {
+        this.mountSourceToggle();
+      }
+      
+      await this.settle();
       console.log(`[ENHANCEMENT_MANAGER] Content processing completed: ${this.statistics.totalProcessedItems} items processed`);
       return true;
 
@@ -344,6 +541,252 @@ class ContentEnhancementManager {
     }
   }
 
+  /**
+   * Let every processor pick up what later processors resolved inside its
+   * content, e.g. citations and cross-references inside footnotes
+   * @private
+   */
+  refreshContent() {
+    this.processorOrder.forEach(name => {
+      try {
+        this.processors.get(name)?.refreshContent();
+      } catch (error) {
+        console.error(`[ENHANCEMENT_MANAGER] ❌ Content refresh failed for '${name}':`, error);
+      }
+    });
+  }
+
+  /**
+   * Wait for work the processors deferred past processing
+   * A processor that fails to settle is logged and does not hold up the others
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    await Promise.all(this.processorOrder.map(async name => {
+      try {
+        await this.processors.get(name)?.settle();
+      } catch (error) {
+        console.error(`[ENHANCEMENT_MANAGER] ❌ Processor '${name}' failed to settle:`, error);
+      }
+    }));
+  }
+
+  /**
+   * Prepare the content for paper whenever the reader prints
+   * @private
+   */
+  bindPrintListeners() {
+    if (this.printHandlers || typeof window === 'undefined') return;
+
+    this.printHandlers = {
+      beforeprint: () => this.preparePrint(),
+      afterprint: () => this.restorePrint()
+    };
+    Object.entries(this.printHandlers).forEach(([type, handler]) => window.addEventListener(type, handler));
+  }
+
+  /**
+   * @private
+   */
+  unbindPrintListeners() {
+    if (!this.printHandlers) return;
+
+    Object.entries(this.printHandlers).forEach(([type, handler]) => window.removeEventListener(type, handler));
+    this.printHandlers = null;
+  }
+
+  /**
+   * Turn interactive content into static apparatus for printing: every
+   * processor's preparePrint, in processing order
+   * Synchronous, because the browser lays out the print as soon as beforeprint returns
+   * @returns {boolean} Whether the content was prepared (false if it already was)
+   */
+  preparePrint() {
+    if (this.printing) return false;
+    this.printing = true;
+
+    this.processorOrder.forEach(name => {
+      try {
+        this.processors.get(name)?.preparePrint();
+      } catch (error) {
+        console.error(`[ENHANCEMENT_MANAGER] ❌ Print preparation failed for '${name}':`, error);
+      }
+    });
+
+    this.container?.classList.add('print-prepared');
+    console.log('[ENHANCEMENT_MANAGER] 🖨️ Content prepared for print');
+    return true;
+  }
+
+  /**
+   * Put the interactive content back after printing, in reverse order
+   * @returns {boolean} Whether anything was restored
+   */
+  restorePrint() {
+    if (!this.printing) return false;
+    this.printing = false;
+
+    [...this.processorOrder].reverse().forEach(name => {
+      try {
+        this.processors.get(name)?.restorePrint();
+      } catch (error) {
+        console.error(`[ENHANCEMENT_MANAGER] ❌ Print restore failed for '${name}':`, error);
+      }
+    });
+
+    this.container?.classList.remove('print-prepared');
+    console.log('[ENHANCEMENT_MANAGER] 🖨️ Content restored after print');
+    return true;
+  }
+
+  /**
+   * Every note the processors added, in reading order (see ContentProcessor.getNotes)
+   * An entry with a position element is placed there instead of at its anchor;
+   * entries sharing one keep the order their processor gave them (threads)
+   * @returns {Array<Object>} Notes panel entries
+   */
+  collectNotes() {
+    const entries = [];
+    this.processorOrder.forEach(name => {
+      try {
+        entries.push(...(this.processors.get(name)?.getNotes() || []));
+      } catch (error) {
+        console.error(`[ENHANCEMENT_MANAGER] ❌ Could not list notes from '${name}':`, error);
+      }
+    });
+
+    return entries.sort((a, b) => {
+      const first = a.position || a.anchor;
+      const second = b.position || b.anchor;
+      if (first === second) return 0;
+      return first.compareDocumentPosition(second) & window.Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+  }
+
+  /**
+   * Offer the notes panel on posts with at least notesPanel.minNotes notes
+   * @private
+   */
+  mountNotesPanel() {
+    const options = this.config.global?.notesPanel || {};
+    if (options.enabled === false || this.notesPanel) return;
+
+    const Panel = this.resolveClass('NotesPanel', '../utils/notes-panel.js');
+    if (!Panel || this.collectNotes().length < (options.minNotes ?? 1)) return;
+
+    this.notesPanel = new Panel({
+      source: () => this.collectNotes(),
+      highlightDuration: options.highlightDuration,
+      closeBelow: options.closeBelow
+    });
+    this.notesPanel.mount();
+    console.log('[ENHANCEMENT_MANAGER] 🗂️ Notes panel mounted');
+  }
+
+  /**
+   * Keyboard shortcuts across every enhancement (global.keyboard), unless
+   * global.enableKeyboardNavigation is off
+   * @private
+   */
+  installKeyboardNavigator() {
+    if (this.config.global?.enableKeyboardNavigation === false || this.keyboardNavigator) return;
+
+    const Navigator = this.resolveClass('KeyboardNavigator', '../utils/keyboard-navigator.js');
+    if (!Navigator) return;
+
+    const options = this.config.global?.keyboard || {};
+    this.keyboardNavigator = new Navigator(this.container, {
+      shortcuts: options.shortcuts,
+      targets: options.targets,
+      processors: () => this.processorOrder.map(name => this.processors.get(name)).filter(Boolean),
+      notesPanel: () => this.notesPanel
+    });
+    this.keyboardNavigator.install();
+    console.log('[ENHANCEMENT_MANAGER] ⌨️ Keyboard navigation installed');
+  }
+
+  /**
+   * Check whether authoring diagnostics should run
+   * Diagnostics are for authors: Ghost post previews (/p/<uuid>/) and debug mode
+   * @returns {boolean} Should run diagnostics
+   * @private
+   */
+  shouldRunDiagnostics() {
+    const isPreview = /^\/p\/[0-9a-f-]+\/?$/i.test(window.location.pathname);
+    return isPreview || this.isDebugMode();
+  }
+
+  /**
+   * Check whether debug mode is on (theme setting or ThemeConfig)
+   * @returns {boolean} Debug mode
+   * @private
+   */
+  isDebugMode() {
+    return window.ghost_custom_settings?.debug_mode === true ||
+           this.config?.features?.debugMode === true;
+  }
+
+  /**
+   * Offer the "show source" toggle that overlays each enhancement's raw syntax
+   * @private
+   */
+  mountSourceToggle() {
+    if (typeof SourceMapOverlay === 'undefined' || typeof SourceMap === 'undefined') return;
+    
+    if (!this.sourceOverlay) {
+      this.sourceOverlay = new SourceMapOverlay(this.container, SourceMap.forDocument(document));
+    }
+    this.sourceOverlay.mount();
+  }
+
+  /**
+   * Analyze the raw content for malformed enhancement syntax
+   * @returns {Object|null} Diagnostics report
+   */
+  runDiagnostics() {
+    const Diagnostics = this.resolveClass('SyntaxDiagnostics', '../utils/syntax-diagnostics.js');
+    if (!Diagnostics) {
+      console.warn('[ENHANCEMENT_MANAGER] ⚠️ SyntaxDiagnostics class not available');
+      return null;
+    }
+
+    try {
+      const diagnostics = new Diagnostics(this.config);
+      ContentEnhancementManager.plugins.forEach(({ name, trigger, sections }) => {
+        diagnostics.addBracketSyntax(name, trigger, sections || 1);
+      });
+      this.diagnosticsReport = diagnostics.analyze(this.container);
+      
+      const { errors, warnings } = this.diagnosticsReport.summary;
+      console.log(`[ENHANCEMENT_MANAGER] 🩺 Syntax diagnostics: ${errors} errors, ${warnings} warnings`);
+      return this.diagnosticsReport;
+    } catch (error) {
+      console.error('[ENHANCEMENT_MANAGER] ❌ Syntax diagnostics failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Show the diagnostics overlay for the last report
+   * @private
+   */
+  showDiagnostics() {
+    if (typeof SyntaxDiagnosticsOverlay === 'undefined') return;
+    
+    if (!this.diagnosticsOverlay) {
+      this.diagnosticsOverlay = new SyntaxDiagnosticsOverlay(this.container);
+    }
+    this.diagnosticsOverlay.show(this.diagnosticsReport);
+  }
+
+  /**
+   * Get the last diagnostics report
+   * @returns {Object|null} Diagnostics report, or null if diagnostics did not run
+   */
+  getDiagnostics() {
+    return this.diagnosticsReport;
+  }
+
   /**
    * Get processor by name
    * @param {string} name - Processor name
@@ -430,6 +873,9 @@ class ContentEnhancementManager {
   async cleanup() {
     console.log('[ENHANCEMENT_MANAGER] Starting system cleanup...');
     
+    this.restorePrint();
+    this.unbindPrintListeners();
+    
     // Cleanup all processors in reverse order
     const reverseOrder = [...this.processorOrder].reverse();
     
@@ -446,11 +892,31 @@ class ContentEnhancementManager {
       }
     }
 
+    if (this.diagnosticsOverlay) {
+      this.diagnosticsOverlay.dismiss();
+    }
+
+    if (this.sourceOverlay) {
+      this.sourceOverlay.destroy();
+      this.sourceOverlay = null;
+    }
+
+    if (this.notesPanel) {
+      this.notesPanel.destroy();
+      this.notesPanel = null;
+    }
+
+    if (this.keyboardNavigator) {
+      this.keyboardNavigator.destroy();
+      this.keyboardNavigator = null;
+    }
+
     // Clear internal state
     this.processors.clear();
     this.processorOrder = [];
     this.initialized = false;
     this.processed = false;
+    this.pluginsRegistered = false;
 
     console.log('[ENHANCEMENT_MANAGER] System cleanup completed');
   }
@@ -571,6 +1037,12 @@ class ContentEnhancementManager {
   }
 }
 
+/**
+ * Plugin definitions from TraceOfTheOther.registerProcessor, in registration order
+ * Every manager instance registers them after the built-in processors
+ */
+ContentEnhancementManager.plugins = [];
+
 /**
  * UNIFIED INITIALIZATION SYSTEM
  * Single initialization point for all content enhancement processors
@@ -645,7 +1117,9 @@ function initializeContentEnhancement() {
  * Run immediately if DOM ready, otherwise wait for DOMContentLoaded
  * This replaces all individual DOMContentLoaded listeners across the system
  */
-if (document.readyState === 'loading') {
+if (typeof module !== 'undefined' && module.exports) {
+  // Loaded as a CommonJS module (Node pre-rendering) - the caller drives the manager
+} else if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeContentEnhancement);
 } else {
   // DOM already loaded, run immediately
@@ -655,6 +1129,101 @@ if (document.readyState === 'loading') {
 // Expose class globally for system access
 window.ContentEnhancementManager = ContentEnhancementManager;
 
+/**
+ * PUBLIC API
+ * Stable entry points for authors, debug tools and build scripts
+ */
+window.TraceOfTheOther = window.TraceOfTheOther || {};
+
+/**
+ * Get the authoring diagnostics report for the current post
+ * Only available on Ghost previews or with debug mode on
+ * @returns {Object|null} Report with {generatedAt, summary, findings}
+ */
+window.TraceOfTheOther.getDiagnostics = () => {
+  const report = window.ContentEnhancementSystem?.getDiagnostics() || null;
+  if (!report) {
+    console.warn('[ENHANCEMENT_MANAGER] No diagnostics report - open a post preview or enable debug_mode');
+  }
+  return report;
+};
+
+/**
+ * Get the authoring diagnostics report as JSON
+ * @returns {string|null} Pretty-printed JSON report
+ */
+window.TraceOfTheOther.getDiagnosticsJSON = () => {
+  const report = window.TraceOfTheOther.getDiagnostics();
+  return report ? JSON.stringify(report, null, 2) : null;
+};
+
+/**
+ * Get the author's original syntax for a generated element
+ * Accepts the element itself or anything inside it
+ * @param {Element} element - Generated element, e.g. a .marginalia-voice
+ * @returns {Object|null} Record with {id, type, trigger, raw, offset, block, parentId}
+ */
+window.TraceOfTheOther.getSource = (element) => {
+  if (!element?.ownerDocument) return null;
+
+  const SourceMapClass = typeof SourceMap !== 'undefined'
+    ? SourceMap
+    : typeof require !== 'undefined' ? require('../utils/source-map.js') : null;
+  if (!SourceMapClass) return null;
+
+  return SourceMapClass.forDocument(element.ownerDocument).get(element);
+};
+
+/**
+ * Register a processor for a custom bracket trigger, e.g. [g][term][definition]
+ * Can be called from code injection or an HTML card; calls made before this
+ * script loads are queued by the stub in default.hbs and replayed below
+ * @param {Object} definition - {name, trigger, sections, render, after, before, selector, cleanup}
+ * @returns {boolean} Whether the definition was accepted
+ */
+window.TraceOfTheOther.registerProcessor = (definition) => {
+  const PluginProcessorClass = typeof PluginProcessor !== 'undefined'
+    ? PluginProcessor
+    : typeof require !== 'undefined' ? require('./plugin-processor.js') : null;
+  if (!PluginProcessorClass) {
+    console.error('[ENHANCEMENT_MANAGER] ❌ registerProcessor: PluginProcessor is not loaded');
+    return false;
+  }
+
+  const problem = PluginProcessorClass.validateDefinition(definition);
+  if (problem) {
+    console.error(`[ENHANCEMENT_MANAGER] ❌ registerProcessor: ${problem}`);
+    return false;
+  }
+
+  const builtIn = ['deconstruction', 'footnotes', 'marginalia', 'extensions', 'interactive', 'citations', 'crossrefs'];
+  const taken = builtIn.includes(definition.name) ||
+    ContentEnhancementManager.plugins.some(plugin => plugin.name === definition.name);
+  if (taken) {
+    console.error(`[ENHANCEMENT_MANAGER] ❌ registerProcessor: a processor named "${definition.name}" already exists`);
+    return false;
+  }
+  if (ContentEnhancementManager.plugins.some(plugin => plugin.trigger === definition.trigger)) {
+    console.error(`[ENHANCEMENT_MANAGER] ❌ registerProcessor: trigger ${definition.trigger} is already registered`);
+    return false;
+  }
+
+  ContentEnhancementManager.plugins.push(definition);
+
+  // A system that is already running picks the plugin up immediately
+  if (window.ContentEnhancementSystem) {
+    window.ContentEnhancementSystem.addPlugin(definition).catch(error => {
+      console.error(`[ENHANCEMENT_MANAGER] ❌ Plugin processor '${definition.name}' could not be added:`, error);
+    });
+  }
+  return true;
+};
+
+// Replay registrations queued before this script loaded
+(window.TraceOfTheOther.pendingProcessors || []).splice(0).forEach(definition => {
+  window.TraceOfTheOther.registerProcessor(definition);
+});
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ContentEnhancementManager;
@@ -59,6 +59,76 @@ class ContentProcessor {
     throw new Error('cleanup() must be implemented by subclass');
   }
 
+  /**
+   * Turn interactive content into static apparatus before the page prints
+   * Runs synchronously in beforeprint (the browser lays out the print right
+   * after); optional, processors without print-only content keep the default
+   * @returns {void}
+   */
+  preparePrint() {}
+
+  /**
+   * Undo preparePrint once printing is done
+   * @returns {void}
+   */
+  restorePrint() {}
+
+  /**
+   * Pick up what later processors changed inside this processor's output
+   * Runs once every processor has processed; optional, for processors that
+   * keep copies of their content (tooltips, sidenotes) beside the page
+   * @returns {void}
+   */
+  refreshContent() {}
+
+  /**
+   * Wait for work this processor deferred past process(), such as listeners
+   * attached on a timer; the prerenderer serializes only once it resolves
+   * @returns {Promise<void>} Resolves once the content is final (at once by default)
+   */
+  async settle() {}
+
+  /**
+   * Notes this processor added to the post, for the notes panel
+   * Entries are {type, id, label, voice, html, anchor}: html sanitized,
+   * anchor the element in the text the panel scrolls to. Optional: voiceLabel,
+   * depth (indent under the entry before) and position (element whose place
+   * orders the entry instead of its anchor)
+   * @returns {Array<Object>} Entries (none by default)
+   */
+  getNotes() {
+    return [];
+  }
+
+  /**
+   * Close this processor's top-most open layer, for Escape (KeyboardNavigator)
+   * Every processor is asked for its 'tooltip' layer (hover and focus
+   * previews) before any is asked for 'content' (opened extensions, running
+   * interactions)
+   * @param {string} layer - 'tooltip' or 'content'
+   * @returns {boolean} Whether anything was closed (nothing by default)
+   */
+  dismissTopmost(layer) {
+    return false;
+  }
+
+  /**
+   * Move keyboard focus into this processor's open tooltip
+   * @returns {boolean} Whether focus moved (no tooltip by default)
+   */
+  focusOpenTooltip() {
+    return false;
+  }
+
+  /**
+   * Whether an animation this processor started is still running; keyboard
+   * navigation waits rather than moving focus away mid-animation
+   * @returns {boolean} Animating (never by default)
+   */
+  isAnimating() {
+    return false;
+  }
+
   /**
    * Get processing statistics
    * @returns {Object} Statistics object
@@ -179,23 +249,291 @@ class ContentProcessor {
   }
 
   /**
-   * Basic HTML sanitization
+   * Create a DOM node from an HTML string without touching the document
+   * @param {string} html - HTML markup
+   * @returns {Node} Single element, or a fragment if the markup has several top-level nodes
+   */
+  createFromHTML(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    const fragment = template.content;
+    return fragment.childNodes.length === 1 ? fragment.firstChild : fragment;
+  }
+
+  /**
+   * Get the text-node tokenizer used for pattern processing
+   * Processors replace tokens with DOM nodes instead of rewriting innerHTML,
+   * so listeners attached by earlier processors survive
+   * @returns {ContentTokenizer} Tokenizer instance
+   */
+  getTokenizer() {
+    if (!this.tokenizer) {
+      const Tokenizer = typeof ContentTokenizer !== 'undefined'
+        ? ContentTokenizer
+        : require('../utils/content-tokenizer.js');
+      this.tokenizer = new Tokenizer(this.logger || console);
+    }
+    return this.tokenizer;
+  }
+
+  /**
+   * Get the shared markdown renderer
+   * Marginalia, extensions, footnotes and tooltips render through the same
+   * instance so identical source produces identical markup
+   * @returns {InlineMarkdown} Renderer instance
+   */
+  getMarkdownRenderer() {
+    if (!this.markdownRenderer) {
+      const Renderer = typeof InlineMarkdown !== 'undefined'
+        ? InlineMarkdown
+        : require('../utils/inline-markdown.js');
+      this.markdownRenderer = new Renderer();
+    }
+    return this.markdownRenderer;
+  }
+
+  /**
+   * Render note content (markdown over HTML) to sanitized HTML
+   * @param {string} content - Raw content
+   * @returns {string} Rendered HTML
+   */
+  renderMarkdown(content) {
+    return this.getMarkdownRenderer().render(content);
+  }
+
+  /**
+   * Sanitize HTML that did not come through renderMarkdown
+   * Uses the renderer's sanitizer so there is one definition of "safe"; it
+   * always runs, since no processor config opts in to it
    * @param {string} html - HTML to sanitize
    * @returns {string} Sanitized HTML
    */
   sanitizeHTML(html) {
-    if (!this.config.processing?.sanitizeHTML) return html;
-    
-    const temp = document.createElement('div');
-    const cleanHTML = html
-      .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-      .replace(/javascript:/gi, '')
-      .replace(/on\w+="[^"]*"/gi, '');
+    return this.getMarkdownRenderer().sanitize(html);
+  }
+
+  /**
+   * Create a hidden tooltip with an arrow, attached to the document body
+   * Footnotes and cross-reference previews share this markup and its styles
+   * @param {string} html - Tooltip content (already sanitized)
+   * @param {string} className - Tooltip class
+   * @returns {Element} Tooltip element
+   */
+  createTooltip(html, className = 'footnote-tooltip') {
+    const tooltip = this.createElement('div', className);
+    tooltip.innerHTML = html;
+    tooltip.style.display = 'none';
     
-    temp.innerHTML = cleanHTML;
-    temp.querySelectorAll('script').forEach(script => script.remove());
+    const arrow = this.createElement('div', 'footnote-tooltip-arrow');
+    tooltip.appendChild(arrow);
     
-    return temp.innerHTML;
+    document.body.appendChild(tooltip);
+    return tooltip;
+  }
+
+  /**
+   * Get the shared tooltip positioner
+   * @returns {TooltipPositioner} Positioner instance
+   */
+  getTooltipPositioner() {
+    if (!this.tooltipPositioner) {
+      const Positioner = typeof TooltipPositioner !== 'undefined'
+        ? TooltipPositioner
+        : require('../utils/tooltip-positioner.js');
+      this.tooltipPositioner = Positioner.shared();
+    }
+    return this.tooltipPositioner;
+  }
+
+  /**
+   * Media query for touch mode: taps open sheets and drawers instead of
+   * hover tooltips. Only offered when the mobile_responsive setting is on
+   * @returns {MediaQueryList|null} Query (check .matches, listen for 'change'), or null
+   */
+  getTouchMedia() {
+    if (!window.ghost_custom_settings?.mobile_responsive || typeof window.matchMedia !== 'function') {
+      return null;
+    }
+    return window.matchMedia(this.config.touch?.pointerQuery || '(pointer: coarse)');
+  }
+
+  /**
+   * Get the voice registry (ThemeConfig.global.voices)
+   * Marginalia and deconstruction voices resolve names and aliases here,
+   * so a voice has one colour, font, icon and side across processors
+   * @returns {VoiceRegistry} Registry instance
+   */
+  getVoiceRegistry() {
+    if (!this.voiceRegistry) {
+      const Registry = typeof VoiceRegistry !== 'undefined'
+        ? VoiceRegistry
+        : require('../utils/voice-registry.js');
+      this.voiceRegistry = new Registry(this.config.voices);
+    }
+    return this.voiceRegistry;
+  }
+
+  /**
+   * Per-post setting from an element in an HTML card carrying the attribute,
+   * or from an internal tag (#<prefix><value> → tag-hash-<prefix><value> on the article)
+   * @param {string} attribute - Data attribute, e.g. data-footnote-mode
+   * @param {string} tagPrefix - Internal tag prefix, e.g. footnotes-
+   * @returns {string|null} Value
+   */
+  getPostSetting(attribute, tagPrefix) {
+    const marker = this.findInContainer(`[${attribute}]`);
+    if (marker) return marker.getAttribute(attribute);
+
+    const article = this.container.closest('article, .post');
+    const tagClass = Array.from(article?.classList || []).find(name => name.startsWith(`tag-hash-${tagPrefix}`));
+    return tagClass ? tagClass.replace(`tag-hash-${tagPrefix}`, '') : null;
+  }
+
+  /**
+   * Position a tooltip relative to its trigger element and keep it there
+   * while the page scrolls (see TooltipPositioner)
+   * @param {Element} tooltip - Tooltip element
+   * @param {Event} event - Trigger event
+   * @param {Object} options - {placement}; defaults to config.tooltips.placement
+   */
+  positionTooltip(tooltip, event, options = {}) {
+    const positioner = this.getTooltipPositioner();
+    const placement = options.placement || this.config.tooltips?.placement;
+
+    tooltip.style.zIndex = '1000';
+    positioner.position(tooltip, event.target, { placement });
+    positioner.track(tooltip, event.target, { placement });
+  }
+
+  /**
+   * Make a link scroll to its target on click and preview it in a tooltip on
+   * hover and focus. Citations and cross-references share this: the processor
+   * builds the tooltip in createLinkPreview(key) and keeps tooltips in
+   * this.tooltips and listeners in this.handlers (see removeLinkPreviews)
+   * @param {Element} link - Link element
+   * @param {string} key - Key the preview is cached under
+   * @param {Element|null} target - Element to scroll to
+   */
+  bindLinkPreview(link, key, target) {
+    const behavior = this.config.behavior || {};
+
+    this.listen(link, 'click', (e) => {
+      e.preventDefault();
+      this.navigateTo(target);
+    });
+
+    if (behavior.enableTooltips !== false) {
+      this.listen(link, 'mouseenter', (e) => this.showLinkPreview(e, key));
+      this.listen(link, 'mouseleave', () => this.hideLinkPreview(key));
+      this.listen(link, 'focus', (e) => this.showLinkPreview(e, key));
+      this.listen(link, 'blur', () => {
+        setTimeout(() => this.hideLinkPreview(key), behavior.tooltipDelay || 150);
+      });
+    }
+  }
+
+  /**
+   * Build the preview tooltip for a link - implemented by processors that
+   * call bindLinkPreview, usually through createTooltip
+   * @param {string} key - Preview key
+   * @returns {Element|null} Tooltip (none by default)
+   */
+  createLinkPreview(key) {
+    return null;
+  }
+
+  /**
+   * Show a link's preview, creating it on first use
+   * @param {Event} event - Mouse or focus event
+   * @param {string} key - Preview key
+   */
+  showLinkPreview(event, key) {
+    let tooltip = this.tooltips.get(key);
+    if (!tooltip) {
+      tooltip = this.createLinkPreview(key);
+      if (!tooltip) return;
+      this.tooltips.set(key, tooltip);
+    }
+
+    this.positionTooltip(tooltip, event);
+  }
+
+  /**
+   * Hide a link's preview
+   * @param {string} key - Preview key
+   */
+  hideLinkPreview(key) {
+    const tooltip = this.tooltips.get(key);
+    if (tooltip) {
+      tooltip.style.display = 'none';
+    }
+  }
+
+  /**
+   * Hide every open link preview, for Escape (dismissTopmost)
+   * @returns {boolean} Whether a preview was open
+   */
+  hideLinkPreviews() {
+    const open = Array.from(this.tooltips.keys()).filter(key => this.tooltips.get(key).style.display !== 'none');
+    open.forEach(key => this.hideLinkPreview(key));
+    return open.length > 0;
+  }
+
+  /**
+   * Remove the listeners and tooltips bindLinkPreview added
+   */
+  removeLinkPreviews() {
+    this.handlers.forEach(({ element, type, handler }) => {
+      element.removeEventListener(type, handler);
+    });
+    this.tooltips.forEach(tooltip => tooltip.remove());
+
+    this.tooltips.clear();
+    this.handlers = [];
+  }
+
+  /**
+   * Add an event listener and remember it in this.handlers for cleanup
+   * @param {Element} element - Target element
+   * @param {string} type - Event type
+   * @param {Function} handler - Handler
+   */
+  listen(element, type, handler) {
+    element.addEventListener(type, handler);
+    this.handlers.push({ element, type, handler });
+  }
+
+  /**
+   * Scroll to a target and highlight it briefly
+   * @param {Element|null} target - Target element
+   */
+  navigateTo(target) {
+    if (!target) return;
+
+    if (!this.config.behavior?.enableSmoothScrolling || typeof target.scrollIntoView !== 'function') {
+      if (target.id) location.hash = target.id;
+      return;
+    }
+
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    target.style.animation = 'var(--footnote-highlight, highlight 1s ease-out)';
+    setTimeout(() => {
+      target.style.animation = '';
+    }, 1000);
+  }
+
+  /**
+   * Escape text for HTML content and double-quoted attributes
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
   }
 
   /**
@@ -259,7 +597,9 @@ class ContentProcessor {
 }
 
 // Expose class globally for system access
-window.ContentProcessor = ContentProcessor;
+if (typeof window !== 'undefined') {
+  window.ContentProcessor = ContentProcessor;
+}
 
 /**
  * Interface definitions for type checking and documentation
@@ -0,0 +1,172 @@
+/**
+ * Plugin Processor - Bracket processors defined without editing the theme
+ * Backs TraceOfTheOther.registerProcessor, so a script in code injection or an
+ * HTML card can add a trigger like [g][term][definition] to one site
+ *
+ * Definition:
+ * - name      Unique processor name (letters, digits, "-" and "_")
+ * - trigger   Bracketed trigger, e.g. '[g]'
+ * - sections  Number of bracketed sections after the trigger (default 1)
+ * - render    (match) => HTML string, Node, or null to leave the text alone
+ *             match: {sections, html, fullMatch, index, block}
+ * - after     Optional processor name to run after (e.g. 'footnotes')
+ * - before    Optional processor name to run before
+ * - selector  Optional block selector (default: paragraphs, marginalia, quotes, list items)
+ * - cleanup   Optional (container) => void, called when the system is cleaned up
+ *
+ * Created: October 19, 2026
+ */
+
+class PluginProcessor extends (typeof ContentProcessor !== 'undefined'
+  ? ContentProcessor
+  : require('./content-processor-base.js').ContentProcessor) {
+  constructor(config = {}, container = null) {
+    super(config, container);
+
+    this.definition = config.plugin || {};
+    this.name = this.definition.name;
+  }
+
+  /**
+   * Triggers the built-in processors own
+   * Entries without a closing bracket are prefixes: [^…] footnotes,
+   * [@…] cross-references and [@cite:…] citations take any word after them
+   */
+  static get reservedTriggers() {
+    return ['[m]', '[m~]', '[+]', '[?]', '[^', '[@', '[@cite:'];
+  }
+
+  /**
+   * Whether a trigger would claim syntax a built-in processor owns
+   * @param {string} trigger - Bracketed trigger
+   * @returns {boolean} Reserved
+   */
+  static isReservedTrigger(trigger) {
+    return PluginProcessor.reservedTriggers.some(reserved =>
+      reserved.endsWith(']') ? trigger === reserved : trigger.startsWith(reserved)
+    );
+  }
+
+  /**
+   * Check a plugin definition
+   * @param {Object} definition - Plugin definition
+   * @returns {string|null} Problem description, or null if the definition is usable
+   */
+  static validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+      return 'definition must be an object';
+    }
+    if (typeof definition.name !== 'string' || !/^[A-Za-z][\w-]*$/.test(definition.name)) {
+      return 'name must start with a letter and use only letters, digits, "-" and "_"';
+    }
+    if (typeof definition.trigger !== 'string' || !/^\[[^\[\]\s]+\]$/.test(definition.trigger)) {
+      return `trigger for "${definition.name}" must look like [g] - brackets around a word with no spaces`;
+    }
+    if (PluginProcessor.isReservedTrigger(definition.trigger)) {
+      return `trigger ${definition.trigger} is used by a built-in processor`;
+    }
+    if (definition.sections !== undefined &&
+        (!Number.isInteger(definition.sections) || definition.sections < 1 || definition.sections > 5)) {
+      return `sections for "${definition.name}" must be a whole number from 1 to 5`;
+    }
+    if (typeof definition.render !== 'function') {
+      return `render for "${definition.name}" must be a function`;
+    }
+    return null;
+  }
+
+  /**
+   * Initialize plugin processor
+   * @returns {Promise<boolean>} Success status
+   */
+  async init() {
+    try {
+      await this.baseInit();
+
+      const problem = PluginProcessor.validateDefinition(this.definition);
+      if (problem) {
+        throw new Error(problem);
+      }
+
+      return true;
+    } catch (error) {
+      console.error(`[PLUGIN_PROCESSOR] ${this.name || 'Plugin'} initialization failed:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Replace every trigger match with the plugin's rendering
+   * @returns {void}
+   */
+  process() {
+    const { name, trigger } = this.definition;
+    const sections = this.definition.sections || 1;
+    const selector = this.definition.selector || this.config.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li';
+    const tokenizer = this.getTokenizer();
+    const tokens = tokenizer.tokenize(this.container, [{ type: name, trigger, sections }], { selector });
+
+    console.log(`[PLUGIN_PROCESSOR] ${name}: found ${tokens.length} ${trigger} patterns`);
+
+    let index = 0;
+    tokenizer.replaceTokens(tokens, token => {
+      const match = {
+        sections: token.sections,
+        html: token.sections.map((section, i) => tokenizer.getSectionHTML(token, i)),
+        fullMatch: token.fullMatch,
+        index: index++,
+        block: token.block
+      };
+
+      try {
+        const output = this.definition.render(match);
+        if (output === null || output === undefined || output === false) return null;
+
+        const node = typeof output === 'string' ? this.createFromHTML(output) : output;
+        this.incrementProcessed();
+        return node;
+      } catch (error) {
+        this.incrementErrors();
+        console.error(`[PLUGIN_PROCESSOR] ${name}: render failed for "${token.fullMatch.substring(0, 40)}":`, error);
+        return null;
+      }
+    });
+
+    this.statistics.endTime = performance.now();
+  }
+
+  /**
+   * Run the plugin's cleanup hook
+   * @returns {void}
+   */
+  cleanup() {
+    if (typeof this.definition.cleanup === 'function') {
+      try {
+        this.definition.cleanup(this.container);
+      } catch (error) {
+        console.error(`[PLUGIN_PROCESSOR] ${this.name}: cleanup failed:`, error);
+      }
+    }
+
+    this.baseCleanup();
+  }
+
+  /**
+   * Get plugin statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    return {
+      ...super.getStats(),
+      plugin: this.name,
+      trigger: this.definition.trigger
+    };
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PluginProcessor;
+} else if (typeof window !== 'undefined') {
+  window.PluginProcessor = PluginProcessor;
+}
@@ -0,0 +1,102 @@
+/**
+ * Source Map Overlay - "Show source" toggle for debug mode
+ * Puts the author's raw syntax next to every generated enhancement, so a
+ * broken widget can be traced to the Ghost editor text that produced it
+ *
+ * Created: October 19, 2026
+ */
+
+class SourceMapOverlay {
+  constructor(container, sourceMap) {
+    this.container = container;
+    this.sourceMap = sourceMap;
+    this.button = null;
+    this.annotations = [];
+  }
+
+  /**
+   * Add the toggle button to the page
+   * @returns {HTMLElement} Toggle button
+   */
+  mount() {
+    if (this.button) return this.button;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'source-map-toggle';
+    button.textContent = 'Show source';
+    button.setAttribute('aria-pressed', 'false');
+    button.addEventListener('click', () => this.toggle());
+
+    document.body.appendChild(button);
+    this.button = button;
+    return button;
+  }
+
+  /**
+   * Switch the annotations on or off
+   * @param {boolean} [force] - Show (true) or hide (false) instead of toggling
+   * @returns {boolean} Whether annotations are now shown
+   */
+  toggle(force) {
+    const show = force === undefined ? this.annotations.length === 0 : force;
+    if (show) {
+      this.show();
+    } else {
+      this.hide();
+    }
+
+    if (this.button) {
+      this.button.textContent = show ? 'Hide source' : 'Show source';
+      this.button.setAttribute('aria-pressed', String(show));
+    }
+    return show;
+  }
+
+  /**
+   * Annotate every generated element with its raw syntax
+   * @returns {number} Number of annotations added
+   */
+  show() {
+    this.hide();
+
+    this.sourceMap.getEntries(this.container).forEach(({ element, record }) => {
+      const annotation = document.createElement('code');
+      annotation.className = 'source-map-annotation';
+      annotation.dataset.tokenizerSkip = '';
+      annotation.textContent = record.raw;
+      annotation.title = `${record.type} at character ${record.offset}`;
+
+      element.insertAdjacentElement('afterend', annotation);
+      this.annotations.push(annotation);
+    });
+
+    return this.annotations.length;
+  }
+
+  /**
+   * Remove all annotations
+   */
+  hide() {
+    this.annotations.forEach(annotation => annotation.remove());
+    this.annotations = [];
+  }
+
+  /**
+   * Remove annotations and the toggle button
+   */
+  destroy() {
+    this.hide();
+    if (this.button) {
+      this.button.remove();
+      this.button = null;
+    }
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SourceMapOverlay;
+} else if (typeof window !== 'undefined') {
+  window.SourceMapOverlay = SourceMapOverlay;
+}
@@ -0,0 +1,148 @@
+/**
+ * Syntax Diagnostics Overlay - Dismissible authoring report
+ * Shows the SyntaxDiagnostics report on Ghost previews and in debug mode,
+ * so authors can fix broken [^N], [m], [+], [?] and data-deconstruct markup
+ * before publishing
+ *
+ * Created: October 19, 2026
+ */
+
+class SyntaxDiagnosticsOverlay {
+  constructor(container = null) {
+    this.container = container;
+    this.element = null;
+    this.keydownHandler = null;
+  }
+
+  /**
+   * Render the report
+   * Nothing is shown for a clean report
+   * @param {Object} report - SyntaxDiagnostics report
+   * @returns {HTMLElement|null} Overlay element
+   */
+  show(report) {
+    this.dismiss();
+    if (!report || report.findings.length === 0) return null;
+
+    const overlay = document.createElement('aside');
+    overlay.className = 'syntax-diagnostics';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-label', 'Authoring diagnostics');
+
+    const header = document.createElement('header');
+    header.className = 'syntax-diagnostics-header';
+
+    const title = document.createElement('strong');
+    title.textContent = `Syntax diagnostics: ${report.summary.errors} errors, ${report.summary.warnings} warnings`;
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'syntax-diagnostics-copy';
+    copyButton.textContent = 'Copy JSON';
+    copyButton.addEventListener('click', () => this.copy(report, copyButton));
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'syntax-diagnostics-close';
+    closeButton.setAttribute('aria-label', 'Dismiss diagnostics');
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => this.dismiss());
+
+    header.append(title, copyButton, closeButton);
+
+    const list = document.createElement('ol');
+    list.className = 'syntax-diagnostics-list';
+    report.findings.forEach(finding => list.appendChild(this.createItem(finding)));
+
+    overlay.append(header, list);
+    document.body.appendChild(overlay);
+
+    this.keydownHandler = event => {
+      if (event.key === 'Escape') this.dismiss();
+    };
+    document.addEventListener('keydown', this.keydownHandler);
+
+    this.element = overlay;
+    return overlay;
+  }
+
+  /**
+   * Create one list entry
+   * @param {Object} finding - Diagnostics finding
+   * @returns {HTMLElement} List item
+   * @private
+   */
+  createItem(finding) {
+    const item = document.createElement('li');
+    item.className = `syntax-diagnostics-item syntax-diagnostics-${finding.severity}`;
+
+    const location = document.createElement('button');
+    location.type = 'button';
+    location.className = 'syntax-diagnostics-location';
+    location.textContent = finding.paragraph ? `¶${finding.paragraph}` : '—';
+    location.disabled = !finding.paragraph;
+    location.addEventListener('click', () => this.reveal(finding.paragraph));
+
+    const message = document.createElement('span');
+    message.className = 'syntax-diagnostics-message';
+    message.textContent = `${finding.syntax}: ${finding.message}`;
+
+    const excerpt = document.createElement('code');
+    excerpt.className = 'syntax-diagnostics-excerpt';
+    excerpt.textContent = finding.excerpt;
+
+    item.append(location, message, excerpt);
+    return item;
+  }
+
+  /**
+   * Scroll to and briefly highlight a paragraph
+   * @param {number} paragraph - 1-based paragraph index
+   * @private
+   */
+  reveal(paragraph) {
+    const block = this.container?.children[paragraph - 1];
+    if (!block) return;
+
+    block.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    block.classList.add('syntax-diagnostics-target');
+    setTimeout(() => block.classList.remove('syntax-diagnostics-target'), 2000);
+  }
+
+  /**
+   * Copy the report as JSON
+   * @param {Object} report - Diagnostics report
+   * @param {HTMLElement} button - Button to give feedback on
+   * @private
+   */
+  async copy(report, button) {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+      button.textContent = 'Copied';
+    } catch (error) {
+      console.warn('[SYNTAX_DIAGNOSTICS] Clipboard unavailable - use TraceOfTheOther.getDiagnosticsJSON()', error);
+      button.textContent = 'Copy failed';
+    }
+  }
+
+  /**
+   * Remove the overlay
+   */
+  dismiss() {
+    if (this.keydownHandler) {
+      document.removeEventListener('keydown', this.keydownHandler);
+      this.keydownHandler = null;
+    }
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SyntaxDiagnosticsOverlay;
+} else if (typeof window !== 'undefined') {
+  window.SyntaxDiagnosticsOverlay = SyntaxDiagnosticsOverlay;
+}
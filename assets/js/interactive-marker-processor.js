@@ -16,7 +16,9 @@
  * Created: August 25, 2025
  */
 
-class InteractiveMarkerProcessor extends ContentProcessor {
+class InteractiveMarkerProcessor extends (typeof ContentProcessor !== 'undefined'
+  ? ContentProcessor
+  : require('./core/content-processor-base.js').ContentProcessor) {
   constructor(config = {}, container = null) {
     super(config, container);
     
@@ -35,9 +37,10 @@ class InteractiveMarkerProcessor extends ContentProcessor {
     this.markers = new Map();
     this.activeInteractions = new Map();
     this.counter = 0;
+    this.printElements = []; // Insets and references added by preparePrint
     
     // DEBUGGING: Check if BracketParser is available
-    if (typeof BracketParser === 'undefined') {
+    if (typeof BracketParser === 'undefined' && typeof module === 'undefined') {
       this.logger.error('❌ BracketParser not available during construction!');
       this.logger.error('Available globals:', Object.keys(window).filter(k => k.includes('Bracket')));
       throw new Error('BracketParser dependency not loaded');
@@ -45,8 +48,8 @@ class InteractiveMarkerProcessor extends ContentProcessor {
       this.logger.info('✅ BracketParser available during construction');
     }
     
-    // Initialize bracket parser for proper pattern matching
-    this.bracketParser = new BracketParser(this.logger);
+    // Shared tokenizer (built on BracketParser) for proper pattern matching
+    this.bracketParser = this.getTokenizer().bracketParser;
     
     // Default action configuration
     this.defaultActions = {
@@ -146,6 +149,7 @@ class InteractiveMarkerProcessor extends ContentProcessor {
       });
 
       // Clear state
+      this.restorePrint();
       this.markers.clear();
       this.activeInteractions.clear();
       this.counter = 0;
@@ -158,110 +162,52 @@ class InteractiveMarkerProcessor extends ContentProcessor {
 
   /**
    * Process all [?][action-config][content] patterns in the container
-   * Uses proper bracket counting to handle nested brackets correctly
+   * Uses the shared tokenizer so bracket counting handles nested brackets and
+   * the rest of the content (and its event listeners) is left untouched
    * @private
    */
   processInteractiveMarkers() {
-    const textContent = this.container.innerHTML;
-    
-    // DEBUGGING: Log what content we're processing
-    this.logger.info('🔍 Processing interactive markers...');
-    this.logger.info('Content length:', textContent.length);
-    this.logger.info('Content preview:', textContent.substring(0, 200) + '...');
-    this.logger.info('Looking for [?] patterns...');
-    
-    // DEBUGGING: Check if content contains [?] patterns at all
-    const simpleCheck = textContent.includes('[?]');
-    this.logger.info('Simple [?] check:', simpleCheck);
-    
-    if (simpleCheck) {
-      const positions = [];
-      let pos = textContent.indexOf('[?]');
-      while (pos !== -1) {
-        positions.push(pos);
-        pos = textContent.indexOf('[?]', pos + 1);
-      }
-      this.logger.info('[?] found at positions:', positions);
-    }
+    const tokenizer = this.getTokenizer();
+    const tokens = tokenizer.tokenize(this.container, [
+      { type: 'interactive', trigger: '[?]', sections: 2 }
+    ]);
     
-    const matches = this.bracketParser.findInteractiveMarkers(textContent);
+    this.logger.info(`✨ Found ${tokens.length} interactive marker patterns`);
     
-    this.logger.info(`✨ Found ${matches.length} interactive marker patterns`);
-    
-    if (matches.length === 0) {
-      this.logger.warn('❌ No interactive markers found! Debugging...');
+    tokenizer.replaceTokens(tokens, token => {
+      const markerId = `interactive-marker-${this.counter++}`;
+      const actionConfig = token.sections[0];
+      const content = tokenizer.getSectionHTML(token, 1);
       
-      // Try to find patterns manually for debugging
-      const manualCheck = /\[\?\]/g;
-      const manualMatches = [...textContent.matchAll(manualCheck)];
-      this.logger.warn('Manual regex found:', manualMatches.length, 'simple [?] patterns');
+      // Parse action configuration
+      const actions = this.parseActionConfig(actionConfig);
       
-      // Test bracket parser directly
-      try {
-        this.logger.warn('Testing bracket parser directly...');
-        const testResult = this.bracketParser.findPattern(textContent, '[?]', 2);
-        this.logger.warn('Direct bracket parser result:', testResult.length, 'patterns');
-      } catch (error) {
-        this.logger.error('Bracket parser error:', error);
-      }
-    }
-    
-    // Create marker elements for each match
-    const markerElements = [];
-    
-    matches.forEach((match, index) => {
-      const { fullMatch, actionConfig, content, startIndex } = match;
-      const markerId = `interactive-marker-${this.counter++}`;
+      // Create marker element
+      const markerElement = this.createMarkerElement(markerId, actions, content);
       
-      try {
-        // Parse action configuration
-        const actions = this.parseActionConfig(actionConfig);
-        
-        // Create marker element
-        const markerElement = this.createMarkerElement(markerId, actions, content);
-        
-        // Store marker data
-        this.markers.set(markerId, {
-          element: markerElement,
-          actions: actions,
-          content: content,
-          originalMatch: fullMatch,
-          clickHandler: null,
-          keydownHandler: null
-        });
-        
-        markerElements.push({
-          markerId: markerId,
-          element: markerElement,
-          match: match
-        });
-        
-        this.logger.debug(`Created interactive marker ${markerId}`, { 
-          actions, 
-          contentPreview: content.substring(0, 50) + '...',
-          startIndex: startIndex
-        });
-        
-      } catch (error) {
-        this.logger.error(`Failed to process marker ${index}:`, error);
-      }
+      // Store marker data
+      this.markers.set(markerId, {
+        element: markerElement,
+        actions: actions,
+        content: content,
+        originalMatch: token.fullMatch,
+        clickHandler: null,
+        keydownHandler: null
+      });
+      
+      this.logger.debug(`Created interactive marker ${markerId}`, { 
+        actions, 
+        contentPreview: content.substring(0, 50) + '...',
+        paragraphIndex: token.blockIndex
+      });
+      
+      return markerElement;
     });
     
-    // Use bracket parser's replacement utility
-    this.container.innerHTML = this.bracketParser.replaceMatches(
-      textContent,
-      matches,
-      (match) => {
-        const markerElement = markerElements.find(el => el.match === match);
-        return markerElement ? markerElement.element.outerHTML : match.fullMatch;
-      }
-    );
-    
-    // After DOM modification, attach event handlers
+    // Marker elements are live nodes now, so handlers can be attached directly
     this.attachEventHandlers();
   }
 
-
   /**
    * Parse action configuration string into action object
    * @param {string} actionConfig - Pipe-separated action config
@@ -314,8 +260,8 @@ class InteractiveMarkerProcessor extends ContentProcessor {
    */
   attachEventHandlers() {
     this.markers.forEach((markerData, markerId) => {
-      const element = this.container.querySelector(`[data-marker-id="${markerId}"]`);
-      if (element) {
+      const element = markerData.element;
+      if (element && element.isConnected) {
         // Create bound event handlers
         const clickHandler = this.handleMarkerClick.bind(this, markerId);
         const keydownHandler = this.handleMarkerKeydown.bind(this, markerId);
@@ -420,7 +366,8 @@ class InteractiveMarkerProcessor extends ContentProcessor {
    */
   async initializeActionEngine() {
     // Initialize ActionEngine
-    this.actionEngine = new ActionEngine(this.container, this.logger);
+    const Engine = typeof ActionEngine !== 'undefined' ? ActionEngine : require('./core/action-engine.js');
+    this.actionEngine = new Engine(this.container, this.logger);
     
     this.logger.debug('=== INITIALIZING ACTION ENGINE ===');
     this.logger.debug('Checking for TypingAnimation availability...');
@@ -537,6 +484,75 @@ class InteractiveMarkerProcessor extends ContentProcessor {
     }
   }
 
+  /**
+   * Escape cancels the latest interaction and returns focus to its marker
+   * @param {string} layer - 'tooltip' or 'content'
+   * @returns {boolean} Whether an interaction was cancelled
+   */
+  dismissTopmost(layer) {
+    if (layer !== 'content' || this.activeInteractions.size === 0) return false;
+
+    const markerId = Array.from(this.activeInteractions.keys()).pop();
+    this.cancelInteraction(markerId);
+    this.markers.get(markerId)?.element?.focus();
+    return true;
+  }
+
+  /**
+   * @returns {boolean} Whether the action engine is mid-animation
+   */
+  isAnimating() {
+    return !!this.actionEngine?.isAnimating();
+  }
+
+  /**
+   * Print each marker's content as a captioned inset after its paragraph,
+   * numbered in reading order, with the number beside the marker
+   * @returns {void}
+   */
+  preparePrint() {
+    // A running interaction would print half-faded; cleanup restores its targets before its first await
+    this.activeInteractions.forEach((interaction, markerId) => this.cancelInteraction(markerId));
+
+    const label = this.config.print?.insetLabel || 'Inset';
+    let number = 0;
+
+    this.markers.forEach(markerData => {
+      const marker = markerData.element;
+      if (!marker?.isConnected) return;
+      number++;
+
+      const ref = this.createElement('sup', 'print-inset-ref');
+      ref.textContent = `${label} ${number}`;
+      marker.insertAdjacentElement('afterend', ref);
+
+      const inset = this.createElement('figure', 'print-inset');
+      inset.id = `print-inset-${number}`;
+      inset.innerHTML = `
+        <figcaption class="print-inset-caption">${label} ${number}</figcaption>
+        <div class="print-inset-content">${this.sanitizeHTML(markerData.content)}</div>
+      `;
+
+      // After the paragraph, and after insets already placed there
+      let anchor = marker.closest('p, .marginalia-voice, blockquote, li') || marker.parentElement;
+      while (anchor.nextElementSibling?.classList.contains('print-inset')) {
+        anchor = anchor.nextElementSibling;
+      }
+      anchor.insertAdjacentElement('afterend', inset);
+
+      this.printElements.push(ref, inset);
+    });
+  }
+
+  /**
+   * Remove the printed insets
+   * @returns {void}
+   */
+  restorePrint() {
+    this.printElements.forEach(element => element.remove());
+    this.printElements = [];
+  }
+
   /**
    * Utility delay function
    * @param {number} ms - Milliseconds to delay
@@ -42,23 +42,28 @@
           color: #00ff00;
           border: 1px solid #008800;
           padding: 10px;
-          max-width: 300px;
           font-size: 14px;
           z-index: 99999;
           pointer-events: none;
           border-radius: 4px;
         `;
         
-        // Position near link
-        const rect = link.getBoundingClientRect();
-        tooltip.style.left = rect.left + 'px';
-        tooltip.style.top = (rect.bottom + 5) + 'px';
-        
         document.body.appendChild(tooltip);
+        
+        // Position near link - the theme's positioner when it is loaded
+        if (window.TooltipPositioner) {
+          window.TooltipPositioner.shared().position(tooltip, link);
+          window.TooltipPositioner.shared().track(tooltip, link);
+        } else {
+          const rect = link.getBoundingClientRect();
+          tooltip.style.left = rect.left + 'px';
+          tooltip.style.top = (rect.bottom + 5) + 'px';
+        }
       });
       
       link.addEventListener('mouseleave', () => {
         if (tooltip) {
+          window.TooltipPositioner?.shared().untrack(tooltip);
           tooltip.remove();
           tooltip = null;
         }
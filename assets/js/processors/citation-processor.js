@@ -0,0 +1,288 @@
+/**
+ * Citation Processor - [@cite:key] citations against a post bibliography
+ * Sits beside the footnote processor: footnotes carry commentary, citations
+ * point at sources, and both can appear in the same sentence
+ *
+ * Pattern: [@cite:key], [@cite:key, p. 42], [@cite:key1; key2, ch. 3]
+ * Bibliography: CSL-JSON or BibTeX in an HTML card (see Bibliography)
+ *
+ * Renders author-date or numeric citations in the configured style
+ * (CitationFormatter), previews the full reference in the footnote tooltip
+ * and adds a Works Cited section after the footnote collection.
+ *
+ * Runs after marginalia and extensions so citations inside them resolve,
+ * and before cross-references. Citations inside footnotes resolve in the
+ * footnote collection, which the footnote processor copies to its tooltips
+ * and sidenotes (refreshContent).
+ *
+ * Created: October 19, 2026
+ */
+
+class CitationProcessor extends (typeof ContentProcessor !== 'undefined'
+  ? ContentProcessor
+  : require('../core/content-processor-base.js').ContentProcessor) {
+  constructor(config = {}, container = null) {
+    super(config, container);
+
+    // Citation state
+    this.bibliography = null;
+    this.cited = new Map();   // key → {key, entry, number, links}
+    this.tooltips = new Map();
+    this.handlers = [];
+    this.unresolved = [];
+    this.worksCited = null;
+  }
+
+  /**
+   * Initialize citation processor
+   * @returns {Promise<boolean>} Success status
+   */
+  async init() {
+    try {
+      await this.baseInit();
+      this.pattern = this.config.patterns?.citationPattern || /\[@cite:([^\]]+)\]/g;
+
+      const Formatter = typeof CitationFormatter !== 'undefined'
+        ? CitationFormatter
+        : require('../utils/citation-formatter.js');
+      this.formatter = new Formatter({ style: this.config.style, format: this.config.format });
+      return true;
+    } catch (error) {
+      console.error('[CITATION_PROCESSOR] Initialization failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Replace [@cite:...] patterns with citations and build Works Cited
+   * @returns {void}
+   */
+  process() {
+    try {
+      const BibliographyClass = typeof Bibliography !== 'undefined'
+        ? Bibliography
+        : require('../utils/bibliography.js');
+
+      // Search globally: like footnote cards, the bibliography card may sit outside the container
+      this.bibliography = BibliographyClass.collect(document, { selector: this.config.selectors?.bibliography });
+      this.bibliography.sources.forEach(source => {
+        source.hidden = true;
+      });
+
+      const selector = this.config.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li, .footnote-content';
+      const tokenizer = this.getTokenizer();
+      const tokens = tokenizer.tokenize(this.container, [{ type: 'citation', trigger: '[@cite:', pattern: this.pattern }], { selector });
+
+      console.log(`[CITATION_PROCESSOR] Found ${tokens.length} citations, ${this.bibliography.size} bibliography entries`);
+
+      tokenizer.replaceTokens(tokens, token => {
+        const items = BibliographyClass.parseCitation(token.sections[0]);
+        const missing = items.filter(item => !this.bibliography.has(item.key)).map(item => item.key);
+
+        if (items.length === 0 || missing.length > 0) {
+          this.unresolved.push(...missing);
+          console.warn(`[CITATION_PROCESSOR] ⚠️ ${token.fullMatch} cites ${missing.join(', ') || 'nothing'} - not in the bibliography`);
+          return this.createFromHTML(this.createUnresolved(token.fullMatch, missing));
+        }
+
+        const citation = this.createCitation(items.map(item => ({ ...this.cite(item.key), locator: item.locator })));
+        this.incrementProcessed();
+        return citation;
+      });
+
+      this.createWorksCited();
+      this.enhanceInteractions();
+
+      this.statistics.endTime = performance.now();
+      console.log(`[CITATION_PROCESSOR] Processing completed: ${this.statistics.processed} citations, ${this.cited.size} works cited`);
+    } catch (error) {
+      this.incrementErrors();
+      console.error('[CITATION_PROCESSOR] Processing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove listeners, tooltips and the Works Cited section
+   * @returns {void}
+   */
+  cleanup() {
+    this.removeLinkPreviews();
+    this.worksCited?.remove();
+
+    this.cited.clear();
+    this.unresolved = [];
+    this.worksCited = null;
+
+    this.baseCleanup();
+  }
+
+  /**
+   * Record a cited work, numbering it on first citation
+   * @param {string} key - Citation key
+   * @returns {Object} Cited work {key, entry, number, links}
+   * @private
+   */
+  cite(key) {
+    if (!this.cited.has(key)) {
+      this.cited.set(key, {
+        key,
+        entry: this.bibliography.get(key),
+        number: this.cited.size + 1,
+        links: []
+      });
+    }
+    return this.cited.get(key);
+  }
+
+  /**
+   * Build the in-text citation: one link per work inside the style's brackets
+   * @param {Array<Object>} items - Cited works with their locators
+   * @returns {Element} Citation element
+   * @private
+   */
+  createCitation(items) {
+    const classes = this.config.classes || {};
+    const { open, close, separator, parts } = this.formatter.formatCitation(items);
+
+    const citation = this.createElement('span', classes.citation || 'citation');
+    citation.dataset.cite = items.map(item => item.key).join(';');
+    citation.setAttribute('role', 'doc-biblioref');
+    citation.appendChild(document.createTextNode(open));
+
+    parts.forEach((part, index) => {
+      if (index > 0) citation.appendChild(document.createTextNode(separator));
+
+      const link = this.createElement('a', classes.link || 'citation-link');
+      link.href = `#${this.entryId(part.key)}`;
+      link.dataset.citeKey = part.key;
+      link.textContent = part.text;
+      citation.appendChild(link);
+      this.cited.get(part.key).links.push(link);
+    });
+
+    citation.appendChild(document.createTextNode(close));
+    return citation;
+  }
+
+  /**
+   * Mark a citation whose key is not in the bibliography so the author can see it
+   * @param {string} raw - Citation as written
+   * @param {Array<string>} missing - Keys without an entry
+   * @returns {string} HTML
+   * @private
+   */
+  createUnresolved(raw, missing) {
+    const classes = this.config.classes || {};
+    const reason = missing.length > 0
+      ? `No bibliography entry for ${missing.join(', ')}`
+      : 'Citation names no key';
+    return `<span class="${classes.unresolved || 'citation-unresolved'}" title="${this.escapeHTML(reason)}">${this.escapeHTML(raw)}</span>`;
+  }
+
+  /**
+   * Add the Works Cited section after the footnote collection
+   * @private
+   */
+  createWorksCited() {
+    if (this.cited.size === 0) return;
+
+    const classes = this.config.classes || {};
+    const numeric = this.formatter.format === 'numeric';
+    const title = this.config.worksCitedTitle || 'Works Cited';
+
+    const section = this.createElement('section', classes.worksCited || 'works-cited');
+    this.setAttributes(section, {
+      id: 'works-cited',
+      role: 'doc-bibliography',
+      'aria-label': title
+    });
+    section.innerHTML = `
+      <hr class="footnote-separator" role="separator">
+      <h4 class="footnote-title works-cited-title">${this.escapeHTML(title)}</h4>
+      <${numeric ? 'ol' : 'ul'} class="works-cited-list"></${numeric ? 'ol' : 'ul'}>
+    `;
+
+    const list = section.querySelector('.works-cited-list');
+    this.formatter.sortEntries(Array.from(this.cited.values())).forEach(work => {
+      const item = this.createElement('li', 'works-cited-entry');
+      this.setAttributes(item, { id: this.entryId(work.key), role: 'doc-biblioentry' });
+      item.innerHTML = this.sanitizeHTML(this.formatter.formatEntry(work.entry));
+      list.appendChild(item);
+    });
+
+    const collection = this.findInContainer('.footnote-collection');
+    if (collection) {
+      collection.insertAdjacentElement('afterend', section);
+    } else {
+      this.container.appendChild(section);
+    }
+    this.worksCited = section;
+  }
+
+  /**
+   * @param {string} key - Citation key
+   * @returns {string} Works Cited entry id
+   * @private
+   */
+  entryId(key) {
+    return `cite-${key.replace(/[^\w-]/g, '-')}`;
+  }
+
+  /**
+   * Add click navigation and hover previews
+   * @private
+   */
+  enhanceInteractions() {
+    this.cited.forEach((work, key) => {
+      const entry = document.getElementById(this.entryId(key));
+      work.links.forEach(link => this.bindLinkPreview(link, key, entry));
+    });
+  }
+
+  /**
+   * Show the full reference in a footnote-style tooltip
+   * @param {string} key - Citation key
+   * @returns {Element|null} Tooltip
+   * @private
+   */
+  createLinkPreview(key) {
+    const work = this.cited.get(key);
+    if (!work) return null;
+
+    return this.createTooltip(
+      this.sanitizeHTML(this.formatter.formatEntry(work.entry)),
+      this.config.classes?.tooltip || 'footnote-tooltip citation-tooltip'
+    );
+  }
+
+  /**
+   * Escape hides any open reference tooltip
+   * @param {string} layer - 'tooltip' or 'content'
+   * @returns {boolean} Whether a tooltip was open
+   */
+  dismissTopmost(layer) {
+    return layer === 'tooltip' && this.hideLinkPreviews();
+  }
+
+  /**
+   * Get citation statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const baseStats = super.getStats();
+    return {
+      ...baseStats,
+      worksCited: this.cited.size,
+      bibliographySize: this.bibliography?.size || 0,
+      unresolved: [...this.unresolved]
+    };
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CitationProcessor;
+} else if (typeof window !== 'undefined') {
+  window.CitationProcessor = CitationProcessor;
+}
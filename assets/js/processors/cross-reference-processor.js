@@ -0,0 +1,368 @@
+/**
+ * Cross-Reference Processor - [@id] links to enhanced elements
+ * Turns "see the marginal note above" into a live link that survives edits
+ *
+ * Pattern: [@id]
+ * Resolves, in order:
+ * - Footnote label or number:   [@derrida-1967], [@4]       → "note 4"
+ * - Element id (heading or      [@critique], [@critic-1]   → "§ Heading",
+ *   marginalia with id=...)                                   "margin note (critic)"
+ * - Generated ids:              [@marginalia-2]             → "margin note"
+ *                               [@extension-3]              → "extension 3"
+ *                               [@interactive-marker-0]     → "interactive passage"
+ *
+ * Runs after every other processor, so the targets already exist in the DOM.
+ * References inside footnotes resolve in the footnote collection, which the
+ * footnote processor copies to its tooltips and sidenotes (refreshContent).
+ * Hover and focus preview the target with the footnote tooltip.
+ *
+ * Created: October 19, 2026
+ */
+
+class CrossReferenceProcessor extends (typeof ContentProcessor !== 'undefined'
+  ? ContentProcessor
+  : require('../core/content-processor-base.js').ContentProcessor) {
+  constructor(config = {}, container = null) {
+    super(config, container);
+
+    // Cross-reference state
+    this.references = new Map(); // id → {type, target, text, links}
+    this.tooltips = new Map();
+    this.handlers = [];
+    this.unresolved = [];
+  }
+
+  /**
+   * Initialize cross-reference processor
+   * @returns {Promise<boolean>} Success status
+   */
+  async init() {
+    try {
+      await this.baseInit();
+      this.pattern = this.config.patterns?.crossrefPattern || /\[@([A-Za-z0-9][\w-]*)\]/g;
+      return true;
+    } catch (error) {
+      console.error('[CROSSREF_PROCESSOR] Initialization failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Replace [@id] patterns with links to their targets
+   * @returns {void}
+   */
+  process() {
+    try {
+      const selector = this.config.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li, .footnote-content';
+      const tokenizer = this.getTokenizer();
+      const tokens = tokenizer.tokenize(this.container, [{ type: 'crossref', trigger: '[@', pattern: this.pattern }], { selector });
+
+      console.log(`[CROSSREF_PROCESSOR] Found ${tokens.length} cross-references`);
+
+      tokenizer.replaceTokens(tokens, token => {
+        const id = token.sections[0];
+        const reference = this.resolve(id);
+
+        if (!reference) {
+          this.unresolved.push(id);
+          console.warn(`[CROSSREF_PROCESSOR] ⚠️ [@${id}] matches no footnote, marginalia, extension, marker or heading`);
+          return this.createFromHTML(this.createUnresolved(id));
+        }
+
+        const link = this.createFromHTML(this.createLink(id, reference));
+        reference.links.push(link);
+        this.incrementProcessed();
+        return link;
+      });
+
+      this.enhanceInteractions();
+
+      this.statistics.endTime = performance.now();
+      console.log(`[CROSSREF_PROCESSOR] Processing completed: ${this.statistics.processed} resolved, ${this.unresolved.length} unresolved`);
+    } catch (error) {
+      this.incrementErrors();
+      console.error('[CROSSREF_PROCESSOR] Processing failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clean up listeners and tooltips
+   * @returns {void}
+   */
+  cleanup() {
+    this.removeLinkPreviews();
+
+    this.references.clear();
+    this.unresolved = [];
+
+    this.baseCleanup();
+  }
+
+  /**
+   * Find the element a cross-reference id points at
+   * @param {string} id - Id from [@id]
+   * @returns {Object|null} Reference with {type, target, text, links}, or null
+   * @private
+   */
+  resolve(id) {
+    if (this.references.has(id)) {
+      return this.references.get(id);
+    }
+
+    const reference = this.resolveFootnoteLabel(id) ||
+                      this.resolveElementId(id) ||
+                      this.resolveFootnoteNumber(id) ||
+                      this.resolveGeneratedId(id);
+
+    if (reference) {
+      reference.links = [];
+      this.references.set(id, reference);
+    }
+    return reference;
+  }
+
+  /**
+   * Footnote cited with this label, e.g. [@derrida-1967] for [^derrida-1967]
+   * @param {string} label - Footnote label
+   * @returns {Object|null} Reference
+   * @private
+   */
+  resolveFootnoteLabel(label) {
+    const link = this.container.querySelector(`.footnote-link[data-footnote-label="${label}"]`);
+    return link ? this.footnoteReference(parseInt(link.dataset.footnote, 10)) : null;
+  }
+
+  /**
+   * Footnote by its global number, e.g. [@4]
+   * @param {string} id - Numeric id
+   * @returns {Object|null} Reference
+   * @private
+   */
+  resolveFootnoteNumber(id) {
+    if (!/^\d+$/.test(id)) return null;
+    const number = parseInt(id, 10);
+    return this.container.querySelector(`.footnote-link[data-footnote="${number}"]`)
+      ? this.footnoteReference(number)
+      : null;
+  }
+
+  /**
+   * Build a footnote reference, preferring the note in the collection over the first citation
+   * @param {number} number - Global footnote number
+   * @returns {Object} Reference
+   * @private
+   */
+  footnoteReference(number) {
+    const target = document.getElementById(`footnote-${number}`) || document.getElementById(`fnref-${number}`);
+    const content = document.querySelector(`#footnote-${number} .footnote-content`) ||
+                    document.getElementById(`footnote-content-${number}`);
+    // Shown as numbered (it may be ii, †, or restart per section)
+    const link = this.container.querySelector(`.footnote-link[data-footnote="${number}"]`);
+
+    return {
+      type: 'footnote',
+      target,
+      preview: content,
+      text: `note ${link?.dataset.displayNumber || number}`
+    };
+  }
+
+  /**
+   * Heading slug or marginalia id=..., e.g. [@critique] for <h2 id="critique">
+   * @param {string} id - Element id
+   * @returns {Object|null} Reference
+   * @private
+   */
+  resolveElementId(id) {
+    const element = document.getElementById(id);
+    if (!element || !this.container.contains(element)) return null;
+
+    if (element.matches('.marginalia-voice')) {
+      return this.marginaliaReference(element);
+    }
+
+    if (/^H[1-6]$/.test(element.tagName)) {
+      return {
+        type: 'heading',
+        target: element,
+        preview: this.findSectionPreview(element),
+        text: `§ ${element.textContent.trim()}`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Ids the processors generate: marginalia-N, extension-N and interactive-marker-N
+   * @param {string} id - Generated id
+   * @returns {Object|null} Reference
+   * @private
+   */
+  resolveGeneratedId(id) {
+    let match = id.match(/^marginalia-(.+)$/);
+    if (match) {
+      const element = this.container.querySelector(`.marginalia-voice[data-marginalia-id="${match[1]}"]`);
+      return element ? this.marginaliaReference(element, id) : null;
+    }
+
+    match = id.match(/^extension-(\d+)$/);
+    if (match) {
+      const trigger = this.container.querySelector(`.extension-trigger[data-extension-id="${match[1]}"]`);
+      if (!trigger) return null;
+      if (!trigger.id) trigger.id = id;
+
+      const preview = this.createElement('div');
+      preview.innerHTML = trigger.getAttribute('data-extension-content') || '';
+      return { type: 'extension', target: trigger, preview, text: `extension ${match[1]}` };
+    }
+
+    if (/^interactive-marker-\d+$/.test(id)) {
+      const marker = this.container.querySelector(`.interactive-marker[data-marker-id="${id}"]`);
+      if (!marker) return null;
+      if (!marker.id) marker.id = id;
+
+      return {
+        type: 'marker',
+        target: marker,
+        preview: marker.closest('p, blockquote, li'),
+        text: 'interactive passage'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Build a marginalia reference, naming the voice when it has a name
+   * @param {Element} element - Marginalia element
+   * @param {string} fallbackId - Id to give the element if it has none
+   * @returns {Object} Reference
+   * @private
+   */
+  marginaliaReference(element, fallbackId = null) {
+    if (!element.id && fallbackId) element.id = fallbackId;
+
+    const voice = element.dataset.voice || '';
+    return {
+      type: 'marginalia',
+      target: element,
+      preview: element,
+      text: /^\d*$/.test(voice) ? 'margin note' : `margin note (${voice})`
+    };
+  }
+
+  /**
+   * First paragraph after a heading, used as its preview
+   * @param {Element} heading - Heading element
+   * @returns {Element|null} Paragraph
+   * @private
+   */
+  findSectionPreview(heading) {
+    let sibling = heading.nextElementSibling;
+    while (sibling && !/^H[1-6]$/.test(sibling.tagName)) {
+      if (sibling.tagName === 'P' && sibling.textContent.trim()) return sibling;
+      sibling = sibling.nextElementSibling;
+    }
+    return null;
+  }
+
+  /**
+   * Create cross-reference link HTML
+   * @param {string} id - Id from [@id]
+   * @param {Object} reference - Resolved reference
+   * @returns {string} HTML for the link
+   * @private
+   */
+  createLink(id, reference) {
+    const classes = this.config.classes || {};
+    const href = reference.target?.id ? `#${reference.target.id}` : '#';
+
+    return `<a href="${href}"
+               class="${classes.link || 'crossref-link'}"
+               data-crossref="${id}"
+               data-crossref-type="${reference.type}">${this.escapeHTML(reference.text)}</a>`;
+  }
+
+  /**
+   * Mark a reference that points nowhere so the author can see it
+   * @param {string} id - Id from [@id]
+   * @returns {string} HTML for the unresolved reference
+   * @private
+   */
+  createUnresolved(id) {
+    const classes = this.config.classes || {};
+    return `<span class="${classes.unresolved || 'crossref-unresolved'}"
+                  data-crossref="${id}"
+                  title="Broken cross-reference: nothing has the id &quot;${id}&quot;">[@${id}]</span>`;
+  }
+
+  /**
+   * Add click navigation and hover previews
+   * @private
+   */
+  enhanceInteractions() {
+    this.references.forEach((reference, id) => {
+      reference.links.forEach(link => this.bindLinkPreview(link, id, reference.target));
+    });
+  }
+
+  /**
+   * Show a preview of the target in a footnote-style tooltip
+   * @param {string} id - Cross-reference id
+   * @returns {Element|null} Tooltip
+   * @private
+   */
+  createLinkPreview(id) {
+    const reference = this.references.get(id);
+    if (!reference?.preview) return null;
+
+    return this.createTooltip(
+      this.getPreviewHTML(reference.preview),
+      this.config.classes?.tooltip || 'footnote-tooltip crossref-tooltip'
+    );
+  }
+
+  /**
+   * Escape hides any open preview tooltip
+   * @param {string} layer - 'tooltip' or 'content'
+   * @returns {boolean} Whether a tooltip was open
+   */
+  dismissTopmost(layer) {
+    return layer === 'tooltip' && this.hideLinkPreviews();
+  }
+
+  /**
+   * Preview markup for a target: its content without ids, so nothing is duplicated
+   * @param {Element} element - Preview source
+   * @returns {string} Sanitized HTML
+   * @private
+   */
+  getPreviewHTML(element) {
+    const clone = element.cloneNode(true);
+    clone.removeAttribute('id');
+    clone.querySelectorAll('[id]').forEach(child => child.removeAttribute('id'));
+    return this.sanitizeHTML(clone.innerHTML.trim());
+  }
+
+  /**
+   * Get cross-reference statistics
+   * @returns {Object} Statistics
+   */
+  getStats() {
+    const baseStats = super.getStats();
+    return {
+      ...baseStats,
+      targetCount: this.references.size,
+      unresolved: [...this.unresolved]
+    };
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CrossReferenceProcessor;
+} else if (typeof window !== 'undefined') {
+  window.CrossReferenceProcessor = CrossReferenceProcessor;
+}
@@ -113,7 +113,7 @@ class DeconstructionProcessor extends ContentProcessor {
     this.effects.set('dissolve', new DissolveEffect(this.effectConfig, this.logger));
     this.effects.set('collision', new CollisionEffect(this.effectConfig, this.logger));
     this.effects.set('recursion', new RecursionEffect(this.effectConfig, this.logger));
-    this.effects.set('voices', new VoiceEffect(this.effectConfig, this.logger));
+    this.effects.set('voices', new VoiceEffect(this.effectConfig, this.logger, this.getVoiceRegistry()));
     this.effects.set('temporal', new TemporalEffect(this.effectConfig, this.logger));
     this.effects.set('syntax', new SyntaxEffect(this.effectConfig, this.logger));
     
@@ -212,8 +212,10 @@ class DeconstructionProcessor extends ContentProcessor {
       effectType: effectType,
       element: element,
       parameters: this.parseElementParameters(element),
+      originalHTML: null, // Markup before the effect first rewrote it, restored for print
       initialized: false,
-      active: false
+      active: false,
+      activeBeforePrint: false
     };
 
     this.deconstructElements.set(element, elementData);
@@ -284,6 +286,9 @@ class DeconstructionProcessor extends ContentProcessor {
 
     // Initialize effect if needed
     if (!elementData.initialized) {
+      if (elementData.originalHTML === null) {
+        elementData.originalHTML = element.innerHTML;
+      }
       effect.initialize(element, elementData.parameters);
       elementData.initialized = true;
     }
@@ -318,6 +323,38 @@ class DeconstructionProcessor extends ContentProcessor {
     this.logger.debug(`Effect deactivated: ${elementData.effectType} (${this.activeEffects.size} active)`);
   }
 
+  /**
+   * Settle every effect for print: stop it and put the text back as written,
+   * since paper cannot show text coming apart, only the text
+   * @returns {void}
+   */
+  preparePrint() {
+    this.deconstructElements.forEach((elementData, element) => {
+      elementData.activeBeforePrint = elementData.active;
+      this.deactivateEffect(element);
+      if (elementData.originalHTML !== null) {
+        element.innerHTML = elementData.originalHTML;
+      }
+      element.classList.add('deconstruct-settled');
+    });
+  }
+
+  /**
+   * Restart the effects that were running before print
+   * Effects rebuild their markup from the original text, so each is initialized again
+   * @returns {void}
+   */
+  restorePrint() {
+    this.deconstructElements.forEach((elementData, element) => {
+      element.classList.remove('deconstruct-settled');
+      elementData.initialized = false;
+      if (elementData.activeBeforePrint) {
+        this.activateEffect(element);
+      }
+      elementData.activeBeforePrint = false;
+    });
+  }
+
   /**
    * Clean up deconstruction processor resources
    * @returns {Promise<void>}
@@ -727,6 +764,16 @@ class RecursionEffect extends BaseEffect {
  * Voice Interruption Effect - Multiple voices colliding
  */
 class VoiceEffect extends BaseEffect {
+  /**
+   * @param {Object} config - Effect configuration
+   * @param {Object} logger - Logger
+   * @param {VoiceRegistry} voices - Named voices (critic, translator…) share marginalia's colours and fonts
+   */
+  constructor(config, logger, voices = null) {
+    super(config, logger);
+    this.voices = voices;
+  }
+
   initialize(element, parameters) {
     super.initialize(element, parameters);
     
@@ -748,6 +795,13 @@ class VoiceEffect extends BaseEffect {
       const voice = span.dataset.voice;
       span.classList.add(`voice-${voice}`);
       
+      // Registry voices take their look from the registry; moods (uncertain, angry…) keep their CSS
+      const named = this.voices?.resolve(voice);
+      if (named) {
+        this.voices.apply(span, named);
+        span.classList.add('voice-named', `voice-${named.name}`);
+      }
+      
       // Process individual voice size (falls back to container default)
       const spanSize = span.dataset.size || containerSize;
       const voiceSize = this.processSizeParameter(spanSize);
@@ -1,6 +1,6 @@
 /**
  * Content Enhancement System - Footnote Processor
- * Handles [^N] pattern processing, tooltips, and footnote collections
+ * Handles [^N] and [^label] pattern processing, tooltips, and footnote collections
  * 
  * Philosophy: Preserves simple [^N] syntax for easy Ghost editor workflow
  * while providing rich interactive footnote functionality
@@ -8,19 +8,65 @@
  * Created: August 23, 2025
  */
 
-class FootnoteProcessor extends ContentProcessor {
+class FootnoteProcessor extends (typeof ContentProcessor !== 'undefined'
+  ? ContentProcessor
+  : require('../core/content-processor-base.js').ContentProcessor) {
   constructor(config, container) {
     super(config, container);
     
     // Footnote-specific state
     this.footnotes = new Map();
+    this.labels = new Map(); // label → global number, so repeated citations share one note
     this.tooltips = new Map();
+    this.tooltipStack = []; // Open tooltips, outermost first: [footnote number]
+    this.tooltipTriggers = new Map(); // footnote number → reference that opened its tooltip
+    this.hideTimer = null;
+    this.restoringFocus = false; // Escape refocusing a reference must not reopen its tooltip
+    this.openExtensions = new Map(); // footnote number → link, for inline extensions, most recently opened last
     this.counter = 0;
     
+    // Numbering (numbering.scheme/restart, overridable per post)
+    this.numbering = null;     // {scheme, restart, headings}
+    this.sequences = new Map(); // "section:scheme" → last number used
+    
+    // Display mode state (traditional, marginal, hovering, invasive, refusing)
+    this.mode = null;
+    this.modeElements = [];   // Sidenotes and inline notes rendered for the current mode
+    this.refusals = new Map(); // footnote number → {asked, timer, yielded}
+    this.modeControls = [];   // [{button, handler}] for the footnotes partial
+    
+    // Sidenote layout (marginal mode above the breakpoint)
+    this.sidenotesActive = false;
+    this.connectors = null;       // SVG holding connector lines for displaced sidenotes
+    this.layoutFrame = null;      // Pending requestAnimationFrame id
+    this.layoutListeners = [];    // [{target, type, handler}]
+    this.resizeObserver = null;
+    this.sidenoteMedia = null;
+    
+    // Touch mode: references open a bottom sheet instead of tooltips
+    this.touchMode = false;
+    this.touchMedia = null;
+    this.touchHandler = null;
+    this.sheet = null;
+    
+    // Print: what preparePrint changed, for restorePrint
+    this.printState = null;
+    
+    // Transclusion: cards with data-transclude fetch their note from another post
+    this.transclusionFetcher = null; // TransclusionFetcher, created on first use
+    this.transclusions = [];         // Pending fetches, for settleTransclusions
+    
     // Debug mode from Ghost settings
     this.debugMode = window.ghost_custom_settings?.debug_mode || false;
   }
 
+  /**
+   * Display modes offered by partials/footnotes.hbs
+   */
+  static get displayModes() {
+    return ['traditional', 'marginal', 'hovering', 'invasive', 'refusing'];
+  }
+
   /**
    * Debug logging helper - only logs if debug mode is enabled
    * @param {...any} args - Arguments to log
@@ -62,10 +108,16 @@ class FootnoteProcessor extends ContentProcessor {
       this.createProgressiveEnhancement();
       
       // Main processing pipeline
+      this.numbering = this.resolveNumbering();
       this.processFootnoteMarkers();
       this.connectFootnoteContent();
+      this.resolveNestedReferences();
       this.createFootnoteCollection();
       this.enhanceInteractions();
+      this.bindLayoutListeners();
+      this.bindTouchMode();
+      this.applyMode(this.resolveMode());
+      this.bindModeControls();
       this.markSystemReady();
 
       this.statistics.endTime = performance.now();
@@ -90,6 +142,15 @@ class FootnoteProcessor extends ContentProcessor {
       link.removeEventListener('mouseleave', this.handleMouseLeave);
     });
 
+    // Undo the display mode and release the partial's buttons
+    this.clearMode();
+    this.modeControls.forEach(({ button, handler }) => button.removeEventListener('click', handler));
+    this.modeControls = [];
+    this.unbindLayoutListeners();
+    this.restorePrint();
+    this.unbindTouchMode();
+    this.mode = null;
+
     // Remove tooltips from DOM
     this.tooltips.forEach(tooltip => {
       if (tooltip && tooltip.parentNode) {
@@ -99,8 +160,14 @@ class FootnoteProcessor extends ContentProcessor {
 
     // Clear state
     this.footnotes.clear();
+    this.labels.clear();
     this.tooltips.clear();
+    this.tooltipTriggers.clear();
+    this.openExtensions.clear();
     this.counter = 0;
+    this.sequences.clear();
+    this.numbering = null;
+    this.transclusions = [];
 
     this.baseCleanup();
   }
@@ -114,7 +181,6 @@ class FootnoteProcessor extends ContentProcessor {
     if (!this.config.processing?.fallbackEnabled) return;
 
     const pattern = this.config.patterns.footnotePattern;
-    const paragraphs = this.findAllInContainer(this.config.selectors?.paragraphs || 'p');
     const footnoteCards = document.querySelectorAll(this.config.selectors?.footnoteCards || '[data-ref]');
 
     if (footnoteCards.length === 0) return;
@@ -140,83 +206,202 @@ class FootnoteProcessor extends ContentProcessor {
     this.container.appendChild(fallbackSection);
 
     // Create fallback links in paragraphs
-    paragraphs.forEach(paragraph => {
-      const originalHTML = paragraph.innerHTML;
-      const modifiedHTML = originalHTML.replace(pattern, (match, num) => {
-        return `<sup><a href="#fallback-fn-${num}" class="footnote-fallback-link">${num}</a></sup>`;
-      });
-      
-      if (modifiedHTML !== originalHTML) {
-        paragraph.innerHTML = modifiedHTML;
-      }
+    const tokens = this.getTokenizer().tokenize(this.container, [{ type: 'footnote', trigger: '[^', pattern }], {
+      selector: this.config.selectors?.paragraphs || 'p'
+    });
+    this.getTokenizer().replaceTokens(tokens, token => {
+      const num = token.sections[0];
+      return this.createFromHTML(`<sup><a href="#fallback-fn-${num}" class="footnote-fallback-link">${num}</a></sup>`);
     });
 
     console.log('[FOOTNOTE_PROCESSOR] Progressive enhancement fallback created');
   }
 
   /**
-   * Process [^N] patterns into semantic footnote references
-   * Core method that transforms simple editor patterns into rich footnotes
+   * Process [^N] and [^label] patterns into semantic footnote references
+   * Core method that transforms simple editor patterns into rich footnotes.
+   * Numbering follows the order of first citation; citing a label again adds
+   * another reference (and backref) to the same note.
    * @private
    */
   processFootnoteMarkers() {
     console.group('[FOOTNOTE_PROCESSOR] Pattern Processing Debug');
     
     const pattern = this.config.patterns.footnotePattern;
-    const paragraphs = this.findAllInContainer(this.config.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li');
-    let globalNumber = 1;
+    const selector = this.config.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li';
+    const cardSelector = this.config.selectors?.footnoteCards || '[data-ref]';
+    // References inside footnote cards belong to the note, not the text (see resolveNestedReferences)
+    const tokens = this.getTokenizer()
+      .tokenize(this.container, [{ type: 'footnote', trigger: '[^', pattern }], { selector })
+      .filter(token => !token.block.closest(cardSelector));
     
     console.log(`Pattern: ${pattern}`);
-    console.log(`Found ${paragraphs.length} paragraphs to search`);
-
-    paragraphs.forEach((paragraph, paraIndex) => {
-      const originalHTML = paragraph.innerHTML;
-      let hasFootnotes = false;
-
-      const modifiedHTML = originalHTML.replace(pattern, (match, originalNum) => {
-        console.log(`✅ Processing match: "${match}" → originalNum: "${originalNum}"`);
-        hasFootnotes = true;
-        
-        // Store footnote data
-        this.footnotes.set(globalNumber, {
-          id: `footnote-${globalNumber}`,
-          backrefId: `fnref-${globalNumber}`,
-          originalNumber: originalNum,
-          globalNumber: globalNumber,
-          paragraph: paragraph,
-          content: null,
-          isExtension: false // Will be determined when connecting content
-        });
-
-        this.debugLog(`✅ Stored footnote ${globalNumber} with originalNumber: "${originalNum}"`);
-
-        // Create semantic footnote reference
-        const ref = this.createFootnoteReference(globalNumber, originalNum);
-        globalNumber++;
-        this.incrementProcessed();
-        return ref;
-      });
+    console.log(`Found ${tokens.length} footnote markers`);
 
-      if (hasFootnotes) {
-        console.log(`✅ Updated paragraph ${paraIndex} HTML`);
-        paragraph.innerHTML = modifiedHTML;
-      }
+    this.getTokenizer().replaceTokens(tokens, token => {
+      const label = token.sections[0];
+      console.log(`✅ Processing match: "${token.fullMatch}" → label: "${label}"`);
+      
+      const footnoteData = this.labels.has(label)
+        ? this.footnotes.get(this.labels.get(label))
+        : this.registerFootnote(label, token.block);
+
+      // First reference keeps the plain fnref-N id; later ones get a suffix
+      const refIndex = footnoteData.references.length;
+      const backrefId = refIndex === 0 ? footnoteData.backrefId : `${footnoteData.backrefId}-${refIndex + 1}`;
+      footnoteData.references.push({ backrefId, paragraph: token.block });
+
+      // Create semantic footnote reference
+      const ref = this.createFromHTML(this.createFootnoteReference(footnoteData.globalNumber, label, backrefId));
+      this.incrementProcessed();
+      return ref;
     });
 
-    this.counter = globalNumber - 1;
     this.debugLog(`Final footnotes count: ${this.counter}`);
     if (this.debugMode) console.groupEnd();
   }
 
+  /**
+   * Store footnote data on first citation, numbered in citation order
+   * The global number identifies the note; the display number counts within
+   * its scheme and, with numbering.restart, its section
+   * @param {string} label - Footnote label
+   * @param {Element|null} paragraph - Block of the first citation (null when first cited inside another note)
+   * @param {Object|null} parent - Citing note, for notes first cited inside another note
+   * @returns {Object} Footnote data
+   * @private
+   */
+  registerFootnote(label, paragraph, parent = null) {
+    const globalNumber = ++this.counter;
+    const scheme = this.resolveNoteScheme(this.findFootnoteCard(label));
+    const section = paragraph ? this.getSectionIndex(this.numbering.headings, paragraph) : (parent?.section ?? 0);
+    const key = `${section}:${scheme}`;
+    const sequenceNumber = (this.sequences.get(key) || 0) + 1;
+    this.sequences.set(key, sequenceNumber);
+
+    const footnoteData = {
+      id: `footnote-${globalNumber}`,
+      backrefId: `fnref-${globalNumber}`,
+      label: label,
+      originalNumber: label,
+      globalNumber: globalNumber,
+      displayNumber: this.getNoteNumbering().format(sequenceNumber, scheme),
+      scheme: scheme,
+      section: section,
+      paragraph: paragraph,
+      references: [],
+      parents: [],   // Notes whose content cites this one
+      children: [],  // Notes this one cites
+      content: null,
+      isExtension: false // Will be determined when connecting content
+    };
+    this.footnotes.set(globalNumber, footnoteData);
+    this.labels.set(label, globalNumber);
+    this.debugLog(`✅ Stored footnote ${globalNumber} (${footnoteData.displayNumber}) with label: "${label}"`);
+    return footnoteData;
+  }
+
+  /**
+   * Work out the post's numbering: scheme and section restarts from
+   * numbering.scheme/restart, overridden per post with data-footnote-numbering /
+   * data-footnote-restart in an HTML card or an internal tag
+   * (#numbering-lower-roman, #restart-h2)
+   * @returns {Object} Numbering as {scheme, restart, headings}
+   * @private
+   */
+  resolveNumbering() {
+    const schemes = this.getNoteNumbering().schemes;
+    const configured = this.config.numbering || {};
+
+    const postScheme = this.getPostSetting('data-footnote-numbering', 'numbering-');
+    if (postScheme && !schemes.includes(postScheme)) {
+      console.warn(`[FOOTNOTE_PROCESSOR] Unknown footnote numbering "${postScheme}" - expected one of ${schemes.join(', ')}`);
+    }
+    const scheme = [postScheme, configured.scheme].find(name => schemes.includes(name)) || 'arabic';
+
+    const postRestart = this.getPostSetting('data-footnote-restart', 'restart-');
+    const restart = [postRestart, configured.restart].find(value => value != null);
+    const restartsAt = ['h2', 'h3'].includes(restart) ? restart : null;
+
+    // Headings of the footnote collection itself do not start sections
+    const headings = restartsAt
+      ? Array.from(this.findAllInContainer(restartsAt)).filter(heading => !heading.closest('.footnote-collection'))
+      : [];
+
+    return { scheme, restart: restartsAt, headings };
+  }
+
+  /**
+   * Scheme for one note: its card's data-numbering (a separate sequence,
+   * e.g. translator's notes in symbols among numbered author notes), or the post's
+   * @param {Element|null} card - Footnote card
+   * @returns {string} Numbering scheme
+   * @private
+   */
+  resolveNoteScheme(card) {
+    const scheme = card?.getAttribute('data-numbering');
+    if (scheme && this.getNoteNumbering().schemes.includes(scheme)) return scheme;
+    if (scheme) {
+      console.warn(`[FOOTNOTE_PROCESSOR] Footnote card "${card.getAttribute(this.config.patterns?.referenceAttribute || 'data-ref')}" has unknown data-numbering "${scheme}"`);
+    }
+    return this.numbering.scheme;
+  }
+
+  /**
+   * Footnote card for a label
+   * @param {string} label - Footnote label
+   * @returns {Element|null} Card
+   * @private
+   */
+  findFootnoteCard(label) {
+    const cards = document.querySelectorAll(this.config.selectors?.footnoteCards || '[data-ref]');
+    return Array.from(cards).find(card => {
+      const ref = card.getAttribute(this.config.patterns?.referenceAttribute || 'data-ref') || '';
+      return ref.trim() === label;
+    }) || null;
+  }
+
+  /**
+   * Index of the section an element is in: how many section headings come before it
+   * @param {Array<Element>} headings - Section headings in document order
+   * @param {Element} element - Element
+   * @returns {number} Section index (0 before the first heading)
+   * @private
+   */
+  getSectionIndex(headings, element) {
+    return headings.filter(heading =>
+      heading.compareDocumentPosition(element) & window.Node.DOCUMENT_POSITION_FOLLOWING
+    ).length;
+  }
+
+  /**
+   * Label shown for a note: its display number, with + for extensions
+   * @param {Object} footnoteData - Footnote data
+   * @returns {string} Label
+   * @private
+   */
+  getNoteLabel(footnoteData) {
+    return `${footnoteData.displayNumber}${footnoteData.isExtension ? '+' : ''}`;
+  }
+
+  /**
+   * @returns {Function} NoteNumbering class
+   * @private
+   */
+  getNoteNumbering() {
+    return typeof NoteNumbering !== 'undefined' ? NoteNumbering : require('../utils/note-numbering.js');
+  }
+
   /**
    * Create accessible footnote reference HTML
    * Preserves the visual philosophy while adding semantic richness
    * @param {number} globalNum - Global footnote number
-   * @param {string} originalNum - Original number from [^N] pattern
+   * @param {string} label - Original label from [^N] or [^label] pattern
+   * @param {string} backrefId - Id of this particular reference
    * @returns {string} HTML for footnote reference
    * @private
    */
-  createFootnoteReference(globalNum, originalNum) {
+  createFootnoteReference(globalNum, label, backrefId) {
     const footnoteData = this.footnotes.get(globalNum);
     const classes = this.config.classes || {};
     
@@ -225,18 +410,20 @@ class FootnoteProcessor extends ContentProcessor {
     const extensionColor = this.config.themes?.[this.config.theme]?.['--extension-accent'] || '#ff8800';
     
     // Extensions will be marked visually differently
-    const displayNumber = footnoteData.isExtension ? `${globalNum}+` : globalNum;
+    const displayNumber = this.getNoteLabel(footnoteData);
     const color = footnoteData.isExtension ? extensionColor : baseColor;
     const extensionClass = footnoteData.isExtension ? 'footnote-extension' : '';
     
-    return `<sup style="color: ${color}; font-family: var(--footnote-font, 'JetBrains Mono', monospace); font-size: 0.75em; cursor: pointer; text-shadow: 0 0 3px ${color};" class="${classes.footnoteRef || 'footnote-ref'} ${extensionClass}" id="${footnoteData.backrefId}">
+    return `<sup style="color: ${color}; font-family: var(--footnote-font, 'JetBrains Mono', monospace); font-size: 0.75em; cursor: pointer; text-shadow: 0 0 3px ${color};" class="${classes.footnoteRef || 'footnote-ref'} ${extensionClass}" id="${backrefId || footnoteData.backrefId}">
       <a href="#${footnoteData.id}" 
          data-footnote="${globalNum}" 
+         data-footnote-label="${label}"
+         data-display-number="${footnoteData.displayNumber}"
          data-is-extension="${footnoteData.isExtension}"
          class="${classes.footnoteLink || 'footnote-link'}"
          role="doc-noteref"
          aria-describedby="${footnoteData.id}"
-         aria-label="Footnote ${globalNum}${footnoteData.isExtension ? ' with extension' : ''}"
+         aria-label="Footnote ${footnoteData.displayNumber}${footnoteData.isExtension ? ' with extension' : ''}"
          style="color: inherit; text-decoration: none;"
          tabindex="0">${displayNumber}</a>
     </sup>`;
@@ -253,47 +440,288 @@ class FootnoteProcessor extends ContentProcessor {
     // Search globally since Ghost may place footnote cards outside container
     const footnoteCards = document.querySelectorAll(this.config.selectors?.footnoteCards || '[data-ref]');
     this.debugLog(`Found ${footnoteCards.length} footnote cards`);
+    const refOf = card => (card.getAttribute(this.config.patterns?.referenceAttribute || 'data-ref') || '').trim();
+    const cardRefs = new Set(Array.from(footnoteCards, refOf));
     
     footnoteCards.forEach((card, index) => {
-      const refNumber = parseInt(card.getAttribute(this.config.patterns?.referenceAttribute || 'data-ref'));
-      this.debugLog(`Card ${index + 1}: data-ref="${refNumber}"`);
+      const ref = refOf(card);
+      this.debugLog(`Card ${index + 1}: data-ref="${ref}"`);
       
-      let matched = false;
-      // Find corresponding footnote
-      for (let [globalNum, footnoteData] of this.footnotes) {
-        console.log(`  Checking against footnote ${globalNum}: originalNumber=${footnoteData.originalNumber}`);
-        
-        if (footnoteData.originalNumber == refNumber || globalNum == refNumber) {
-          console.log(`  ✅ MATCH FOUND: footnote ${globalNum} ↔ data-ref="${refNumber}"`);
-          footnoteData.content = card;
-          footnoteData.contentHTML = this.sanitizeHTML(card.innerHTML);
-          card.id = `footnote-content-${globalNum}`;
-          
-          // Check for extension attribute (preserves existing data-extension="true" system)
-          footnoteData.isExtension = card.getAttribute('data-extension') === 'true';
-          if (footnoteData.isExtension) {
-            console.log(`  📝 EXTENSION detected for footnote ${globalNum}`);
-            // Update the visual appearance of the reference
-            this.updateReferenceForExtension(globalNum);
-          }
-          
-          // Hide original HTML card to prevent duplicates
-          card.style.display = 'none';
-          console.log(`  ✅ HIDDEN original HTML card to prevent duplicate`);
-          
-          matched = true;
-          break;
-        }
+      // Find corresponding footnote: exact label first, then global number
+      // (numeric fallback only when no footnote uses that label and the
+      // numbered footnote has no card under its own label)
+      let globalNum = this.labels.get(ref);
+      const numbered = /^\d+$/.test(ref) ? this.footnotes.get(parseInt(ref, 10)) : null;
+      if (globalNum === undefined && numbered && !cardRefs.has(numbered.label)) {
+        globalNum = numbered.globalNumber;
+      }
+      
+      const footnoteData = this.footnotes.get(globalNum);
+      if (!footnoteData) {
+        console.log(`  ❌ NO MATCH for data-ref="${ref}"`);
+        return;
       }
       
-      if (!matched) {
-        console.log(`  ❌ NO MATCH for data-ref="${refNumber}"`);
+      if (footnoteData.content) {
+        console.log(`  ⚠️ Footnote ${globalNum} already has content - ignoring duplicate data-ref="${ref}"`);
+        return;
       }
+      
+      console.log(`  ✅ MATCH FOUND: footnote ${globalNum} ↔ data-ref="${ref}"`);
+      this.attachCard(card, footnoteData);
     });
     
     if (this.debugMode) console.groupEnd();
   }
 
+  /**
+   * Take a footnote's content from its HTML card
+   * @param {Element} card - Footnote card
+   * @param {Object} footnoteData - Footnote data
+   * @private
+   */
+  attachCard(card, footnoteData) {
+    const globalNum = footnoteData.globalNumber;
+    footnoteData.content = card;
+    footnoteData.contentHTML = this.renderMarkdown(card.innerHTML);
+    card.id = `footnote-content-${globalNum}`;
+    
+    // Check for extension attribute (preserves existing data-extension="true" system)
+    footnoteData.isExtension = card.getAttribute('data-extension') === 'true';
+    if (footnoteData.isExtension) {
+      console.log(`  📝 EXTENSION detected for footnote ${globalNum}`);
+      // Update the visual appearance of the reference
+      this.updateReferenceForExtension(globalNum);
+    }
+    
+    // Hide original HTML card to prevent duplicates
+    card.style.display = 'none';
+    console.log(`  ✅ HIDDEN original HTML card to prevent duplicate`);
+
+    if (card.hasAttribute('data-transclude')) {
+      this.transclude(card, footnoteData);
+    }
+  }
+
+  /**
+   * Fetch a card's note from another post (data-transclude="/post-slug/#anchor")
+   * The note reads "Loading…" until it arrives; if it cannot be fetched it
+   * shows the card's own content, or an error linking to the original
+   * @param {Element} card - Footnote card
+   * @param {Object} footnoteData - Footnote data
+   * @private
+   */
+  transclude(card, footnoteData) {
+    const target = card.getAttribute('data-transclude').trim();
+    const fetcher = this.getTransclusionFetcher();
+    const source = fetcher.parseTarget(target)?.url;
+    const fallback = card.textContent.trim() ? footnoteData.contentHTML : null;
+
+    footnoteData.transclusion = { target, status: 'loading' };
+    footnoteData.contentHTML = '<span class="footnote-transclusion-loading" role="status">Loading note…</span>';
+
+    const href = source ? this.escapeHTML(source) : '';
+    const request = fetcher.fetch(target)
+      .then(html => {
+        footnoteData.transclusion.status = 'loaded';
+        footnoteData.contentHTML = `${html} <a class="footnote-transclusion-source" href="${href}" aria-label="From the original post">↗</a>`;
+        // The collection is built by now, so only notes this post already has can be cited
+        this.resolveNoteReferences(footnoteData, { register: false });
+      })
+      .catch(error => {
+        console.warn(`[FOOTNOTE_PROCESSOR] Could not transclude ${target}: ${error.message}`);
+        footnoteData.transclusion.status = 'error';
+        footnoteData.transclusion.error = error.message;
+        footnoteData.contentHTML = fallback ?? `<span class="footnote-transclusion-error" role="alert">This note could not be loaded${source ? `: <a href="${href}">read it in the original post</a>` : ''}.</span>`;
+      })
+      .then(() => this.refreshNoteContent(footnoteData));
+
+    this.transclusions.push(request);
+  }
+
+  /**
+   * The fetcher for transcluded notes (transclusion config): a custom
+   * transclusion.loader, a JSON file (source 'json') or Ghost's Content API
+   * @returns {TransclusionFetcher} Fetcher
+   * @private
+   */
+  getTransclusionFetcher() {
+    if (!this.transclusionFetcher) {
+      const Fetcher = typeof TransclusionFetcher !== 'undefined'
+        ? TransclusionFetcher
+        : require('../utils/transclusion-fetcher.js');
+      const options = this.config.transclusion || {};
+      const loader = options.loader || (options.source === 'json'
+        ? Fetcher.jsonLoader(options.jsonUrl)
+        : Fetcher.ghostLoader({ url: options.apiUrl, key: options.apiKey }));
+
+      this.transclusionFetcher = new Fetcher({
+        loader,
+        sanitize: html => this.renderMarkdown(html),
+        cachePrefix: options.cachePrefix
+      });
+    }
+    return this.transclusionFetcher;
+  }
+
+  /**
+   * Wait until every transcluded note has loaded or failed
+   * @returns {Promise<void>}
+   */
+  async settleTransclusions() {
+    await Promise.all(this.transclusions);
+  }
+
+  /**
+   * Wait for transcluded notes, so the manager and the prerenderer see them loaded
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    await this.settleTransclusions();
+  }
+
+  /**
+   * Show a note's new content wherever it is already rendered: the
+   * collection, the current mode's notes, its tooltip and its extension box
+   * @param {Object} footnoteData - Footnote data
+   * @private
+   */
+  refreshNoteContent(footnoteData) {
+    const globalNum = footnoteData.globalNumber;
+    if (this.footnotes.get(globalNum) !== footnoteData) return; // Cleaned up meanwhile
+
+    const content = this.getCollectionContent(footnoteData);
+    if (content && content.innerHTML !== footnoteData.contentHTML) {
+      content.innerHTML = footnoteData.contentHTML;
+      content.querySelectorAll('.footnote-nested-ref .footnote-link').forEach(link => this.addFootnoteLinkBehaviors(link));
+    }
+
+    this.modeElements
+      .filter(note => note.dataset.footnote === String(globalNum))
+      .forEach(note => {
+        note.innerHTML = `<span class="footnote-mode-number">${footnoteData.displayNumber}</span> ${footnoteData.contentHTML}`;
+        note.querySelectorAll('.footnote-nested-ref .footnote-link').forEach(link => this.addFootnoteLinkBehaviors(link));
+      });
+
+    const tooltip = this.tooltips.get(globalNum);
+    if (tooltip) {
+      const arrow = tooltip.querySelector('.footnote-tooltip-arrow');
+      tooltip.innerHTML = this.extractCleanContent(footnoteData.contentHTML);
+      if (arrow) tooltip.appendChild(arrow);
+      tooltip.querySelectorAll('.footnote-nested-ref .footnote-link').forEach(link => this.addNestedLinkBehaviors(link));
+    }
+
+    const extension = document.querySelector(`#extension-box-${globalNum} .extension-content`);
+    if (extension) extension.innerHTML = footnoteData.contentHTML;
+
+    if (this.sidenotesActive) this.scheduleLayout();
+  }
+
+  /**
+   * Take up citations and cross-references resolved inside notes after this
+   * processor ran: they rewrite the collection, so its content becomes the
+   * note's content everywhere else (tooltips, sidenotes, sheet, notes panel)
+   * @returns {void}
+   */
+  refreshContent() {
+    this.footnotes.forEach(footnoteData => {
+      const content = this.getCollectionContent(footnoteData);
+      if (!content || content.innerHTML === footnoteData.contentHTML) return;
+
+      footnoteData.contentHTML = content.innerHTML;
+      this.refreshNoteContent(footnoteData);
+    });
+  }
+
+  /**
+   * A note's content element in the footnote collection
+   * @param {Object} footnoteData - Footnote data
+   * @returns {Element|null} Content element
+   * @private
+   */
+  getCollectionContent(footnoteData) {
+    return document.getElementById(footnoteData.id)?.querySelector(':scope > .footnote-content') || null;
+  }
+
+  /**
+   * Resolve [^N] references inside footnote content
+   * A label not cited in the text gets the next number when a note first
+   * cites it, and its card is connected then. Notes are visited breadth-first,
+   * so every note is resolved once no matter how references loop.
+   * @private
+   */
+  resolveNestedReferences() {
+    const queue = Array.from(this.footnotes.keys());
+
+    while (queue.length > 0) {
+      queue.push(...this.resolveNoteReferences(this.footnotes.get(queue.shift())));
+    }
+  }
+
+  /**
+   * Resolve the [^N] references inside one note's content
+   * @param {Object} parent - Citing footnote data
+   * @param {Object} options - {register}: whether a label not yet numbered
+   *                           may register its card (default true)
+   * @returns {Array<number>} Numbers of the notes registered on the way
+   * @private
+   */
+  resolveNoteReferences(parent, { register = true } = {}) {
+    if (!parent.contentHTML) return [];
+
+    const holder = document.createElement('div');
+    holder.innerHTML = parent.contentHTML;
+    const tokens = this.getTokenizer().tokenize(holder, [{ type: 'footnote', trigger: '[^', pattern: this.config.patterns.footnotePattern }]);
+    if (tokens.length === 0) return [];
+
+    const registered = [];
+    this.getTokenizer().replaceTokens(tokens, token => {
+      const label = token.sections[0];
+      let child = this.footnotes.get(this.labels.get(label));
+
+      if (!child) {
+        const card = register ? this.findFootnoteCard(label) : null;
+        if (!card) {
+          console.warn(`[FOOTNOTE_PROCESSOR] Footnote ${parent.globalNumber} cites [^${label}], which has no footnote ${register ? 'card' : 'in this post'}`);
+          return document.createTextNode(token.fullMatch);
+        }
+        child = this.registerFootnote(label, null, parent);
+        this.attachCard(card, child);
+        registered.push(child.globalNumber);
+      }
+
+      if (!child.parents.includes(parent.globalNumber)) child.parents.push(parent.globalNumber);
+      if (!parent.children.includes(child.globalNumber)) parent.children.push(child.globalNumber);
+
+      return this.createNestedReference(child, parent);
+    });
+
+    parent.contentHTML = holder.innerHTML;
+    return registered;
+  }
+
+  /**
+   * Reference to one note from inside another
+   * Carries no id: the parent's content is copied into the collection,
+   * tooltips and sidenotes
+   * @param {Object} child - Cited footnote data
+   * @param {Object} parent - Citing footnote data
+   * @returns {Element} Reference element
+   * @private
+   */
+  createNestedReference(child, parent) {
+    const ref = this.createFromHTML(this.createFootnoteReference(child.globalNumber, child.label, child.backrefId));
+    ref.removeAttribute('id');
+    ref.classList.add('footnote-nested-ref');
+
+    const link = ref.querySelector('a');
+    link.dataset.parentFootnote = parent.globalNumber;
+    if (child === parent) {
+      link.classList.add('footnote-cycle');
+    }
+    return ref;
+  }
+
   /**
    * Update footnote reference visual appearance for extensions
    * @param {number} globalNum - Global footnote number
@@ -301,20 +729,22 @@ class FootnoteProcessor extends ContentProcessor {
    */
   updateReferenceForExtension(globalNum) {
     const footnoteData = this.footnotes.get(globalNum);
-    const linkElement = document.querySelector(`[data-footnote="${globalNum}"]`);
+    const linkElements = document.querySelectorAll(`[data-footnote="${globalNum}"]`);
     
-    if (linkElement && footnoteData.isExtension) {
+    if (!footnoteData.isExtension) return;
+    
+    linkElements.forEach(linkElement => {
       // Update display number
-      linkElement.textContent = `${globalNum}+`;
+      linkElement.textContent = this.getNoteLabel(footnoteData);
       linkElement.setAttribute('data-is-extension', 'true');
-      linkElement.setAttribute('aria-label', `Footnote ${globalNum} with extension`);
+      linkElement.setAttribute('aria-label', `Footnote ${footnoteData.displayNumber} with extension`);
       
       // Update color
       const extensionColor = this.config.themes?.[this.config.theme]?.['--extension-accent'] || '#ff8800';
       linkElement.parentElement.style.color = extensionColor;
       linkElement.parentElement.style.textShadow = `0 0 3px ${extensionColor}`;
       linkElement.parentElement.classList.add('footnote-extension');
-    }
+    });
   }
 
   /**
@@ -344,15 +774,50 @@ class FootnoteProcessor extends ContentProcessor {
     if (list) {
       list.innerHTML = '';
       
+      // Notes cited only from other notes sit inside the first note that cites them
+      let section = 0;
       this.footnotes.forEach((footnoteData, globalNum) => {
         if (footnoteData.content) {
           const item = this.createFootnoteItem(footnoteData, globalNum);
-          list.appendChild(item);
+          const host = this.isNestedOnly(footnoteData)
+            ? list.querySelector(`#footnote-${footnoteData.parents[0]} > .footnote-children`)
+            : null;
+
+          // Numbering restarts per section, so the collection says which section a note is from
+          if (!host && footnoteData.section !== section) {
+            section = footnoteData.section;
+            list.appendChild(this.createSectionTitle(section));
+          }
+          (host || list).appendChild(item);
         }
       });
     }
   }
 
+  /**
+   * Title for a section's notes in the collection, from its heading
+   * @param {number} section - Section index (1 for the first heading)
+   * @returns {Element} Title element
+   * @private
+   */
+  createSectionTitle(section) {
+    const heading = this.numbering.headings[section - 1];
+    const title = this.createElement('h5', 'footnote-section-title');
+    title.textContent = heading?.textContent.trim() || `Section ${section}`;
+    title.dataset.section = section;
+    return title;
+  }
+
+  /**
+   * Whether a note is cited from other notes but never from the text
+   * @param {Object} footnoteData - Footnote data
+   * @returns {boolean} Nested only
+   * @private
+   */
+  isNestedOnly(footnoteData) {
+    return footnoteData.references.length === 0 && footnoteData.parents?.length > 0;
+  }
+
   /**
    * Create footnote item with proper semantic structure
    * @param {Object} footnoteData - Footnote data object
@@ -383,22 +848,68 @@ class FootnoteProcessor extends ContentProcessor {
       boxShadow: `0 0 10px ${accentColor}1A` // 10% opacity
     });
 
+    // A note cited only from another note returns to that note
+    const nestedOnly = this.isNestedOnly(footnoteData);
+    const backTarget = nestedOnly ? `footnote-${footnoteData.parents[0]}` : footnoteData.backrefId;
+    const backLabel = nestedOnly
+      ? `Return to footnote ${this.footnotes.get(footnoteData.parents[0]).displayNumber}, which cites footnote ${footnoteData.displayNumber}`
+      : `Return to footnote ${footnoteData.displayNumber} reference in text`;
+
     item.innerHTML = `
       <span class="footnote-number">
-        <a href="#${footnoteData.backrefId}" 
+        <a href="#${backTarget}" 
            class="${this.config.classes?.footnoteBackref || 'footnote-backref'}" 
-           data-target="${footnoteData.backrefId}"
+           data-target="${backTarget}"
            role="doc-backlink"
-           aria-label="Return to footnote ${globalNum} reference in text"
+           aria-label="${backLabel}"
            style="color: ${accentColor}; text-decoration: none; font-weight: bold;"
-           tabindex="0">${globalNum}${footnoteData.isExtension ? '+' : ''}</a>
+           tabindex="0">${this.getNoteLabel(footnoteData)}</a>
       </span>
+      ${this.createBackrefList(footnoteData, globalNum, accentColor)}
       <div class="footnote-content">${footnoteData.contentHTML}</div>
+      ${footnoteData.children?.length ? '<div class="footnote-children" role="list"></div>' : ''}
     `;
+    if (nestedOnly) item.classList.add('footnote-item-nested');
 
     return item;
   }
 
+  /**
+   * Create "a, b, c" back-references for a note cited more than once
+   * @param {Object} footnoteData - Footnote data object
+   * @param {number} globalNum - Global footnote number
+   * @param {string} accentColor - Link color
+   * @returns {string} HTML for back-reference list (empty for single citations)
+   * @private
+   */
+  createBackrefList(footnoteData, globalNum, accentColor) {
+    const references = footnoteData.references || [];
+    if (references.length < 2) return '';
+
+    const links = references.map((reference, index) => {
+      const letter = this.getBackrefLetter(index);
+      return `<a href="#${reference.backrefId}" 
+           class="${this.config.classes?.footnoteBackref || 'footnote-backref'}" 
+           data-target="${reference.backrefId}"
+           role="doc-backlink"
+           aria-label="Return to reference ${letter} of footnote ${footnoteData.displayNumber}"
+           style="color: ${accentColor}; text-decoration: none;"
+           tabindex="0">${letter}</a>`;
+    });
+
+    return `<span class="footnote-backrefs">${links.join(', ')}</span>`;
+  }
+
+  /**
+   * Get letter label for nth back-reference: a..z, then aa, ab...
+   * @param {number} index - Zero-based reference index
+   * @returns {string} Letter label
+   * @private
+   */
+  getBackrefLetter(index) {
+    return this.getNoteNumbering().toAlpha(index + 1);
+  }
+
   /**
    * Add interaction behaviors (event handling)
    * @private
@@ -442,28 +953,143 @@ class FootnoteProcessor extends ContentProcessor {
       link.addEventListener('click', clickHandler);
       link.addEventListener('keydown', clickHandler);
     } else {
-      // Regular footnotes: navigate to collection
+      // Regular footnotes: what activation does depends on the display mode
       const clickHandler = (e) => {
         if (e.type === 'keydown' && !['Enter', ' '].includes(e.key)) return;
         e.preventDefault();
-        this.navigateToFootnote(`footnote-${footnoteNum}`);
+        this.activateReference(footnoteNum, link);
       };
       
       link.addEventListener('click', clickHandler);
       link.addEventListener('keydown', clickHandler);
     }
 
-    // Tooltips for both types
+    // Tooltips for both types (hovering mode, or a refusing note that has yielded)
     if (this.config.behavior?.enableTooltips) {
-      link.addEventListener('mouseenter', (e) => this.showTooltip(e, footnoteNum));
-      link.addEventListener('mouseleave', () => this.hideTooltip(footnoteNum));
-      link.addEventListener('focus', (e) => this.showTooltip(e, footnoteNum));
+      link.addEventListener('mouseenter', (e) => this.approachReference(e, footnoteNum, link));
+      link.addEventListener('mouseleave', () => this.leaveReference(footnoteNum));
+      link.addEventListener('focus', (e) => this.approachReference(e, footnoteNum, link));
       link.addEventListener('blur', () => {
-        setTimeout(() => this.hideTooltip(footnoteNum), this.config.behavior.tooltipDelay || 150);
+        setTimeout(() => this.leaveReference(footnoteNum), this.config.behavior.tooltipDelay || 150);
       });
     }
   }
 
+  /**
+   * Handle a click (or Enter) on a footnote reference
+   * @param {number} footnoteNum - Footnote number
+   * @param {Element} link - Footnote link
+   * @private
+   */
+  activateReference(footnoteNum, link) {
+    if (this.touchMode && this.openSheet(footnoteNum, link)) return;
+
+    switch (this.mode) {
+      case 'refusing':
+        this.refuse(footnoteNum, link, true);
+        break;
+      case 'marginal':
+      case 'invasive': {
+        // Notes cited only from other notes have no sidenote or inline copy
+        const target = this.mode === 'invasive' ? `footnote-inline-${footnoteNum}` : `sidenote-${footnoteNum}`;
+        const present = this.modeElements.some(element => element.id === target);
+        this.navigateToFootnote(present ? target : `footnote-${footnoteNum}`);
+        break;
+      }
+      default:
+        this.navigateToFootnote(`footnote-${footnoteNum}`);
+    }
+  }
+
+  /**
+   * Handle hover or focus on a footnote reference
+   * @param {Event} event - Mouse or focus event
+   * @param {number} footnoteNum - Footnote number
+   * @param {Element} link - Footnote link
+   * @private
+   */
+  approachReference(event, footnoteNum, link) {
+    if (this.touchMode) return; // Taps open the sheet; emulated hovers would leave tooltips stuck open
+    if (this.restoringFocus) return;
+
+    const tooltipMode = this.mode === 'hovering' || (this.mode === 'marginal' && !this.sidenotesActive);
+    const nestedOnly = this.isNestedOnly(this.footnotes.get(footnoteNum) || { references: [] });
+    if (tooltipMode || (nestedOnly && this.mode !== 'refusing') || this.refusals.get(footnoteNum)?.yielded) {
+      this.showTooltip(event, footnoteNum);
+    } else if (this.mode === 'refusing') {
+      this.refuse(footnoteNum, link, false);
+    }
+  }
+
+  /**
+   * Handle the pointer or focus leaving a footnote reference
+   * A refusing note that has not yielded yet stops counting down
+   * @param {number} footnoteNum - Footnote number
+   * @private
+   */
+  leaveReference(footnoteNum) {
+    if (this.tooltipStack[0] === footnoteNum) {
+      this.scheduleHide(0);
+    } else {
+      this.hideTooltip(footnoteNum);
+    }
+
+    const refusal = this.refusals.get(footnoteNum);
+    if (refusal?.timer) {
+      clearTimeout(refusal.timer);
+      refusal.timer = null;
+    }
+  }
+
+  /**
+   * Refusing mode: a note yields after the reader lingers on its reference
+   * for behavior.refusalDelay, or when they click it a second time
+   * @param {number} footnoteNum - Footnote number
+   * @param {Element} link - Footnote link
+   * @param {boolean} clicked - Whether the reader clicked (rather than hovered)
+   * @private
+   */
+  refuse(footnoteNum, link, clicked) {
+    let refusal = this.refusals.get(footnoteNum);
+    if (!refusal) {
+      refusal = { asked: false, timer: null, yielded: false };
+      this.refusals.set(footnoteNum, refusal);
+    }
+
+    if (refusal.yielded || (clicked && refusal.asked)) {
+      this.yieldNote(footnoteNum, link);
+      return;
+    }
+
+    if (clicked) refusal.asked = true;
+    link.classList.add('footnote-refused');
+
+    if (!refusal.timer) {
+      refusal.timer = setTimeout(() => this.yieldNote(footnoteNum, link), this.config.behavior?.refusalDelay ?? 2000);
+    }
+  }
+
+  /**
+   * Reveal a refusing note: show its tooltip and its entry in the collection
+   * @param {number} footnoteNum - Footnote number
+   * @param {Element} link - Footnote link
+   * @private
+   */
+  yieldNote(footnoteNum, link) {
+    const refusal = this.refusals.get(footnoteNum);
+    if (refusal?.timer) {
+      clearTimeout(refusal.timer);
+      refusal.timer = null;
+    }
+    if (refusal) refusal.yielded = true;
+
+    link.classList.remove('footnote-refused');
+    link.classList.add('footnote-yielded');
+    this.findInContainer(`#footnote-${footnoteNum}`)?.classList.add('footnote-yielded');
+
+    this.showTooltip({ target: link }, footnoteNum);
+  }
+
   /**
    * Add behaviors to back-reference links
    * @param {Element} link - Back-reference link element
@@ -513,112 +1139,164 @@ class FootnoteProcessor extends ContentProcessor {
    * @private
    */
   showTooltip(event, footnoteNum) {
-    const footnoteData = this.footnotes.get(footnoteNum);
-    if (!footnoteData?.content) return;
-
-    // Get or create tooltip
-    let tooltip = this.tooltips.get(footnoteNum);
-    if (!tooltip) {
-      tooltip = this.createElement('div', this.config.classes?.footnoteTooltip || 'footnote-tooltip');
-      
-      const cleanContent = this.extractCleanContent(footnoteData.contentHTML);
-      tooltip.innerHTML = cleanContent;
-      
-      // Add arrow
-      const arrow = this.createElement('div', 'footnote-tooltip-arrow');
-      tooltip.appendChild(arrow);
-      
-      document.body.appendChild(tooltip);
-      this.tooltips.set(footnoteNum, tooltip);
+    const tooltip = this.getTooltip(footnoteNum);
+    if (!tooltip) return;
+
+    // A new top-level tooltip replaces whatever stack was open
+    this.cancelHide();
+    if (this.tooltipStack[0] !== footnoteNum) {
+      this.closeTooltipStack(0);
+      this.tooltipStack = [footnoteNum];
     }
+    this.tooltipTriggers.set(footnoteNum, event.target);
 
     // Position tooltip (preserving existing positioning logic)
     this.positionTooltip(tooltip, event);
   }
 
   /**
-   * Position tooltip relative to trigger element
-   * Preserves existing positioning logic with viewport constraints
-   * @param {Element} tooltip - Tooltip element
-   * @param {Event} event - Trigger event
+   * Get or create the tooltip for a footnote
+   * The pointer may travel from a reference into its tooltip and on into
+   * tooltips of notes it cites; the stack closes once it leaves them all
+   * @param {number} footnoteNum - Footnote number
+   * @returns {Element|null} Tooltip
    * @private
    */
-  positionTooltip(tooltip, event) {
-    // Show tooltip to measure it
-    tooltip.style.display = 'block';
-    tooltip.style.visibility = 'hidden';
-    
-    const rect = event.target.getBoundingClientRect();
-    const tooltipRect = tooltip.getBoundingClientRect();
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
-    
-    // Safe margins from screen edges
-    const HORIZONTAL_MARGIN = 20;
-    const VERTICAL_MARGIN = 40;
-    const ARROW_SIZE = 8;
-    
-    // Calculate initial position (centered under footnote)
-    let left = rect.left + (rect.width / 2) - (tooltipRect.width / 2);
-    let top = rect.bottom + ARROW_SIZE + 5;
-    let arrowLeft = 50; // percentage
-    let arrowClass = 'arrow-top';
-    
-    // Constrain horizontally - MUST stay within screen
-    const minLeft = HORIZONTAL_MARGIN;
-    const maxLeft = viewportWidth - tooltipRect.width - HORIZONTAL_MARGIN;
-    
-    if (left < minLeft) {
-      left = minLeft;
-      arrowLeft = ((rect.left + rect.width/2 - left) / tooltipRect.width) * 100;
-    } else if (left > maxLeft) {
-      left = maxLeft;
-      arrowLeft = ((rect.left + rect.width/2 - left) / tooltipRect.width) * 100;
-    }
-    
-    // Constrain arrow position
-    arrowLeft = Math.max(10, Math.min(90, arrowLeft));
-    
-    // Vertical positioning - allow overflow but with limits
-    const maxAllowedHeight = viewportHeight - VERTICAL_MARGIN;
-    
-    if (tooltipRect.height > maxAllowedHeight * 0.7 || 
-        top + tooltipRect.height > viewportHeight + maxAllowedHeight) {
-      // Show above footnote instead
-      top = rect.top - tooltipRect.height - ARROW_SIZE - 5;
-      arrowClass = 'arrow-bottom';
-    }
-    
-    // Final constraint
-    if (top < -maxAllowedHeight) {
-      top = -maxAllowedHeight + VERTICAL_MARGIN;
-      arrowClass = 'arrow-top';
-    }
-
-    // Apply positioning
-    this.setStyles(tooltip, {
-      position: 'fixed',
-      left: `${left}px`,
-      top: `${top}px`,
-      zIndex: '1000',
-      display: 'block',
-      visibility: 'visible'
-    });
-    
-    // Position arrow
-    const arrow = tooltip.querySelector('.footnote-tooltip-arrow');
-    if (arrow) {
-      arrow.className = `footnote-tooltip-arrow ${arrowClass}`;
-      arrow.style.left = `${arrowLeft}%`;
+  getTooltip(footnoteNum) {
+    const footnoteData = this.footnotes.get(footnoteNum);
+    if (!footnoteData?.content) return null;
+
+    let tooltip = this.tooltips.get(footnoteNum);
+    if (!tooltip) {
+      tooltip = this.createTooltip(
+        this.extractCleanContent(footnoteData.contentHTML),
+        this.config.classes?.footnoteTooltip || 'footnote-tooltip'
+      );
+      tooltip.dataset.footnote = footnoteNum;
+      tooltip.tabIndex = -1; // Focusable from the keyboard (focusOpenTooltip)
+      tooltip.addEventListener('mouseenter', () => this.cancelHide());
+      tooltip.addEventListener('mouseleave', () => this.scheduleHide(0));
+      tooltip.addEventListener('focusin', () => this.cancelHide());
+      tooltip.addEventListener('focusout', () => this.scheduleHide(0));
+      tooltip.querySelectorAll('.footnote-nested-ref .footnote-link').forEach(link => this.addNestedLinkBehaviors(link));
+      this.tooltips.set(footnoteNum, tooltip);
     }
+    return tooltip;
   }
 
   /**
-   * Hide tooltip for footnote
-   * @param {number} footnoteNum - Footnote number
+   * Add behaviors to a reference inside a tooltip: hover opens a stacked
+   * tooltip, click goes to the note
+   * @param {Element} link - Nested footnote link
    * @private
    */
-  hideTooltip(footnoteNum) {
+  addNestedLinkBehaviors(link) {
+    const footnoteNum = parseInt(link.dataset.footnote);
+    const open = () => {
+      if (!this.restoringFocus) this.showNestedTooltip(link, footnoteNum, parseInt(link.dataset.parentFootnote));
+    };
+
+    link.addEventListener('mouseenter', open);
+    link.addEventListener('focus', open);
+
+    const clickHandler = (e) => {
+      if (e.type === 'keydown' && !['Enter', ' '].includes(e.key)) return;
+      e.preventDefault();
+      this.closeTooltipStack(0);
+      this.activateReference(footnoteNum, link);
+    };
+    link.addEventListener('click', clickHandler);
+    link.addEventListener('keydown', clickHandler);
+  }
+
+  /**
+   * Open a child tooltip above the tooltip that cites it
+   * Refuses when the note is already open further down the stack (a cycle)
+   * or when behavior.maxNestingDepth tooltips are already open
+   * @param {Element} link - Nested footnote link
+   * @param {number} footnoteNum - Cited footnote number
+   * @param {number} parentNum - Citing footnote number
+   * @private
+   */
+  showNestedTooltip(link, footnoteNum, parentNum) {
+    const level = this.tooltipStack.indexOf(parentNum);
+    if (level === -1) return;
+
+    this.cancelHide();
+
+    if (this.tooltipStack.slice(0, level + 1).includes(footnoteNum)) {
+      link.classList.add('footnote-cycle');
+      link.title = `Footnote ${link.dataset.displayNumber} is already open`;
+      return;
+    }
+
+    const maxDepth = this.config.behavior?.maxNestingDepth ?? 3;
+    if (level + 1 >= maxDepth) {
+      link.classList.add('footnote-depth-limit');
+      link.title = `Click to read footnote ${link.dataset.displayNumber}`;
+      return;
+    }
+
+    const tooltip = this.getTooltip(footnoteNum);
+    if (!tooltip) return;
+
+    this.closeTooltipStack(level + 1);
+    this.tooltipStack.push(footnoteNum);
+    this.tooltipTriggers.set(footnoteNum, link);
+
+    this.positionTooltip(tooltip, { target: link });
+    tooltip.style.zIndex = String(1000 + level + 1);
+    tooltip.dataset.depth = level + 1;
+  }
+
+  /**
+   * Close the tooltip stack after tooltipDelay unless the pointer comes back
+   * or keyboard focus is inside one of its tooltips
+   * @param {number} level - First stack level to close
+   * @private
+   */
+  scheduleHide(level) {
+    this.cancelHide();
+    this.hideTimer = setTimeout(() => {
+      this.hideTimer = null;
+      if (this.tooltipHasFocus()) return;
+      this.closeTooltipStack(level);
+    }, this.config.behavior?.tooltipDelay ?? 150);
+  }
+
+  /**
+   * @returns {boolean} Whether focus is inside an open tooltip
+   * @private
+   */
+  tooltipHasFocus() {
+    return this.tooltipStack.some(footnoteNum => this.tooltips.get(footnoteNum)?.contains(document.activeElement));
+  }
+
+  /**
+   * @private
+   */
+  cancelHide() {
+    if (this.hideTimer) {
+      clearTimeout(this.hideTimer);
+      this.hideTimer = null;
+    }
+  }
+
+  /**
+   * Close stacked tooltips from a level upwards
+   * @param {number} level - First stack level to close (0 closes all)
+   * @private
+   */
+  closeTooltipStack(level) {
+    this.tooltipStack.splice(level).forEach(footnoteNum => this.hideTooltip(footnoteNum));
+  }
+
+  /**
+   * Hide tooltip for footnote
+   * @param {number} footnoteNum - Footnote number
+   * @private
+   */
+  hideTooltip(footnoteNum) {
     const tooltip = this.tooltips.get(footnoteNum);
     if (tooltip) {
       tooltip.style.display = 'none';
@@ -642,9 +1320,11 @@ class FootnoteProcessor extends ContentProcessor {
       if (existingBox.style.display === 'none') {
         existingBox.style.display = 'block';
         linkElement.classList.add('extension-expanded');
+        this.openExtensions.set(footnoteNum, linkElement);
       } else {
         existingBox.style.display = 'none';
         linkElement.classList.remove('extension-expanded');
+        this.openExtensions.delete(footnoteNum);
       }
       return;
     }
@@ -654,7 +1334,7 @@ class FootnoteProcessor extends ContentProcessor {
     extensionBox.id = `extension-box-${footnoteNum}`;
     extensionBox.innerHTML = `
       <div class="extension-header">
-        <span class="extension-label">Extended Note ${footnoteNum}</span>
+        <span class="extension-label">Extended Note ${footnoteData.displayNumber}</span>
         <button class="extension-close" aria-label="Close extension">×</button>
       </div>
       <div class="extension-content">
@@ -676,14 +1356,645 @@ class FootnoteProcessor extends ContentProcessor {
     closeBtn.addEventListener('click', () => {
       extensionBox.style.display = 'none';
       linkElement.classList.remove('extension-expanded');
+      this.openExtensions.delete(footnoteNum);
     });
 
     // Mark link as expanded
     linkElement.classList.add('extension-expanded');
+    this.openExtensions.set(footnoteNum, linkElement);
 
     this.debugLog(`Created inline extension for footnote ${footnoteNum}`);
   }
 
+  /**
+   * Escape: the note sheet or the top tooltip of the stack first (focus
+   * inside the tooltip goes back to the reference that opened it), then the
+   * open inline extension holding focus, else the one opened last
+   * @param {string} layer - 'tooltip' or 'content'
+   * @returns {boolean} Whether anything was closed
+   */
+  dismissTopmost(layer) {
+    if (layer === 'tooltip') {
+      if (this.sheet?.isOpen) {
+        this.sheet.close();
+        return true;
+      }
+      if (this.tooltipStack.length === 0) return false;
+
+      const level = this.tooltipStack.length - 1;
+      const footnoteNum = this.tooltipStack[level];
+      const hadFocus = this.tooltips.get(footnoteNum)?.contains(document.activeElement);
+      this.cancelHide();
+      this.closeTooltipStack(level);
+      if (hadFocus) this.restoreFocus(this.tooltipTriggers.get(footnoteNum));
+      return true;
+    }
+
+    if (layer !== 'content' || this.openExtensions.size === 0) return false;
+
+    const open = Array.from(this.openExtensions.keys());
+    const footnoteNum = open.find(num => document.getElementById(`extension-box-${num}`)?.contains(document.activeElement))
+      ?? open[open.length - 1];
+    const link = this.openExtensions.get(footnoteNum);
+    this.toggleInlineExtension(footnoteNum, link);
+    this.restoreFocus(link);
+    return true;
+  }
+
+  /**
+   * Move focus into the top tooltip of the stack; Tab then reaches its links
+   * @returns {boolean} Whether a tooltip was open
+   */
+  focusOpenTooltip() {
+    const footnoteNum = this.tooltipStack[this.tooltipStack.length - 1];
+    const tooltip = this.tooltips.get(footnoteNum);
+    if (!tooltip || tooltip.style.display === 'none') return false;
+
+    this.cancelHide();
+    tooltip.focus();
+    return true;
+  }
+
+  /**
+   * Focus a reference without reopening its tooltip
+   * @param {Element} element - Reference link
+   * @private
+   */
+  restoreFocus(element) {
+    if (!element?.isConnected) return;
+    this.restoringFocus = true;
+    element.focus();
+    this.restoringFocus = false;
+  }
+
+  /**
+   * Work out the display mode: the reader's saved choice, then the post's
+   * default, then behavior.defaultMode
+   * @returns {string} Display mode
+   * @private
+   */
+  resolveMode() {
+    const modes = FootnoteProcessor.displayModes;
+    const candidates = [this.readStoredMode(), this.getPostDefaultMode(), this.config.behavior?.defaultMode];
+    return candidates.find(mode => modes.includes(mode)) || 'hovering';
+  }
+
+  /**
+   * Per-post default, set by the site owner either with an internal tag
+   * (#footnotes-marginal → tag-hash-footnotes-marginal on the article) or
+   * with data-footnote-mode on an element in an HTML card
+   * @returns {string|null} Display mode
+   * @private
+   */
+  getPostDefaultMode() {
+    return this.getPostSetting('data-footnote-mode', 'footnotes-');
+  }
+
+  /**
+   * Read the reader's saved mode
+   * @returns {string|null} Saved mode
+   * @private
+   */
+  readStoredMode() {
+    try {
+      return window.localStorage?.getItem(this.getModeStorageKey()) || null;
+    } catch (error) {
+      // Storage can be blocked (privacy settings, sandboxed frames)
+      return null;
+    }
+  }
+
+  /**
+   * Save the reader's mode
+   * @param {string} mode - Display mode
+   * @private
+   */
+  storeMode(mode) {
+    try {
+      window.localStorage?.setItem(this.getModeStorageKey(), mode);
+    } catch (error) {
+      this.debugLog('Could not save footnote mode:', error.message);
+    }
+  }
+
+  /**
+   * @returns {string} localStorage key for the reader's mode
+   * @private
+   */
+  getModeStorageKey() {
+    return this.config.behavior?.modeStorageKey || 'trace-of-the-other.footnote-mode';
+  }
+
+  /**
+   * Switch display mode (used by the footnotes partial's buttons)
+   * @param {string} mode - One of FootnoteProcessor.displayModes
+   * @param {Object} options - Options
+   * @param {boolean} options.persist - Remember the choice for this reader (default true)
+   * @returns {boolean} Whether the mode was applied
+   */
+  setMode(mode, { persist = true } = {}) {
+    if (!FootnoteProcessor.displayModes.includes(mode)) {
+      console.warn(`[FOOTNOTE_PROCESSOR] Unknown footnote mode "${mode}" - expected one of ${FootnoteProcessor.displayModes.join(', ')}`);
+      return false;
+    }
+
+    if (persist) this.storeMode(mode);
+    if (mode !== this.mode) this.applyMode(mode);
+    return true;
+  }
+
+  /**
+   * Render the footnote map in a display mode
+   * @param {string} mode - Display mode
+   * @private
+   */
+  applyMode(mode) {
+    this.clearMode();
+
+    FootnoteProcessor.displayModes.forEach(name => this.container.classList.remove(`footnote-mode-${name}`));
+    this.container.classList.add(`footnote-mode-${mode}`);
+    this.mode = mode;
+
+    if (mode === 'marginal') {
+      this.updateSidenotes();
+    } else if (mode === 'invasive') {
+      this.renderModeNotes('footnote-inline', 'footnote-inline');
+    }
+
+    this.updateModeControls();
+    console.log(`[FOOTNOTE_PROCESSOR] Display mode: ${mode}`);
+  }
+
+  /**
+   * Place each note next to its first reference, as a sidenote (marginal)
+   * or inside the sentence (invasive)
+   * @param {string} idPrefix - Element id prefix
+   * @param {string} className - Element class
+   * @private
+   */
+  renderModeNotes(idPrefix, className) {
+    this.footnotes.forEach((footnoteData, globalNum) => {
+      if (!footnoteData.content || footnoteData.isExtension || this.isNestedOnly(footnoteData)) return;
+
+      const reference = this.findInContainer(`#${footnoteData.backrefId}`);
+      if (!reference) return;
+
+      const note = this.createElement('span', className);
+      this.setAttributes(note, {
+        id: `${idPrefix}-${globalNum}`,
+        role: 'note',
+        'data-footnote': globalNum
+      });
+      note.innerHTML = `<span class="footnote-mode-number">${footnoteData.displayNumber}</span> ${footnoteData.contentHTML}`;
+
+      note.querySelectorAll('.footnote-nested-ref .footnote-link').forEach(link => this.addFootnoteLinkBehaviors(link));
+
+      reference.insertAdjacentElement('afterend', note);
+      this.modeElements.push(note);
+    });
+  }
+
+  /**
+   * Remove what the current mode added and reset refusals
+   * @private
+   */
+  clearMode() {
+    this.modeElements.forEach(element => element.remove());
+    this.modeElements = [];
+    this.clearSidenoteLayout();
+
+    this.cancelHide();
+    this.tooltipStack = [];
+    this.tooltips.forEach(tooltip => {
+      tooltip.style.display = 'none';
+    });
+
+    this.refusals.forEach(refusal => clearTimeout(refusal.timer));
+    this.refusals.clear();
+    this.findAllInContainer('.footnote-refused, .footnote-yielded').forEach(element => {
+      element.classList.remove('footnote-refused', 'footnote-yielded');
+    });
+  }
+
+  /**
+   * Marginal mode: sidenotes where the viewport leaves room for a margin
+   * column (behavior.sidenoteBreakpoint), tooltips everywhere else
+   * Re-run when the viewport crosses the breakpoint
+   * @private
+   */
+  updateSidenotes() {
+    const wide = Boolean(this.sidenoteMedia?.matches);
+
+    if (wide && !this.sidenotesActive) {
+      this.renderModeNotes('sidenote', 'footnote-sidenote');
+      this.sidenotesActive = true;
+      this.container.classList.add('footnote-sidenotes-active');
+      this.scheduleLayout();
+    } else if (!wide && this.sidenotesActive) {
+      this.modeElements.forEach(element => element.remove());
+      this.modeElements = [];
+      this.clearSidenoteLayout();
+    }
+  }
+
+  /**
+   * Undo sidenote positioning
+   * @private
+   */
+  clearSidenoteLayout() {
+    if (this.layoutFrame !== null) {
+      (window.cancelAnimationFrame || clearTimeout)(this.layoutFrame);
+      this.layoutFrame = null;
+    }
+
+    this.connectors?.remove();
+    this.connectors = null;
+    this.sidenotesActive = false;
+    this.container.classList.remove('footnote-sidenotes-active');
+  }
+
+  /**
+   * Re-lay out sidenotes when anything that moves their anchors changes:
+   * the viewport (size and breakpoint), web fonts, the content's size
+   * (later processors insert marginalia after footnotes are done) and each
+   * marginalia layout pass, which moves the notes sidenotes step around
+   * @private
+   */
+  bindLayoutListeners() {
+    const breakpoint = this.config.behavior?.sidenoteBreakpoint || 1200;
+    this.sidenoteMedia = window.matchMedia?.(`(min-width: ${breakpoint}px)`) || null;
+
+    const listen = (target, type, handler) => {
+      if (!target?.addEventListener) return;
+      target.addEventListener(type, handler);
+      this.layoutListeners.push({ target, type, handler });
+    };
+    const relayout = () => this.scheduleLayout();
+
+    listen(this.sidenoteMedia, 'change', () => {
+      if (this.mode === 'marginal') this.updateSidenotes();
+    });
+    listen(window, 'resize', relayout);
+    listen(document.fonts, 'loadingdone', relayout);
+    listen(this.container, 'marginalia-layout', relayout);
+    document.fonts?.ready?.then(relayout);
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(relayout);
+      this.resizeObserver.observe(this.container);
+    }
+  }
+
+  /**
+   * @private
+   */
+  unbindLayoutListeners() {
+    this.layoutListeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+    this.layoutListeners = [];
+    this.resizeObserver?.disconnect();
+    this.resizeObserver = null;
+    this.sidenoteMedia = null;
+  }
+
+  /**
+   * Lay out sidenotes on the next frame (coalesces bursts of resize events)
+   * @private
+   */
+  scheduleLayout() {
+    if (!this.sidenotesActive || this.layoutFrame !== null) return;
+
+    const frame = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+    this.layoutFrame = frame(() => {
+      this.layoutFrame = null;
+      this.layoutSidenotes();
+    });
+  }
+
+  /**
+   * Position each sidenote level with its reference, pushing notes down past
+   * earlier sidenotes and marginalia in the same column, and connect
+   * displaced notes to their reference
+   * @private
+   */
+  layoutSidenotes() {
+    if (!this.sidenotesActive || this.modeElements.length === 0) return;
+
+    const origin = this.container.getBoundingClientRect();
+    const column = this.modeElements[0].getBoundingClientRect();
+    const Layout = typeof SidenoteLayout !== 'undefined' ? SidenoteLayout : require('../utils/sidenote-layout.js');
+    const layout = new Layout({ gap: this.config.behavior?.sidenoteGap ?? 12 });
+
+    const items = this.modeElements.map(note => {
+      const reference = this.findInContainer(`#fnref-${note.dataset.footnote}`);
+      const anchor = reference.getBoundingClientRect();
+      return {
+        id: note.id,
+        top: anchor.top - origin.top,
+        height: note.getBoundingClientRect().height,
+        anchor
+      };
+    });
+
+    // Marginalia sharing the column's horizontal band are already there
+    const obstacles = Array.from(this.findAllInContainer('.marginalia-voice'))
+      .map(element => element.getBoundingClientRect())
+      .filter(rect => rect.left < column.right && rect.right > column.left)
+      .map(rect => ({ top: rect.top - origin.top, bottom: rect.bottom - origin.top }));
+
+    const placements = layout.place(items, obstacles);
+    placements.forEach(({ top }, index) => {
+      this.modeElements[index].style.top = `${Math.round(top)}px`;
+    });
+
+    this.drawConnectors(items, placements, origin, column);
+  }
+
+  /**
+   * Thin lines from each displaced sidenote back to its reference
+   * @param {Array<Object>} items - Layout items (with anchor rects)
+   * @param {Array<Object>} placements - Results of SidenoteLayout.place
+   * @param {DOMRect} origin - Container rect
+   * @param {DOMRect} column - Sidenote column rect
+   * @private
+   */
+  drawConnectors(items, placements, origin, column) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+
+    if (!this.connectors) {
+      this.connectors = document.createElementNS(svgNS, 'svg');
+      this.connectors.setAttribute('class', 'sidenote-connectors');
+      this.connectors.setAttribute('aria-hidden', 'true');
+      this.container.appendChild(this.connectors);
+    }
+    this.connectors.replaceChildren();
+
+    placements.forEach((placement, index) => {
+      if (!placement.shifted) return;
+
+      const { anchor } = items[index];
+      const points = [
+        [anchor.right - origin.left, anchor.top + anchor.height / 2 - origin.top],
+        [origin.width, anchor.top + anchor.height / 2 - origin.top],
+        [column.left - origin.left, placement.top + 8]
+      ];
+
+      const line = document.createElementNS(svgNS, 'polyline');
+      line.setAttribute('points', points.map(point => point.map(Math.round).join(',')).join(' '));
+      line.dataset.footnote = this.modeElements[index].dataset.footnote;
+      this.connectors.appendChild(line);
+    });
+  }
+
+  /**
+   * Connect the mode buttons in partials/footnotes.hbs
+   * The partial stays hidden on posts without footnotes
+   * @private
+   */
+  bindModeControls() {
+    const system = document.querySelector('.footnotes-system');
+    if (!system) return;
+
+    system.hidden = this.footnotes.size === 0;
+
+    system.querySelectorAll('.footnote-mode-btn[data-mode]').forEach(button => {
+      const handler = () => this.setMode(button.dataset.mode);
+      button.addEventListener('click', handler);
+      this.modeControls.push({ button, handler });
+    });
+
+    this.updateModeControls();
+  }
+
+  /**
+   * Reflect the current mode in the partial's buttons and explanation
+   * @private
+   */
+  updateModeControls() {
+    this.modeControls.forEach(({ button }) => {
+      const active = button.dataset.mode === this.mode;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+
+      if (active && button.dataset.explanation) {
+        const explanation = button.closest('.footnotes-system')?.querySelector('.mode-explanation');
+        if (explanation) explanation.textContent = button.dataset.explanation;
+      }
+    });
+  }
+
+  /**
+   * Follow the touch-mode media query (see ContentProcessor.getTouchMedia)
+   * @private
+   */
+  bindTouchMode() {
+    this.touchMedia = this.getTouchMedia();
+    if (!this.touchMedia) return;
+
+    this.touchHandler = () => this.setTouchMode(this.touchMedia.matches);
+    this.touchMedia.addEventListener?.('change', this.touchHandler);
+    this.setTouchMode(this.touchMedia.matches);
+  }
+
+  /**
+   * @private
+   */
+  unbindTouchMode() {
+    if (this.touchMedia) {
+      this.touchMedia.removeEventListener?.('change', this.touchHandler);
+      this.setTouchMode(false);
+    }
+    this.sheet?.destroy();
+    this.sheet = null;
+    this.touchMedia = null;
+    this.touchHandler = null;
+  }
+
+  /**
+   * Switch touch mode on or off
+   * @param {boolean} active - Whether the reader is on a touch device
+   * @private
+   */
+  setTouchMode(active) {
+    this.touchMode = active;
+    this.container.classList.toggle(this.config.classes?.touchMode || 'footnote-touch-mode', active);
+
+    if (active) {
+      this.closeTooltipStack(0);
+    } else {
+      this.sheet?.close();
+    }
+  }
+
+  /**
+   * Open the note sheet on a footnote; previous/next walk through every note in order
+   * @param {number} footnoteNum - Footnote number
+   * @param {Element} link - Reference that was tapped
+   * @returns {boolean} Whether the sheet opened (false for notes without content)
+   * @private
+   */
+  openSheet(footnoteNum, link) {
+    const notes = Array.from(this.footnotes.values())
+      .filter(data => data.content && !data.isExtension)
+      .sort((a, b) => a.globalNumber - b.globalNumber)
+      .map(data => ({
+        id: data.globalNumber,
+        title: `Note ${data.displayNumber}`,
+        html: this.extractCleanContent(data.contentHTML)
+      }));
+
+    const index = notes.findIndex(note => note.id === footnoteNum);
+    if (index === -1) return false;
+
+    if (!this.sheet) {
+      const Sheet = typeof BottomSheet !== 'undefined'
+        ? BottomSheet
+        : require('../utils/bottom-sheet.js');
+      this.sheet = new Sheet({
+        className: this.config.classes?.noteSheet || 'note-sheet',
+        swipeThreshold: this.config.touch?.swipeThreshold,
+        // A note citing another note moves the sheet to it
+        onShow: body => body.querySelectorAll('.footnote-nested-ref .footnote-link').forEach(nested => {
+          nested.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.sheet.showId(nested.dataset.footnote);
+          });
+        })
+      });
+    }
+
+    this.sheet.open(notes, index, link);
+    return true;
+  }
+
+  /**
+   * Every note with content, anchored at its first reference in the text
+   * (notes cited only from other notes, at their entry in the collection)
+   * @returns {Array<Object>} Notes panel entries
+   */
+  getNotes() {
+    return Array.from(this.footnotes.values())
+      .filter(footnoteData => footnoteData.content)
+      .map(footnoteData => ({
+        type: 'footnote',
+        id: footnoteData.id,
+        label: `Note ${this.getNoteLabel(footnoteData)}`,
+        voice: null,
+        html: this.extractCleanContent(footnoteData.contentHTML),
+        anchor: this.findInContainer(`#${footnoteData.backrefId}`) || document.getElementById(footnoteData.id)
+      }))
+      .filter(entry => entry.anchor);
+  }
+
+  /**
+   * Print the notes as endnotes: the traditional layout with every extension
+   * open, gathered at the end of the post or after each section
+   * @returns {void}
+   */
+  preparePrint() {
+    if (this.printState) return;
+    this.printState = { mode: this.mode, extensions: [], blocks: [], items: null, collectionHidden: false };
+
+    this.sheet?.close();
+    if (this.mode !== 'traditional') this.applyMode('traditional');
+
+    this.footnotes.forEach((footnoteData, globalNum) => {
+      if (!footnoteData.isExtension || !footnoteData.contentHTML) return;
+
+      const link = this.findInContainer(`#${footnoteData.backrefId} .footnote-link`);
+      const box = document.getElementById(`extension-box-${globalNum}`);
+      if (!link || (box && box.style.display !== 'none')) return;
+
+      this.toggleInlineExtension(globalNum, link);
+      this.printState.extensions.push({ globalNum, link });
+    });
+
+    if (this.getEndnotePlacement() === 'section') {
+      this.placeEndnotesBySection();
+    }
+  }
+
+  /**
+   * Put the display mode, extensions and collection back as they were
+   * @returns {void}
+   */
+  restorePrint() {
+    if (!this.printState) return;
+    const { mode, extensions, blocks, items, collectionHidden } = this.printState;
+    this.printState = null;
+
+    blocks.forEach(block => block.remove());
+    if (items) {
+      const collection = this.findInContainer(`.${this.config.classes?.footnoteCollection || 'footnote-collection'}`);
+      const list = collection?.querySelector(`.${this.config.classes?.footnoteList || 'footnote-list'}`);
+      items.forEach(item => list?.appendChild(item));
+      if (collection) collection.hidden = collectionHidden;
+    }
+
+    // Toggling again closes the boxes preparePrint opened
+    extensions.forEach(({ globalNum, link }) => this.toggleInlineExtension(globalNum, link));
+
+    if (mode && mode !== this.mode) this.applyMode(mode);
+  }
+
+  /**
+   * Where notes print: 'post' or 'section'
+   * A post overrides print.endnotes with data-endnotes on an element in an
+   * HTML card, or with an internal tag (#endnotes-section → tag-hash-endnotes-section)
+   * @returns {string} Placement
+   * @private
+   */
+  getEndnotePlacement() {
+    return this.getPostSetting('data-endnotes', 'endnotes-') || this.config.print?.endnotes || 'post';
+  }
+
+  /**
+   * Move each note from the collection to the end of the section where it is
+   * first cited; sections start at print.sectionSelector headings
+   * Notes cited only from other notes travel inside the note that cites them
+   * @private
+   */
+  placeEndnotesBySection() {
+    const collection = this.findInContainer(`.${this.config.classes?.footnoteCollection || 'footnote-collection'}`);
+    const list = collection?.querySelector(`.${this.config.classes?.footnoteList || 'footnote-list'}`);
+    if (!list) return;
+
+    const headings = Array.from(this.findAllInContainer(this.config.print?.sectionSelector || 'h2'))
+      .filter(heading => !collection.contains(heading));
+    if (headings.length === 0) return;
+
+    const sections = new Map(); // section index → note items
+    Array.from(list.children).forEach(item => {
+      const footnoteData = Array.from(this.footnotes.values()).find(data => data.id === item.id);
+      const reference = footnoteData && this.findInContainer(`#${footnoteData.backrefId}`);
+      if (!reference) return;
+
+      const index = this.getSectionIndex(headings, reference);
+      if (!sections.has(index)) sections.set(index, []);
+      sections.get(index).push(item);
+    });
+
+    this.printState.items = Array.from(list.children);
+
+    sections.forEach((items, index) => {
+      const block = this.createElement('section', 'print-endnotes');
+      this.setAttributes(block, { role: 'doc-endnotes', 'aria-label': 'Notes' });
+      block.innerHTML = `
+        <h4 class="footnote-title">Notes</h4>
+        <div class="${this.config.classes?.footnoteList || 'footnote-list'}" role="list"></div>
+      `;
+      const sectionList = block.lastElementChild;
+      items.forEach(item => sectionList.appendChild(item));
+
+      // The section ends where the next heading starts, or at the collection for the last one
+      (headings[index] || collection).before(block);
+      this.printState.blocks.push(block);
+    });
+
+    // Section titles (numbering.restart) stay behind; they only head the collection's notes
+    this.printState.collectionHidden = collection.hidden;
+    collection.hidden = !list.querySelector(`:scope > .${this.config.classes?.footnoteItem || 'footnote-item'}`);
+  }
+
   /**
    * Mark system as ready and remove fallbacks
    * @private
@@ -713,6 +2024,8 @@ class FootnoteProcessor extends ContentProcessor {
     // Remove nested footnote markers that might cause duplicates
     const footnoteMarkers = temp.querySelectorAll('strong, sup, .footnote-ref, .footnote-link, [data-footnote]');
     footnoteMarkers.forEach(marker => {
+      if (marker.closest('.footnote-nested-ref')) return; // Resolved references to other notes stay
+
       const text = marker.textContent.trim();
       if (/^[\d¹²³⁴⁵⁶⁷⁸⁹⁰]+$/.test(text)) {
         marker.remove();
@@ -721,7 +2034,7 @@ class FootnoteProcessor extends ContentProcessor {
     
     // Clean up footnote patterns
     let cleanText = temp.innerHTML
-      .replace(/\[\^(\d+)\]/g, '')
+      .replace(/\[\^([\w-]+)\]/g, '')
       .replace(/^[\d¹²³⁴⁵⁶⁷⁸⁹⁰\s]*/, '')
       .trim();
     
@@ -739,7 +2052,8 @@ class FootnoteProcessor extends ContentProcessor {
       footnoteCount: this.footnotes.size,
       tooltipCount: this.tooltips.size,
       extensionCount: Array.from(this.footnotes.values()).filter(f => f.isExtension).length,
-      counter: this.counter
+      counter: this.counter,
+      mode: this.mode
     };
   }
 }
@@ -747,4 +2061,6 @@ class FootnoteProcessor extends ContentProcessor {
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = FootnoteProcessor;
+} else if (typeof window !== 'undefined') {
+  window.FootnoteProcessor = FootnoteProcessor;
 }
\ No newline at end of file
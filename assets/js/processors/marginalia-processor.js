@@ -1,13 +1,21 @@
 /**
  * Marginalia Processor - Pattern-based marginalia system
  * Converts [m][voice font-scale width position][content] patterns to styled marginalia
+ * Parameters may also be named: [m][voice=critic width=35 side=l scale=0.9][content]
+ * A note can be tied to words in its paragraph with anchor="exact phrase", or
+ * by wrapping them: [m~][voice=critic][anchored words][content]
+ * Voices resolve through the theme's VoiceRegistry: a note named for a voice
+ * takes its colour, font and icon, and its margin when no side is given
+ * A note answers an earlier one with reply=<id or number>; answers form a thread
  * 
  * Follows same architecture as ParagraphExtensionProcessor for consistency
  * 
  * Created: August 23, 2025
  */
 
-class MarginaliaProcessor extends ContentProcessor {
+class MarginaliaProcessor extends (typeof ContentProcessor !== 'undefined'
+  ? ContentProcessor
+  : require('../core/content-processor-base.js').ContentProcessor) {
   constructor(config = {}, container = null) {
     super(config, container);
     
@@ -18,6 +26,40 @@ class MarginaliaProcessor extends ContentProcessor {
     this.marginalia = new Map();
     this.counter = 0;
     
+    // Touch and compact modes: marginalia fold into voice badges that open them in place
+    this.touchMode = false;
+    this.touchMedia = null;
+    this.touchHandler = null;
+    this.compactMode = false;
+    this.compactMedia = null;
+    this.compactHandler = null;
+    this.folded = false;
+    this.drawers = []; // [{element, toggle, handler, generatedId, label, highlight, placeholder}]
+    this.expanded = new Set(); // Ids of notes the reader opened; kept across mode switches
+    
+    // Print: numbers added by preparePrint
+    this.printElements = [];
+    this.printing = false;
+    
+    // Margin layout: notes positioned in both margins on wide screens
+    this.layoutActive = false;
+    this.layoutMedia = null;
+    this.layoutFrame = null;      // Pending requestAnimationFrame id
+    this.layoutListeners = [];    // [{target, type, handler}]
+    this.resizeObserver = null;
+    
+    // Anchored phrases: marginaliaId → {element, highlight, phrase, listeners}
+    this.anchors = new Map();
+    this.activeAnchor = null;
+    this.anchorConnectors = null;
+    
+    // Voice legend added by renderLegend
+    this.legend = null;
+    
+    // Threads of replies: [{id, root, notes: [{element, depth, parent}], collapsed, toggle, elements, listeners}]
+    this.threads = [];
+    this.threadOf = new Map(); // note → thread
+    
     // Default parameters
     this.defaults = {
       voice: 1,
@@ -79,6 +121,13 @@ class MarginaliaProcessor extends ContentProcessor {
       // Keep existing HTML marginalia working (backward compatibility)
       this.processExistingHtmlMarginalia();
       
+      this.renderLegend();
+      this.buildThreads();
+      this.bindAnchors();
+      this.bindTouchMode();
+      this.bindCompactMode();
+      this.bindLayoutListeners();
+      
       if (this.logger) {
         const duration = this.logger.timeEnd('processing');
         this.logger.debug(`Processing completed: ${this.counter} marginalia processed in ${duration?.toFixed(2)}ms`);
@@ -99,11 +148,16 @@ class MarginaliaProcessor extends ContentProcessor {
     // Marginalia pattern: [m][voice font-scale width position][content]
     // Examples: [m][2 1.4 40 left][Edward Said argues...] 
     //           [m][1][Quick note]
-    // Use pattern from config for consistency
-    // FIXED: Made content matching greedy to handle nested brackets like [^2]
-    this.marginaliaPattern = this.config.patterns?.marginaliaPattern || /\[m\]\[([^\]]*)\]\[([\s\S]+)\]/g;
+    //           [m][voice=critic side=l][Named parameters, any order]
+    // Bracket counting (via ContentTokenizer) handles nested brackets like [^2]
+    this.marginaliaTrigger = this.config.patterns?.marginaliaTrigger || '[m]';
+    // Anchored form: [m~][params][anchored words][content]
+    this.anchoredTrigger = this.config.patterns?.anchoredTrigger || '[m~]';
     
-    this.logger.debug('Pattern configured with greedy matching for nested brackets', { pattern: this.marginaliaPattern.source });
+    this.logger.debug('Pattern configured with bracket-counting tokenizer', {
+      trigger: this.marginaliaTrigger,
+      anchoredTrigger: this.anchoredTrigger
+    });
   }
 
   /**
@@ -114,53 +168,60 @@ class MarginaliaProcessor extends ContentProcessor {
     this.logger.time('pattern-processing');
     this.logger.group('Pattern Processing');
     
-    const paragraphs = this.findAllInContainer(this.config.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li, div');
+    const selector = this.config.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li, div';
+    const tokenizer = this.getTokenizer();
+    const tokens = tokenizer.tokenize(this.container, [
+      { type: 'marginalia', trigger: this.marginaliaTrigger, sections: 2 },
+      { type: 'marginalia-anchored', trigger: this.anchoredTrigger, sections: 3 }
+    ], { selector });
     let marginaliaId = 1;
     
-    this.logger.debug(`Found ${paragraphs.length} elements to search for marginalia patterns`, {
-      selector: this.config.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li, div',
-      pattern: this.marginaliaPattern.source
+    this.logger.debug(`Found ${tokens.length} marginalia patterns`, {
+      selector: selector,
+      trigger: this.marginaliaTrigger
     });
 
-    paragraphs.forEach((paragraph, paraIndex) => {
-      const originalHTML = paragraph.innerHTML;
-      let hasMarginalia = false;
-      let modifiedHTML = originalHTML;
-
-      // Process all marginalia patterns in this paragraph
-      modifiedHTML = modifiedHTML.replace(this.marginaliaPattern, (match, params, content) => {
-        this.logger.debug(`Processing marginalia pattern: "${match.substring(0, 50)}..."`);
-        hasMarginalia = true;
-        
-        // Parse parameters
-        const parsedParams = this.parseMarginaliaParams(params);
-        
-        // Store marginalia data
-        const marginaliaData = {
-          id: `marginalia-${marginaliaId}`,
-          content: content,
-          voice: parsedParams.voice,
-          fontScale: parsedParams.fontScale,
-          width: parsedParams.width,
-          position: parsedParams.position,
-          paragraph: paragraph
-        };
-        
-        this.marginalia.set(marginaliaId, marginaliaData);
-        this.logger.debug(`Stored marginalia ${marginaliaId}`, parsedParams);
-
-        // Create marginalia HTML
-        const marginaliaHtml = this.createMarginaliaHtml(marginaliaId, marginaliaData);
-        
-        marginaliaId++;
-        this.incrementProcessed();
-        return marginaliaHtml;
-      });
+    tokenizer.replaceTokens(tokens, token => {
+      this.logger.debug(`Processing marginalia pattern: "${token.fullMatch.substring(0, 50)}..."`);
+      
+      // Parse parameters
+      const parsedParams = this.parseMarginaliaParams(token.sections[0]);
+      const wrapped = token.type === 'marginalia-anchored';
+      const voice = this.getVoiceRegistry().get(parsedParams.voice);
+      
+      // Store marginalia data
+      const marginaliaData = {
+        id: `marginalia-${marginaliaId}`,
+        content: tokenizer.getSectionHTML(token, wrapped ? 2 : 1),
+        voice: voice.name,
+        fontScale: parsedParams.fontScale,
+        width: parsedParams.width,
+        position: parsedParams.position || this.getVoiceSide(parsedParams.voice, voice),
+        anchor: wrapped ? null : parsedParams.anchor || null,
+        elementId: parsedParams.id || null,
+        reply: parsedParams.reply || null,
+        collapse: parsedParams.collapse === true,
+        paragraph: token.block
+      };
+      
+      this.marginalia.set(marginaliaId, marginaliaData);
+      this.logger.debug(`Stored marginalia ${marginaliaId}`, parsedParams);
 
-      if (hasMarginalia) {
-        this.logger.debug(`Updated paragraph ${paraIndex} with marginalia`);
-        paragraph.innerHTML = modifiedHTML;
+      // Create marginalia element
+      const marginaliaElement = this.createFromHTML(this.createMarginaliaHtml(marginaliaId, marginaliaData));
+      let node = marginaliaElement;
+      
+      // Anchored form: the wrapped words move (live, with any footnotes in them) into the highlight
+      if (wrapped) {
+        const highlight = this.createHighlight(marginaliaElement);
+        highlight.appendChild(tokenizer.extractSection(token, 1));
+        node = document.createDocumentFragment();
+        node.append(highlight, marginaliaElement);
       }
+      
+      marginaliaId++;
+      this.incrementProcessed();
+      return node;
     });
 
     this.counter = marginaliaId - 1;
@@ -170,77 +231,47 @@ class MarginaliaProcessor extends ContentProcessor {
 
   /**
    * Parse marginalia parameters from pattern
-   * @param {string} params - Parameter string (e.g., "2 1.4 40 left")
+   * Accepts the positional form ("2 1.4 40 left") and named keys
+   * ("voice=critic width=35 side=l scale=0.9"); see MarginaliaParamParser
+   * @param {string} params - Parameter string
    * @returns {Object} Parsed parameters
    * @private
    */
   parseMarginaliaParams(params) {
-    const parts = params.trim().split(/\s+/);
+    const { params: parsed, warnings } = this.getParamParser().parse(params);
     
-    return {
-      voice: this.parseVoice(parts[0]),
-      fontScale: this.parseFontScale(parts[1]),
-      width: this.parseWidth(parts[2]),
-      position: this.parsePosition(parts[3])
-    };
-  }
-
-  /**
-   * Parse voice parameter (1-6)
-   * @param {string} value - Voice value
-   * @returns {number} Parsed voice
-   * @private
-   */
-  parseVoice(value) {
-    if (!value) return this.defaults.voice;
-    const voice = parseInt(value);
-    return (voice >= 1 && voice <= 6) ? voice : this.defaults.voice;
-  }
-
-  /**
-   * Parse font scale parameter (0.4-2.5)
-   * @param {string} value - Font scale value
-   * @returns {number} Parsed font scale
-   * @private
-   */
-  parseFontScale(value) {
-    if (!value) return this.defaults.fontScale;
-    const scale = parseFloat(value);
-    return (scale >= 0.4 && scale <= 2.5) ? scale : this.defaults.fontScale;
+    warnings.forEach(warning => this.logger.warn(warning.message));
+    
+    return parsed;
   }
 
   /**
-   * Parse width parameter (5-90% of content area)
-   * @param {string} value - Width value
-   * @returns {number} Parsed width
+   * Get the shared parameter parser
+   * Notes that give no side are left without one, for getVoiceSide to fill in
+   * @returns {MarginaliaParamParser} Parser instance
    * @private
    */
-  parseWidth(value) {
-    if (!value) return this.defaults.width;
-    const width = parseInt(value);
-    // Allow wider range: 5-90% to support various marginalia widths
-    return (width >= 5 && width <= 90) ? width : this.defaults.width;
+  getParamParser() {
+    if (!this.paramParser) {
+      const Parser = typeof MarginaliaParamParser !== 'undefined'
+        ? MarginaliaParamParser
+        : require('../utils/marginalia-param-parser.js');
+      this.paramParser = new Parser({ ...this.defaults, position: null }, this.logger);
+    }
+    return this.paramParser;
   }
 
   /**
-   * Parse position parameter (left/right/l/r)
-   * @param {string} value - Position value
-   * @returns {string} Parsed position
+   * Margin for a note that gives no side: its voice's side when the voice is
+   * named, the default side for the numbered voices (which always had it)
+   * @param {string|number} given - Voice as written
+   * @param {Object} voice - Resolved voice
+   * @returns {string} left or right
    * @private
    */
-  parsePosition(value) {
-    if (!value) return this.defaults.position;
-    
-    // Normalize to lowercase for comparison
-    const normalized = value.toLowerCase().trim();
-    
-    // Accept both short and long forms
-    if (normalized === 'left' || normalized === 'l') return 'left';
-    if (normalized === 'right' || normalized === 'r') return 'right';
-    
-    // Invalid value - use default
-    this.logger.warn(`Invalid position "${value}", using default: ${this.defaults.position}`);
-    return this.defaults.position;
+  getVoiceSide(given, voice) {
+    const named = given !== undefined && given !== null && !/^\d+$/.test(String(given));
+    return named ? voice.side : this.defaults.position;
   }
 
   /**
@@ -253,45 +284,24 @@ class MarginaliaProcessor extends ContentProcessor {
   createMarginaliaHtml(marginaliaId, data) {
     const classes = this.config.classes || {};
     
+    // Optional named parameters
+    const optional = [
+      data.elementId ? `id="${this.escapeHTML(data.elementId)}"` : '',
+      data.anchor ? `data-anchor="${this.escapeHTML(data.anchor)}"` : '',
+      data.reply ? `data-reply="${this.escapeHTML(data.reply)}"` : '',
+      data.collapse ? 'data-collapse="true"' : ''
+    ].filter(Boolean).join(' ');
+    
     return `<div class="${classes.marginalia || 'marginalia-voice'}" 
-                 data-voice="${data.voice}"
+                 data-voice="${this.escapeHTML(data.voice)}"
                  data-font-scale="${data.fontScale}"
                  data-width="${data.width}"
                  data-position="${data.position}"
-                 data-marginalia-id="${marginaliaId}">
-              ${this.processMarginaliaContent(data.content)}
+                 data-marginalia-id="${marginaliaId}" ${optional}>
+              ${this.renderMarkdown(data.content)}
             </div>`;
   }
 
-  /**
-   * Process marginalia content (supports basic markdown-like syntax and multiline formatting)
-   * @param {string} content - Raw marginalia content
-   * @returns {string} Processed content
-   * @private
-   */
-  processMarginaliaContent(content) {
-    // Clean up multiline content while preserving intentional formatting
-    const cleanContent = content
-      .trim() // Remove leading/trailing whitespace
-      .replace(/\n\s*\n/g, '</p><p>') // Double line breaks become paragraph breaks
-      .replace(/\n/g, ' ') // Single line breaks become spaces
-      .replace(/\s+/g, ' '); // Collapse multiple spaces
-    
-    // Process markdown-like syntax
-    const processed = cleanContent
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      .replace(/`(.*?)`/g, '<code>$1</code>')
-      .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
-    
-    // Wrap in paragraph tags if we created paragraph breaks
-    if (processed.includes('</p><p>')) {
-      return `<p>${processed}</p>`;
-    }
-    
-    return processed;
-  }
-
   /**
    * Process existing HTML marginalia for backward compatibility
    * @private
@@ -317,11 +327,915 @@ class MarginaliaProcessor extends ContentProcessor {
    * @private
    */
   enhanceExistingMarginalia(element) {
+    const given = element.dataset.voice;
+    const voice = this.applyVoice(element, given || this.defaults.voice);
+    
     // Add default values for missing attributes
-    if (!element.dataset.voice) element.dataset.voice = '1';
     if (!element.dataset.fontScale) element.dataset.fontScale = '1.0';
     if (!element.dataset.width) element.dataset.width = '30';
-    if (!element.dataset.position) element.dataset.position = 'right';
+    if (!element.dataset.position) element.dataset.position = this.getVoiceSide(given, voice);
+  }
+
+  /**
+   * Give an element a voice from the registry: data-voice becomes the voice's
+   * name, --voice-color and --voice-font carry its look, and data-voice-icon
+   * its glyph (shown by CSS)
+   * @param {Element} element - Note, highlight, toggle or connector
+   * @param {string|number} value - Voice name or alias
+   * @returns {Object} Voice
+   * @private
+   */
+  applyVoice(element, value) {
+    const voice = this.getVoiceRegistry().apply(element, value);
+    if (voice.icon) element.dataset.voiceIcon = voice.icon;
+    return voice;
+  }
+
+  /**
+   * Key to the voices speaking in the post (VoiceRegistry.createLegend)
+   * An element with data-voice-legend in an HTML card places it (or, with a
+   * value, positions it like #voice-legend-start/end/none); otherwise it
+   * goes at legend.position once legend.minVoices different voices speak
+   * @private
+   */
+  renderLegend() {
+    const options = this.config.legend || {};
+    const marker = this.findInContainer('[data-voice-legend]');
+    const position = this.getPostSetting('data-voice-legend', 'voice-legend-') || options.position || 'start';
+    if (position === 'none') return;
+
+    const voices = Array.from(this.findAllInContainer('.marginalia-voice')).map(element => element.dataset.voice);
+    const placed = marker && !marker.getAttribute('data-voice-legend');
+    if (!placed && new Set(voices).size < (options.minVoices ?? 2)) return;
+
+    this.legend = this.getVoiceRegistry().createLegend(voices, {
+      className: this.config.classes?.legend || 'voice-legend',
+      title: options.title
+    });
+    if (!this.legend) return;
+
+    if (placed) {
+      marker.appendChild(this.legend);
+    } else if (position === 'end') {
+      this.container.appendChild(this.legend);
+    } else {
+      this.container.prepend(this.legend);
+    }
+    this.logger.debug(`Voice legend: ${new Set(voices).size} voices`);
+  }
+
+  /**
+   * Highlight for the words a note is anchored to
+   * @param {Element} element - Marginalia element
+   * @returns {Element} Empty highlight span
+   * @private
+   */
+  createHighlight(element) {
+    const highlight = this.createElement('span', this.config.classes?.anchor || 'marginalia-anchor');
+    highlight.dataset.marginaliaFor = element.dataset.marginaliaId;
+    this.applyVoice(highlight, element.dataset.voice);
+    return highlight;
+  }
+
+  /**
+   * Connect every anchored note with its highlight: wrap anchor="phrase"
+   * words (the wrapped form arrives already highlighted) and light both up
+   * together on hover or focus
+   * @private
+   */
+  bindAnchors() {
+    const highlights = new Map(Array.from(this.findAllInContainer('.marginalia-anchor[data-marginalia-for]'))
+      .map(highlight => [highlight.dataset.marginaliaFor, highlight]));
+
+    this.findAllInContainer('.marginalia-voice').forEach(element => {
+      const id = element.dataset.marginaliaId;
+      if (!id || this.anchors.has(id)) return;
+
+      let highlight = highlights.get(id);
+      const phrase = element.dataset.anchor;
+
+      if (!highlight && phrase) {
+        highlight = this.wrapPhrase(element, phrase);
+        if (!highlight) {
+          this.logger.warn(`Marginalia ${id}: anchor "${phrase}" not found in its paragraph - anchoring to the paragraph`);
+          return;
+        }
+      }
+      if (highlight) this.registerAnchor(element, highlight, Boolean(phrase));
+    });
+
+    this.logger.debug(`${this.anchors.size} marginalia anchored to phrases`);
+  }
+
+  /**
+   * Find a phrase in a note's paragraph and wrap it in a highlight
+   * Matches exact text first, then ignoring case; marginal notes themselves are not searched
+   * @param {Element} element - Marginalia element
+   * @param {string} phrase - Phrase to find
+   * @returns {Element|null} Highlight, or null when the phrase is not there
+   * @private
+   */
+  wrapPhrase(element, phrase) {
+    const block = this.getBlock(element);
+    const skip = '.marginalia-voice, .marginalia-anchor, .marginalia-drawer-toggle, .marginalia-print-ref';
+    const { NodeFilter } = window;
+    const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (node.parentElement?.closest(skip) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+
+    const nodes = [];
+    let text = '';
+    while (walker.nextNode()) {
+      nodes.push({ node: walker.currentNode, start: text.length });
+      text += walker.currentNode.nodeValue;
+    }
+
+    let start = text.indexOf(phrase);
+    if (start === -1) start = text.toLowerCase().indexOf(phrase.toLowerCase());
+    if (start === -1) return null;
+
+    const locate = (position, isEnd) => {
+      const entry = nodes.find(({ node, start: from }) => (isEnd
+        ? position > from && position <= from + node.nodeValue.length
+        : position >= from && position < from + node.nodeValue.length));
+      return [entry.node, position - entry.start];
+    };
+
+    const range = document.createRange();
+    range.setStart(...locate(start, false));
+    range.setEnd(...locate(start + phrase.length, true));
+
+    const highlight = this.createHighlight(element);
+    highlight.appendChild(range.extractContents());
+    range.insertNode(highlight);
+    return highlight;
+  }
+
+  /**
+   * Hovering or focusing either end lights up both and draws a connector;
+   * tapping the highlight opens a folded note
+   * @param {Element} element - Marginalia element
+   * @param {Element} highlight - Highlight span
+   * @param {boolean} phrase - Whether the highlight was made from anchor="phrase" (undone in cleanup)
+   * @private
+   */
+  registerAnchor(element, highlight, phrase) {
+    const record = { element, highlight, phrase, listeners: [] };
+    const listen = (target, type, handler) => {
+      target.addEventListener(type, handler);
+      record.listeners.push({ target, type, handler });
+    };
+    const on = () => this.setAnchorActive(record, true);
+    const off = event => {
+      // Moving between the two ends (or within one) keeps them lit
+      if (event.relatedTarget && (element.contains(event.relatedTarget) || highlight.contains(event.relatedTarget))) return;
+      this.setAnchorActive(record, false);
+    };
+
+    [element, highlight].forEach(target => {
+      listen(target, 'mouseenter', on);
+      listen(target, 'mouseleave', off);
+      listen(target, 'focusin', on);
+      listen(target, 'focusout', off);
+    });
+
+    listen(highlight, 'click', () => this.revealAnchoredNote(record));
+    listen(highlight, 'keydown', event => {
+      if (highlight.getAttribute('role') !== 'button' || (event.key !== 'Enter' && event.key !== ' ')) return;
+      event.preventDefault();
+      this.revealAnchoredNote(record);
+    });
+
+    this.anchors.set(element.dataset.marginaliaId, record);
+  }
+
+  /**
+   * Tapping a highlight whose note is folded into a drawer opens it in place
+   * @param {Object} record - Anchor record
+   * @private
+   */
+  revealAnchoredNote(record) {
+    const drawer = this.drawers.find(({ element }) => element === record.element);
+    if (drawer) {
+      this.toggleDrawer(drawer);
+      this.setAnchorActive(record, !drawer.element.classList.contains('marginalia-drawer-closed'));
+    }
+  }
+
+  /**
+   * Light a note and its highlight up together, connected by a line
+   * @param {Object} record - Anchor record
+   * @param {boolean} active - On or off
+   * @private
+   */
+  setAnchorActive(record, active) {
+    if (active && this.activeAnchor && this.activeAnchor !== record) {
+      this.setAnchorActive(this.activeAnchor, false);
+    }
+
+    record.element.classList.toggle('marginalia-active', active);
+    record.highlight.classList.toggle('marginalia-active', active);
+    this.activeAnchor = active ? record : null;
+
+    if (active) {
+      this.drawAnchorConnector(record);
+    } else {
+      this.anchorConnectors?.replaceChildren();
+    }
+  }
+
+  /**
+   * Line from the highlight, across the text column, to the note
+   * Folded notes have nothing to connect to
+   * @param {Object} record - Anchor record
+   * @private
+   */
+  drawAnchorConnector(record) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+
+    if (!this.anchorConnectors) {
+      this.anchorConnectors = document.createElementNS(svgNS, 'svg');
+      this.anchorConnectors.setAttribute('class', 'marginalia-connectors');
+      this.anchorConnectors.setAttribute('aria-hidden', 'true');
+      this.container.appendChild(this.anchorConnectors);
+    }
+    this.anchorConnectors.replaceChildren();
+
+    if (record.element.classList.contains('marginalia-drawer-closed')) return;
+
+    const origin = this.container.getBoundingClientRect();
+    // The last line of a phrase that wraps is nearest a note on the right, the first nearest one on the left
+    const lines = record.highlight.getClientRects?.() || [];
+    const note = record.element.getBoundingClientRect();
+    const rightward = note.left >= origin.left + origin.width / 2;
+    const phrase = (rightward ? lines[lines.length - 1] : lines[0]) || record.highlight.getBoundingClientRect();
+
+    const y = phrase.top + phrase.height / 2 - origin.top;
+    const points = rightward
+      ? [[phrase.right - origin.left, y], [origin.width, y], [note.left - origin.left, note.top + 8 - origin.top]]
+      : [[phrase.left - origin.left, y], [0, y], [note.right - origin.left, note.top + 8 - origin.top]];
+
+    const line = document.createElementNS(svgNS, 'polyline');
+    line.setAttribute('points', points.map(point => point.map(Math.round).join(',')).join(' '));
+    this.getVoiceRegistry().apply(line, record.element.dataset.voice);
+    line.dataset.marginaliaId = record.element.dataset.marginaliaId;
+    this.anchorConnectors.appendChild(line);
+  }
+
+  /**
+   * Undo bindAnchors: phrase highlights go back to plain text
+   * @private
+   */
+  unbindAnchors() {
+    this.anchors.forEach(record => {
+      record.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+      record.element.classList.remove('marginalia-active');
+      if (record.phrase) {
+        record.highlight.replaceWith(...record.highlight.childNodes);
+      }
+    });
+    this.anchors.clear();
+    this.activeAnchor = null;
+    this.anchorConnectors?.remove();
+    this.anchorConnectors = null;
+  }
+
+  /**
+   * Gather notes written with reply= into threads: each thread is its first
+   * note followed by the replies, depth-first in the order they were written.
+   * Replies are indented by depth and headed by the voice they answer; every
+   * threaded note gets buttons to follow the thread, and the first one a
+   * toggle that collapses the thread to it (collapse=true starts collapsed)
+   * @private
+   */
+  buildThreads() {
+    const notes = Array.from(this.findAllInContainer('.marginalia-voice'));
+    const byKey = new Map();
+    const replies = new Map(); // element → direct replies, in reading order
+    const answered = new Set();
+
+    notes.forEach(element => {
+      const reply = element.dataset.reply;
+      replies.set(element, []);
+
+      if (reply) {
+        const parent = byKey.get(reply) || byKey.get(`marginalia-${reply}`);
+        if (parent) {
+          replies.get(parent).push(element);
+          answered.add(element);
+        } else {
+          this.logger.warn(`Marginalia ${element.dataset.marginaliaId}: reply="${reply}" matches no earlier note - shown on its own`);
+        }
+      }
+
+      byKey.set(`marginalia-${element.dataset.marginaliaId}`, element);
+      if (element.id) byKey.set(element.id, element);
+    });
+
+    notes.filter(element => !answered.has(element) && replies.get(element).length > 0).forEach(root => {
+      const thread = { id: `thread-${root.dataset.marginaliaId}`, root, notes: [], collapsed: false, elements: [], listeners: [] };
+      const walk = (element, depth, parent) => {
+        thread.notes.push({ element, depth, parent });
+        replies.get(element).forEach(child => walk(child, depth + 1, element));
+      };
+      walk(root, 0, null);
+
+      // Ids first: the first note's toggle controls the replies after it
+      thread.notes.forEach((entry, index) => {
+        entry.generatedId = !entry.element.id;
+        if (entry.generatedId) entry.element.id = `marginalia-${thread.id}-${index + 1}`;
+      });
+      thread.notes.forEach((entry, index) => this.decorateThreadNote(thread, entry, index));
+      this.threads.push(thread);
+      this.setThreadCollapsed(thread, root.dataset.collapse === 'true');
+    });
+
+    this.logger.debug(`${this.threads.length} marginalia threads`);
+  }
+
+  /**
+   * Mark one note as part of its thread and add its controls
+   * @param {Object} thread - Thread
+   * @param {Object} entry - {element, depth, parent}
+   * @param {number} index - Place in the thread
+   * @private
+   */
+  decorateThreadNote(thread, entry, index) {
+    const { element, depth, parent } = entry;
+    const registry = this.getVoiceRegistry();
+    const listen = (target, type, handler) => {
+      target.addEventListener(type, handler);
+      thread.listeners.push({ target, type, handler });
+    };
+
+    this.threadOf.set(element, thread);
+    element.classList.add(this.config.classes?.thread || 'marginalia-thread');
+    element.dataset.thread = thread.id;
+    element.dataset.threadDepth = String(depth);
+    element.style.setProperty('--thread-depth', String(depth));
+    entry.addedTabindex = !element.hasAttribute('tabindex');
+    if (entry.addedTabindex) element.setAttribute('tabindex', '-1');
+
+    if (parent) {
+      const heading = this.createElement('span', 'marginalia-reply-to');
+      const voice = registry.apply(heading, parent.dataset.voice);
+      heading.textContent = `↳ ${voice.label}`;
+      heading.setAttribute('aria-label', `In reply to ${voice.label}`);
+      element.prepend(heading);
+      thread.elements.push(heading);
+    }
+
+    const controls = this.createElement('span', 'marginalia-thread-controls');
+    const step = (offset, text, label) => {
+      const target = thread.notes[index + offset];
+      const button = this.createElement('button', 'marginalia-thread-step');
+      button.type = 'button';
+      button.textContent = text;
+      if (target) {
+        button.setAttribute('aria-label', `${label} in thread (${registry.get(target.element.dataset.voice).label})`);
+        listen(button, 'click', () => this.followThread(thread, index + offset));
+      } else {
+        button.disabled = true;
+        button.setAttribute('aria-label', `${label} in thread`);
+      }
+      return button;
+    };
+
+    if (index === 0) {
+      thread.toggle = this.createElement('button', 'marginalia-thread-toggle');
+      this.setAttributes(thread.toggle, {
+        type: 'button',
+        'aria-controls': thread.notes.slice(1).map(reply => reply.element.id).join(' ')
+      });
+      listen(thread.toggle, 'click', () => this.setThreadCollapsed(thread, !thread.collapsed));
+      controls.appendChild(thread.toggle);
+    }
+    controls.append(step(-1, '↑', 'Previous'), step(1, '↓', 'Next'));
+    element.appendChild(controls);
+    thread.elements.push(controls);
+  }
+
+  /**
+   * Collapse a thread to its first note, or open it again
+   * @param {Object} thread - Thread
+   * @param {boolean} collapsed - Collapsed or open
+   * @private
+   */
+  setThreadCollapsed(thread, collapsed) {
+    const count = thread.notes.length - 1;
+    thread.collapsed = collapsed;
+    thread.notes.slice(1).forEach(({ element }) => element.classList.toggle('marginalia-thread-collapsed', collapsed));
+
+    thread.toggle.setAttribute('aria-expanded', String(!collapsed));
+    thread.toggle.textContent = collapsed ? `+${count} ${count === 1 ? 'reply' : 'replies'}` : 'Collapse';
+    thread.toggle.setAttribute('aria-label', collapsed
+      ? `Show ${count} ${count === 1 ? 'reply' : 'replies'}`
+      : 'Collapse thread to its first note');
+
+    this.scheduleLayout();
+  }
+
+  /**
+   * Go to a note in a thread: scroll to the words or paragraph it is
+   * anchored to (its badge when folded), opening it if needed, and focus it
+   * @param {Object} thread - Thread
+   * @param {number} index - Place in the thread
+   * @private
+   */
+  followThread(thread, index) {
+    const { element } = thread.notes[index];
+    if (thread.collapsed && index > 0) this.setThreadCollapsed(thread, false);
+
+    const drawer = this.drawers.find(candidate => candidate.element === element);
+    if (drawer && element.classList.contains('marginalia-drawer-closed')) this.toggleDrawer(drawer);
+
+    const anchor = drawer ? drawer.toggle : this.getAnchor(element);
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)')?.matches;
+    anchor.scrollIntoView?.({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'center' });
+    element.focus({ preventScroll: true });
+  }
+
+  /**
+   * Undo buildThreads
+   * @private
+   */
+  unbindThreads() {
+    this.threads.forEach(thread => {
+      thread.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+      thread.elements.forEach(element => element.remove());
+      thread.notes.forEach(({ element, generatedId, addedTabindex }) => {
+        element.classList.remove(this.config.classes?.thread || 'marginalia-thread', 'marginalia-thread-collapsed');
+        ['thread', 'threadDepth'].forEach(key => delete element.dataset[key]);
+        element.style.removeProperty('--thread-depth');
+        if (generatedId) element.removeAttribute('id');
+        if (addedTabindex) element.removeAttribute('tabindex');
+      });
+    });
+    this.threads = [];
+    this.threadOf.clear();
+  }
+
+  /**
+   * Follow the touch-mode media query (see ContentProcessor.getTouchMedia)
+   * @private
+   */
+  bindTouchMode() {
+    this.touchMedia = this.getTouchMedia();
+    if (!this.touchMedia) return;
+
+    this.touchHandler = () => this.setTouchMode(this.touchMedia.matches);
+    this.touchMedia.addEventListener?.('change', this.touchHandler);
+    this.setTouchMode(this.touchMedia.matches);
+  }
+
+  /**
+   * Switch touch mode on or off
+   * Floated marginalia squeeze a phone-width column to nothing, so in touch
+   * mode each one folds behind a toggle in the text and opens in place
+   * @param {boolean} active - Whether the reader is on a touch device
+   * @private
+   */
+  setTouchMode(active) {
+    if (active === this.touchMode) return;
+    this.touchMode = active;
+    this.container.classList.toggle(this.config.classes?.touchMode || 'marginalia-touch-mode', active);
+    this.updateDrawers();
+  }
+
+  /**
+   * Follow the compact-mode media query: viewports narrower than
+   * compact.breakpoint, whatever the pointer
+   * @private
+   */
+  bindCompactMode() {
+    const compact = this.config.compact || {};
+    if (compact.enabled === false || typeof window.matchMedia !== 'function') return;
+
+    this.compactMedia = window.matchMedia(`(max-width: ${(compact.breakpoint || 768) - 1}px)`);
+    this.compactHandler = () => this.setCompactMode(this.compactMedia.matches);
+    this.compactMedia.addEventListener?.('change', this.compactHandler);
+    this.setCompactMode(this.compactMedia.matches);
+  }
+
+  /**
+   * Switch compact mode on or off
+   * Below tablet width a floated note leaves the text a sliver, so each one
+   * folds into a voice badge after its anchor, as in touch mode
+   * @param {boolean} active - Whether the viewport is narrower than compact.breakpoint
+   * @private
+   */
+  setCompactMode(active) {
+    if (active === this.compactMode) return;
+    this.compactMode = active;
+    this.container.classList.toggle(this.config.classes?.compact || 'marginalia-compact', active);
+    this.updateDrawers();
+  }
+
+  /**
+   * Fold the notes into badges in touch or compact mode (never on paper),
+   * or put them back in the margin. Notes the reader had open open again
+   * @private
+   */
+  updateDrawers() {
+    const folded = (this.touchMode || this.compactMode) && !this.printing;
+
+    if (folded !== this.folded) {
+      this.folded = folded;
+      if (folded) {
+        this.findAllInContainer('.marginalia-voice').forEach(element => this.createDrawer(element));
+        this.logger.debug(`${this.drawers.length} marginalia folded into badges`);
+      } else {
+        this.removeDrawers();
+      }
+    }
+
+    this.updateLayout();
+  }
+
+  /**
+   * Fold one marginal note behind a voice badge: a disclosure button
+   * (aria-expanded, aria-controls) right after the note's anchor - its
+   * highlighted words, or where it was written - that opens it in place
+   * @param {Element} element - Marginalia element
+   * @private
+   */
+  createDrawer(element) {
+    const generatedId = !element.id;
+    if (generatedId) {
+      element.id = `marginalia-drawer-${element.dataset.marginaliaId}`;
+    }
+    const open = this.expanded.has(element.dataset.marginaliaId);
+
+    const toggle = this.createElement('button', 'marginalia-drawer-toggle');
+    const voice = this.applyVoice(toggle, element.dataset.voice);
+    this.setAttributes(toggle, {
+      type: 'button',
+      title: voice.label,
+      'aria-expanded': String(open),
+      'aria-controls': element.id,
+      'aria-label': `${open ? 'Hide' : 'Show'} margin note (${voice.label})`
+    });
+    toggle.textContent = voice.icon || '[m]';
+
+    const drawer = { element, toggle, generatedId, label: voice.label };
+    drawer.handler = () => this.toggleDrawer(drawer);
+    toggle.addEventListener('click', drawer.handler);
+
+    // The highlight of an anchored note opens the drawer too, and the note moves up beside it
+    const highlight = this.anchors.get(element.dataset.marginaliaId)?.highlight;
+    if (highlight) {
+      this.setAttributes(highlight, {
+        role: 'button',
+        tabindex: '0',
+        'aria-expanded': String(open),
+        'aria-controls': element.id
+      });
+      drawer.highlight = highlight;
+
+      if (highlight.nextSibling !== element) {
+        drawer.placeholder = document.createComment(`marginalia ${element.dataset.marginaliaId}`);
+        element.replaceWith(drawer.placeholder);
+        highlight.after(element);
+      }
+    }
+
+    element.classList.add('marginalia-drawer');
+    element.classList.toggle('marginalia-drawer-closed', !open);
+    element.before(toggle);
+    this.drawers.push(drawer);
+  }
+
+  /**
+   * Open or close a drawer
+   * @param {Object} drawer - Drawer record
+   * @private
+   */
+  toggleDrawer(drawer) {
+    const open = drawer.element.classList.toggle('marginalia-drawer-closed') === false;
+    drawer.toggle.setAttribute('aria-expanded', String(open));
+    drawer.toggle.setAttribute('aria-label', `${open ? 'Hide' : 'Show'} margin note (${drawer.label})`);
+    drawer.highlight?.setAttribute('aria-expanded', String(open));
+
+    const id = drawer.element.dataset.marginaliaId;
+    if (open) {
+      this.expanded.add(id);
+    } else {
+      this.expanded.delete(id);
+    }
+  }
+
+  /**
+   * Put every marginal note back in the margin, where it was written
+   * @private
+   */
+  removeDrawers() {
+    this.drawers.forEach(({ element, toggle, handler, generatedId, highlight, placeholder }) => {
+      toggle.removeEventListener('click', handler);
+      toggle.remove();
+      ['role', 'tabindex', 'aria-expanded', 'aria-controls'].forEach(name => highlight?.removeAttribute(name));
+      element.classList.remove('marginalia-drawer', 'marginalia-drawer-closed');
+      if (generatedId) element.removeAttribute('id');
+      placeholder?.replaceWith(element);
+    });
+    this.drawers = [];
+  }
+
+  /**
+   * Watch everything that moves a note's anchor: the viewport (size and
+   * layout.breakpoint), web fonts, and the content's size (extensions
+   * opening and closing, images loading)
+   * @private
+   */
+  bindLayoutListeners() {
+    const layout = this.config.layout || {};
+    if (layout.enabled === false) return;
+
+    this.layoutMedia = window.matchMedia?.(`(min-width: ${layout.breakpoint || 1200}px)`) || null;
+
+    const listen = (target, type, handler) => {
+      if (!target?.addEventListener) return;
+      target.addEventListener(type, handler);
+      this.layoutListeners.push({ target, type, handler });
+    };
+    const relayout = () => this.scheduleLayout();
+
+    listen(this.layoutMedia, 'change', () => this.updateLayout());
+    listen(window, 'resize', relayout);
+    listen(document.fonts, 'loadingdone', relayout);
+    document.fonts?.ready?.then(relayout);
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(relayout);
+      this.resizeObserver.observe(this.container);
+    }
+
+    this.updateLayout();
+  }
+
+  /**
+   * @private
+   */
+  unbindLayoutListeners() {
+    this.layoutListeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+    this.layoutListeners = [];
+    this.resizeObserver?.disconnect();
+    this.resizeObserver = null;
+    this.layoutMedia = null;
+  }
+
+  /**
+   * Margin layout runs on screens wider than layout.breakpoint, while the
+   * notes are not folded into badges and not in print; everywhere else the
+   * notes keep their CSS floats
+   * @private
+   */
+  updateLayout() {
+    const active = Boolean(this.layoutMedia?.matches) && !this.folded && !this.printing;
+
+    if (active) {
+      this.layoutActive = true;
+      this.container.classList.add(this.config.classes?.layout || 'marginalia-layout');
+      this.layoutMarginalia();
+    } else if (this.layoutActive) {
+      this.clearLayout();
+    }
+  }
+
+  /**
+   * Lay out the margins on the next frame (coalesces bursts of resize events)
+   * @private
+   */
+  scheduleLayout() {
+    if (!this.layoutActive || this.layoutFrame !== null) return;
+
+    const frame = window.requestAnimationFrame || (callback => setTimeout(callback, 16));
+    this.layoutFrame = frame(() => {
+      this.layoutFrame = null;
+      this.layoutMarginalia();
+    });
+  }
+
+  /**
+   * Measure every note and place it level with its anchor paragraph, stacked
+   * below earlier notes in the same margin or moved to the other margin when
+   * its own is crowded (see SidenoteLayout.placeSides)
+   * Footnote sidenotes step around marginalia, so they hear about each pass
+   * through a marginalia-layout event on the container
+   * @private
+   */
+  layoutMarginalia() {
+    if (!this.layoutActive) return;
+
+    const layout = this.config.layout || {};
+    const Layout = typeof SidenoteLayout !== 'undefined' ? SidenoteLayout : require('../utils/sidenote-layout.js');
+    const engine = new Layout({ gap: layout.gap ?? 12, switchThreshold: layout.switchThreshold ?? 48 });
+    const origin = this.container.getBoundingClientRect();
+
+    const notes = Array.from(this.findAllInContainer('.marginalia-voice')).filter(element => {
+      const rect = element.getBoundingClientRect();
+      return rect.width > 0 || rect.height > 0; // Hidden inside a closed extension
+    });
+
+    const items = notes.map(element => {
+      // A thread keeps to its first note's margin, so it reads as one column
+      const thread = this.threadOf.get(element);
+      const position = (thread?.root || element).dataset.position || '';
+
+      return {
+        id: element.dataset.marginaliaId,
+        top: this.getAnchor(element).getBoundingClientRect().top - origin.top,
+        height: element.getBoundingClientRect().height,
+        side: /left/.test(position) ? 'left' : 'right',
+        fixed: layout.switchSides === false || Boolean(thread)
+      };
+    });
+
+    engine.placeSides(items).forEach((placement, index) => {
+      const element = notes[index];
+      // Offsets are measured from the container; the note is positioned from its offset parent
+      const parent = element.offsetParent && element.offsetParent !== this.container
+        ? element.offsetParent.getBoundingClientRect().top - origin.top
+        : 0;
+
+      element.dataset.side = placement.side;
+      element.style.top = `${Math.round(placement.top - parent)}px`;
+    });
+
+    if (this.activeAnchor) this.drawAnchorConnector(this.activeAnchor);
+
+    this.logger.debug(`Margin layout: ${notes.length} marginalia placed`);
+    this.container.dispatchEvent(new window.Event('marginalia-layout'));
+  }
+
+  /**
+   * What a note is placed level with: its highlighted phrase, or its paragraph
+   * @param {Element} element - Marginalia element
+   * @returns {Element} Anchor
+   * @private
+   */
+  getAnchor(element) {
+    return this.anchors.get(element.dataset.marginaliaId)?.highlight || this.getBlock(element);
+  }
+
+  /**
+   * The paragraph a note belongs to: the block it was written in, or for an
+   * HTML note between blocks, the block it floated beside (the next one)
+   * @param {Element} element - Marginalia element
+   * @returns {Element} Paragraph
+   * @private
+   */
+  getBlock(element) {
+    if (element.parentElement && element.parentElement !== this.container) {
+      return element.parentElement;
+    }
+
+    let sibling = element.nextElementSibling;
+    while (sibling?.classList.contains('marginalia-voice')) {
+      sibling = sibling.nextElementSibling;
+    }
+    return sibling || element.previousElementSibling || element;
+  }
+
+  /**
+   * Hand the notes back to their CSS floats
+   * @private
+   */
+  clearLayout() {
+    if (this.layoutFrame !== null) {
+      (window.cancelAnimationFrame || clearTimeout)(this.layoutFrame);
+      this.layoutFrame = null;
+    }
+
+    this.findAllInContainer('.marginalia-voice[data-side]').forEach(element => {
+      delete element.dataset.side;
+      element.style.removeProperty('top');
+    });
+    this.container.classList.remove(this.config.classes?.layout || 'marginalia-layout');
+    this.layoutActive = false;
+  }
+
+  /**
+   * Every marginal note, written with [m] or as an HTML card
+   * In touch mode a closed drawer's toggle is the anchor, since the note is folded away.
+   * A thread is listed in thread order at its first note's place (position),
+   * each reply with its depth
+   * @returns {Array<Object>} Notes panel entries
+   */
+  getNotes() {
+    return this.getThreadOrder().map(element => {
+      const marginaliaData = this.marginalia.get(parseInt(element.dataset.marginaliaId, 10));
+      const voice = this.getVoiceRegistry().get(element.dataset.voice);
+      const thread = this.threadOf.get(element);
+      const entry = thread?.notes.find(note => note.element === element);
+      const toggle = element.previousElementSibling;
+      const folded = element.classList.contains('marginalia-drawer-closed') &&
+                     toggle?.classList.contains('marginalia-drawer-toggle');
+
+      const note = {
+        type: 'marginalia',
+        id: `marginalia-${element.dataset.marginaliaId}`,
+        label: `Margin note (${voice.label})`,
+        voice: voice.name,
+        voiceLabel: voice.label,
+        html: marginaliaData ? this.renderMarkdown(marginaliaData.content) : this.sanitizeHTML(this.getNoteHTML(element)),
+        anchor: folded ? toggle : element
+      };
+
+      if (entry?.parent) {
+        note.label = `Reply (${voice.label}) to ${this.getVoiceRegistry().get(entry.parent.dataset.voice).label}`;
+        note.depth = entry.depth;
+        note.position = thread.root;
+      } else if (thread) {
+        note.position = thread.root;
+      }
+      return note;
+    });
+  }
+
+  /**
+   * Notes in reading order, except that each thread's replies follow its first note
+   * @returns {Array<Element>} Marginalia elements
+   * @private
+   */
+  getThreadOrder() {
+    const order = [];
+    this.findAllInContainer('.marginalia-voice').forEach(element => {
+      const thread = this.threadOf.get(element);
+      if (!thread) {
+        order.push(element);
+      } else if (thread.root === element) {
+        order.push(...thread.notes.map(note => note.element));
+      }
+    });
+    return order;
+  }
+
+  /**
+   * A note's own HTML, without the thread controls added to it
+   * @param {Element} element - Marginalia element
+   * @returns {string} HTML
+   * @private
+   */
+  getNoteHTML(element) {
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll('.marginalia-reply-to, .marginalia-thread-controls').forEach(control => control.remove());
+    return copy.innerHTML;
+  }
+
+  /**
+   * Number the marginal notes for print: each number appears in the text
+   * where the note was written and at the head of the note in the margin.
+   * Replies are numbered in thread order after their first note (3, 3.1, 3.2)
+   * @returns {void}
+   */
+  preparePrint() {
+    // Paper has a margin even when the screen did not, and print.css sets its own
+    this.printing = true;
+    this.updateDrawers();
+
+    const numbers = new Map();
+    let count = 0;
+    this.getThreadOrder().forEach(element => {
+      const thread = this.threadOf.get(element);
+      if (!thread || thread.root === element) {
+        numbers.set(element, String(++count));
+      } else {
+        numbers.set(element, `${count}.${thread.notes.findIndex(note => note.element === element)}`);
+      }
+    });
+
+    numbers.forEach((number, element) => {
+      const ref = this.createElement('sup', 'marginalia-print-ref');
+      ref.textContent = number;
+      element.before(ref);
+
+      const label = this.createElement('span', 'marginalia-print-number');
+      label.textContent = number;
+      element.prepend(label);
+
+      element.dataset.printNumber = number;
+      this.printElements.push(ref, label);
+    });
+
+    this.container.classList.toggle('marginalia-print', this.printElements.length > 0);
+  }
+
+  /**
+   * Remove the print numbers and fold notes back into badges in touch or compact mode
+   * @returns {void}
+   */
+  restorePrint() {
+    this.printElements.forEach(element => element.remove());
+    this.printElements = [];
+    this.findAllInContainer('.marginalia-voice[data-print-number]').forEach(element => {
+      delete element.dataset.printNumber;
+    });
+    this.container.classList.remove('marginalia-print');
+
+    if (this.printing) {
+      this.printing = false;
+      this.updateDrawers();
+    }
   }
 
   /**
@@ -331,6 +1245,31 @@ class MarginaliaProcessor extends ContentProcessor {
   async cleanup() {
     this.logger.debug('Cleaning up marginalia system...');
     
+    this.restorePrint();
+    
+    // Undo margin layout
+    this.unbindLayoutListeners();
+    this.clearLayout();
+    
+    // Undo touch and compact badges
+    if (this.touchMedia) {
+      this.touchMedia.removeEventListener?.('change', this.touchHandler);
+      this.setTouchMode(false);
+      this.touchMedia = null;
+    }
+    if (this.compactMedia) {
+      this.compactMedia.removeEventListener?.('change', this.compactHandler);
+      this.setCompactMode(false);
+      this.compactMedia = null;
+    }
+    this.expanded.clear();
+    
+    this.unbindAnchors();
+    this.unbindThreads();
+    
+    this.legend?.remove();
+    this.legend = null;
+    
     // Clear marginalia data
     this.marginalia.clear();
     this.counter = 0;
@@ -363,7 +1302,7 @@ class MarginaliaProcessor extends ContentProcessor {
     const stats = this.getStats();
     console.log('Marginalia Stats:', stats);
     
-    console.log('Pattern:', this.marginaliaPattern);
+    console.log('Trigger:', this.marginaliaTrigger);
     console.log('Defaults:', this.defaults);
     console.log('Processed Marginalia:', Array.from(this.marginalia.entries()));
     
@@ -374,4 +1313,6 @@ class MarginaliaProcessor extends ContentProcessor {
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = MarginaliaProcessor;
+} else if (typeof window !== 'undefined') {
+  window.MarginaliaProcessor = MarginaliaProcessor;
 }
\ No newline at end of file
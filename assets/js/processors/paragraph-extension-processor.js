@@ -8,13 +8,17 @@
  * Created: August 23, 2025
  */
 
-class ParagraphExtensionProcessor extends ContentProcessor {
+class ParagraphExtensionProcessor extends (typeof ContentProcessor !== 'undefined'
+  ? ContentProcessor
+  : require('../core/content-processor-base.js').ContentProcessor) {
   constructor(config, container) {
     super(config, container);
     
     // Extension-specific state
     this.extensions = new Map();
     this.counter = 0;
+    this.printOpened = []; // Extensions preparePrint opened
+    this.openOrder = []; // Open extension ids, most recently opened last
   }
 
   /**
@@ -25,15 +29,10 @@ class ParagraphExtensionProcessor extends ContentProcessor {
     try {
       await this.baseInit();
       
-      // Validate extension-specific configuration
-      if (!this.config.patterns?.extensionPattern) {
-        throw new Error('Extension pattern configuration is required');
-      }
-
       // Inject required CSS animations
       this.injectExtensionCSS();
 
-      console.log(`[EXTENSION_PROCESSOR] Initialized with pattern: ${this.config.patterns.extensionPattern}`);
+      console.log(`[EXTENSION_PROCESSOR] Initialized with trigger: ${this.config.patterns?.extensionTrigger || '[+]'}`);
       return true;
     } catch (error) {
       console.error('[EXTENSION_PROCESSOR] Initialization failed:', error);
@@ -73,7 +72,7 @@ class ParagraphExtensionProcessor extends ContentProcessor {
     const extensionTriggers = this.findAllInContainer('.extension-trigger');
     extensionTriggers.forEach(trigger => {
       trigger.removeEventListener('click', this.handleExtensionClick);
-      trigger.removeEventListener('keydown', this.handleExtensionKeydown);
+      trigger.removeEventListener('keydown', trigger._keydownHandler);
     });
 
     // Remove extension boxes from DOM
@@ -87,6 +86,8 @@ class ParagraphExtensionProcessor extends ContentProcessor {
     // Clear state
     this.extensions.clear();
     this.counter = 0;
+    this.printOpened = [];
+    this.openOrder = [];
 
     this.baseCleanup();
   }
@@ -185,46 +186,36 @@ class ParagraphExtensionProcessor extends ContentProcessor {
   processExtensionPatterns() {
     console.group('[EXTENSION_PROCESSOR] Pattern Processing Debug');
     
-    const pattern = this.config.patterns.extensionPattern;
-    const paragraphs = this.findAllInContainer(this.config.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li');
+    const trigger = this.config.patterns?.extensionTrigger || '[+]';
+    const selector = this.config.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li';
+    const tokenizer = this.getTokenizer();
+    const tokens = tokenizer.tokenize(this.container, [{ type: 'extension', trigger, sections: 1 }], { selector });
     let extensionId = 1;
     
-    console.log(`Pattern: ${pattern}`);
-    console.log(`Found ${paragraphs.length} paragraphs to search`);
-
-    paragraphs.forEach((paragraph, paraIndex) => {
-      const originalHTML = paragraph.innerHTML;
-      let hasExtensions = false;
-      let modifiedHTML = originalHTML;
-
-      // Process all [+][content] patterns in this paragraph
-      modifiedHTML = modifiedHTML.replace(pattern, (match, content) => {
-        console.log(`✅ Processing extension match: "${match.substring(0, 50)}..."`);
-        hasExtensions = true;
-        
-        const extensionData = {
-          id: extensionId,
-          content: content,
-          paragraph: paragraph,
-          trigger: null,
-          box: null,
-          isOpen: false
-        };
-        
-        this.extensions.set(extensionId, extensionData);
-        console.log(`✅ Stored extension ${extensionId}`);
-
-        // Create extension trigger button
-        const trigger = this.createExtensionTrigger(extensionId, content);
-        extensionId++;
-        this.incrementProcessed();
-        return trigger;
-      });
+    console.log(`Trigger: ${trigger}`);
+    console.log(`Found ${tokens.length} extension patterns`);
 
-      if (hasExtensions) {
-        console.log(`✅ Updated paragraph ${paraIndex} with extensions`);
-        paragraph.innerHTML = modifiedHTML;
-      }
+    tokenizer.replaceTokens(tokens, token => {
+      console.log(`✅ Processing extension match: "${token.fullMatch.substring(0, 50)}..."`);
+      const content = tokenizer.getSectionHTML(token, 0);
+      
+      const extensionData = {
+        id: extensionId,
+        content: content,
+        paragraph: token.block,
+        trigger: null,
+        box: null,
+        isOpen: false
+      };
+      
+      this.extensions.set(extensionId, extensionData);
+      console.log(`✅ Stored extension ${extensionId}`);
+
+      // Create extension trigger button
+      const triggerElement = this.createFromHTML(this.createExtensionTrigger(extensionId, content));
+      extensionId++;
+      this.incrementProcessed();
+      return triggerElement;
     });
 
     this.counter = extensionId - 1;
@@ -260,7 +251,7 @@ class ParagraphExtensionProcessor extends ContentProcessor {
    */
   enhanceInteractions() {
     // Wait for DOM to be fully updated after pattern replacement
-    setTimeout(() => {
+    this.enhancement = new Promise(resolve => setTimeout(resolve, 100)).then(() => {
       const extensionTriggers = this.findAllInContainer('.extension-trigger .footnote-link[data-is-extension="true"]');
       
       console.log(`[EXTENSION_PROCESSOR] Found ${extensionTriggers.length} extension triggers to enhance`);
@@ -271,28 +262,38 @@ class ParagraphExtensionProcessor extends ContentProcessor {
         // Store bound methods for later cleanup
         const clickHandler = this.handleExtensionClick.bind(this);
         const keydownHandler = this.handleExtensionKeydown.bind(this);
+        // The focusable element is the trigger's container, so keys arrive there
+        const focusable = trigger.closest('.extension-trigger');
         
         // Remove existing listeners (if any) to prevent duplicates
         if (trigger._clickHandler) {
           trigger.removeEventListener('click', trigger._clickHandler);
         }
-        if (trigger._keydownHandler) {
-          trigger.removeEventListener('keydown', trigger._keydownHandler);
+        if (focusable._keydownHandler) {
+          focusable.removeEventListener('keydown', focusable._keydownHandler);
         }
         
         // Add new listeners
         trigger.addEventListener('click', clickHandler);
-        trigger.addEventListener('keydown', keydownHandler);
+        focusable.addEventListener('keydown', keydownHandler);
         
         // Store handlers for cleanup
         trigger._clickHandler = clickHandler;
-        trigger._keydownHandler = keydownHandler;
+        focusable._keydownHandler = keydownHandler;
         
         // CSS handles hover effects - no need for JS
       });
 
       console.log(`[EXTENSION_PROCESSOR] Enhanced ${extensionTriggers.length} extension triggers with event listeners`);
-    }, 100);
+    });
+  }
+
+  /**
+   * Wait until the extension triggers have been enhanced
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    await this.enhancement;
   }
 
   /**
@@ -331,8 +332,8 @@ class ParagraphExtensionProcessor extends ContentProcessor {
     event.preventDefault();
     event.stopPropagation();
     
-    const trigger = event.target;
-    const extensionContainer = trigger.closest('.extension-trigger');
+    const extensionContainer = event.target.closest('.extension-trigger');
+    const trigger = extensionContainer.querySelector('.footnote-link[data-is-extension="true"]');
     const extensionId = parseInt(extensionContainer.dataset.extensionId);
     
     this.toggleExtension(extensionId, trigger);
@@ -342,9 +343,10 @@ class ParagraphExtensionProcessor extends ContentProcessor {
    * Toggle extension display
    * @param {number} extensionId - Extension ID
    * @param {Element} trigger - Trigger button element
+   * @param {Object} options - openExtension options
    * @private
    */
-  toggleExtension(extensionId, trigger) {
+  toggleExtension(extensionId, trigger, options = {}) {
     const extensionData = this.extensions.get(extensionId);
     if (!extensionData) {
       console.error(`[EXTENSION_PROCESSOR] Extension ${extensionId} not found`);
@@ -358,11 +360,11 @@ class ParagraphExtensionProcessor extends ContentProcessor {
       if (extensionData.isOpen) {
         this.closeExtension(extensionId, trigger, existingBox);
       } else {
-        this.openExtension(extensionId, trigger, existingBox);
+        this.openExtension(extensionId, trigger, existingBox, options);
       }
     } else {
       // Create new extension box
-      this.createExtensionBox(extensionId, trigger);
+      this.createExtensionBox(extensionId, trigger, options);
     }
   }
 
@@ -370,9 +372,10 @@ class ParagraphExtensionProcessor extends ContentProcessor {
    * Create new extension box - Hacker minimalistic style
    * @param {number} extensionId - Extension ID
    * @param {Element} trigger - Trigger button element
+   * @param {Object} options - openExtension options
    * @private
    */
-  createExtensionBox(extensionId, trigger) {
+  createExtensionBox(extensionId, trigger, options = {}) {
     const extensionData = this.extensions.get(extensionId);
     const classes = this.config.classes || {};
     
@@ -396,7 +399,7 @@ class ParagraphExtensionProcessor extends ContentProcessor {
     });
 
     // Create extension content - no header, no close button
-    const processedContent = this.processExtensionContent(extensionData.content);
+    const processedContent = this.renderMarkdown(extensionData.content);
     
     extensionBox.innerHTML = `
       <div class="${classes.extensionContent || 'extension-content'}" style="
@@ -419,7 +422,7 @@ class ParagraphExtensionProcessor extends ContentProcessor {
     // Update extension state
     extensionData.box = extensionBox;
     extensionData.trigger = trigger;
-    this.openExtension(extensionId, trigger, extensionBox);
+    this.openExtension(extensionId, trigger, extensionBox, options);
 
     console.log(`[EXTENSION_PROCESSOR] Created extension box for extension ${extensionId}`);
   }
@@ -429,9 +432,10 @@ class ParagraphExtensionProcessor extends ContentProcessor {
    * @param {number} extensionId - Extension ID
    * @param {Element} trigger - Trigger button
    * @param {Element} box - Extension box
+   * @param {Object} options - {scroll: false to leave the page where it is}
    * @private
    */
-  openExtension(extensionId, trigger, box) {
+  openExtension(extensionId, trigger, box, { scroll = true } = {}) {
     const extensionData = this.extensions.get(extensionId);
     
     // Update visual state - inverse coloring like before
@@ -446,9 +450,10 @@ class ParagraphExtensionProcessor extends ContentProcessor {
     
     // Update data state
     extensionData.isOpen = true;
+    this.openOrder = this.openOrder.filter(id => id !== extensionId).concat(extensionId);
     
     // Smooth scroll to show extension if it's below viewport
-    if (this.config.behavior?.autoScrollToExtension !== false) {
+    if (scroll && this.config.behavior?.autoScrollToExtension !== false) {
       setTimeout(() => {
         const boxRect = box.getBoundingClientRect();
         const viewportHeight = window.innerHeight;
@@ -496,43 +501,74 @@ class ParagraphExtensionProcessor extends ContentProcessor {
     
     // Update data state
     extensionData.isOpen = false;
+    this.openOrder = this.openOrder.filter(id => id !== extensionId);
   }
 
   /**
-   * Process extension content (supports basic markdown-like syntax)
-   * @param {string} content - Raw extension content
-   * @returns {string} Processed HTML content
-   * @private
+   * Every extension, anchored at its [+] trigger
+   * @returns {Array<Object>} Notes panel entries
    */
-  processExtensionContent(content) {
-    let processed = content;
-    
-    // Handle nested brackets (already captured by regex)
-    // Support basic formatting:
-    processed = processed
-      // Strong/bold: **text** or __text__
-      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-      .replace(/__(.*?)__/g, '<strong>$1</strong>')
-      
-      // Emphasis/italic: *text* or _text_
-      .replace(/\*(.*?)\*/g, '<em>$1</em>')
-      .replace(/_(.*?)_/g, '<em>$1</em>')
-      
-      // Code: `code`
-      .replace(/`([^`]+)`/g, '<code style="background: rgba(255,136,0,0.2); padding: 2px 4px; border-radius: 3px;">$1</code>')
-      
-      // Line breaks: double newline becomes paragraph break
-      .replace(/\n\n/g, '</p><p style="margin-top: 1rem;">')
-      
-      // Single newlines become <br>
-      .replace(/\n/g, '<br>');
-    
-    // Wrap in paragraph if needed
-    if (!processed.startsWith('<') && processed.trim()) {
-      processed = `<p>${processed}</p>`;
-    }
-    
-    return this.sanitizeHTML(processed);
+  getNotes() {
+    return Array.from(this.extensions.values())
+      .map(extensionData => ({
+        type: 'extension',
+        id: `extension-${extensionData.id}`,
+        label: `Extension ${extensionData.id}`,
+        voice: null,
+        html: this.renderMarkdown(extensionData.content),
+        anchor: this.findInContainer(`.extension-trigger[data-extension-id="${extensionData.id}"]`)
+      }))
+      .filter(entry => entry.anchor);
+  }
+
+  /**
+   * Open every closed extension so its commentary prints
+   * @returns {void}
+   */
+  preparePrint() {
+    this.printOpened = [];
+    this.extensions.forEach((extensionData, extensionId) => {
+      if (extensionData.isOpen) return;
+
+      const trigger = this.findInContainer(`.extension-trigger[data-extension-id="${extensionId}"] .footnote-link`);
+      if (!trigger) return;
+
+      this.toggleExtension(extensionId, trigger, { scroll: false });
+      this.printOpened.push(extensionId);
+    });
+  }
+
+  /**
+   * Close the extensions preparePrint opened; ones the reader had open stay open
+   * @returns {void}
+   */
+  restorePrint() {
+    this.printOpened.forEach(extensionId => {
+      const extensionData = this.extensions.get(extensionId);
+      if (extensionData?.isOpen) {
+        this.closeExtension(extensionId, extensionData.trigger, extensionData.box);
+      }
+    });
+    this.printOpened = [];
+  }
+
+  /**
+   * Escape closes the open extension holding focus, else the one opened last,
+   * and returns focus to its trigger
+   * @param {string} layer - 'tooltip' or 'content'
+   * @returns {boolean} Whether an extension was closed
+   */
+  dismissTopmost(layer) {
+    if (layer !== 'content' || this.openOrder.length === 0) return false;
+
+    const active = document.activeElement;
+    const extensionId = this.openOrder.find(id => this.extensions.get(id).box?.contains(active))
+      ?? this.openOrder[this.openOrder.length - 1];
+    const { trigger, box } = this.extensions.get(extensionId);
+
+    this.closeExtension(extensionId, trigger, box);
+    trigger.closest('.extension-trigger')?.focus();
+    return true;
   }
 
   /**
@@ -583,4 +619,6 @@ class ParagraphExtensionProcessor extends ContentProcessor {
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ParagraphExtensionProcessor;
+} else if (typeof window !== 'undefined') {
+  window.ParagraphExtensionProcessor = ParagraphExtensionProcessor;
 }
\ No newline at end of file
@@ -21,6 +21,7 @@ class FootnoteService {
     this.tooltips = new Map();
     this.footnoteRefs = [];
     this.footnoteContent = new Map();
+    this.sheet = null; // Bottom sheet for touch mode
     
     console.log(`📝 ${this.name} v${this.version} created`);
   }
@@ -124,14 +125,42 @@ class FootnoteService {
     console.log(`📝 Mapped ${this.footnoteContent.size} footnote content items`);
   }
 
+  /**
+   * Resolve content for a footnote link
+   * Links created by FootnoteProcessor carry data-footnote, and the processor
+   * gives the matching card id="footnote-content-N" (labels like
+   * [^derrida-1967] are numbered by first citation, so N may differ from data-ref)
+   * @param {HTMLElement} link - Footnote link
+   * @param {string} refNumber - Number parsed from the link href
+   * @returns {Object|undefined} Content entry with {element, text, html}
+   * @private
+   */
+  getFootnoteContent(link, refNumber) {
+    const linkedCard = link.dataset.footnote
+      ? document.getElementById(`footnote-content-${link.dataset.footnote}`)
+      : null;
+
+    if (linkedCard) {
+      return {
+        element: linkedCard,
+        text: linkedCard.textContent,
+        html: linkedCard.innerHTML
+      };
+    }
+
+    return this.footnoteContent.get(refNumber);
+  }
+
   /**
    * Set up event listeners with proper delegation
    * @private
    */
   setupEventListeners() {
     // Use event delegation for better performance
+    // Touch browsers fire mouseenter on tap but rarely mouseleave, so
+    // touch mode skips tooltips and opens the note sheet on click instead
     document.addEventListener('mouseenter', (e) => {
-      if (e.target?.closest?.('.footnote-ref a') && !this.disabled) {
+      if (e.target?.closest?.('.footnote-ref a') && !this.disabled && !this.isTouchMode()) {
         this.showTooltip(e);
       }
     }, true);
@@ -144,7 +173,7 @@ class FootnoteService {
 
     // Focus/blur for keyboard accessibility
     document.addEventListener('focus', (e) => {
-      if (e.target?.closest?.('.footnote-ref a') && !this.disabled) {
+      if (e.target?.closest?.('.footnote-ref a') && !this.disabled && !this.isTouchMode()) {
         this.showTooltip(e);
       }
     }, true);
@@ -155,6 +184,15 @@ class FootnoteService {
       }
     }, true);
 
+    // Bubbling, so a FootnoteProcessor reference that already opened its own sheet is left alone
+    document.addEventListener('click', (e) => {
+      const link = e.target?.closest?.('.footnote-ref a');
+      if (link && !e.defaultPrevented && !this.disabled && this.isTouchMode()) {
+        e.preventDefault();
+        this.openSheet(link);
+      }
+    });
+
     console.log('👂 FootnoteService event listeners registered');
   }
 
@@ -168,27 +206,9 @@ class FootnoteService {
       const link = event.target?.closest?.('.footnote-ref a');
       if (!link) return;
 
-      // Extract footnote number from href (handles multiple formats)
-      const href = link.getAttribute('href');
-      let refNumber = null;
-      
-      // Try multiple patterns
-      const patterns = [
-        /#fn-(\w+)/,        // #fn-1
-        /#footnote-(\d+)/,  // #footnote-1 (Ghost default)
-        /#.*?(\d+)/         // Any hash with number
-      ];
-      
-      for (const pattern of patterns) {
-        const match = href.match(pattern);
-        if (match) {
-          refNumber = match[1];
-          break;
-        }
-      }
-      
+      const refNumber = this.getRefNumber(link);
       if (!refNumber) return;
-      const content = this.footnoteContent.get(refNumber);
+      const content = this.getFootnoteContent(link, refNumber);
       
       if (!content) {
         console.warn(`⚠️ No content found for footnote ${refNumber}`);
@@ -214,6 +234,73 @@ class FootnoteService {
     }
   }
 
+  /**
+   * Footnote number from a reference link's href
+   * @param {HTMLElement} link - Footnote link
+   * @returns {string|null} Reference number
+   * @private
+   */
+  getRefNumber(link) {
+    const href = link.getAttribute('href') || '';
+
+    // Try multiple patterns
+    const patterns = [
+      /#fn-(\w+)/,        // #fn-1
+      /#footnote-(\d+)/,  // #footnote-1 (Ghost default)
+      /#.*?(\d+)/         // Any hash with number
+    ];
+
+    for (const pattern of patterns) {
+      const match = href.match(pattern);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  /**
+   * Whether touch mode is on: mobile_responsive setting and a coarse pointer
+   * @returns {boolean} Touch mode
+   * @private
+   */
+  isTouchMode() {
+    if (!window.ghost_custom_settings?.mobile_responsive || typeof window.matchMedia !== 'function') {
+      return false;
+    }
+    return window.matchMedia(window.ThemeConfig?.global?.touch?.pointerQuery || '(pointer: coarse)').matches;
+  }
+
+  /**
+   * Open the bottom sheet on a footnote, with every note on the page to page through
+   * @param {HTMLElement} link - Tapped footnote link
+   * @private
+   */
+  openSheet(link) {
+    const notes = [];
+    this.footnoteRefs.forEach(ref => {
+      const refNumber = this.getRefNumber(ref);
+      if (!refNumber || notes.some(note => note.id === refNumber)) return;
+
+      const content = this.getFootnoteContent(ref, refNumber);
+      if (content) {
+        notes.push({ id: refNumber, title: `Note ${refNumber}`, html: this.renderContent(content.html) });
+      }
+    });
+
+    const index = notes.findIndex(note => note.id === this.getRefNumber(link));
+    if (index === -1) {
+      console.warn(`⚠️ No content found for footnote ${this.getRefNumber(link)}`);
+      return;
+    }
+
+    if (!this.sheet) {
+      const Sheet = typeof BottomSheet !== 'undefined'
+        ? BottomSheet
+        : require('../utils/bottom-sheet.js');
+      this.sheet = new Sheet({ swipeThreshold: window.ThemeConfig?.global?.touch?.swipeThreshold });
+    }
+    this.sheet.open(notes, index, link);
+  }
+
   /**
    * Hide tooltip for footnote reference
    * @param {Event} event - Mouse/blur event
@@ -224,24 +311,7 @@ class FootnoteService {
       const link = event.target?.closest?.('.footnote-ref a');
       if (!link) return;
 
-      const href = link.getAttribute('href');
-      let refNumber = null;
-      
-      // Try multiple patterns (same as showTooltip)
-      const patterns = [
-        /#fn-(\w+)/,        // #fn-1
-        /#footnote-(\d+)/,  // #footnote-1 (Ghost default)
-        /#.*?(\d+)/         // Any hash with number
-      ];
-      
-      for (const pattern of patterns) {
-        const match = href.match(pattern);
-        if (match) {
-          refNumber = match[1];
-          break;
-        }
-      }
-      
+      const refNumber = this.getRefNumber(link);
       if (!refNumber) return;
       const tooltip = this.tooltips.get(refNumber);
       
@@ -256,6 +326,22 @@ class FootnoteService {
     }
   }
 
+  /**
+   * Render footnote card content with the processors' markdown renderer,
+   * so service tooltips match FootnoteProcessor tooltips
+   * @param {string} html - Card HTML
+   * @returns {string} Rendered, sanitized HTML
+   * @private
+   */
+  renderContent(html) {
+    if (typeof InlineMarkdown === 'undefined') return html;
+
+    if (!this.markdownRenderer) {
+      this.markdownRenderer = new InlineMarkdown();
+    }
+    return this.markdownRenderer.render(html);
+  }
+
   /**
    * Create tooltip element
    * @param {string} refNumber - Footnote reference number
@@ -267,7 +353,7 @@ class FootnoteService {
     const tooltip = document.createElement('div');
     tooltip.className = 'footnote-tooltip';
     tooltip.id = `footnote-tooltip-${refNumber}`;
-    tooltip.innerHTML = html;
+    tooltip.innerHTML = this.renderContent(html);
     
     // Apply initial styles (these get overridden by CSS but help with initial render)
     tooltip.style.cssText = `
@@ -277,6 +363,10 @@ class FootnoteService {
       pointer-events: none;
     `;
 
+    const arrow = document.createElement('div');
+    arrow.className = 'footnote-tooltip-arrow';
+    tooltip.appendChild(arrow);
+
     document.body.appendChild(tooltip);
     console.log(`📦 Created tooltip for footnote ${refNumber}`);
     
@@ -285,38 +375,19 @@ class FootnoteService {
 
   /**
    * Position tooltip relative to trigger element
+   * Service tooltips prefer the space above the reference
    * @param {HTMLElement} tooltip - Tooltip element
    * @param {HTMLElement} trigger - Trigger element
    * @private
    */
   positionTooltip(tooltip, trigger) {
-    const triggerRect = trigger.getBoundingClientRect();
-    const viewportWidth = window.innerWidth;
-    const viewportHeight = window.innerHeight;
-    
-    // Show tooltip to measure dimensions
-    tooltip.style.display = 'block';
-    tooltip.style.visibility = 'hidden';
-    
-    const tooltipRect = tooltip.getBoundingClientRect();
-    
-    // Calculate position
-    let left = triggerRect.left + (triggerRect.width / 2) - (tooltipRect.width / 2);
-    let top = triggerRect.top - tooltipRect.height - 10;
-    
-    // Adjust if tooltip would go off screen
-    if (left < 10) left = 10;
-    if (left + tooltipRect.width > viewportWidth - 10) {
-      left = viewportWidth - tooltipRect.width - 10;
-    }
-    
-    if (top < 10) {
-      // Show below trigger if not enough space above
-      top = triggerRect.bottom + 10;
-    }
-    
-    tooltip.style.left = left + 'px';
-    tooltip.style.top = top + 'px';
+    const Positioner = typeof TooltipPositioner !== 'undefined'
+      ? TooltipPositioner
+      : require('../utils/tooltip-positioner.js');
+    const positioner = Positioner.shared();
+
+    positioner.position(tooltip, trigger, { placement: 'top' });
+    positioner.track(tooltip, trigger, { placement: 'top' });
   }
 
   /**
@@ -447,6 +518,8 @@ class FootnoteService {
       }
     }
     this.tooltips.clear();
+    this.sheet?.destroy();
+    this.sheet = null;
 
     // Remove CSS
     this.cssManager.removeCSS('footnotes');
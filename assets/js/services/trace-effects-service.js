@@ -149,7 +149,7 @@ class TraceEffectsService {
         const tooltip = document.createElement('div');
         tooltip.className = 'semantic-tooltip';
         tooltip.style.cssText = `
-            position: absolute;
+            position: fixed;
             background: var(--tooltip-bg, rgba(0,0,0,0.9));
             color: var(--tooltip-text, white);
             padding: 8px 12px;
@@ -157,9 +157,12 @@ class TraceEffectsService {
             font-size: 0.9em;
             display: none;
             z-index: 1000;
-            max-width: 250px;
             pointer-events: none;
         `;
+
+        const positioner = (typeof TooltipPositioner !== 'undefined'
+            ? TooltipPositioner
+            : require('../utils/tooltip-positioner.js')).shared();
         
         element.addEventListener('mouseenter', (e) => {
             // Show alternatives
@@ -169,16 +172,15 @@ class TraceEffectsService {
             `;
             document.body.appendChild(tooltip);
             
-            const rect = element.getBoundingClientRect();
-            tooltip.style.left = rect.left + 'px';
-            tooltip.style.top = (rect.bottom + 5) + 'px';
-            tooltip.style.display = 'block';
+            positioner.position(tooltip, element);
+            positioner.track(tooltip, element);
             
             // Cycle through alternatives
             this.semanticInterval = setInterval(() => {
                 currentIndex = (currentIndex + 1) % (alternatives.length + 1);
                 element.textContent = currentIndex === 0 ? originalText : alternatives[currentIndex - 1];
                 element.style.fontStyle = currentIndex === 0 ? 'normal' : 'italic';
+                positioner.position(tooltip, element); // the word's width changed
             }, 2000);
         });
         
@@ -186,6 +188,7 @@ class TraceEffectsService {
             clearInterval(this.semanticInterval);
             element.textContent = originalText;
             element.style.fontStyle = 'normal';
+            positioner.untrack(tooltip);
             if (tooltip.parentNode) {
                 tooltip.remove();
             }
@@ -0,0 +1,131 @@
+/**
+ * Bibliography - Reference entries collected from a post's HTML cards
+ *
+ * Sources (any number, merged in document order; a later duplicate key is ignored):
+ *   <script type="application/json" data-bibliography>[ ...CSL-JSON items... ]</script>
+ *   <script type="application/x-bibtex" data-bibliography>@book{...}</script>
+ *   <pre data-bibliography="bibtex">@book{...}</pre>
+ *
+ * Also parses the inside of a citation, "derrida-1967, p. 42; said-1978",
+ * so CitationProcessor and SyntaxDiagnostics read [@cite:...] the same way.
+ *
+ * Created: October 19, 2026
+ */
+
+class Bibliography {
+  constructor(items = [], logger = console) {
+    this.logger = logger;
+    this.entries = new Map();
+    this.sources = []; // Elements the entries were read from
+    this.add(items);
+  }
+
+  /**
+   * Collect every bibliography source under a root
+   * @param {Document|Element} root - Where to look (footnote-style cards may sit outside the content)
+   * @param {Object} options - Options
+   * @param {string} options.selector - Source selector (default '[data-bibliography]')
+   * @param {Object} options.logger - Logger
+   * @returns {Bibliography} Bibliography
+   */
+  static collect(root, options = {}) {
+    const logger = options.logger || console;
+    const bibliography = new Bibliography([], logger);
+
+    root.querySelectorAll(options.selector || '[data-bibliography]').forEach(element => {
+      bibliography.add(Bibliography.readSource(element, logger));
+      bibliography.sources.push(element);
+    });
+
+    return bibliography;
+  }
+
+  /**
+   * Read one source element as CSL-JSON
+   * @param {Element} element - Source element
+   * @param {Object} logger - Logger
+   * @returns {Array<Object>} CSL-JSON items
+   */
+  static readSource(element, logger = console) {
+    const text = element.textContent.trim();
+    const declared = `${element.dataset.bibliography || ''} ${element.getAttribute('type') || ''}`.toLowerCase();
+    const isJSON = declared.includes('json') || (!declared.includes('bibtex') && /^[[{]/.test(text));
+
+    if (isJSON) {
+      try {
+        const data = JSON.parse(text);
+        return Array.isArray(data) ? data : (data.items || [data]);
+      } catch (error) {
+        logger.warn(`[BIBLIOGRAPHY] Could not parse CSL-JSON bibliography: ${error.message}`);
+        return [];
+      }
+    }
+
+    const Parser = typeof BibtexParser !== 'undefined' ? BibtexParser : require('./bibtex-parser.js');
+    return new Parser(logger).parse(text);
+  }
+
+  /**
+   * Parse the inside of [@cite:...]
+   * @param {string} text - e.g. "derrida-1967, p. 42; said-1978"
+   * @returns {Array<Object>} Items as {key, locator}
+   */
+  static parseCitation(text) {
+    return text.split(';')
+      .map(part => {
+        const comma = part.indexOf(',');
+        const key = (comma === -1 ? part : part.slice(0, comma)).trim();
+        const locator = comma === -1 ? '' : part.slice(comma + 1).trim();
+        return { key, locator };
+      })
+      .filter(item => item.key);
+  }
+
+  /**
+   * Add CSL-JSON items
+   * @param {Array<Object>} items - Items with an id
+   */
+  add(items) {
+    items.forEach(item => {
+      if (!item?.id) {
+        this.logger.warn('[BIBLIOGRAPHY] Skipping an entry without an id');
+        return;
+      }
+      if (this.entries.has(String(item.id))) {
+        this.logger.warn(`[BIBLIOGRAPHY] Duplicate entry "${item.id}" - keeping the first`);
+        return;
+      }
+      this.entries.set(String(item.id), item);
+    });
+  }
+
+  /**
+   * @param {string} key - Citation key
+   * @returns {Object|null} CSL-JSON item
+   */
+  get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  /**
+   * @param {string} key - Citation key
+   * @returns {boolean} Whether the key has an entry
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * @returns {number} Number of entries
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Bibliography;
+} else if (typeof window !== 'undefined') {
+  window.Bibliography = Bibliography;
+}
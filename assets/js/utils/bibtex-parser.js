@@ -0,0 +1,331 @@
+/**
+ * BibTeX Parser - Reads BibTeX entries into CSL-JSON items
+ * Authors paste BibTeX exported from Zotero, JabRef or Google Scholar into an
+ * HTML card; CitationProcessor only ever works with CSL-JSON
+ *
+ * Handles: @type{key, field = {braced {nested}} | "quoted" | 1967, ...},
+ * @string abbreviations, # concatenation, @comment/@preamble (skipped),
+ * "Last, First" and "First Last" names joined with "and", and common
+ * LaTeX escapes (\&, \'e, --).
+ *
+ * Created: October 19, 2026
+ */
+
+class BibtexParser {
+  constructor(logger = console) {
+    this.logger = logger;
+  }
+
+  /**
+   * Parse BibTeX source
+   * @param {string} source - BibTeX text
+   * @returns {Array<Object>} CSL-JSON items
+   */
+  parse(source) {
+    this.source = source || '';
+    this.index = 0;
+    this.strings = {};
+    const items = [];
+
+    while (this.skipTo('@')) {
+      this.index++;
+      const type = this.readWord().toLowerCase();
+      this.skipWhitespace();
+
+      const open = this.source[this.index];
+      if (open !== '{' && open !== '(') continue;
+      this.index++;
+
+      if (type === 'comment' || type === 'preamble') {
+        this.index = this.findClosing(this.index - 1);
+        continue;
+      }
+
+      try {
+        if (type === 'string') {
+          const [name, value] = this.readField();
+          this.strings[name.toLowerCase()] = value;
+          this.skipWhitespace();
+          if (/[})]/.test(this.source[this.index] || '')) this.index++;
+        } else {
+          items.push(this.toCSL(type, this.readEntry()));
+        }
+      } catch (error) {
+        this.logger.warn(`[BIBTEX_PARSER] Skipped a malformed @${type} entry: ${error.message}`);
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Read "key, field = value, ..." up to the entry's closing bracket
+   * @returns {Object} {key, fields}
+   * @private
+   */
+  readEntry() {
+    this.skipWhitespace();
+    const key = this.readUntil(/[,})\s]/).trim();
+    if (!key) throw new Error('missing citation key');
+
+    const fields = {};
+    this.skipWhitespace();
+    while (this.source[this.index] === ',') {
+      this.index++;
+      this.skipWhitespace();
+      if (/[})]/.test(this.source[this.index] || '}')) break;
+
+      const [name, value] = this.readField();
+      fields[name.toLowerCase()] = value;
+      this.skipWhitespace();
+    }
+
+    if (!/[})]/.test(this.source[this.index] || '')) {
+      throw new Error(`unexpected "${this.source[this.index] || 'end of input'}" in ${key}`);
+    }
+    this.index++;
+    return { key, fields };
+  }
+
+  /**
+   * Read "name = value # value ..."
+   * @returns {Array<string>} [name, value]
+   * @private
+   */
+  readField() {
+    const name = this.readWord();
+    this.skipWhitespace();
+    if (this.source[this.index] !== '=') throw new Error(`expected "=" after ${name}`);
+    this.index++;
+
+    const parts = [];
+    do {
+      if (parts.length > 0) this.index++; // the '#'
+      this.skipWhitespace();
+      parts.push(this.readValue());
+      this.skipWhitespace();
+    } while (this.source[this.index] === '#');
+
+    return [name, parts.join('')];
+  }
+
+  /**
+   * Read one braced, quoted, numeric or @string value
+   * @returns {string} Raw value (braces kept until cleanLatex, so {Corporate Authors} stay whole)
+   * @private
+   */
+  readValue() {
+    const char = this.source[this.index];
+
+    if (char === '{') {
+      const end = this.findClosing(this.index);
+      const value = this.source.slice(this.index + 1, end);
+      this.index = end + 1;
+      return value;
+    }
+
+    if (char === '"') {
+      let depth = 0;
+      let end = this.index + 1;
+      while (end < this.source.length) {
+        const current = this.source[end];
+        if (current === '{') depth++;
+        else if (current === '}') depth--;
+        else if (current === '"' && depth === 0 && this.source[end - 1] !== '\\') break;
+        end++;
+      }
+      const value = this.source.slice(this.index + 1, end);
+      this.index = end + 1;
+      return value;
+    }
+
+    const word = this.readWord();
+    if (/^\d+$/.test(word)) return word;
+    return this.strings[word.toLowerCase()] ?? word;
+  }
+
+  /**
+   * Index of the bracket closing the one at start
+   * @param {number} start - Index of an opening { or (
+   * @returns {number} Index of the closing bracket (or end of input)
+   * @private
+   */
+  findClosing(start) {
+    const open = this.source[start];
+    const close = open === '(' ? ')' : '}';
+    let depth = 0;
+
+    for (let i = start; i < this.source.length; i++) {
+      if (this.source[i] === open) depth++;
+      else if (this.source[i] === close && --depth === 0) return i;
+    }
+    return this.source.length;
+  }
+
+  /**
+   * @private
+   */
+  skipTo(char) {
+    const found = this.source.indexOf(char, this.index);
+    if (found === -1) return false;
+    this.index = found;
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  skipWhitespace() {
+    while (/\s/.test(this.source[this.index] || '')) this.index++;
+  }
+
+  /**
+   * @private
+   */
+  readWord() {
+    return this.readUntil(/[^\w:.+/-]/);
+  }
+
+  /**
+   * @private
+   */
+  readUntil(stop) {
+    const start = this.index;
+    while (this.index < this.source.length && !stop.test(this.source[this.index])) this.index++;
+    return this.source.slice(start, this.index);
+  }
+
+  /**
+   * Turn LaTeX markup into plain text
+   * @param {string} value - Raw field value
+   * @returns {string} Text
+   * @private
+   */
+  cleanLatex(value) {
+    const accents = { "'": '\u0301', '`': '\u0300', '^': '\u0302', '"': '\u0308', '~': '\u0303', 'c': '\u0327', '=': '\u0304' };
+
+    return value
+      .replace(/\\([`'^"~=c])\s*\{?([A-Za-z])\}?/g, (match, accent, letter) => (letter + accents[accent]).normalize('NFC'))
+      .replace(/\\(?:textit|emph|textbf|textsc)\s*/g, '')
+      .replace(/\\([&%$#_{}])/g, '$1')
+      .replace(/---/g, '—')
+      .replace(/--/g, '–')
+      .replace(/[{}]/g, '')
+      .replace(/~/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Map a BibTeX entry to CSL-JSON
+   * @param {string} type - BibTeX entry type
+   * @param {Object} entry - {key, fields}
+   * @returns {Object} CSL-JSON item
+   * @private
+   */
+  toCSL(type, { key, fields }) {
+    const types = {
+      article: 'article-journal',
+      book: 'book',
+      booklet: 'book',
+      inbook: 'chapter',
+      incollection: 'chapter',
+      inproceedings: 'paper-conference',
+      conference: 'paper-conference',
+      phdthesis: 'thesis',
+      mastersthesis: 'thesis',
+      techreport: 'report',
+      online: 'webpage'
+    };
+
+    const item = { id: key, type: types[type] || 'document' };
+    const copy = (from, to) => {
+      if (fields[from]) item[to] = this.cleanLatex(fields[from]);
+    };
+
+    copy('title', 'title');
+    copy('journal', 'container-title');
+    copy('booktitle', 'container-title');
+    copy('publisher', 'publisher');
+    copy('school', 'publisher');
+    copy('institution', 'publisher');
+    copy('address', 'publisher-place');
+    copy('location', 'publisher-place');
+    copy('volume', 'volume');
+    copy('number', 'issue');
+    copy('pages', 'page');
+    copy('edition', 'edition');
+    copy('doi', 'DOI');
+    copy('url', 'URL');
+
+    if (fields.author) item.author = this.parseNames(fields.author);
+    if (fields.editor) item.editor = this.parseNames(fields.editor);
+
+    const year = this.cleanLatex(fields.year || (fields.date || '').slice(0, 4));
+    if (/^\d{4}$/.test(year)) {
+      item.issued = { 'date-parts': [[parseInt(year, 10)]] };
+    } else if (year) {
+      item.issued = { literal: year };
+    }
+
+    return item;
+  }
+
+  /**
+   * Split "Derrida, Jacques and Gayatri Chakravorty Spivak" into CSL names
+   * @param {string} value - Name list
+   * @returns {Array<Object>} Names as {family, given} or {literal}
+   * @private
+   */
+  parseNames(value) {
+    return this.splitTopLevel(value, /\s+and\s+/).map(raw => {
+      // {World Health Organization}: braces keep a corporate author whole
+      if (/^\{[^{}]*\}$/.test(raw.trim())) return { literal: this.cleanLatex(raw) };
+
+      const name = this.cleanLatex(raw);
+      if (name.includes(',')) {
+        const [family, given] = name.split(',').map(part => part.trim());
+        return given ? { family, given } : { family };
+      }
+
+      const words = name.trim().split(/\s+/);
+      if (words.length === 1) return { literal: words[0] };
+      return { family: words.pop(), given: words.join(' ') };
+    });
+  }
+
+  /**
+   * Split on a separator only outside braces
+   * @param {string} value - Raw value
+   * @param {RegExp} separator - Separator pattern
+   * @returns {Array<string>} Parts
+   * @private
+   */
+  splitTopLevel(value, separator) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+
+    for (let i = 0; i < value.length; i++) {
+      if (value[i] === '{') depth++;
+      else if (value[i] === '}') depth--;
+      else if (depth === 0) {
+        const match = value.slice(i).match(separator);
+        if (match && match.index === 0) {
+          parts.push(value.slice(start, i));
+          i += match[0].length - 1;
+          start = i + 1;
+        }
+      }
+    }
+    parts.push(value.slice(start));
+    return parts.filter(part => part.trim());
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BibtexParser;
+} else if (typeof window !== 'undefined') {
+  window.BibtexParser = BibtexParser;
+}
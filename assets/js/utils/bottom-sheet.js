@@ -0,0 +1,266 @@
+/**
+ * Bottom Sheet - Touch presentation for notes
+ * A panel that slides up from the bottom of the screen showing one note at a
+ * time, with previous/next buttons to walk through the rest
+ *
+ * Dismissed by swiping it down, tapping the backdrop, pressing Escape or the
+ * close button, or the browser's back button (opening pushes a history entry).
+ * Swiping left or right moves to the next or previous note.
+ *
+ * Items are {id, title, html}; html must already be sanitized.
+ *
+ * Created: October 19, 2026
+ */
+
+class BottomSheet {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.className - Base class (default 'note-sheet')
+   * @param {number} options.swipeThreshold - Drag distance in px that dismisses or pages (default 60)
+   * @param {Object} options.labels - Button labels {previous, next, close}
+   * @param {Function} options.onShow - Called with (body, item) after a note is shown
+   */
+  constructor(options = {}) {
+    this.className = options.className || 'note-sheet';
+    this.swipeThreshold = options.swipeThreshold ?? 60;
+    this.labels = { previous: 'Previous note', next: 'Next note', close: 'Close', ...options.labels };
+    this.onShow = options.onShow || null;
+
+    this.items = [];
+    this.index = 0;
+    this.element = null;
+    this.backdrop = null;
+    this.trigger = null;   // Element focused before opening, refocused on close
+    this.drag = null;      // {x, y, dx, dy} during a touch gesture
+    this.historyEntry = false;
+    this.handlers = [];
+  }
+
+  /**
+   * @returns {boolean} Whether the sheet is showing
+   */
+  get isOpen() {
+    return !!this.element && !this.element.hidden;
+  }
+
+  /**
+   * Open the sheet on one of a list of notes
+   * @param {Array<Object>} items - Notes as {id, title, html}
+   * @param {number} index - Note to show first
+   * @param {Element} trigger - Element to refocus on close
+   */
+  open(items, index = 0, trigger = null) {
+    if (items.length === 0) return;
+
+    this.items = items;
+    this.trigger = trigger || document.activeElement;
+    this.render();
+    this.show(index);
+
+    this.backdrop.hidden = false;
+    this.element.hidden = false;
+    document.body.classList.add(`${this.className}-open`);
+    this.element.focus();
+
+    // The back button closes the sheet instead of leaving the page
+    if (!this.historyEntry && typeof history !== 'undefined' && history.pushState) {
+      history.pushState({ [this.className]: true }, '');
+      this.historyEntry = true;
+    }
+  }
+
+  /**
+   * Show the note at an index
+   * @param {number} index - Item index (clamped)
+   */
+  show(index) {
+    if (!this.element) return;
+
+    this.index = Math.max(0, Math.min(index, this.items.length - 1));
+    const item = this.items[this.index];
+
+    this.title.textContent = item.title;
+    this.position.textContent = `${this.index + 1} / ${this.items.length}`;
+    this.body.innerHTML = item.html;
+    this.body.scrollTop = 0;
+    this.element.dataset.note = item.id;
+
+    this.previousButton.disabled = this.index === 0;
+    this.nextButton.disabled = this.index === this.items.length - 1;
+
+    if (this.onShow) this.onShow(this.body, item);
+  }
+
+  /**
+   * Show the note with an id, if it is in the list
+   * @param {string} id - Item id
+   * @returns {boolean} Whether the note was found
+   */
+  showId(id) {
+    const index = this.items.findIndex(item => String(item.id) === String(id));
+    if (index === -1) return false;
+    this.show(index);
+    return true;
+  }
+
+  next() {
+    this.show(this.index + 1);
+  }
+
+  previous() {
+    this.show(this.index - 1);
+  }
+
+  /**
+   * Close the sheet and return focus to the trigger
+   * @param {Object} options - {fromHistory: true when the back button closed it}
+   */
+  close({ fromHistory = false } = {}) {
+    if (!this.isOpen) return;
+
+    this.element.hidden = true;
+    this.backdrop.hidden = true;
+    this.element.style.transform = '';
+    document.body.classList.remove(`${this.className}-open`);
+
+    if (this.historyEntry) {
+      this.historyEntry = false;
+      if (!fromHistory && history.state?.[this.className]) history.back();
+    }
+
+    this.trigger?.focus?.();
+    this.trigger = null;
+  }
+
+  /**
+   * Remove the sheet and its listeners
+   */
+  destroy() {
+    this.close();
+    this.handlers.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+    this.handlers = [];
+    this.element?.remove();
+    this.backdrop?.remove();
+    this.element = null;
+    this.backdrop = null;
+  }
+
+  /**
+   * Create the sheet once
+   * @private
+   */
+  render() {
+    if (this.element) return;
+
+    const base = this.className;
+    this.backdrop = document.createElement('div');
+    this.backdrop.className = `${base}-backdrop`;
+    this.backdrop.hidden = true;
+
+    this.element = document.createElement('div');
+    this.element.className = base;
+    this.element.hidden = true;
+    this.element.tabIndex = -1;
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-modal', 'true');
+    this.element.setAttribute('aria-labelledby', `${base}-title`);
+    this.element.innerHTML = `
+      <div class="${base}-handle" aria-hidden="true"></div>
+      <div class="${base}-header">
+        <button type="button" class="${base}-previous" aria-label="${this.labels.previous}">‹</button>
+        <h2 class="${base}-title" id="${base}-title"></h2>
+        <span class="${base}-position"></span>
+        <button type="button" class="${base}-next" aria-label="${this.labels.next}">›</button>
+        <button type="button" class="${base}-close" aria-label="${this.labels.close}">×</button>
+      </div>
+      <div class="${base}-body"></div>
+    `;
+
+    this.title = this.element.querySelector(`.${base}-title`);
+    this.position = this.element.querySelector(`.${base}-position`);
+    this.body = this.element.querySelector(`.${base}-body`);
+    this.previousButton = this.element.querySelector(`.${base}-previous`);
+    this.nextButton = this.element.querySelector(`.${base}-next`);
+
+    this.listen(this.previousButton, 'click', () => this.previous());
+    this.listen(this.nextButton, 'click', () => this.next());
+    this.listen(this.element.querySelector(`.${base}-close`), 'click', () => this.close());
+    this.listen(this.backdrop, 'click', () => this.close());
+    this.listen(this.element, 'keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault(); // Handled: page-level shortcuts leave it alone
+        this.close();
+      } else if (e.key === 'ArrowLeft') this.previous();
+      else if (e.key === 'ArrowRight') this.next();
+    });
+    this.listen(this.element, 'touchstart', (e) => this.startDrag(e), { passive: true });
+    this.listen(this.element, 'touchmove', (e) => this.moveDrag(e), { passive: true });
+    this.listen(this.element, 'touchend', () => this.endDrag());
+    this.listen(this.element, 'touchcancel', () => this.endDrag(true));
+    this.listen(window, 'popstate', () => this.close({ fromHistory: true }));
+
+    document.body.appendChild(this.backdrop);
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * @private
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.handlers.push({ target, type, handler });
+  }
+
+  /**
+   * @private
+   */
+  startDrag(event) {
+    const touch = event.touches[0];
+    // A note scrolled down keeps its own vertical scrolling
+    this.drag = { x: touch.clientX, y: touch.clientY, dx: 0, dy: 0, scrolled: this.body.scrollTop > 0 };
+  }
+
+  /**
+   * @private
+   */
+  moveDrag(event) {
+    if (!this.drag) return;
+
+    const touch = event.touches[0];
+    this.drag.dx = touch.clientX - this.drag.x;
+    this.drag.dy = touch.clientY - this.drag.y;
+
+    if (this.drag.dy > 0 && !this.drag.scrolled && Math.abs(this.drag.dy) > Math.abs(this.drag.dx)) {
+      this.element.style.transform = `translateY(${this.drag.dy}px)`;
+    }
+  }
+
+  /**
+   * Dismiss on a long enough downward swipe, page on a sideways one, otherwise snap back
+   * @param {boolean} cancelled - The gesture was interrupted
+   * @private
+   */
+  endDrag(cancelled = false) {
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag || !this.element) return;
+
+    this.element.style.transform = '';
+    if (cancelled) return;
+
+    const vertical = Math.abs(drag.dy) > Math.abs(drag.dx);
+    if (vertical && !drag.scrolled && drag.dy > this.swipeThreshold) {
+      this.close();
+    } else if (!vertical && Math.abs(drag.dx) > this.swipeThreshold) {
+      if (drag.dx < 0) this.next();
+      else this.previous();
+    }
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BottomSheet;
+} else if (typeof window !== 'undefined') {
+  window.BottomSheet = BottomSheet;
+}
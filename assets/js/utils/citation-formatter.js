@@ -0,0 +1,306 @@
+/**
+ * Citation Formatter - In-text citations and reference entries from CSL-JSON
+ * A small subset of three styles, enough for the entry types a blog post
+ * cites (books, chapters, journal articles, papers, theses, web pages):
+ *
+ *   chicago  (Derrida 1967, 42)      Derrida, Jacques. 1967. Of Grammatology. Paris: Minuit.
+ *   apa      (Derrida, 1967, p. 42)  Derrida, J. (1967). Of Grammatology. Minuit.
+ *   mla      (Derrida 42)            Derrida, Jacques. Of Grammatology. Minuit, 1967.
+ *
+ * format 'numeric' replaces the in-text form with [1, p. 42] and orders the
+ * reference list by first citation; entries keep the chosen style.
+ *
+ * Entry output is HTML (titles in <em>), with every value escaped.
+ *
+ * Created: October 19, 2026
+ */
+
+class CitationFormatter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.style - 'chicago', 'apa' or 'mla' (default 'chicago')
+   * @param {string} options.format - 'author-date' or 'numeric' (default 'author-date')
+   */
+  constructor(options = {}) {
+    this.style = CitationFormatter.styles.includes(options.style) ? options.style : 'chicago';
+    this.format = options.format === 'numeric' ? 'numeric' : 'author-date';
+  }
+
+  /**
+   * Supported output styles
+   */
+  static get styles() {
+    return ['chicago', 'apa', 'mla'];
+  }
+
+  /**
+   * In-text citation
+   * @param {Array<Object>} items - Cited items as {key, entry, locator, number}
+   * @returns {Object} {open, close, separator, parts: [{key, text}]}
+   */
+  formatCitation(items) {
+    if (this.format === 'numeric') {
+      return {
+        open: '[',
+        close: ']',
+        separator: ', ',
+        parts: items.map(({ key, number, locator }) => ({ key, text: locator ? `${number}, ${locator}` : String(number) }))
+      };
+    }
+
+    return {
+      open: '(',
+      close: ')',
+      separator: '; ',
+      parts: items.map(({ key, entry, locator }) => ({ key, text: this.formatAuthorDate(entry, locator) }))
+    };
+  }
+
+  /**
+   * One author-date (or MLA author-page) citation
+   * @param {Object} entry - CSL-JSON item
+   * @param {string} locator - Page or other locator as written, e.g. "p. 42"
+   * @returns {string} Text
+   * @private
+   */
+  formatAuthorDate(entry, locator) {
+    const names = this.citationNames(entry);
+    const year = this.year(entry);
+    // Chicago and MLA give bare page numbers; APA keeps "p."
+    const pages = locator && this.style !== 'apa' ? locator.replace(/^pp?\.\s*/, '') : locator;
+
+    switch (this.style) {
+      case 'apa':
+        return [names, year, pages].filter(Boolean).join(', ');
+      case 'mla':
+        return [names, pages].filter(Boolean).join(' ');
+      default:
+        return `${[names, year].filter(Boolean).join(' ')}${pages ? `, ${pages}` : ''}`;
+    }
+  }
+
+  /**
+   * Reference list entry
+   * @param {Object} entry - CSL-JSON item
+   * @returns {string} HTML
+   */
+  formatEntry(entry) {
+    const parts = this.style === 'apa' ? this.apaEntry(entry)
+      : this.style === 'mla' ? this.mlaEntry(entry)
+        : this.chicagoEntry(entry);
+
+    const link = entry.DOI ? `https://doi.org/${entry.DOI}` : entry.URL;
+    if (link) parts.push(`<a href="${this.escape(link)}">${this.escape(link)}</a>`);
+
+    return parts.filter(Boolean).join(' ');
+  }
+
+  /**
+   * Order entries for the reference list
+   * @param {Array<Object>} cited - Items as {entry, number}
+   * @returns {Array<Object>} Sorted copy
+   */
+  sortEntries(cited) {
+    if (this.format === 'numeric') {
+      return [...cited].sort((a, b) => a.number - b.number);
+    }
+
+    const sortKey = ({ entry }) => {
+      const first = (entry.author || entry.editor || [])[0];
+      const name = first ? (first.family || first.literal || '') : (entry.title || '');
+      return `${name.toLowerCase()} ${this.year(entry)}`;
+    };
+    return [...cited].sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+  }
+
+  /**
+   * @private
+   */
+  chicagoEntry(entry) {
+    const container = entry['container-title'];
+    const place = [entry['publisher-place'], entry.publisher].filter(Boolean).map(v => this.escape(v)).join(': ');
+
+    if (this.isBook(entry)) {
+      return [this.sentence(this.names(entry.author || entry.editor)), this.sentence(this.year(entry)),
+        this.sentence(`<em>${this.escape(entry.title || '')}</em>`), place && this.sentence(place)];
+    }
+
+    let source = container ? `<em>${this.escape(container)}</em>` : '';
+    if (entry.type === 'article-journal' || entry.type === 'article-magazine' || entry.type === 'article-newspaper') {
+      if (entry.volume) source += ` ${this.escape(entry.volume)}`;
+      if (entry.issue) source += ` (${this.escape(entry.issue)})`;
+      if (entry.page) source += `: ${this.escape(entry.page)}`;
+      return [this.sentence(this.names(entry.author)), this.sentence(this.year(entry)),
+        this.quoted(entry.title), source && this.sentence(source)];
+    }
+
+    if (container) source = `In ${source}`;
+    if (entry.editor) source += `, edited by ${this.names(entry.editor, { inverted: false })}`;
+    if (entry.page) source += `, ${this.escape(entry.page)}`;
+    return [this.sentence(this.names(entry.author)), this.sentence(this.year(entry)),
+      this.quoted(entry.title), source && this.sentence(source), place && this.sentence(place)];
+  }
+
+  /**
+   * @private
+   */
+  apaEntry(entry) {
+    const author = this.names(entry.author || entry.editor);
+    const date = `(${this.escape(this.year(entry))}).`;
+    const head = author ? `${this.sentence(author)} ${date}` : date;
+    const container = entry['container-title'];
+
+    if (this.isBook(entry)) {
+      return [head, this.sentence(`<em>${this.escape(entry.title || '')}</em>`), entry.publisher && this.sentence(this.escape(entry.publisher))];
+    }
+
+    if (entry.type === 'article-journal' || entry.type === 'article-magazine' || entry.type === 'article-newspaper') {
+      let source = container ? `<em>${this.escape(container)}</em>` : '';
+      if (entry.volume) source += `, <em>${this.escape(entry.volume)}</em>`;
+      if (entry.issue) source += `(${this.escape(entry.issue)})`;
+      if (entry.page) source += `, ${this.escape(entry.page)}`;
+      return [head, this.sentence(this.escape(entry.title || '')), source && this.sentence(source)];
+    }
+
+    let source = '';
+    if (container) {
+      const editors = entry.editor ? `${this.names(entry.editor, { inverted: false })} (Ed${entry.editor.length > 1 ? 's' : ''}.), ` : '';
+      source = `In ${editors}<em>${this.escape(container)}</em>${entry.page ? ` (pp. ${this.escape(entry.page)})` : ''}`;
+    }
+    return [head, this.sentence(this.escape(entry.title || '')), source && this.sentence(source),
+      entry.publisher && this.sentence(this.escape(entry.publisher))];
+  }
+
+  /**
+   * @private
+   */
+  mlaEntry(entry) {
+    const author = this.names(entry.author || entry.editor);
+    const container = entry['container-title'];
+    const year = this.year(entry);
+
+    if (this.isBook(entry)) {
+      const published = [entry.publisher && this.escape(entry.publisher), year && this.escape(year)].filter(Boolean).join(', ');
+      return [author && this.sentence(author), this.sentence(`<em>${this.escape(entry.title || '')}</em>`), published && this.sentence(published)];
+    }
+
+    const details = [container && `<em>${this.escape(container)}</em>`];
+    if (entry.editor) details.push(`edited by ${this.names(entry.editor, { inverted: false })}`);
+    if (entry.volume) details.push(`vol. ${this.escape(entry.volume)}`);
+    if (entry.issue) details.push(`no. ${this.escape(entry.issue)}`);
+    if (entry.publisher && !entry.type?.startsWith('article')) details.push(this.escape(entry.publisher));
+    if (year) details.push(this.escape(year));
+    if (entry.page) details.push(`pp. ${this.escape(entry.page)}`);
+
+    return [author && this.sentence(author), this.quoted(entry.title), this.sentence(details.filter(Boolean).join(', '))];
+  }
+
+  /**
+   * Author names for an in-text citation: "Derrida", "Deleuze and Guattari", "Latour et al."
+   * Entries without authors are cited by title
+   * @param {Object} entry - CSL-JSON item
+   * @returns {string} Names
+   * @private
+   */
+  citationNames(entry) {
+    const names = (entry.author || entry.editor || []).map(name => name.family || name.literal || '');
+    const and = this.style === 'apa' ? ' & ' : ' and ';
+
+    if (names.length === 0) {
+      const title = entry.title || entry.id;
+      return this.isBook(entry) ? title : `"${title}"`;
+    }
+    if (names.length === 1) return names[0];
+    if (names.length === 2) return names.join(and);
+    return `${names[0]} et al.`;
+  }
+
+  /**
+   * Name list for a reference entry
+   * @param {Array<Object>} names - CSL names
+   * @param {Object} options - Options
+   * @param {boolean} options.inverted - Invert the first name (Chicago/MLA) or all names (APA)
+   * @returns {string} Escaped names
+   * @private
+   */
+  names(names = [], { inverted = true } = {}) {
+    if (!names || names.length === 0) return '';
+
+    const format = (name, index) => {
+      if (name.literal) return name.literal;
+      if (this.style === 'apa' && inverted) {
+        const initials = (name.given || '').split(/[\s-]+/).filter(Boolean).map(part => `${part[0]}.`).join(' ');
+        return initials ? `${name.family}, ${initials}` : name.family;
+      }
+      if (inverted && index === 0) return name.given ? `${name.family}, ${name.given}` : name.family;
+      return [name.given, name.family].filter(Boolean).join(' ');
+    };
+
+    const formatted = names.map(format).map(name => this.escape(name));
+
+    if (this.style === 'mla' && formatted.length > 2) return `${formatted[0]}, et al`;
+    if (formatted.length === 1) return formatted[0];
+
+    const and = this.style === 'apa' ? '&amp;' : 'and';
+    if (formatted.length === 2) {
+      // An inverted first name already ends in a given name, so a comma separates it from "and"
+      return inverted ? `${formatted[0]}, ${and} ${formatted[1]}` : `${formatted[0]} ${and} ${formatted[1]}`;
+    }
+    return `${formatted.slice(0, -1).join(', ')}, ${and} ${formatted[formatted.length - 1]}`;
+  }
+
+  /**
+   * @param {Object} entry - CSL-JSON item
+   * @returns {string} Year, or "n.d."
+   * @private
+   */
+  year(entry) {
+    const issued = entry.issued || {};
+    return String(issued['date-parts']?.[0]?.[0] || issued.literal || 'n.d.');
+  }
+
+  /**
+   * Books are cited by italic title; parts of something else by quoted title
+   * @private
+   */
+  isBook(entry) {
+    return ['book', 'thesis', 'report'].includes(entry.type) || !entry['container-title'];
+  }
+
+  /**
+   * "Title." with the period inside the quotes, as Chicago and MLA want it
+   * @private
+   */
+  quoted(title) {
+    if (!title) return '';
+    const text = this.escape(title);
+    return /[.?!]$/.test(title) ? `“${text}”` : `“${text}.”`;
+  }
+
+  /**
+   * End with a period unless the text already ends a sentence
+   * @private
+   */
+  sentence(text) {
+    if (!text) return '';
+    return /[.?!]$/.test(text.replace(/<[^>]+>$/, '')) ? text : `${text}.`;
+  }
+
+  /**
+   * @private
+   */
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CitationFormatter;
+} else if (typeof window !== 'undefined') {
+  window.CitationFormatter = CitationFormatter;
+}
@@ -0,0 +1,396 @@
+/**
+ * Content Tokenizer - Text-node tokenizer for enhancement patterns
+ * Finds [^N], [m][...][...], [+][...] and [?][...][...] patterns without
+ * touching innerHTML, so event listeners attached by earlier processors survive
+ *
+ * How it works:
+ * - Walks the text nodes of a container once (skipping code, pre and friends)
+ * - Joins consecutive text nodes of the same block into one flat string, so a
+ *   pattern may span inline elements like <em> or an earlier footnote <sup>
+ * - Runs BracketParser (or a RegExp) over the flat string
+ * - Maps every match back to a live DOM Range that processors replace with nodes
+ *
+ * Attributes are never searched because only text nodes are walked.
+ *
+ * Created: October 19, 2026
+ */
+
+class ContentTokenizer {
+  constructor(logger = console) {
+    this.logger = logger;
+
+    const Parser = typeof BracketParser !== 'undefined'
+      ? BracketParser
+      : require('./bracket-parser.js');
+    this.bracketParser = new Parser(logger);
+
+    // Elements whose text is never tokenized
+    this.skipSelector = 'code, pre, kbd, samp, script, style, textarea, template, [data-tokenizer-skip]';
+
+    // Elements that do not break a text run - patterns may span these
+    this.inlineTags = new Set([
+      'A', 'ABBR', 'B', 'BDI', 'BDO', 'BR', 'CITE', 'DEL', 'DFN', 'EM', 'I',
+      'INS', 'MARK', 'Q', 'S', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'TIME', 'U',
+      'CODE', 'KBD', 'SAMP'
+    ]);
+  }
+
+  /**
+   * Tokenize all enhancement patterns within a root element
+   * @param {Element} root - Element whose text nodes are searched
+   * @param {Array<Object>} specs - Pattern specs, each either
+   *   {type, trigger, sections} for BracketParser patterns or {type, pattern} for RegExp patterns
+   *   (a RegExp spec may also name a trigger, e.g. '[^', for source records)
+   * @param {Object} options - Options
+   * @param {string} options.selector - Only tokenize text whose block matches this selector
+   * @returns {Array<Object>} Tokens in document order
+   */
+  tokenize(root, specs, options = {}) {
+    if (!root) return [];
+
+    const segments = this.collectSegments(root, options.selector);
+    const tokens = [];
+
+    segments.forEach(segment => {
+      const segmentTokens = [];
+
+      specs.forEach(spec => {
+        this.findMatches(segment.text, spec).forEach(match => {
+          segmentTokens.push(this.createToken(segment, spec, match));
+        });
+      });
+
+      // When two matches overlap, the one that starts first wins; for equal
+      // starts the earlier spec wins, since the sort is stable
+      segmentTokens.sort((a, b) => a.startIndex - b.startIndex);
+      let lastEnd = -1;
+      segmentTokens.forEach(token => {
+        if (token.startIndex >= lastEnd) {
+          tokens.push(token);
+          lastEnd = token.endIndex;
+        } else {
+          this.logger.debug(`Skipping overlapping ${token.type} token at ${token.startIndex}`);
+        }
+      });
+    });
+
+    this.logger.debug(`ContentTokenizer found ${tokens.length} tokens in ${segments.length} text runs`);
+    return tokens;
+  }
+
+  /**
+   * Collect runs of text nodes that share a block ancestor
+   * @param {Element} root - Root element
+   * @param {string} selector - Optional block selector filter
+   * @returns {Array<Object>} Segments with {block, blockIndex, nodes, text}
+   * @private
+   */
+  collectSegments(root, selector) {
+    const doc = root.ownerDocument;
+    const view = doc.defaultView;
+    const skipSelector = this.skipSelector;
+
+    const walker = doc.createTreeWalker(root, view.NodeFilter.SHOW_ELEMENT | view.NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        if (node.nodeType === 1) {
+          return node.matches(skipSelector) ? view.NodeFilter.FILTER_REJECT : view.NodeFilter.FILTER_SKIP;
+        }
+        return view.NodeFilter.FILTER_ACCEPT;
+      }
+    });
+
+    const segments = [];
+    const blockIndexes = new Map();
+    let current = null;
+    let previousNode = null;
+
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const block = this.findBlock(node, root);
+
+      // A new run starts whenever the block changes or a block boundary sits between nodes
+      if (!current || current.block !== block || !this.sameRun(previousNode, node, block)) {
+        if (!blockIndexes.has(block)) {
+          blockIndexes.set(block, blockIndexes.size);
+        }
+        current = { block, blockIndex: blockIndexes.get(block), nodes: [], text: '' };
+        segments.push(current);
+      }
+
+      current.nodes.push({ node, start: current.text.length });
+      current.text += node.nodeValue;
+      previousNode = node;
+    }
+
+    return segments.filter(segment => {
+      if (!segment.text.includes('[')) return false;
+      if (!selector) return true;
+      const match = segment.block.closest(selector);
+      return !!match && (match === root || root.contains(match));
+    });
+  }
+
+  /**
+   * Find the nearest non-inline ancestor of a node
+   * @param {Node} node - Text node
+   * @param {Element} root - Root element (returned if no closer block exists)
+   * @returns {Element} Block element
+   * @private
+   */
+  findBlock(node, root) {
+    let element = node.parentElement;
+    while (element && element !== root && this.inlineTags.has(element.tagName)) {
+      element = element.parentElement;
+    }
+    return element || root;
+  }
+
+  /**
+   * Check that no block element separates two text nodes of the same block
+   * @param {Node} previous - Previous text node
+   * @param {Node} next - Next text node
+   * @param {Element} block - Shared block element
+   * @returns {boolean} True if both nodes belong to one run
+   * @private
+   */
+  sameRun(previous, next, block) {
+    if (!previous) return false;
+
+    const range = block.ownerDocument.createRange();
+    range.setStartAfter(previous);
+    range.setEndBefore(next);
+
+    const between = range.cloneContents();
+    return !Array.from(between.querySelectorAll('*')).some(el => !this.inlineTags.has(el.tagName));
+  }
+
+  /**
+   * Find matches for one spec in flat text
+   * @param {string} text - Flat run text
+   * @param {Object} spec - Pattern spec
+   * @returns {Array<Object>} Matches with {fullMatch, sections, sectionStarts, startIndex, endIndex}
+   * @private
+   */
+  findMatches(text, spec) {
+    if (spec.pattern) {
+      const flags = spec.pattern.flags.includes('g') ? spec.pattern.flags : spec.pattern.flags + 'g';
+      const pattern = new RegExp(spec.pattern.source, flags);
+      return Array.from(text.matchAll(pattern)).map(match => ({
+        fullMatch: match[0],
+        sections: match.slice(1),
+        sectionStarts: [],
+        startIndex: match.index,
+        endIndex: match.index + match[0].length
+      }));
+    }
+
+    if (!text.includes(spec.trigger + '[')) return [];
+
+    return this.bracketParser.findPattern(text, spec.trigger, spec.sections || 1).map(match => {
+      // Each section starts right after its opening bracket
+      const sectionStarts = [];
+      let cursor = match.startIndex + spec.trigger.length + 1;
+      match.sections.forEach(section => {
+        sectionStarts.push(cursor);
+        cursor += section.length + 2;
+      });
+      return { ...match, sectionStarts };
+    });
+  }
+
+  /**
+   * Build a token with live DOM ranges for a match
+   * @param {Object} segment - Text run
+   * @param {Object} spec - Pattern spec
+   * @param {Object} match - Match data
+   * @returns {Object} Token
+   * @private
+   */
+  createToken(segment, spec, match) {
+    const range = this.createRange(segment, match.startIndex, match.endIndex);
+    const sectionRanges = match.sectionStarts.map((start, i) => {
+      return this.widenRange(this.createRange(segment, start, start + match.sections[i].length), segment.block);
+    });
+
+    // Offset within the block's full text, not just this run
+    const offsetRange = segment.block.ownerDocument.createRange();
+    offsetRange.setStart(segment.block, 0);
+    offsetRange.setEnd(range.startContainer, range.startOffset);
+
+    return {
+      type: spec.type,
+      trigger: spec.trigger || null,
+      fullMatch: match.fullMatch,
+      sections: match.sections,
+      startIndex: match.startIndex,
+      endIndex: match.endIndex,
+      offset: offsetRange.toString().length,
+      block: segment.block,
+      blockIndex: segment.blockIndex,
+      range,
+      sectionRanges
+    };
+  }
+
+  /**
+   * Create a DOM range covering flat-text offsets within a run
+   * @param {Object} segment - Text run
+   * @param {number} start - Start offset (inclusive)
+   * @param {number} end - End offset (exclusive)
+   * @returns {Range} Live DOM range
+   * @private
+   */
+  createRange(segment, start, end) {
+    const range = segment.block.ownerDocument.createRange();
+    const startPoint = this.locate(segment, start, false);
+    const endPoint = this.locate(segment, end, true);
+    range.setStart(startPoint.node, startPoint.offset);
+    range.setEnd(endPoint.node, endPoint.offset);
+    return range;
+  }
+
+  /**
+   * Widen a range over inline elements it covers completely, so extracting
+   * a section moves <em> or an earlier footnote <sup> instead of cloning it
+   * @param {Range} range - Range to widen
+   * @param {Element} block - Block the range must stay within
+   * @returns {Range} The same range
+   * @private
+   */
+  widenRange(range, block) {
+    if (range.collapsed) return range;
+
+    const atStart = () => range.startOffset === 0;
+    const atEnd = () => {
+      const node = range.endContainer;
+      const length = node.nodeType === 3 ? node.nodeValue.length : node.childNodes.length;
+      return range.endOffset === length;
+    };
+
+    while (atStart() && range.startContainer !== block && range.startContainer.parentNode) {
+      if (range.startContainer.nodeType === 1 && range.startContainer.contains(range.endContainer) && !atEnd()) break;
+      range.setStartBefore(range.startContainer);
+    }
+
+    while (atEnd() && range.endContainer !== block && range.endContainer.parentNode) {
+      if (range.endContainer.nodeType === 1 && range.endContainer.contains(range.startContainer)) break;
+      range.setEndAfter(range.endContainer);
+    }
+
+    return range;
+  }
+
+  /**
+   * Map a flat-text offset to a text node and offset
+   * @param {Object} segment - Text run
+   * @param {number} position - Flat-text offset
+   * @param {boolean} isEnd - Prefer the end of a node over the start of the next one
+   * @returns {Object} {node, offset}
+   * @private
+   */
+  locate(segment, position, isEnd) {
+    for (const entry of segment.nodes) {
+      const length = entry.node.nodeValue.length;
+      const within = isEnd
+        ? position > entry.start && position <= entry.start + length
+        : position >= entry.start && position < entry.start + length;
+      if (within) {
+        return { node: entry.node, offset: position - entry.start };
+      }
+    }
+
+    const last = segment.nodes[segment.nodes.length - 1];
+    return { node: last.node, offset: last.node.nodeValue.length };
+  }
+
+  /**
+   * Serialize one section of a token (including inline markup) to HTML
+   * @param {Object} token - Token
+   * @param {number} index - Section index
+   * @returns {string} Section HTML
+   */
+  getSectionHTML(token, index) {
+    const range = token.sectionRanges[index];
+    if (!range) return token.sections[index] || '';
+
+    const holder = token.block.ownerDocument.createElement('div');
+    holder.appendChild(range.cloneContents());
+    return holder.innerHTML;
+  }
+
+  /**
+   * Move one section of a token out of the document, keeping its live nodes
+   * @param {Object} token - Token
+   * @param {number} index - Section index
+   * @returns {DocumentFragment} Extracted nodes
+   */
+  extractSection(token, index) {
+    const range = token.sectionRanges[index];
+    if (!range) {
+      const fragment = token.block.ownerDocument.createDocumentFragment();
+      fragment.textContent = token.sections[index] || '';
+      return fragment;
+    }
+    return range.extractContents();
+  }
+
+  /**
+   * Replace a token's text with a node
+   * @param {Object} token - Token
+   * @param {Node} node - Replacement node (element or fragment)
+   */
+  replaceToken(token, node) {
+    token.range.deleteContents();
+    token.range.insertNode(node);
+  }
+
+  /**
+   * Replace many tokens. Rendering runs in document order (so numbering follows
+   * the text) and insertion runs last first, so earlier ranges stay valid.
+   * Each replacement is recorded in the document's SourceMap.
+   * @param {Array<Object>} tokens - Tokens in document order
+   * @param {Function} render - Receives a token, returns a Node or null to leave it untouched
+   * @returns {number} Number of tokens replaced
+   */
+  replaceTokens(tokens, render) {
+    const rendered = [];
+
+    tokens.forEach(token => {
+      try {
+        // Described before rendering, while the author's text is still in place
+        const sourceMap = this.getSourceMap(token.block.ownerDocument);
+        const source = sourceMap.describe(token);
+        const node = render(token);
+        if (node) {
+          sourceMap.attach(source, node);
+          rendered.push({ token, node });
+        }
+      } catch (error) {
+        this.logger.error(`Failed to render ${token.type} token "${token.fullMatch.substring(0, 40)}":`, error);
+      }
+    });
+
+    rendered.reverse().forEach(({ token, node }) => this.replaceToken(token, node));
+    return rendered.length;
+  }
+
+  /**
+   * Get the source map that records replacements in a document
+   * @param {Document} doc - Document
+   * @returns {SourceMap} Source map
+   * @private
+   */
+  getSourceMap(doc) {
+    const Sources = typeof SourceMap !== 'undefined'
+      ? SourceMap
+      : require('./source-map.js');
+    return Sources.forDocument(doc);
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ContentTokenizer;
+} else if (typeof window !== 'undefined') {
+  window.ContentTokenizer = ContentTokenizer;
+}
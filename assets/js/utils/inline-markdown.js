@@ -0,0 +1,457 @@
+/**
+ * Inline Markdown - The one markdown renderer for enhancement content
+ * Marginalia, extensions, footnote cards and tooltips all render through it,
+ * so a note written the same way looks the same wherever it appears
+ *
+ * Input is HTML as the tokenizer hands it over (section innerHTML): existing
+ * tags pass through untouched and markdown is applied to the text between them.
+ *
+ * Supported:
+ * - **strong** / __strong__, *em* / _em_, nested in either order
+ * - ~~strikethrough~~
+ * - `code`, with \` for a literal backtick inside
+ * - [text](url "title")
+ * - [^label] footnote references are left as written for the footnote processor
+ * - "- item" lines become a bullet list; blank lines separate paragraphs
+ * - \* \_ \[ etc. escape a markdown character
+ *
+ * Everything render() returns has been through sanitize().
+ *
+ * Created: October 19, 2026
+ */
+
+class InlineMarkdown {
+  constructor(options = {}) {
+    this.options = {
+      // Elements dropped with their content
+      blockedTags: ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'link', 'meta',
+        'base', 'form', 'button', 'input', 'select', 'textarea', 'template', 'noscript', 'svg', 'math'],
+      // Elements kept; any other element is replaced by its content
+      allowedTags: ['a', 'abbr', 'article', 'aside', 'b', 'bdi', 'bdo', 'blockquote', 'br', 'caption', 'cite',
+        'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption',
+        'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li',
+        'mark', 'ol', 'p', 'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'section', 'small', 'span', 'strong',
+        'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'u', 'ul',
+        'var', 'wbr'],
+      // Attributes kept on any allowed element, besides data-* and aria-*
+      globalAttributes: ['class', 'id', 'title', 'lang', 'dir', 'role', 'style', 'tabindex', 'hidden'],
+      // Attributes kept on particular elements
+      tagAttributes: {
+        a: ['href', 'name', 'target', 'rel', 'hreflang'],
+        img: ['src', 'alt', 'width', 'height', 'loading'],
+        td: ['colspan', 'rowspan', 'headers'],
+        th: ['colspan', 'rowspan', 'headers', 'scope'],
+        col: ['span'],
+        colgroup: ['span'],
+        ol: ['start', 'reversed', 'type'],
+        li: ['value'],
+        time: ['datetime'],
+        q: ['cite'],
+        blockquote: ['cite'],
+        del: ['cite', 'datetime'],
+        ins: ['cite', 'datetime'],
+        details: ['open']
+      },
+      // Attributes holding URLs that must not run script
+      urlAttributes: ['href', 'src', 'cite'],
+      ...options
+    };
+
+    // Blocks that already start with one of these are left unwrapped
+    this.blockTagPattern = /^<(p|div|ul|ol|blockquote|h[1-6]|pre|table|figure|hr)\b/i;
+    this.escapable = '\\`*_~[]()#+-.!<>';
+  }
+
+  /**
+   * Render markdown content to sanitized HTML
+   * A single paragraph stays inline; several become <p> elements
+   * @param {string} source - Content (text or HTML)
+   * @returns {string} Sanitized HTML
+   */
+  render(source) {
+    if (source === null || source === undefined) return '';
+
+    const parts = this.splitBlocks(String(source));
+    const wrap = parts.length > 1 || parts.some(part => part.type === 'list');
+
+    const html = parts.map(part => {
+      if (part.type === 'list') {
+        return `<ul>${part.lines.map(line => `<li>${this.renderInline(line)}</li>`).join('')}</ul>`;
+      }
+      if (part.type === 'html' || !wrap) {
+        return this.renderInline(part.lines.join(' '));
+      }
+      return `<p>${this.renderInline(part.lines.join(' '))}</p>`;
+    }).join('');
+
+    return this.sanitize(html);
+  }
+
+  /**
+   * Split content into paragraph, list and pre-formed HTML runs
+   * @param {string} source - Content
+   * @returns {Array<Object>} Parts as {type, lines}
+   * @private
+   */
+  splitBlocks(source) {
+    const parts = [];
+
+    source.trim().split(/\n[ \t]*\n/).forEach(block => {
+      const trimmed = block.trim();
+      if (!trimmed) return;
+
+      if (this.blockTagPattern.test(trimmed)) {
+        parts.push({ type: 'html', lines: [trimmed] });
+        return;
+      }
+
+      let run = null;
+      trimmed.split('\n').forEach(line => {
+        const item = line.match(/^\s*[-*+]\s+(.*)$/);
+
+        // Indented lines continue the previous list item
+        if (!item && run?.type === 'list' && /^\s/.test(line)) {
+          run.lines[run.lines.length - 1] += ` ${line.trim()}`;
+          return;
+        }
+
+        const type = item ? 'list' : 'text';
+        if (!run || run.type !== type) {
+          run = { type, lines: [] };
+          parts.push(run);
+        }
+        run.lines.push(item ? item[1].trim() : line.trim());
+      });
+    });
+
+    return parts;
+  }
+
+  /**
+   * Render inline markdown (no paragraphs or lists)
+   * Output is not sanitized; use render() for content going into the page
+   * @param {string} text - Inline content
+   * @returns {string} HTML
+   */
+  renderInline(text) {
+    const state = { failed: new Set() };
+    return this.parseInline(String(text).replace(/[ \t]+/g, ' '), 0, null, state).html;
+  }
+
+  /**
+   * Parse from a position until the closing delimiter (or the end)
+   * Delimiters are handled as runs: a run after a non-space closes the current
+   * span, a run before a non-space opens a new one, so "*a **b** c*" nests.
+   * An opener whose closer is missing is remembered in state.failed.
+   * @param {string} src - Source text
+   * @param {number} start - Start position
+   * @param {string|null} closer - Delimiter that ends this run
+   * @param {Object} state - Parse state shared by one renderInline call
+   * @returns {{html: string, pos: number, closed: boolean}} Parse result
+   * @private
+   */
+  parseInline(src, start, closer, state) {
+    let html = '';
+    let i = start;
+
+    while (i < src.length) {
+      const ch = src[i];
+
+      if (ch === '\\' && i + 1 < src.length && this.escapable.includes(src[i + 1])) {
+        html += this.escapeHTML(src[i + 1]);
+        i += 2;
+        continue;
+      }
+
+      if (ch === '<') {
+        const tag = src.slice(i).match(/^<!--[\s\S]*?-->|^<\/?[A-Za-z][^<>]*>/);
+        if (tag) {
+          html += tag[0];
+          i += tag[0].length;
+        } else {
+          html += '&lt;';
+          i++;
+        }
+        continue;
+      }
+
+      if (ch === '`') {
+        const code = this.parseCode(src, i);
+        if (code) {
+          html += code.html;
+          i = code.pos;
+          continue;
+        }
+        const run = src.slice(i).match(/^`+/)[0];
+        html += run;
+        i += run.length;
+        continue;
+      }
+
+      if (ch === '[') {
+        const footnote = src.slice(i).match(/^\[\^[\w-]+\]/);
+        if (footnote) {
+          html += footnote[0];
+          i += footnote[0].length;
+          continue;
+        }
+
+        const link = this.parseLink(src, i);
+        if (link) {
+          html += link.html;
+          i = link.pos;
+          continue;
+        }
+      }
+
+      if (ch === '*' || ch === '_' || ch === '~') {
+        const run = src.slice(i).match(/^(\*+|_+|~+)/)[0];
+
+        if (closer && closer[0] === ch && run.length >= closer.length && this.canClose(src, i, closer, start)) {
+          return { html, pos: i + closer.length, closed: true };
+        }
+
+        const emphasis = this.parseEmphasis(src, i, run, state);
+        if (emphasis) {
+          html += emphasis.html;
+          i = emphasis.pos;
+          continue;
+        }
+
+        // A run that neither opens nor closes is text
+        html += run;
+        i += run.length;
+        continue;
+      }
+
+      html += ch === '>' ? '&gt;' : ch;
+      i++;
+    }
+
+    return { html, pos: i, closed: false };
+  }
+
+  /**
+   * Try to open emphasis, strong or strikethrough at a delimiter run
+   * @param {string} src - Source text
+   * @param {number} i - Position of the run
+   * @param {string} run - The delimiter run ("**", "~~", ...)
+   * @param {Object} state - Parse state
+   * @returns {{html: string, pos: number}|null} Rendered span, or null
+   * @private
+   */
+  parseEmphasis(src, i, run, state) {
+    const ch = run[0];
+    const candidates = ch === '~' ? ['~~'] : [ch + ch, ch];
+    const tags = { '**': 'strong', '__': 'strong', '*': 'em', '_': 'em', '~~': 'del' };
+
+    for (const delimiter of candidates) {
+      const key = `${delimiter}@${i}`;
+      if (run.length < delimiter.length || state.failed.has(key) || !this.canOpen(src, i, run)) {
+        continue;
+      }
+
+      const inner = this.parseInline(src, i + delimiter.length, delimiter, state);
+      if (inner.closed) {
+        const tag = tags[delimiter];
+        return { html: `<${tag}>${inner.html}</${tag}>`, pos: inner.pos };
+      }
+      state.failed.add(key);
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a delimiter run can open a span: followed by a non-space, and for
+   * underscores not inside a word (snake_case stays literal)
+   * @private
+   */
+  canOpen(src, i, run) {
+    const next = src[i + run.length];
+    if (next === undefined || /\s/.test(next)) return false;
+    if (run[0] === '_' && i > 0 && /[A-Za-z0-9]/.test(src[i - 1])) return false;
+    return true;
+  }
+
+  /**
+   * Whether a delimiter can close the current span: not at its start,
+   * preceded by a non-space, and for underscores not followed by a word character
+   * @private
+   */
+  canClose(src, i, delimiter, start) {
+    if (i <= start || /\s/.test(src[i - 1])) return false;
+    if (delimiter[0] === '_' && /[A-Za-z0-9]/.test(src[i + delimiter.length] || '')) return false;
+    return true;
+  }
+
+  /**
+   * Parse an inline code span; \` inside the span is a literal backtick
+   * @param {string} src - Source text
+   * @param {number} i - Position of the opening backticks
+   * @returns {{html: string, pos: number}|null} Rendered code, or null if unclosed
+   * @private
+   */
+  parseCode(src, i) {
+    const fence = src.slice(i).match(/^`+/)[0];
+    let j = i + fence.length;
+
+    while (j < src.length) {
+      if (src[j] === '\\' && src[j + 1] === '`') {
+        j += 2;
+        continue;
+      }
+      if (src[j] === '`') {
+        const run = src.slice(j).match(/^`+/)[0];
+        if (run.length === fence.length) {
+          let body = src.slice(i + fence.length, j).replace(/\\`/g, '`');
+          if (/^ .*[^ ] $/.test(body)) body = body.slice(1, -1);
+          return { html: `<code>${body.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</code>`, pos: j + run.length };
+        }
+        j += run.length;
+        continue;
+      }
+      j++;
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse [text](url "title")
+   * @param {string} src - Source text
+   * @param {number} i - Position of the opening bracket
+   * @returns {{html: string, pos: number}|null} Rendered link, or null
+   * @private
+   */
+  parseLink(src, i) {
+    let depth = 0;
+    let end = -1;
+
+    for (let j = i; j < src.length; j++) {
+      if (src[j] === '\\') {
+        j++;
+      } else if (src[j] === '[') {
+        depth++;
+      } else if (src[j] === ']' && --depth === 0) {
+        end = j;
+        break;
+      }
+    }
+    if (end === -1) return null;
+
+    const target = src.slice(end + 1).match(/^\(\s*(<[^<>]*>|[^\s()<>]+)(?:\s+(?:"([^"]*)"|'([^']*)'|&quot;(.*?)&quot;))?\s*\)/);
+    if (!target) return null;
+
+    const url = target[1].replace(/^<|>$/g, '');
+    const title = target[2] ?? target[3] ?? target[4];
+    const text = this.renderInline(src.slice(i + 1, end));
+    const titleAttr = title !== undefined ? ` title="${this.escapeAttribute(title)}"` : '';
+
+    return {
+      html: `<a href="${this.escapeAttribute(url)}"${titleAttr}>${text}</a>`,
+      pos: end + 1 + target[0].length
+    };
+  }
+
+  /**
+   * Keep only allowed elements and attributes: blocked elements go with their
+   * content, other unknown elements (SVG animations and the like) are replaced
+   * by their content, and javascript:/vbscript:/data: URLs are removed
+   * (data:image is allowed in src)
+   * @param {string} html - HTML to clean
+   * @returns {string} Sanitized HTML
+   */
+  sanitize(html) {
+    const doc = this.options.document || (typeof document !== 'undefined' ? document : null);
+    if (!doc) {
+      return String(html)
+        .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
+        .replace(/\son\w+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '')
+        .replace(/(javascript|vbscript):/gi, '');
+    }
+
+    const template = doc.createElement('template');
+    template.innerHTML = html;
+
+    template.content.querySelectorAll('*').forEach(element => {
+      if (!template.content.contains(element)) return; // Inside an element already removed
+
+      const tag = element.localName.toLowerCase();
+      if (this.options.blockedTags.includes(tag)) {
+        element.remove();
+        return;
+      }
+      if (!this.options.allowedTags.includes(tag) || element.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+        element.replaceWith(...element.childNodes);
+        return;
+      }
+
+      Array.from(element.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        if (!this.isAllowedAttribute(tag, name) ||
+            (this.options.urlAttributes.includes(name) && this.isUnsafeURL(attribute.value, name))) {
+          element.removeAttribute(attribute.name);
+        }
+      });
+    });
+
+    return template.innerHTML;
+  }
+
+  /**
+   * Whether an attribute may stay on an element
+   * @param {string} tag - Element name
+   * @param {string} name - Attribute name (lowercase)
+   * @returns {boolean} Allowed
+   * @private
+   */
+  isAllowedAttribute(tag, name) {
+    if (/^(data|aria)-[\w.-]+$/.test(name)) return true;
+    return this.options.globalAttributes.includes(name) ||
+      (this.options.tagAttributes[tag] || []).includes(name);
+  }
+
+  /**
+   * Check a URL attribute value for script schemes
+   * @param {string} value - Attribute value
+   * @param {string} name - Attribute name
+   * @returns {boolean} Whether the URL must be removed
+   * @private
+   */
+  isUnsafeURL(value, name) {
+    // Browsers ignore whitespace and control characters inside the scheme
+    const url = value.replace(/[\s\u0000-\u001f]+/g, '').toLowerCase();
+    if (/^(javascript|vbscript):/.test(url)) return true;
+    if (/^data:/.test(url)) return !(name === 'src' && /^data:image\//.test(url));
+    return false;
+  }
+
+  /**
+   * Escape text for element content
+   * @private
+   */
+  escapeHTML(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Escape a value for a double-quoted attribute; existing entities are kept,
+   * since the source text is already HTML
+   * @private
+   */
+  escapeAttribute(value) {
+    return value
+      .replace(/&(?!(?:[a-z]+|#\d+|#x[0-9a-f]+);)/gi, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InlineMarkdown;
+} else if (typeof window !== 'undefined') {
+  window.InlineMarkdown = InlineMarkdown;
+}
@@ -0,0 +1,380 @@
+/**
+ * Keyboard Navigator - One keyboard model for every enhancement
+ * Single-key shortcuts move focus to the next or previous footnote, margin
+ * note, extension or interactive marker, step into an open tooltip, open the
+ * notes panel and show a cheat sheet of themselves. Escape closes whatever is
+ * on top: the cheat sheet, then tooltips, then the notes panel, then opened
+ * content (extensions, running interactions), asking processors through
+ * ContentProcessor.dismissTopmost.
+ *
+ * Shortcuts are KeyboardEvent.key values (a list binds several keys, null
+ * unbinds). Keys typed into form fields or editable content, and keys with
+ * Ctrl, Alt or Meta, are left alone; navigation waits while a processor
+ * reports an animation in progress (ContentProcessor.isAnimating).
+ *
+ * Created: October 19, 2026
+ */
+
+class KeyboardNavigator {
+  /**
+   * Commands, with the target type and direction of the navigation ones
+   * @returns {Object} Commands by name
+   */
+  static get commands() {
+    return {
+      nextFootnote: { type: 'footnote', direction: 1, description: 'Next footnote' },
+      previousFootnote: { type: 'footnote', direction: -1, description: 'Previous footnote' },
+      nextMarginNote: { type: 'marginalia', direction: 1, description: 'Next margin note' },
+      previousMarginNote: { type: 'marginalia', direction: -1, description: 'Previous margin note' },
+      nextExtension: { type: 'extension', direction: 1, description: 'Next extension' },
+      previousExtension: { type: 'extension', direction: -1, description: 'Previous extension' },
+      nextMarker: { type: 'marker', direction: 1, description: 'Next interactive marker' },
+      previousMarker: { type: 'marker', direction: -1, description: 'Previous interactive marker' },
+      enterTooltip: { description: 'Move into the open tooltip' },
+      notesPanel: { description: 'Open or close the notes panel' },
+      close: { description: 'Close the top-most tooltip, extension or panel' },
+      help: { description: 'Show or hide these shortcuts' }
+    };
+  }
+
+  /**
+   * @returns {Object} Default key (or keys) per command
+   */
+  static get shortcuts() {
+    return {
+      nextFootnote: 'f',
+      previousFootnote: 'F',
+      nextMarginNote: 'm',
+      previousMarginNote: 'M',
+      nextExtension: 'e',
+      previousExtension: 'E',
+      nextMarker: 'i',
+      previousMarker: 'I',
+      enterTooltip: 'ArrowDown',
+      notesPanel: 'a',
+      close: 'Escape',
+      help: '?'
+    };
+  }
+
+  /**
+   * @returns {Object} Default selector per target type
+   */
+  static get targets() {
+    return {
+      footnote: '.footnote-ref:not(.footnote-nested-ref) > .footnote-link:not([data-is-extension="true"])',
+      marginalia: '.marginalia-voice',
+      extension: '.extension-trigger, .footnote-ref:not(.footnote-nested-ref) > a.footnote-link[data-is-extension="true"]',
+      marker: '.interactive-marker'
+    };
+  }
+
+  /**
+   * @param {Element} container - Post content the targets are in
+   * @param {Object} options - Options
+   * @param {Object} options.shortcuts - Keys by command, merged over the defaults
+   * @param {Object} options.targets - Selectors by target type, merged over the defaults
+   * @param {Function} options.processors - Returns the processors, in processing order
+   * @param {Function} options.notesPanel - Returns the NotesPanel, if there is one
+   * @param {string} options.className - Base class of the cheat sheet (default 'keyboard-help')
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.shortcuts = { ...KeyboardNavigator.shortcuts, ...options.shortcuts };
+    this.targets = { ...KeyboardNavigator.targets, ...options.targets };
+    this.getProcessors = options.processors || (() => []);
+    this.getNotesPanel = options.notesPanel || (() => null);
+    this.className = options.className || 'keyboard-help';
+
+    this.help = null;
+    this.helpTrigger = null; // Element focused before the cheat sheet opened
+    this.keyHandler = null;
+  }
+
+  /**
+   * @returns {boolean} Whether the cheat sheet is showing
+   */
+  get isHelpOpen() {
+    return !!this.help && !this.help.hidden;
+  }
+
+  /**
+   * Start listening for shortcuts
+   */
+  install() {
+    if (this.keyHandler) return;
+    this.keyHandler = (e) => this.handleKeydown(e);
+    document.addEventListener('keydown', this.keyHandler);
+  }
+
+  /**
+   * Stop listening and remove the cheat sheet
+   */
+  destroy() {
+    if (this.keyHandler) {
+      document.removeEventListener('keydown', this.keyHandler);
+      this.keyHandler = null;
+    }
+    this.help?.remove();
+    this.help = null;
+  }
+
+  /**
+   * The command bound to a key
+   * @param {string} key - KeyboardEvent.key
+   * @returns {string|null} Command name
+   */
+  getCommand(key) {
+    return Object.keys(KeyboardNavigator.commands).find(command => {
+      const keys = [].concat(this.shortcuts[command] ?? []);
+      return keys.includes(key);
+    }) || null;
+  }
+
+  /**
+   * Run a command
+   * @param {string} command - Command name
+   * @returns {boolean} Whether it did anything (the key is then consumed)
+   */
+  run(command) {
+    if (command === 'close') return this.dismissTopmost();
+    if (command === 'help') {
+      this.toggleHelp();
+      return true;
+    }
+    if (this.isHelpOpen || this.isAnimating()) return false;
+
+    if (command === 'notesPanel') {
+      const panel = this.getNotesPanel();
+      if (!panel) return false;
+      panel.toggle();
+      return true;
+    }
+    if (command === 'enterTooltip') {
+      return this.getProcessors().some(processor => processor.focusOpenTooltip());
+    }
+
+    const { type, direction } = KeyboardNavigator.commands[command] || {};
+    return !!type && !!this.move(type, direction);
+  }
+
+  /**
+   * Focus the next or previous target of a type
+   * From a focused element in the post the search starts there; otherwise
+   * next is the first target in or below the viewport and previous the last one above it
+   * @param {string} type - Target type (footnote, marginalia, extension, marker)
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {Element|null} The focused element, or null at either end
+   */
+  move(type, direction) {
+    const targets = this.getTargets(type);
+    const current = document.activeElement;
+    const inPost = current && current !== this.container && this.container.contains(current);
+
+    let index = targets.findIndex(target => target.contains(current) || this.getFocusable(target) === current);
+    if (index !== -1) {
+      index += direction;
+    } else if (inPost) {
+      const following = (target) => !!(current.compareDocumentPosition(target) & window.Node.DOCUMENT_POSITION_FOLLOWING);
+      index = direction > 0
+        ? targets.findIndex(following)
+        : this.findLastIndex(targets, target => !following(target));
+    } else {
+      index = direction > 0
+        ? targets.findIndex(target => target.getBoundingClientRect().top >= 0)
+        : this.findLastIndex(targets, target => target.getBoundingClientRect().top < 0);
+    }
+
+    const target = targets[index];
+    if (!target) return null;
+
+    const focusable = this.getFocusable(target);
+    if (!focusable.matches('a[href], button, input, select, textarea, [tabindex]')) {
+      focusable.setAttribute('tabindex', '-1');
+    }
+    focusable.focus();
+    return focusable;
+  }
+
+  /**
+   * Targets of a type in reading order, leaving out hidden ones
+   * @param {string} type - Target type
+   * @returns {Array<Element>} Targets
+   */
+  getTargets(type) {
+    const selector = this.targets[type];
+    if (!selector) return [];
+    return Array.from(this.container.querySelectorAll(selector)).filter(target => !target.closest('[hidden]'));
+  }
+
+  /**
+   * Close whatever is on top, for Escape
+   * @returns {boolean} Whether anything was closed
+   */
+  dismissTopmost() {
+    if (this.isHelpOpen) {
+      this.closeHelp();
+      return true;
+    }
+
+    const processors = [...this.getProcessors()].reverse();
+    if (processors.some(processor => processor.dismissTopmost('tooltip'))) return true;
+
+    const panel = this.getNotesPanel();
+    if (panel?.isOpen) {
+      panel.close();
+      return true;
+    }
+
+    return processors.some(processor => processor.dismissTopmost('content'));
+  }
+
+  /**
+   * @returns {boolean} Whether any processor has an animation running
+   */
+  isAnimating() {
+    return this.getProcessors().some(processor => processor.isAnimating());
+  }
+
+  toggleHelp() {
+    if (this.isHelpOpen) this.closeHelp();
+    else this.openHelp();
+  }
+
+  /**
+   * Show the cheat sheet, listing the shortcuts currently bound
+   */
+  openHelp() {
+    if (!this.help) this.renderHelp();
+
+    const base = this.className;
+    const commands = KeyboardNavigator.commands;
+    const rows = Object.keys(commands)
+      .filter(command => [].concat(this.shortcuts[command] ?? []).length > 0)
+      .filter(command => command !== 'notesPanel' || this.getNotesPanel())
+      .map(command => `
+        <div class="${base}-row">
+          <dt>${[].concat(this.shortcuts[command]).map(key => `<kbd>${this.escape(this.formatKey(key))}</kbd>`).join(' ')}</dt>
+          <dd>${this.escape(commands[command].description)}</dd>
+        </div>
+      `);
+    this.help.querySelector(`.${base}-list`).innerHTML = rows.join('');
+
+    this.helpTrigger = document.activeElement;
+    this.help.hidden = false;
+    this.help.focus();
+  }
+
+  /**
+   * Hide the cheat sheet and return focus to where it was
+   */
+  closeHelp() {
+    if (!this.isHelpOpen) return;
+    this.help.hidden = true;
+    if (this.helpTrigger?.isConnected) this.helpTrigger.focus();
+    this.helpTrigger = null;
+  }
+
+  /**
+   * How a key is shown in the cheat sheet
+   * @param {string} key - KeyboardEvent.key
+   * @returns {string} Label
+   */
+  formatKey(key) {
+    const names = { Escape: 'Esc', ' ': 'Space', ArrowDown: '↓', ArrowUp: '↑', ArrowLeft: '←', ArrowRight: '→' };
+    if (names[key]) return names[key];
+    return /^[A-Z]$/.test(key) ? `Shift ${key}` : key;
+  }
+
+  /**
+   * @private
+   */
+  handleKeydown(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (this.isTyping(event.target)) return;
+
+    const command = this.getCommand(event.key);
+    if (command && this.run(command)) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Whether a key event comes from somewhere the reader types
+   * @param {Element} target - Event target
+   * @returns {boolean}
+   * @private
+   */
+  isTyping(target) {
+    if (!target?.closest) return false;
+    return !!target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]');
+  }
+
+  /**
+   * What receives focus for a target: the toggle of a folded-away note
+   * (aria-expanded="false"), else the target itself
+   * @param {Element} target - Target
+   * @returns {Element} Element to focus
+   * @private
+   */
+  getFocusable(target) {
+    if (!target.id) return target;
+    const toggle = Array.from(this.container.querySelectorAll('[aria-controls][aria-expanded="false"]'))
+      .find(element => element.getAttribute('aria-controls') === target.id);
+    return toggle || target;
+  }
+
+  /**
+   * Create the cheat sheet once
+   * @private
+   */
+  renderHelp() {
+    const base = this.className;
+
+    this.help = document.createElement('div');
+    this.help.className = base;
+    this.help.hidden = true;
+    this.help.tabIndex = -1;
+    this.help.setAttribute('role', 'dialog');
+    this.help.setAttribute('aria-modal', 'true');
+    this.help.setAttribute('aria-labelledby', `${base}-title`);
+    this.help.innerHTML = `
+      <div class="${base}-header">
+        <h2 class="${base}-title" id="${base}-title">Keyboard shortcuts</h2>
+        <button type="button" class="${base}-close" aria-label="Close shortcuts">×</button>
+      </div>
+      <dl class="${base}-list"></dl>
+    `;
+    this.help.querySelector(`.${base}-close`).addEventListener('click', () => this.closeHelp());
+
+    document.body.appendChild(this.help);
+  }
+
+  /**
+   * @private
+   */
+  findLastIndex(items, predicate) {
+    for (let i = items.length - 1; i >= 0; i--) {
+      if (predicate(items[i])) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * @private
+   */
+  escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyboardNavigator;
+} else if (typeof window !== 'undefined') {
+  window.KeyboardNavigator = KeyboardNavigator;
+}
@@ -0,0 +1,219 @@
+/**
+ * Marginalia Param Parser - Parameters of [m][params][content] patterns
+ * Shared by MarginaliaProcessor and SyntaxDiagnostics so both agree on what is valid
+ *
+ * Two forms, which may be mixed:
+ * - Positional (original): [m][2 1.4 40 left] → voice, font scale, width, side
+ * - Named: [m][voice=critic width=35 side=l scale=0.9]
+ *
+ * Named keys:
+ * - voice     1-6 or a voice name
+ * - scale     Font scale 0.4-2.5 (alias: font-scale)
+ * - width     Width 5-90 (% of content area)
+ * - side      left/right/l/r (alias: position)
+ * - anchor    Phrase the note is attached to; quote values with spaces
+ * - id        Stable identifier for the note
+ * - reply     The note this one answers: its id, or its number (3 or marginalia-3)
+ * - collapse  true/false
+ *
+ * Invalid values fall back to defaults; every problem is returned as a warning.
+ *
+ * Created: October 19, 2026
+ */
+
+class MarginaliaParamParser {
+  constructor(defaults = {}, logger = console) {
+    this.logger = logger;
+
+    this.defaults = {
+      voice: 1,
+      fontScale: 1.0,
+      width: 30,
+      position: 'right',
+      ...defaults
+    };
+
+    // Order of the four-token positional form
+    this.positional = ['voice', 'fontScale', 'width', 'position'];
+
+    // Named keys (lowercase) → parameter names
+    this.keys = {
+      voice: 'voice',
+      scale: 'fontScale',
+      'font-scale': 'fontScale',
+      width: 'width',
+      side: 'position',
+      position: 'position',
+      anchor: 'anchor',
+      id: 'id',
+      reply: 'reply',
+      collapse: 'collapse'
+    };
+
+    // Names used in messages
+    this.labels = {
+      voice: 'voice',
+      fontScale: 'scale',
+      width: 'width',
+      position: 'side',
+      anchor: 'anchor',
+      id: 'id',
+      reply: 'reply',
+      collapse: 'collapse'
+    };
+  }
+
+  /**
+   * Parse a parameter string
+   * @param {string} text - Parameter section, e.g. "2 1.4 40 left" or "voice=critic side=l"
+   * @returns {Object} {params, warnings} - params always has voice, fontScale, width and
+   *   position; anchor, id, reply and collapse only when given. Warnings are {code, message}
+   */
+  parse(text = '') {
+    const params = {
+      voice: this.defaults.voice,
+      fontScale: this.defaults.fontScale,
+      width: this.defaults.width,
+      position: this.defaults.position
+    };
+    const warnings = [];
+    const seen = new Set();
+    let positionalIndex = 0;
+
+    this.tokenize(text).forEach(({ key, value }) => {
+      let name;
+
+      if (key === null) {
+        name = this.positional[positionalIndex++];
+        if (!name) {
+          warnings.push({
+            code: 'extra-param',
+            message: `Unexpected marginalia parameter "${value}" - the positional form takes voice, scale, width and side`
+          });
+          return;
+        }
+      } else {
+        name = this.keys[key.toLowerCase()];
+        if (!name) {
+          warnings.push({
+            code: 'unknown-param',
+            message: `Unknown marginalia parameter "${key}" - expected ${Object.keys(this.labels).map(n => this.labels[n]).join(', ')}`
+          });
+          return;
+        }
+      }
+
+      if (seen.has(name)) {
+        warnings.push({
+          code: 'duplicate-param',
+          message: `Marginalia ${this.labels[name]} is given twice - using "${value}"`
+        });
+      }
+      seen.add(name);
+
+      const result = this.parseValue(name, value);
+      if (result.valid) {
+        params[name] = result.value;
+      } else {
+        warnings.push({ code: 'param-out-of-range', message: `Marginalia ${result.message}` });
+        if (name in this.defaults) params[name] = this.defaults[name];
+      }
+    });
+
+    return { params, warnings };
+  }
+
+  /**
+   * Split a parameter string into positional values and key=value pairs
+   * Values may be quoted with straight or curly quotes (the Ghost editor converts them)
+   * @param {string} text - Parameter string
+   * @returns {Array<Object>} Items with {key, value}; key is null for positional values
+   * @private
+   */
+  tokenize(text) {
+    const pattern = /([A-Za-z][\w-]*)=(?:"([^"]*)"|“([^”]*)”|'([^']*)'|(\S*))|(\S+)/g;
+    const items = [];
+
+    for (const match of text.trim().matchAll(pattern)) {
+      if (match[1]) {
+        const value = [match[2], match[3], match[4], match[5]].find(part => part !== undefined);
+        items.push({ key: match[1], value });
+      } else {
+        items.push({ key: null, value: match[6] });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Validate and convert one value
+   * @param {string} name - Parameter name
+   * @param {string} raw - Raw value
+   * @returns {Object} {valid, value} or {valid: false, message}
+   * @private
+   */
+  parseValue(name, raw) {
+    const value = raw.trim();
+
+    switch (name) {
+      case 'voice': {
+        if (/^\d+$/.test(value)) {
+          const voice = parseInt(value, 10);
+          if (voice >= 1 && voice <= 6) return { valid: true, value: voice };
+        } else if (/^[A-Za-z][\w-]*$/.test(value)) {
+          return { valid: true, value: value.toLowerCase() };
+        }
+        return { valid: false, message: `voice "${raw}" must be 1-6 or a voice name - using ${this.defaults.voice}` };
+      }
+
+      case 'fontScale': {
+        const scale = parseFloat(value);
+        if (scale >= 0.4 && scale <= 2.5) return { valid: true, value: scale };
+        return { valid: false, message: `scale "${raw}" is outside 0.4-2.5 - using ${this.defaults.fontScale}` };
+      }
+
+      case 'width': {
+        const width = parseInt(value, 10);
+        if (width >= 5 && width <= 90) return { valid: true, value: width };
+        return { valid: false, message: `width "${raw}" is outside 5-90 - using ${this.defaults.width}` };
+      }
+
+      case 'position': {
+        const side = value.toLowerCase();
+        if (side === 'left' || side === 'l') return { valid: true, value: 'left' };
+        if (side === 'right' || side === 'r') return { valid: true, value: 'right' };
+        return { valid: false, message: `side "${raw}" must be left, right, l or r - using ${this.defaults.position || "the voice's side"}` };
+      }
+
+      case 'anchor':
+        if (value) return { valid: true, value };
+        return { valid: false, message: 'anchor is empty - quote phrases with spaces: anchor="exact phrase"' };
+
+      case 'id':
+        if (/^[A-Za-z][\w-]*$/.test(value)) return { valid: true, value };
+        return { valid: false, message: `id "${raw}" must start with a letter and use only letters, digits, "-" and "_"` };
+
+      case 'reply':
+        if (/^[\w-]+$/.test(value)) return { valid: true, value };
+        return { valid: false, message: `reply "${raw}" must be the id or number of the note it answers` };
+
+      case 'collapse': {
+        const flag = value.toLowerCase();
+        if (['true', 'yes', '1'].includes(flag)) return { valid: true, value: true };
+        if (['false', 'no', '0'].includes(flag)) return { valid: true, value: false };
+        return { valid: false, message: `collapse "${raw}" must be true or false` };
+      }
+
+      default:
+        return { valid: false, message: `${name} is not supported` };
+    }
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MarginaliaParamParser;
+} else if (typeof window !== 'undefined') {
+  window.MarginaliaParamParser = MarginaliaParamParser;
+}
@@ -0,0 +1,101 @@
+/**
+ * Note Numbering - Labels for the nth note in each numbering scheme
+ * - arabic:      1, 2, 3 …
+ * - lower-roman: i, ii, iii … (upper-roman: I, II, III …)
+ * - lower-alpha: a … z, aa, ab …
+ * - symbol:      *, †, ‡, §, ‖, ¶, then doubled (**, ††, …), then tripled
+ *
+ * Created: October 19, 2026
+ */
+
+class NoteNumbering {
+  /**
+   * Scheme names accepted by format
+   */
+  static get schemes() {
+    return ['arabic', 'lower-roman', 'upper-roman', 'lower-alpha', 'symbol'];
+  }
+
+  /**
+   * The classic symbol sequence
+   */
+  static get symbols() {
+    return ['*', '†', '‡', '§', '‖', '¶'];
+  }
+
+  /**
+   * Label for the nth note
+   * @param {number} n - One-based position in the sequence
+   * @param {string} scheme - One of NoteNumbering.schemes (unknown schemes fall back to arabic)
+   * @returns {string} Label
+   */
+  static format(n, scheme = 'arabic') {
+    switch (scheme) {
+      case 'lower-roman':
+        return NoteNumbering.toRoman(n).toLowerCase();
+      case 'upper-roman':
+        return NoteNumbering.toRoman(n);
+      case 'lower-alpha':
+        return NoteNumbering.toAlpha(n);
+      case 'symbol':
+        return NoteNumbering.toSymbol(n);
+      default:
+        return String(n);
+    }
+  }
+
+  /**
+   * Roman numeral; numbers Roman numerals cannot write (0, 4000 and up) stay arabic
+   * @param {number} n - Number
+   * @returns {string} Numeral
+   */
+  static toRoman(n) {
+    if (n < 1 || n >= 4000) return String(n);
+
+    const numerals = [
+      [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+      [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+    ];
+    let rest = n;
+    return numerals.reduce((roman, [value, numeral]) => {
+      while (rest >= value) {
+        roman += numeral;
+        rest -= value;
+      }
+      return roman;
+    }, '');
+  }
+
+  /**
+   * Letters as in spreadsheet columns: a..z, then aa, ab …
+   * @param {number} n - One-based number
+   * @returns {string} Letters
+   */
+  static toAlpha(n) {
+    let letters = '';
+    let rest = n - 1;
+    do {
+      letters = String.fromCharCode(97 + (rest % 26)) + letters;
+      rest = Math.floor(rest / 26) - 1;
+    } while (rest >= 0);
+    return letters;
+  }
+
+  /**
+   * Symbol from the classic sequence, repeated once more each time it runs out
+   * @param {number} n - One-based number
+   * @returns {string} Symbol
+   */
+  static toSymbol(n) {
+    const symbols = NoteNumbering.symbols;
+    const symbol = symbols[(n - 1) % symbols.length];
+    return symbol.repeat(Math.floor((n - 1) / symbols.length) + 1);
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NoteNumbering;
+} else if (typeof window !== 'undefined') {
+  window.NoteNumbering = NoteNumbering;
+}
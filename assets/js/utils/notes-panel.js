@@ -0,0 +1,313 @@
+/**
+ * Notes Panel - The post's apparatus in one slide-out list
+ * Lists every note the processors report (footnotes, marginalia, extensions…)
+ * in reading order, filtered by type, by voice and by full-text search.
+ * Choosing an entry scrolls to its anchor in the text and highlights it briefly.
+ *
+ * Entries are {type, id, label, voice, voiceLabel, depth, html, anchor},
+ * gathered fresh from options.source each time the panel opens; html must
+ * already be sanitized. voiceLabel (optional) names the voice in the voice
+ * list; depth (optional) indents a reply under the entry it answers.
+ *
+ * Created: October 19, 2026
+ */
+
+class NotesPanel {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.source - Returns the current entries
+   * @param {string} options.className - Base class (default 'notes-panel')
+   * @param {Object} options.typeLabels - Filter labels by entry type
+   * @param {number} options.highlightDuration - ms an anchor stays highlighted (default 1500)
+   * @param {number} options.closeBelow - Viewport width in px under which choosing an entry closes the panel (default 768)
+   */
+  constructor(options = {}) {
+    this.source = options.source || (() => []);
+    this.className = options.className || 'notes-panel';
+    this.typeLabels = {
+      footnote: 'Footnotes',
+      marginalia: 'Margin notes',
+      extension: 'Extensions',
+      ...options.typeLabels
+    };
+    this.highlightDuration = options.highlightDuration ?? 1500;
+    this.closeBelow = options.closeBelow ?? 768;
+
+    this.entries = [];
+    this.filters = { type: 'all', voice: 'all', query: '' };
+    this.element = null;
+    this.toggleButton = null;
+    this.highlights = new Map(); // anchor → timer
+    this.handlers = [];
+  }
+
+  /**
+   * @returns {boolean} Whether the panel is showing
+   */
+  get isOpen() {
+    return !!this.element && !this.element.hidden;
+  }
+
+  /**
+   * Add the panel and its toggle button to the page
+   * @param {Element} parent - Where they go (default document.body)
+   */
+  mount(parent = document.body) {
+    if (this.element) return;
+    this.render(parent);
+  }
+
+  /**
+   * Open the panel with the current entries
+   */
+  open() {
+    if (!this.element) this.mount();
+
+    this.entries = this.source();
+    this.renderFilters();
+    this.renderList();
+
+    this.element.hidden = false;
+    this.toggleButton.setAttribute('aria-expanded', 'true');
+    this.search.focus();
+  }
+
+  /**
+   * Close the panel and return focus to its toggle
+   * @param {Object} options - {restoreFocus: false when focus moves to the text}
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.element.hidden = true;
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+    if (restoreFocus) this.toggleButton.focus();
+  }
+
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  /**
+   * Change one or more filters and redraw the list
+   * @param {Object} filters - Any of {type, voice, query}
+   */
+  setFilters(filters) {
+    Object.assign(this.filters, filters);
+    if (this.element) this.renderList();
+  }
+
+  /**
+   * Entries passing the current filters, in reading order
+   * Every word of the query must appear in the entry's label or text
+   * @returns {Array<Object>} Entries
+   */
+  getVisibleEntries() {
+    const { type, voice, query } = this.filters;
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return this.entries.filter(entry => {
+      if (type !== 'all' && entry.type !== type) return false;
+      if (voice !== 'all' && String(entry.voice) !== voice) return false;
+      if (terms.length === 0) return true;
+
+      const text = `${entry.label} ${this.getText(entry)}`.toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+  }
+
+  /**
+   * Scroll to an entry's anchor and highlight it
+   * @param {Object} entry - Entry
+   */
+  reveal(entry) {
+    const anchor = entry.anchor;
+    if (!anchor?.isConnected) return;
+
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    anchor.scrollIntoView?.({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'center' });
+
+    clearTimeout(this.highlights.get(anchor));
+    anchor.classList.add(`${this.className}-highlight`);
+    this.highlights.set(anchor, setTimeout(() => {
+      anchor.classList.remove(`${this.className}-highlight`);
+      this.highlights.delete(anchor);
+    }, this.highlightDuration));
+
+    if (window.innerWidth < this.closeBelow) {
+      this.close({ restoreFocus: false });
+    }
+  }
+
+  /**
+   * Remove the panel, its toggle and their listeners
+   */
+  destroy() {
+    this.handlers.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+    this.handlers = [];
+    this.highlights.forEach((timer, anchor) => {
+      clearTimeout(timer);
+      anchor.classList.remove(`${this.className}-highlight`);
+    });
+    this.highlights.clear();
+    this.element?.remove();
+    this.toggleButton?.remove();
+    this.element = null;
+    this.toggleButton = null;
+  }
+
+  /**
+   * Create the panel and toggle once
+   * @param {Element} parent - Parent element
+   * @private
+   */
+  render(parent) {
+    const base = this.className;
+
+    this.toggleButton = document.createElement('button');
+    this.toggleButton.type = 'button';
+    this.toggleButton.className = `${base}-toggle`;
+    this.toggleButton.setAttribute('aria-controls', base);
+    this.toggleButton.setAttribute('aria-expanded', 'false');
+    this.toggleButton.textContent = 'Notes';
+
+    this.element = document.createElement('aside');
+    this.element.className = base;
+    this.element.id = base;
+    this.element.hidden = true;
+    this.element.setAttribute('aria-labelledby', `${base}-title`);
+    this.element.innerHTML = `
+      <div class="${base}-header">
+        <h2 class="${base}-title" id="${base}-title">Apparatus</h2>
+        <button type="button" class="${base}-close" aria-label="Close notes">×</button>
+      </div>
+      <input type="search" class="${base}-search" placeholder="Search notes" aria-label="Search notes">
+      <div class="${base}-filters" role="group" aria-label="Show"></div>
+      <select class="${base}-voice" aria-label="Voice" hidden></select>
+      <p class="${base}-count" aria-live="polite"></p>
+      <ol class="${base}-list"></ol>
+    `;
+
+    this.search = this.element.querySelector(`.${base}-search`);
+    this.typeFilters = this.element.querySelector(`.${base}-filters`);
+    this.voiceFilter = this.element.querySelector(`.${base}-voice`);
+    this.count = this.element.querySelector(`.${base}-count`);
+    this.list = this.element.querySelector(`.${base}-list`);
+
+    this.listen(this.toggleButton, 'click', () => this.toggle());
+    this.listen(this.element.querySelector(`.${base}-close`), 'click', () => this.close());
+    this.listen(this.element, 'keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault(); // Handled: page-level shortcuts leave it alone
+      this.close();
+    });
+    this.listen(this.search, 'input', () => this.setFilters({ query: this.search.value }));
+    this.listen(this.voiceFilter, 'change', () => this.setFilters({ voice: this.voiceFilter.value }));
+    this.listen(this.typeFilters, 'click', (e) => {
+      const button = e.target.closest('button[data-type]');
+      if (button) this.setFilters({ type: button.dataset.type });
+    });
+    this.listen(this.list, 'click', (e) => {
+      const item = e.target.closest(`.${base}-entry`);
+      // Links inside a note keep working
+      if (!item || (e.target.closest('a') && !e.target.closest(`.${base}-goto`))) return;
+      e.preventDefault();
+      const entry = this.entries[parseInt(item.dataset.index, 10)];
+      if (entry) this.reveal(entry);
+    });
+
+    parent.appendChild(this.toggleButton);
+    parent.appendChild(this.element);
+  }
+
+  /**
+   * Type buttons for the types present, and the voice list when there is more than one voice
+   * A filter whose choice is gone (the post changed) falls back to all
+   * @private
+   */
+  renderFilters() {
+    const base = this.className;
+    const types = [...new Set(this.entries.map(entry => entry.type))];
+    const voices = [...new Set(this.entries.filter(entry => entry.voice != null).map(entry => String(entry.voice)))];
+    const voiceLabels = new Map(this.entries.filter(entry => entry.voiceLabel).map(entry => [String(entry.voice), entry.voiceLabel]));
+
+    if (!types.includes(this.filters.type)) this.filters.type = 'all';
+    if (!voices.includes(this.filters.voice)) this.filters.voice = 'all';
+
+    this.typeFilters.innerHTML = ['all', ...types].map(type => `
+      <button type="button" class="${base}-filter" data-type="${type}">${this.escape(type === 'all' ? 'All' : this.typeLabels[type] || type)}</button>
+    `).join('');
+
+    this.voiceFilter.hidden = voices.length < 2;
+    this.voiceFilter.innerHTML = ['all', ...voices].map(voice => `
+      <option value="${this.escape(voice)}">${this.escape(voice === 'all' ? 'All voices' : voiceLabels.get(voice) || `Voice ${voice}`)}</option>
+    `).join('');
+    this.voiceFilter.value = this.filters.voice;
+  }
+
+  /**
+   * Draw the entries passing the filters
+   * @private
+   */
+  renderList() {
+    const base = this.className;
+    const visible = this.getVisibleEntries();
+
+    this.typeFilters.querySelectorAll('button[data-type]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.type === this.filters.type));
+    });
+
+    this.list.innerHTML = visible.map(entry => `
+      <li class="${base}-entry" data-index="${this.entries.indexOf(entry)}" data-type="${this.escape(entry.type)}"${entry.voice != null ? ` data-voice="${this.escape(String(entry.voice))}"` : ''}${entry.depth ? ` data-depth="${Number(entry.depth)}" style="--depth: ${Number(entry.depth)}"` : ''}>
+        <a href="#${this.escape(entry.anchor?.id || '')}" class="${base}-goto">${this.escape(entry.label)}</a>
+        <div class="${base}-excerpt">${entry.html}</div>
+      </li>
+    `).join('');
+
+    this.count.textContent = visible.length === this.entries.length
+      ? `${this.entries.length} notes`
+      : `${visible.length} of ${this.entries.length} notes`;
+  }
+
+  /**
+   * Plain text of an entry, for search
+   * @param {Object} entry - Entry
+   * @returns {string} Text
+   * @private
+   */
+  getText(entry) {
+    if (entry.text === undefined) {
+      const holder = document.createElement('div');
+      holder.innerHTML = entry.html;
+      entry.text = holder.textContent.replace(/\s+/g, ' ').trim();
+    }
+    return entry.text;
+  }
+
+  /**
+   * @private
+   */
+  escape(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  /**
+   * @private
+   */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.handlers.push({ target, type, handler });
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NotesPanel;
+} else if (typeof window !== 'undefined') {
+  window.NotesPanel = NotesPanel;
+}
@@ -0,0 +1,152 @@
+/**
+ * Sidenote Layout - Vertical placement for notes sharing one margin column
+ * Each note wants to sit level with its reference; when that would overlap
+ * the note above it, or a margin element already there (marginalia), it is
+ * pushed down until it fits
+ *
+ * placeSides does the same for two columns (marginalia on both margins),
+ * moving a note to the other margin when its own is too crowded
+ *
+ * Works on plain numbers so it can be tested without a layout engine:
+ * - item:     {id, top, height}  top = where the note would like to sit
+ * - obstacle: {top, bottom}      a box already occupying the column
+ * All values are in the same coordinate space (the content container).
+ *
+ * Created: October 19, 2026
+ */
+
+class SidenoteLayout {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.gap - Minimum space between boxes in px (default 12)
+   * @param {number} options.shiftThreshold - Push (px) beyond which a note counts as displaced (default 4)
+   * @param {number} options.switchThreshold - Push (px) on its own side beyond which placeSides tries the other (default 48)
+   */
+  constructor(options = {}) {
+    this.gap = options.gap ?? 12;
+    this.shiftThreshold = options.shiftThreshold ?? 4;
+    this.switchThreshold = options.switchThreshold ?? 48;
+  }
+
+  /**
+   * Place notes top to bottom
+   * @param {Array<Object>} items - Notes as {id, top, height}
+   * @param {Array<Object>} obstacles - Occupied ranges as {top, bottom}
+   * @returns {Array<Object>} Placements as {id, top, desiredTop, shifted}, in input order
+   */
+  place(items, obstacles = []) {
+    const blocked = this.sortObstacles(obstacles);
+    const placements = new Array(items.length);
+    let cursor = -Infinity;
+
+    this.inReadingOrder(items).forEach(({ item, index }) => {
+      const top = this.findSlot(Math.max(item.top, cursor), item.height, blocked);
+      placements[index] = {
+        id: item.id,
+        top,
+        desiredTop: item.top,
+        shifted: top - item.top > this.shiftThreshold
+      };
+      cursor = top + item.height + this.gap;
+    });
+
+    return placements;
+  }
+
+  /**
+   * Place notes in two columns, each stacked like place()
+   * A note that would be pushed more than switchThreshold below its anchor
+   * moves to the other column when it would sit closer to its anchor there
+   * @param {Array<Object>} items - Notes as {id, top, height, side} (side 'left' | 'right', default 'right'; fixed: true keeps it there)
+   * @param {Object} obstacles - Occupied ranges per column as {left: [{top, bottom}], right: [...]}
+   * @returns {Array<Object>} Placements as {id, side, top, desiredTop, shifted, switched}, in input order
+   */
+  placeSides(items, obstacles = {}) {
+    const blocked = {
+      left: this.sortObstacles(obstacles.left || []),
+      right: this.sortObstacles(obstacles.right || [])
+    };
+    const cursors = { left: -Infinity, right: -Infinity };
+    const placements = new Array(items.length);
+
+    this.inReadingOrder(items).forEach(({ item, index }) => {
+      const preferred = item.side === 'left' ? 'left' : 'right';
+      const slot = side => this.findSlot(Math.max(item.top, cursors[side]), item.height, blocked[side]);
+
+      let side = preferred;
+      let top = slot(side);
+
+      if (!item.fixed && top - item.top > this.switchThreshold) {
+        const other = preferred === 'left' ? 'right' : 'left';
+        const otherTop = slot(other);
+        if (otherTop < top) {
+          side = other;
+          top = otherTop;
+        }
+      }
+
+      placements[index] = {
+        id: item.id,
+        side,
+        top,
+        desiredTop: item.top,
+        shifted: top - item.top > this.shiftThreshold,
+        switched: side !== preferred
+      };
+      cursors[side] = top + item.height + this.gap;
+    });
+
+    return placements;
+  }
+
+  /**
+   * Items paired with their input index, top to bottom
+   * Stable sort keeps document order for notes anchored on the same line
+   * @param {Array<Object>} items - Notes
+   * @returns {Array<Object>} [{item, index}]
+   * @private
+   */
+  inReadingOrder(items) {
+    return items
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => a.item.top - b.item.top || a.index - b.index);
+  }
+
+  /**
+   * @private
+   */
+  sortObstacles(obstacles) {
+    return obstacles
+      .filter(obstacle => obstacle.bottom > obstacle.top)
+      .sort((a, b) => a.top - b.top);
+  }
+
+  /**
+   * First position at or below top where a box of this height clears every obstacle
+   * @param {number} top - Earliest position
+   * @param {number} height - Box height
+   * @param {Array<Object>} obstacles - Obstacles sorted by top
+   * @returns {number} Position
+   * @private
+   */
+  findSlot(top, height, obstacles) {
+    let position = top;
+
+    // Obstacles are sorted, so one pass is enough: each push only moves down
+    obstacles.forEach(obstacle => {
+      const overlaps = obstacle.top < position + height + this.gap && obstacle.bottom + this.gap > position;
+      if (overlaps) {
+        position = obstacle.bottom + this.gap;
+      }
+    });
+
+    return position;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SidenoteLayout;
+} else if (typeof window !== 'undefined') {
+  window.SidenoteLayout = SidenoteLayout;
+}
@@ -0,0 +1,149 @@
+/**
+ * Source Map - Records the author's syntax behind every generated element
+ * Once [m][...] or [?][...] is replaced by DOM the original text is gone;
+ * ContentTokenizer records it here just before each replacement
+ *
+ * Record: {id, type, trigger, raw, offset, block, parentId}
+ * - raw      The syntax as written, e.g. "[m][voice=critic][A note [^2]]".
+ *            Generated elements inside it (the [^2] footnote) are turned
+ *            back into their own raw text.
+ * - offset   Character offset of raw within the original text of its
+ *            paragraph (for syntax nested inside another enhancement, within
+ *            that enhancement's content)
+ * - block    The paragraph (or other block) the syntax was found in
+ * - parentId Record id of the enhancement this one sits inside, if any
+ *
+ * Generated elements carry data-source-id; records live per document.
+ *
+ * Created: October 19, 2026
+ */
+
+class SourceMap {
+  constructor() {
+    this.records = new Map();
+    this.counter = 0;
+  }
+
+  /**
+   * Get the source map of a document
+   * @param {Document} doc - Document
+   * @returns {SourceMap} Source map for that document
+   */
+  static forDocument(doc) {
+    if (!SourceMap.maps.has(doc)) {
+      SourceMap.maps.set(doc, new SourceMap());
+    }
+    return SourceMap.maps.get(doc);
+  }
+
+  /**
+   * Describe a token's source before it is replaced
+   * @param {Object} token - ContentTokenizer token
+   * @returns {Object} Source record (not yet attached to an element)
+   */
+  describe(token) {
+    const doc = token.block.ownerDocument;
+
+    // Text of the block up to the token, with earlier enhancements as written
+    const before = doc.createRange();
+    before.setStart(token.block, 0);
+    before.setEnd(token.range.startContainer, token.range.startOffset);
+
+    const parent = token.block.closest('[data-source-id]');
+
+    return {
+      id: null,
+      type: token.type,
+      trigger: token.trigger,
+      raw: this.getSourceText(token.range),
+      offset: this.getSourceText(before).length,
+      block: token.block,
+      parentId: parent ? parent.dataset.sourceId : null
+    };
+  }
+
+  /**
+   * Attach a record to the element(s) rendered for it
+   * A fragment's top-level elements all share the record
+   * @param {Object} record - Record from describe()
+   * @param {Node} node - Rendered element or fragment
+   * @returns {Object|null} The record, or null if nothing could carry it
+   */
+  attach(record, node) {
+    const elements = node.nodeType === 1
+      ? [node]
+      : Array.from(node.childNodes || []).filter(child => child.nodeType === 1);
+
+    if (elements.length === 0) return null;
+
+    record.id = `src-${++this.counter}`;
+    elements.forEach(element => {
+      element.dataset.sourceId = record.id;
+    });
+    this.records.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Rebuild the author's text for a range
+   * @param {Range} range - Range over processed content
+   * @returns {string} Text with generated elements replaced by their raw syntax
+   */
+  getSourceText(range) {
+    const fragment = range.cloneContents();
+    const replaced = new Set();
+
+    fragment.querySelectorAll('[data-source-id]').forEach(element => {
+      const record = this.records.get(element.dataset.sourceId);
+      if (!record || !element.parentNode) return;
+
+      // A pattern rendered as several elements (a highlight and its note) is written once
+      if (replaced.has(record.id)) {
+        element.remove();
+      } else {
+        element.replaceWith(element.ownerDocument.createTextNode(record.raw));
+        replaced.add(record.id);
+      }
+    });
+
+    return fragment.textContent;
+  }
+
+  /**
+   * Get the record for a generated element or anything inside it
+   * @param {Element} element - Element
+   * @returns {Object|null} Source record
+   */
+  get(element) {
+    const generated = element?.closest?.('[data-source-id]');
+    return generated ? this.records.get(generated.dataset.sourceId) || null : null;
+  }
+
+  /**
+   * Get all generated elements within a root, paired with their records
+   * @param {Element} root - Root element
+   * @returns {Array<Object>} Entries as {element, record}
+   */
+  getEntries(root) {
+    return Array.from(root.querySelectorAll('[data-source-id]'))
+      .map(element => ({ element, record: this.records.get(element.dataset.sourceId) }))
+      .filter(entry => entry.record);
+  }
+
+  /**
+   * Forget all records
+   */
+  clear() {
+    this.records.clear();
+  }
+}
+
+// One map per document, so pre-rendering many posts in one process keeps them apart
+SourceMap.maps = new WeakMap();
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SourceMap;
+} else if (typeof window !== 'undefined') {
+  window.SourceMap = SourceMap;
+}
@@ -0,0 +1,521 @@
+/**
+ * Syntax Diagnostics - Authoring report for enhancement markup
+ * Finds malformed [^N], [m], [+], [?] and data-deconstruct syntax before the
+ * processors run, so authors see what will silently fail to render
+ *
+ * Checks:
+ * - Unbalanced brackets and missing sections in bracket patterns
+ * - Footnote references without a matching data-ref card
+ * - data-ref cards that no reference points at
+ * - Unknown deconstruction effect types
+ * - Unknown or out-of-range marginalia parameters, and anchor phrases missing from their paragraph
+ * - [?] target selectors that match nothing
+ * - [@id] cross-references with no target
+ * - [@cite:key] citations with no bibliography entry
+ *
+ * The report is plain data (JSON-serializable) so it can be shown in the
+ * preview overlay, returned from the public API or written by build tools.
+ *
+ * Created: October 19, 2026
+ */
+
+class SyntaxDiagnostics {
+  constructor(config = {}, logger = console) {
+    this.config = config;
+    this.logger = logger;
+
+    const Tokenizer = typeof ContentTokenizer !== 'undefined'
+      ? ContentTokenizer
+      : require('./content-tokenizer.js');
+    this.tokenizer = new Tokenizer(logger);
+    this.bracketParser = this.tokenizer.bracketParser;
+
+    const processors = config.processors || {};
+
+    // Bracket patterns and the number of sections each must have
+    this.bracketSyntaxes = [
+      { syntax: 'marginalia', trigger: processors.marginalia?.patterns?.marginaliaTrigger || '[m]', sections: 2 },
+      { syntax: 'extension', trigger: processors.extensions?.patterns?.extensionTrigger || '[+]', sections: 1 },
+      { syntax: 'interactive', trigger: '[?]', sections: 2 },
+      { syntax: 'marginalia', trigger: processors.marginalia?.patterns?.anchoredTrigger || '[m~]', sections: 3 }
+    ];
+
+    this.footnotePattern = processors.footnotes?.patterns?.markdown || /\[\^([\w-]+)\]/g;
+    this.cardSelector = processors.footnotes?.selectors?.footnoteCards || '[data-ref]';
+    this.referenceAttribute = processors.footnotes?.patterns?.referenceAttribute || 'data-ref';
+    this.crossrefPattern = processors.crossrefs?.patterns?.crossrefPattern || /\[@([A-Za-z0-9][\w-]*)\]/g;
+    this.citationPattern = processors.citations?.patterns?.citationPattern || /\[@cite:([^\]]+)\]/g;
+    this.bibliographySelector = processors.citations?.selectors?.bibliography || '[data-bibliography]';
+
+    // Blocks the processors read, so the report covers only syntax that renders.
+    // Cards become .footnote-content once processed; the report reads them before that
+    this.footnoteSelector = processors.footnotes?.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li';
+    this.crossrefSelector = `${processors.crossrefs?.selectors?.paragraphs || 'p, .marginalia-voice, blockquote, li, .footnote-content'}, ${this.cardSelector}`;
+    this.effectTypes = processors.deconstruction?.patterns?.effectTypes ||
+      ['dissolve', 'collision', 'recursion', 'voices', 'temporal', 'syntax'];
+
+    // Same parser as MarginaliaProcessor, so both agree on what is valid
+    const ParamParser = typeof MarginaliaParamParser !== 'undefined'
+      ? MarginaliaParamParser
+      : require('./marginalia-param-parser.js');
+    this.marginaliaParams = new ParamParser({}, logger);
+
+    this.excerptRadius = 30;
+  }
+
+  /**
+   * Check another bracket trigger for unclosed brackets and missing sections
+   * Used for processors registered through TraceOfTheOther.registerProcessor
+   * @param {string} syntax - Name used in findings
+   * @param {string} trigger - Trigger, e.g. '[g]'
+   * @param {number} sections - Number of bracketed sections the trigger needs
+   */
+  addBracketSyntax(syntax, trigger, sections) {
+    this.bracketSyntaxes.push({ syntax, trigger, sections });
+  }
+
+  /**
+   * Analyze a content container
+   * Read-only: the DOM is never modified
+   * @param {Element} container - Post content element
+   * @returns {Object} Report with {generatedAt, summary, findings}
+   */
+  analyze(container) {
+    this.findings = [];
+    this.container = container;
+
+    if (container) {
+      this.checkBracketSyntax();
+      this.checkFootnotes();
+      this.checkMarginaliaParams();
+      this.checkInteractiveTargets();
+      this.checkCrossReferences();
+      this.checkCitations();
+      this.checkDeconstruction();
+    }
+
+    this.findings.sort((a, b) => (a.paragraph ?? Infinity) - (b.paragraph ?? Infinity));
+
+    const errors = this.findings.filter(finding => finding.severity === 'error').length;
+    const report = {
+      generatedAt: new Date().toISOString(),
+      summary: {
+        errors,
+        warnings: this.findings.length - errors,
+        total: this.findings.length
+      },
+      findings: this.findings
+    };
+
+    this.logger.debug(`SyntaxDiagnostics found ${errors} errors, ${report.summary.warnings} warnings`);
+    return report;
+  }
+
+  /**
+   * Check bracket patterns for unclosed brackets and missing sections
+   * @private
+   */
+  checkBracketSyntax() {
+    const segments = this.tokenizer.collectSegments(this.container);
+
+    segments.forEach(segment => {
+      const text = segment.text;
+
+      this.bracketSyntaxes.forEach(({ syntax, trigger, sections }) => {
+        let index = text.indexOf(trigger);
+
+        while (index !== -1) {
+          const found = this.countSections(text, index + trigger.length);
+
+          if (found.unclosed) {
+            this.report(segment.block, 'error', 'unbalanced-brackets', syntax,
+              `Unclosed bracket in ${trigger} pattern`, this.excerpt(text, index, index + trigger.length));
+          } else if (found.count < sections) {
+            this.report(segment.block, 'error', 'missing-section', syntax,
+              `${trigger} needs ${sections} bracketed section${sections > 1 ? 's' : ''}, found ${found.count}`,
+              this.excerpt(text, index, found.endIndex));
+          }
+
+          index = text.indexOf(trigger, index + trigger.length);
+        }
+      });
+
+      // A footnote reference opened but never closed, or with characters a label can't have
+      const malformed = /\[\^(?![\w-]+\])[^\]\s]*\]?/g;
+      for (const match of text.matchAll(malformed)) {
+        this.report(segment.block, 'error', 'unbalanced-brackets', 'footnote',
+          'Malformed footnote reference - labels use letters, digits, "-" and "_" and end with "]"',
+          this.excerpt(text, match.index, match.index + match[0].length));
+      }
+    });
+  }
+
+  /**
+   * Count the consecutive bracketed sections following a trigger
+   * @param {string} text - Run text
+   * @param {number} start - Index right after the trigger
+   * @returns {Object} {count, endIndex, unclosed}
+   * @private
+   */
+  countSections(text, start) {
+    let count = 0;
+    let cursor = start;
+
+    while (text.charAt(cursor) === '[') {
+      const section = this.bracketParser.extractBracketSection(text, cursor + 1);
+      if (!section) {
+        return { count, endIndex: text.length, unclosed: true };
+      }
+      count++;
+      cursor = section.endIndex;
+    }
+
+    return { count, endIndex: cursor, unclosed: false };
+  }
+
+  /**
+   * Match footnote references against data-ref cards the same way FootnoteProcessor does:
+   * exact label first, then the global number assigned by order of first citation
+   * @private
+   */
+  checkFootnotes() {
+    const tokens = this.tokenizeFootnotes();
+
+    const firstCitations = new Map();
+    tokens.forEach(token => {
+      const label = token.sections[0];
+      if (!firstCitations.has(label)) firstCitations.set(label, token);
+    });
+    const labels = Array.from(firstCitations.keys());
+
+    const doc = this.container.ownerDocument;
+    const matched = new Set();
+
+    const cards = Array.from(doc.querySelectorAll(this.cardSelector));
+    const refOf = card => (card.getAttribute(this.referenceAttribute) || '').trim();
+    const cardRefs = new Set(cards.map(refOf));
+
+    cards.forEach(card => {
+      const ref = refOf(card);
+      let label = null;
+
+      if (firstCitations.has(ref)) {
+        label = ref;
+      } else if (/^\d+$/.test(ref) && parseInt(ref, 10) >= 1 && parseInt(ref, 10) <= labels.length &&
+                 !cardRefs.has(labels[parseInt(ref, 10) - 1])) {
+        // The numbered note's own card wins over a number that happens to match it
+        label = labels[parseInt(ref, 10) - 1];
+      }
+
+      const excerpt = this.truncate(card.textContent.trim());
+
+      if (!label) {
+        this.report(card, 'warning', 'orphan-card', 'footnote',
+          `Footnote card data-ref="${ref}" has no matching [^${ref}] reference`, excerpt);
+      } else if (matched.has(label)) {
+        this.report(card, 'warning', 'duplicate-card', 'footnote',
+          `Footnote [^${label}] already has a card - data-ref="${ref}" is ignored`, excerpt);
+      } else {
+        matched.add(label);
+      }
+    });
+
+    firstCitations.forEach((token, label) => {
+      if (!matched.has(label)) {
+        this.report(token.block, 'error', 'missing-card', 'footnote',
+          `Footnote [^${label}] has no card with data-ref="${label}"`, this.tokenExcerpt(token));
+      }
+    });
+  }
+
+  /**
+   * Footnote references in the order FootnoteProcessor numbers them: those in
+   * the text first, then those inside cards, which cite one note from another
+   * @returns {Array<Object>} Tokens
+   * @private
+   */
+  tokenizeFootnotes() {
+    const spec = { type: 'footnote', pattern: this.footnotePattern };
+    const cards = Array.from(this.container.ownerDocument.querySelectorAll(this.cardSelector));
+
+    return [
+      ...this.tokenizer.tokenize(this.container, [spec], { selector: this.footnoteSelector })
+        .filter(token => !token.block.closest(this.cardSelector)),
+      ...cards.flatMap(card => this.tokenizer.tokenize(card, [spec]))
+    ];
+  }
+
+  /**
+   * Check marginalia parameters with the processor's parser
+   * Invalid values silently fall back to defaults, so they are reported as warnings,
+   * as are an anchor="phrase" that does not occur in the note's paragraph and a
+   * reply= that names no earlier note
+   * @private
+   */
+  checkMarginaliaParams() {
+    // Notes a reply can answer: HTML notes, and pattern notes written before it
+    const earlier = new Set();
+    this.container.querySelectorAll('.marginalia-voice[id]').forEach(element => earlier.add(element.id));
+
+    this.tokenizeMarginalia().forEach((token, index) => {
+      const { params, warnings } = this.marginaliaParams.parse(token.sections[0]);
+
+      warnings.forEach(warning => {
+        this.report(token.block, 'warning', warning.code, 'marginalia', warning.message, this.tokenExcerpt(token));
+      });
+
+      const paragraph = token.block.textContent.replace(token.fullMatch, '').toLowerCase();
+      if (token.type === 'marginalia' && params.anchor && !paragraph.includes(params.anchor.toLowerCase())) {
+        this.report(token.block, 'warning', 'anchor-not-found', 'marginalia',
+          `Marginalia anchor "${params.anchor}" does not occur in its paragraph - the note is tied to the whole paragraph`,
+          this.tokenExcerpt(token));
+      }
+
+      if (params.reply && !earlier.has(params.reply) && !earlier.has(`marginalia-${params.reply}`)) {
+        this.report(token.block, 'warning', 'reply-not-found', 'marginalia',
+          `Marginalia reply "${params.reply}" matches no earlier note - the note stands on its own`,
+          this.tokenExcerpt(token));
+      }
+
+      earlier.add(`marginalia-${index + 1}`);
+      if (params.id) earlier.add(params.id);
+    });
+  }
+
+  /**
+   * Both marginalia forms, in the document order MarginaliaProcessor numbers them
+   * @returns {Array<Object>} Tokens; the wrapped form has type 'marginalia-anchored'
+   * @private
+   */
+  tokenizeMarginalia() {
+    return this.tokenizer.tokenize(this.container, [
+      { type: 'marginalia', trigger: this.bracketSyntaxes[0].trigger, sections: 2 },
+      { type: 'marginalia-anchored', trigger: this.bracketSyntaxes[3].trigger, sections: 3 }
+    ]);
+  }
+
+  /**
+   * Check that [?] targets select at least one element
+   * @private
+   */
+  checkInteractiveTargets() {
+    const tokens = this.tokenizer.tokenize(this.container, [
+      { type: 'interactive', trigger: '[?]', sections: 2 }
+    ]);
+    if (tokens.length === 0) return;
+
+    const Selector = typeof TargetSelector !== 'undefined'
+      ? TargetSelector
+      : require('../core/target-selector.js');
+    const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+    const selector = new Selector(this.container, quiet);
+
+    tokens.forEach(token => {
+      // Same pipe-separated key:value format as InteractiveMarkerProcessor.parseActionConfig
+      let target = 'p1';
+      token.sections[0].split('|').forEach(part => {
+        const [key, value] = part.split(':');
+        if (key && value && key.trim() === 'target') target = value.trim();
+      });
+
+      const validation = selector.validateSelector(target);
+      if (!validation.valid) {
+        this.report(token.block, 'error', 'invalid-target', 'interactive',
+          `Target "${target}" is invalid: ${validation.error}`, this.tokenExcerpt(token));
+      } else if (selector.select(target).length === 0) {
+        this.report(token.block, 'error', 'target-not-found', 'interactive',
+          `Target "${target}" matches no elements`, this.tokenExcerpt(token));
+      }
+    });
+  }
+
+  /**
+   * Check that every [@id] will resolve once the processors have run
+   * Generated ids (marginalia-N, extension-N, interactive-marker-N) are predicted
+   * from pattern counts, in the order the processors number them
+   * @private
+   */
+  checkCrossReferences() {
+    const tokens = this.tokenizer.tokenize(this.container, [
+      { type: 'crossref', pattern: this.crossrefPattern }
+    ], { selector: this.crossrefSelector });
+    if (tokens.length === 0) return;
+
+    const targets = new Set();
+    const count = spec => this.tokenizer.tokenize(this.container, [spec]);
+
+    const footnotes = this.tokenizeFootnotes();
+    const labels = new Set(footnotes.map(token => token.sections[0]));
+    labels.forEach(label => targets.add(label));
+    for (let number = 1; number <= labels.size; number++) targets.add(String(number));
+
+    this.tokenizeMarginalia().forEach((token, index) => {
+      targets.add(`marginalia-${index + 1}`);
+      const { params } = this.marginaliaParams.parse(token.sections[0]);
+      if (params.id) targets.add(params.id);
+    });
+    this.container.querySelectorAll('.marginalia-voice').forEach(element => {
+      if (element.dataset.marginaliaId) targets.add(`marginalia-${element.dataset.marginaliaId}`);
+      if (element.id) targets.add(element.id);
+    });
+
+    count({ type: 'extension', trigger: this.bracketSyntaxes[1].trigger, sections: 1 }).forEach((token, index) => {
+      targets.add(`extension-${index + 1}`);
+    });
+    count({ type: 'interactive', trigger: '[?]', sections: 2 }).forEach((token, index) => {
+      targets.add(`interactive-marker-${index}`);
+    });
+
+    this.container.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]').forEach(heading => {
+      targets.add(heading.id);
+    });
+
+    tokens.forEach(token => {
+      const id = token.sections[0];
+      if (!targets.has(id)) {
+        this.report(token.block, 'error', 'crossref-not-found', 'crossref',
+          `Cross-reference [@${id}] matches no footnote, marginalia, extension, marker or heading`,
+          this.tokenExcerpt(token));
+      }
+    });
+  }
+
+  /**
+   * Check [@cite:key] citations against the bibliography cards
+   * Cards are looked up document-wide, as CitationProcessor does
+   * @private
+   */
+  checkCitations() {
+    const tokens = this.tokenizer.tokenize(this.container, [
+      { type: 'citation', trigger: '[@cite:', pattern: this.citationPattern }
+    ]);
+    if (tokens.length === 0) return;
+
+    const BibliographyClass = typeof Bibliography !== 'undefined'
+      ? Bibliography
+      : require('./bibliography.js');
+    const bibliography = BibliographyClass.collect(this.container.ownerDocument, {
+      selector: this.bibliographySelector,
+      logger: this.logger
+    });
+
+    tokens.forEach(token => {
+      const items = BibliographyClass.parseCitation(token.sections[0]);
+      if (items.length === 0) {
+        this.report(token.block, 'error', 'citation-empty', 'citation',
+          'Citation names no bibliography key', this.tokenExcerpt(token));
+        return;
+      }
+
+      items.filter(item => !bibliography.has(item.key)).forEach(item => {
+        const message = bibliography.size === 0
+          ? `Citation key "${item.key}" has no bibliography - add a [data-bibliography] card`
+          : `Citation key "${item.key}" is not in the bibliography`;
+        this.report(token.block, 'error', 'citation-not-found', 'citation', message, this.tokenExcerpt(token));
+      });
+    });
+  }
+
+  /**
+   * Check data-deconstruct values against the registered effect types
+   * @private
+   */
+  checkDeconstruction() {
+    this.container.querySelectorAll('[data-deconstruct]').forEach(element => {
+      const effectType = element.getAttribute('data-deconstruct').trim();
+
+      if (!this.effectTypes.includes(effectType)) {
+        this.report(element, 'error', 'unknown-effect', 'deconstruct',
+          `Unknown effect type "${effectType}" - expected one of ${this.effectTypes.join(', ')}`,
+          this.truncate(element.textContent.trim()));
+      }
+    });
+  }
+
+  /**
+   * Record a finding
+   * @param {Element} element - Element the finding belongs to
+   * @param {string} severity - 'error' or 'warning'
+   * @param {string} code - Stable machine-readable code
+   * @param {string} syntax - footnote, marginalia, extension, interactive, crossref, deconstruct or a plugin name
+   * @param {string} message - Human-readable message
+   * @param {string} excerpt - Source excerpt
+   * @private
+   */
+  report(element, severity, code, syntax, message, excerpt) {
+    this.findings.push({
+      severity,
+      code,
+      syntax,
+      message,
+      paragraph: this.getParagraphIndex(element),
+      excerpt
+    });
+  }
+
+  /**
+   * Get the 1-based index of the top-level content block containing an element
+   * @param {Element} element - Element inside the container
+   * @returns {number|null} Paragraph index, or null for elements outside the container
+   * @private
+   */
+  getParagraphIndex(element) {
+    if (!element || !this.container.contains(element) || element === this.container) return null;
+
+    let block = element;
+    while (block.parentElement !== this.container) {
+      block = block.parentElement;
+    }
+    return Array.prototype.indexOf.call(this.container.children, block) + 1;
+  }
+
+  /**
+   * Excerpt of a token with surrounding text
+   * @param {Object} token - Tokenizer token
+   * @returns {string} Excerpt
+   * @private
+   */
+  tokenExcerpt(token) {
+    const text = token.block.textContent;
+    return this.excerpt(text, token.offset, token.offset + token.fullMatch.length);
+  }
+
+  /**
+   * Excerpt of a text span with surrounding context
+   * @param {string} text - Full text
+   * @param {number} start - Span start
+   * @param {number} end - Span end
+   * @returns {string} Excerpt
+   * @private
+   */
+  excerpt(text, start, end) {
+    const from = Math.max(0, start - this.excerptRadius);
+    const to = Math.min(text.length, end + this.excerptRadius);
+    const span = text.substring(start, end);
+    const shown = span.length > this.excerptRadius * 3
+      ? `${span.substring(0, this.excerptRadius * 3)}…`
+      : span;
+
+    return `${from > 0 ? '…' : ''}${text.substring(from, start)}${shown}${text.substring(end, to)}${to < text.length ? '…' : ''}`
+      .replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Shorten text for an excerpt
+   * @param {string} text - Text
+   * @returns {string} Truncated text
+   * @private
+   */
+  truncate(text) {
+    const limit = this.excerptRadius * 3;
+    const clean = text.replace(/\s+/g, ' ');
+    return clean.length > limit ? `${clean.substring(0, limit)}…` : clean;
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SyntaxDiagnostics;
+} else if (typeof window !== 'undefined') {
+  window.SyntaxDiagnostics = SyntaxDiagnostics;
+}
@@ -0,0 +1,318 @@
+/**
+ * Tooltip Positioner - One placement engine for every tooltip in the theme
+ * Footnote, citation and cross-reference previews, FootnoteService tooltips,
+ * minimal tooltips and the semantic tooltip all place themselves through it
+ *
+ * - placement: 'top', 'bottom', 'left', 'right', or 'start'/'end' for the
+ *   inline sides (left/right swap in right-to-left text)
+ * - flip: to the opposite side when the preferred one has no room
+ * - shift: along the anchor edge to stay inside the viewport
+ * - arrow: points at the anchor's centre, kept off the rounded corners
+ * - tracking: follows the anchor through scrolling (of the page or of any
+ *   scrolling overlay) and window resizes until the tooltip is hidden
+ * - width: clamped to tooltip_max_width and to the viewport
+ *
+ * compute() works on plain rectangles so placement can be tested without a
+ * layout engine; position() and track() apply it to elements.
+ *
+ * Created: October 19, 2026
+ */
+
+class TooltipPositioner {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.placement - Preferred side (default 'bottom')
+   * @param {number} options.offset - Gap between anchor and tooltip in px (default 8)
+   * @param {number} options.viewportPadding - Minimum distance from viewport edges in px (default 12)
+   * @param {number} options.arrowPadding - Minimum distance from arrow to tooltip corners in px (default 12)
+   * @param {number|string} options.maxWidth - Width limit, e.g. 400 or '400px' (default none)
+   */
+  constructor(options = {}) {
+    this.placement = options.placement || 'bottom';
+    this.offset = options.offset ?? 8;
+    this.viewportPadding = options.viewportPadding ?? 12;
+    this.arrowPadding = options.arrowPadding ?? 12;
+    this.maxWidth = options.maxWidth ?? null;
+    this.arrowSelector = options.arrowSelector || '.footnote-tooltip-arrow';
+
+    this.tracked = new Map(); // tooltip → {anchor, options}
+    this.frame = null;
+    this.onViewportChange = () => this.scheduleUpdate();
+  }
+
+  /**
+   * Instance shared by every tooltip on the page, configured from
+   * ThemeConfig.global.tooltips and the tooltip_max_width theme setting
+   * @returns {TooltipPositioner} Shared positioner
+   */
+  static shared() {
+    if (!TooltipPositioner.instance) {
+      const config = (typeof window !== 'undefined' && window.ThemeConfig?.global?.tooltips) || {};
+      const maxWidth = typeof window !== 'undefined' ? window.ghost_custom_settings?.tooltip_max_width : null;
+      TooltipPositioner.instance = new TooltipPositioner({ maxWidth, ...config });
+    }
+    return TooltipPositioner.instance;
+  }
+
+  /**
+   * Arrow class for each placement - names the tooltip edge the arrow sits on
+   */
+  static get arrowClasses() {
+    return {
+      bottom: 'arrow-top',
+      top: 'arrow-bottom',
+      right: 'arrow-left',
+      left: 'arrow-right'
+    };
+  }
+
+  /**
+   * Work out where a tooltip goes
+   * @param {Object} input - Geometry
+   * @param {Object} input.anchor - Anchor rect {left, top, width, height}
+   * @param {Object} input.tooltip - Tooltip size {width, height}
+   * @param {Object} input.viewport - Viewport size {width, height}
+   * @param {string} input.placement - Preferred side (default this.placement)
+   * @param {boolean} input.rtl - Right-to-left text
+   * @returns {Object} {placement, left, top, arrow: {left}|{top}, flipped, shifted}
+   */
+  compute({ anchor, tooltip, viewport, placement = this.placement, rtl = false }) {
+    const pad = this.viewportPadding;
+    const a = { ...anchor, right: anchor.left + anchor.width, bottom: anchor.top + anchor.height };
+
+    const preferred = this.resolveSide(placement, rtl);
+    const opposite = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' }[preferred];
+    const space = {
+      top: a.top - pad,
+      bottom: viewport.height - a.bottom - pad,
+      left: a.left - pad,
+      right: viewport.width - a.right - pad
+    };
+    const needed = side => (side === 'top' || side === 'bottom' ? tooltip.height : tooltip.width) + this.offset;
+
+    // Flip only when the other side has room, or at least more of it
+    let side = preferred;
+    if (space[preferred] < needed(preferred)) {
+      if (space[opposite] >= needed(opposite) || space[opposite] > space[preferred]) side = opposite;
+    }
+
+    const vertical = side === 'top' || side === 'bottom';
+    let left;
+    let top;
+
+    if (vertical) {
+      top = side === 'bottom' ? a.bottom + this.offset : a.top - this.offset - tooltip.height;
+      left = a.left + a.width / 2 - tooltip.width / 2;
+    } else {
+      left = side === 'right' ? a.right + this.offset : a.left - this.offset - tooltip.width;
+      top = a.top + a.height / 2 - tooltip.height / 2;
+    }
+
+    // Shift along the anchor edge; on the main axis this only matters when neither side fits
+    const centred = vertical ? left : top;
+    left = this.clampToViewport(left, tooltip.width, viewport.width, rtl);
+    top = this.clampToViewport(top, tooltip.height, viewport.height, false);
+
+    const arrow = vertical
+      ? { left: this.clampArrow(a.left + a.width / 2 - left, tooltip.width) }
+      : { top: this.clampArrow(a.top + a.height / 2 - top, tooltip.height) };
+
+    return {
+      placement: side,
+      left,
+      top,
+      arrow,
+      flipped: side !== preferred,
+      shifted: (vertical ? left : top) !== centred
+    };
+  }
+
+  /**
+   * Map a placement to a physical side
+   * @param {string} placement - 'top', 'bottom', 'left', 'right', 'start' or 'end'
+   * @param {boolean} rtl - Right-to-left text
+   * @returns {string} 'top', 'bottom', 'left' or 'right'
+   * @private
+   */
+  resolveSide(placement, rtl) {
+    if (placement === 'start') return rtl ? 'right' : 'left';
+    if (placement === 'end') return rtl ? 'left' : 'right';
+    return ['top', 'bottom', 'left', 'right'].includes(placement) ? placement : 'bottom';
+  }
+
+  /**
+   * Keep a box inside [padding, limit - padding]
+   * A box too big to fit keeps its reading-start edge visible: left in LTR, right in RTL
+   * @private
+   */
+  clampToViewport(position, size, limit, rtl) {
+    const min = this.viewportPadding;
+    const max = limit - size - this.viewportPadding;
+    if (max < min) return rtl ? max : min;
+    return Math.min(Math.max(position, min), max);
+  }
+
+  /**
+   * @private
+   */
+  clampArrow(position, size) {
+    const min = Math.min(this.arrowPadding, size / 2);
+    return Math.min(Math.max(position, min), size - min);
+  }
+
+  /**
+   * Width limit for the current viewport
+   * @param {number} viewportWidth - Viewport width
+   * @returns {number|null} Max width in px, or null for no limit
+   */
+  getMaxWidth(viewportWidth) {
+    const configured = parseFloat(this.maxWidth);
+    const available = viewportWidth - 2 * this.viewportPadding;
+    return Number.isFinite(configured) ? Math.min(configured, available) : available;
+  }
+
+  /**
+   * Place a tooltip next to an anchor element
+   * The tooltip is shown (display block) with position fixed
+   * @param {Element} tooltip - Tooltip element
+   * @param {Element} anchor - Element the tooltip describes
+   * @param {Object} options - {placement}
+   * @returns {Object} compute() result
+   */
+  position(tooltip, anchor, options = {}) {
+    const viewport = this.getViewport();
+
+    // Measure hidden, at the width it will be shown with
+    Object.assign(tooltip.style, {
+      position: 'fixed',
+      display: 'block',
+      visibility: 'hidden',
+      maxWidth: `${this.getMaxWidth(viewport.width)}px`
+    });
+
+    const tooltipRect = tooltip.getBoundingClientRect();
+    const result = this.compute({
+      anchor: anchor.getBoundingClientRect(),
+      tooltip: { width: tooltipRect.width, height: tooltipRect.height },
+      viewport,
+      placement: options.placement || this.placement,
+      rtl: this.isRTL(anchor)
+    });
+
+    Object.assign(tooltip.style, {
+      left: `${result.left}px`,
+      top: `${result.top}px`,
+      visibility: 'visible'
+    });
+    tooltip.dataset.placement = result.placement;
+
+    const arrow = tooltip.querySelector(this.arrowSelector);
+    if (arrow) {
+      arrow.className = `${this.arrowSelector.slice(1)} ${TooltipPositioner.arrowClasses[result.placement]}`;
+      arrow.style.left = result.arrow.left !== undefined ? `${result.arrow.left}px` : '';
+      arrow.style.top = result.arrow.top !== undefined ? `${result.arrow.top}px` : '';
+    }
+
+    return result;
+  }
+
+  /**
+   * Keep a shown tooltip attached to its anchor while the page scrolls or resizes
+   * Tracking ends by itself once the tooltip is hidden or removed
+   * @param {Element} tooltip - Tooltip element
+   * @param {Element} anchor - Anchor element
+   * @param {Object} options - position() options
+   */
+  track(tooltip, anchor, options = {}) {
+    if (this.tracked.size === 0 && typeof window !== 'undefined') {
+      // Capture catches scrolling in any scroll container, not just the page
+      window.addEventListener('scroll', this.onViewportChange, { capture: true, passive: true });
+      window.addEventListener('resize', this.onViewportChange);
+    }
+    this.tracked.set(tooltip, { anchor, options });
+  }
+
+  /**
+   * Stop following an anchor
+   * @param {Element} tooltip - Tooltip element
+   */
+  untrack(tooltip) {
+    this.tracked.delete(tooltip);
+
+    if (this.tracked.size === 0 && typeof window !== 'undefined') {
+      window.removeEventListener('scroll', this.onViewportChange, { capture: true });
+      window.removeEventListener('resize', this.onViewportChange);
+    }
+  }
+
+  /**
+   * @private
+   */
+  scheduleUpdate() {
+    if (this.frame !== null) return;
+
+    const raf = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : callback => setTimeout(callback, 16);
+    this.frame = raf(() => {
+      this.frame = null;
+      this.update();
+    });
+  }
+
+  /**
+   * Reposition every tracked tooltip
+   * @returns {void}
+   */
+  update() {
+    const viewport = this.getViewport();
+
+    Array.from(this.tracked.entries()).forEach(([tooltip, { anchor, options }]) => {
+      if (!tooltip.isConnected || !anchor.isConnected || tooltip.style.display === 'none') {
+        this.untrack(tooltip);
+        return;
+      }
+
+      // An anchor scrolled out of view takes its tooltip with it until it returns
+      const rect = anchor.getBoundingClientRect();
+      const visible = rect.bottom > 0 && rect.top < viewport.height && rect.right > 0 && rect.left < viewport.width;
+      if (!visible) {
+        tooltip.style.visibility = 'hidden';
+        return;
+      }
+
+      this.position(tooltip, anchor, options);
+    });
+  }
+
+  /**
+   * Viewport size without scrollbars
+   * @returns {Object} {width, height}
+   * @private
+   */
+  getViewport() {
+    const root = document.documentElement;
+    return {
+      width: root.clientWidth || window.innerWidth,
+      height: root.clientHeight || window.innerHeight
+    };
+  }
+
+  /**
+   * @param {Element} element - Anchor
+   * @returns {boolean} Whether the anchor's text runs right to left
+   * @private
+   */
+  isRTL(element) {
+    const direction = element.closest?.('[dir]')?.getAttribute('dir');
+    if (direction) return direction.toLowerCase() === 'rtl';
+    return typeof getComputedStyle === 'function' && getComputedStyle(element).direction === 'rtl';
+  }
+}
+
+TooltipPositioner.instance = null;
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TooltipPositioner;
+} else if (typeof window !== 'undefined') {
+  window.TooltipPositioner = TooltipPositioner;
+}
@@ -0,0 +1,194 @@
+/**
+ * Transclusion Fetcher - Notes and paragraphs quoted from other posts
+ * Resolves a target such as "/other-post-slug/#footnote-2" to the HTML of
+ * that note (the post's <div data-ref="2"> card) or of any element with that
+ * id, so a series of posts can share one copy of a note instead of drifting copies.
+ *
+ * Where posts come from is pluggable: a loader is a function (slug) →
+ * Promise<post HTML|null>. ghostLoader reads Ghost's Content API, jsonLoader
+ * a file shaped like its response ({posts: [{slug, html}]}). Fragments are
+ * cached in sessionStorage and passed through options.sanitize on every read.
+ *
+ * Created: October 19, 2026
+ */
+
+class TransclusionFetcher {
+  /**
+   * @param {Object} options - Options
+   * @param {Function} options.loader - (slug) → Promise<string|null> (default ghostLoader())
+   * @param {Function} options.sanitize - Cleans fragment HTML before it is returned
+   * @param {Storage} options.storage - Cache (default sessionStorage; null disables caching)
+   * @param {string} options.cachePrefix - Cache key prefix
+   */
+  constructor(options = {}) {
+    this.loader = options.loader || TransclusionFetcher.ghostLoader();
+    this.sanitize = options.sanitize || (html => html);
+    this.storage = options.storage !== undefined ? options.storage : TransclusionFetcher.getSessionStorage();
+    this.cachePrefix = options.cachePrefix || 'transclusion:';
+    this.posts = new Map(); // slug → Promise<post HTML>, so notes from one post share one request
+  }
+
+  /**
+   * Loader for Ghost's Content API (posts, then pages, by slug)
+   * The URL and key default to the ones Ghost gives its search script
+   * @param {Object} options - {url, key}
+   * @returns {Function} Loader
+   */
+  static ghostLoader({ url, key } = {}) {
+    return async (slug) => {
+      const search = document.querySelector('script[data-sodo-search]');
+      const apiUrl = (url || search?.dataset.sodoSearch || window.location.origin).replace(/\/$/, '');
+      const apiKey = key || search?.dataset.key;
+      if (!apiKey) throw new Error('No Content API key configured');
+
+      for (const resource of ['posts', 'pages']) {
+        const response = await fetch(`${apiUrl}/ghost/api/content/${resource}/slug/${encodeURIComponent(slug)}/?key=${encodeURIComponent(apiKey)}&fields=html`);
+        if (response.status === 404) continue;
+        if (!response.ok) throw new Error(`Content API returned ${response.status} for "${slug}"`);
+
+        const data = await response.json();
+        return data[resource]?.[0]?.html ?? null;
+      }
+      return null;
+    };
+  }
+
+  /**
+   * Loader for a JSON file of posts, fetched once
+   * @param {string} url - File shaped like {posts: [{slug, html}]} (or the array alone)
+   * @returns {Function} Loader
+   */
+  static jsonLoader(url) {
+    let posts = null;
+    return async (slug) => {
+      if (!posts) {
+        posts = fetch(url).then(response => {
+          if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+          return response.json();
+        }).then(data => (Array.isArray(data) ? data : data.posts || []));
+        posts.catch(() => { posts = null; }); // A failed load is retried next time
+      }
+      return (await posts).find(post => post.slug === slug)?.html ?? null;
+    };
+  }
+
+  /**
+   * @returns {Storage|null} sessionStorage, when the browser allows it
+   */
+  static getSessionStorage() {
+    try {
+      return window.sessionStorage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Split a target into the post slug and the anchor within it
+   * @param {string} target - e.g. "/other-post-slug/#footnote-2"
+   * @returns {Object|null} {slug, anchor, url}, or null when either part is missing
+   */
+  parseTarget(target) {
+    let url;
+    try {
+      url = new URL(target, window.location.href);
+    } catch (error) {
+      return null;
+    }
+
+    const slug = url.pathname.split('/').filter(Boolean).pop();
+    const anchor = decodeURIComponent(url.hash.slice(1));
+    if (!slug || !anchor) return null;
+
+    return { slug, anchor, url: url.href };
+  }
+
+  /**
+   * Fetch a target's HTML, from the cache when it is there
+   * @param {string} target - Target
+   * @returns {Promise<string>} Sanitized HTML
+   * @throws {Error} When the target is malformed, or the post or anchor cannot be found
+   */
+  async fetch(target) {
+    const parsed = this.parseTarget(target);
+    if (!parsed) throw new Error(`"${target}" is not a /post-slug/#anchor target`);
+
+    const cacheKey = `${this.cachePrefix}${parsed.slug}#${parsed.anchor}`;
+    let fragment = this.readCache(cacheKey);
+
+    if (fragment === null) {
+      const html = await this.loadPost(parsed.slug);
+      fragment = this.extract(html, parsed.anchor);
+      if (fragment === null) throw new Error(`No #${parsed.anchor} in "${parsed.slug}"`);
+      this.writeCache(cacheKey, fragment);
+    }
+
+    return this.sanitize(fragment);
+  }
+
+  /**
+   * Find the anchor in a post: an element with that id, or for footnote-<ref>
+   * the post's footnote card with that data-ref (footnotes are numbered in the
+   * browser, so the post's stored HTML has cards rather than #footnote-N)
+   * @param {string} html - Post HTML
+   * @param {string} anchor - Anchor id
+   * @returns {string|null} Inner HTML of the anchor
+   */
+  extract(html, anchor) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    let element = template.content.getElementById(anchor);
+    const ref = anchor.match(/^footnote-([\w-]+)$/)?.[1];
+    if (!element && ref) {
+      element = template.content.querySelector(`[data-ref="${ref}"]`);
+    }
+
+    return element ? element.innerHTML.trim() : null;
+  }
+
+  /**
+   * @private
+   */
+  loadPost(slug) {
+    if (!this.posts.has(slug)) {
+      const request = Promise.resolve(this.loader(slug)).then(html => {
+        if (html == null) throw new Error(`Post "${slug}" not found`);
+        return html;
+      });
+      // Failures are not remembered, so a later note can try again
+      request.catch(() => this.posts.delete(slug));
+      this.posts.set(slug, request);
+    }
+    return this.posts.get(slug);
+  }
+
+  /**
+   * @private
+   */
+  readCache(key) {
+    try {
+      return this.storage?.getItem(key) ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  writeCache(key, fragment) {
+    try {
+      this.storage?.setItem(key, fragment);
+    } catch (error) {
+      // Quota exceeded or storage disabled: the note still shows, uncached
+    }
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TransclusionFetcher;
+} else if (typeof window !== 'undefined') {
+  window.TransclusionFetcher = TransclusionFetcher;
+}
@@ -0,0 +1,209 @@
+/**
+ * Voice Registry - The speakers of a post's margins
+ * One list of named voices (ThemeConfig.global.voices) that marginalia,
+ * VoiceEffect spans and the marginalia partial all resolve against, so
+ * "critic" looks and sits the same wherever it speaks.
+ *
+ * A voice is {name, label, color, font, icon, side}. Aliases map other
+ * values onto names - the numeric voices 1-6 of [m][2] patterns among them.
+ * Elements take a voice through apply(): data-voice becomes the voice's
+ * name and --voice-color / --voice-font carry its look into CSS.
+ *
+ * Created: October 19, 2026
+ */
+
+class VoiceRegistry {
+  /**
+   * @param {Object} options - ThemeConfig.global.voices
+   * @param {Object} options.registry - name → {label, color, font, icon, side}; merged over the built-in voices
+   * @param {Object} options.aliases - alias → name; merged over the built-in aliases
+   * @param {string} options.fallback - Voice for values that resolve to nothing (default commentator)
+   */
+  constructor(options = {}) {
+    const defaults = VoiceRegistry.defaults;
+
+    this.voices = new Map();
+    Object.entries({ ...defaults.registry, ...options.registry }).forEach(([name, voice]) => {
+      this.register(name, voice);
+    });
+
+    this.aliases = new Map();
+    Object.entries({ ...defaults.aliases, ...options.aliases }).forEach(([alias, name]) => {
+      this.aliases.set(this.normalize(alias), this.normalize(name));
+    });
+
+    this.fallback = this.normalize(options.fallback || defaults.fallback);
+    if (!this.voices.has(this.fallback)) this.register(this.fallback);
+  }
+
+  /**
+   * Built-in voices; the numeric aliases keep the colours voices 1-6 always had
+   * @returns {Object} {registry, aliases, fallback}
+   */
+  static get defaults() {
+    return {
+      registry: {
+        commentator: { label: 'Commentator', color: '#00ff00', font: "'JetBrains Mono', monospace", icon: '¶', side: 'right' },
+        translator: { label: 'Translator', color: '#00ffff', font: "'Share Tech Mono', monospace", icon: '⇄', side: 'left' },
+        ghost: { label: 'Ghost', color: '#8a2be2', font: "'JetBrains Mono', monospace", icon: '◌', side: 'right' },
+        critic: { label: 'Critic', color: '#ff0040', font: "'JetBrains Mono', monospace", icon: '†', side: 'left' },
+        reader: { label: 'Reader', color: '#ffaa00', font: "'Share Tech Mono', monospace", icon: '◉', side: 'right' },
+        archivist: { label: 'Archivist', color: '#ff6b9d', font: "'JetBrains Mono', monospace", icon: '§', side: 'left' },
+        questioner: { label: 'Questioner', color: '#ffd700', font: "'Share Tech Mono', monospace", icon: '?', side: 'left' },
+        platform: { label: 'Platform', color: '#9e9e9e', font: 'monospace', icon: '⌘', side: 'right' }
+      },
+      aliases: {
+        1: 'commentator',
+        2: 'translator',
+        3: 'ghost',
+        4: 'critic',
+        5: 'reader',
+        6: 'archivist'
+      },
+      fallback: 'commentator'
+    };
+  }
+
+  /**
+   * Add or replace a voice
+   * @param {string} name - Voice name
+   * @param {Object} voice - {label, color, font, icon, side}
+   */
+  register(name, voice = {}) {
+    const key = this.normalize(name);
+    this.voices.set(key, {
+      name: key,
+      label: voice.label || this.capitalize(key),
+      color: voice.color || null,
+      font: voice.font || null,
+      icon: voice.icon || '',
+      side: voice.side === 'left' ? 'left' : 'right'
+    });
+  }
+
+  /**
+   * Look a voice up by name or alias
+   * @param {string|number} value - e.g. "critic", "Critic" or 4
+   * @returns {Object|null} Voice, or null when nothing matches
+   */
+  resolve(value) {
+    if (value === null || value === undefined) return null;
+    const key = this.normalize(value);
+    return this.voices.get(this.aliases.get(key) || key) || null;
+  }
+
+  /**
+   * Look a voice up, falling back to the default voice's look for unknown
+   * names (which keep their own name, so custom CSS can still target them)
+   * @param {string|number} value - Name or alias
+   * @returns {Object} Voice
+   */
+  get(value) {
+    const voice = this.resolve(value);
+    if (voice) return voice;
+
+    const fallback = this.voices.get(this.fallback);
+    if (value === null || value === undefined || String(value).trim() === '') return fallback;
+
+    const name = this.normalize(value);
+    return { ...fallback, name, label: this.capitalize(name) };
+  }
+
+  /**
+   * @returns {Array<Object>} Every registered voice
+   */
+  list() {
+    return Array.from(this.voices.values());
+  }
+
+  /**
+   * Give an element a voice: its name in data-voice, its look in CSS variables
+   * @param {Element} element - Element
+   * @param {string|number|Object} value - Name, alias or a resolved voice
+   * @returns {Object} The voice applied
+   */
+  apply(element, value) {
+    const voice = typeof value === 'object' && value !== null ? value : this.get(value);
+
+    element.dataset.voice = voice.name;
+    if (voice.color) element.style.setProperty('--voice-color', voice.color);
+    if (voice.font) element.style.setProperty('--voice-font', voice.font);
+    return voice;
+  }
+
+  /**
+   * A key to the voices speaking in a post, in order of first appearance
+   * @param {Array<string>} values - Voice of each note, in reading order
+   * @param {Object} options - {className, title}
+   * @returns {Element|null} <aside> legend, or null when there are no voices
+   */
+  createLegend(values, options = {}) {
+    const className = options.className || 'voice-legend';
+    const counts = new Map();
+
+    values.forEach(value => {
+      const voice = this.get(value);
+      const entry = counts.get(voice.name) || { voice, count: 0 };
+      entry.count++;
+      counts.set(voice.name, entry);
+    });
+    if (counts.size === 0) return null;
+
+    const legend = document.createElement('aside');
+    legend.className = className;
+    legend.setAttribute('aria-label', options.title || 'Voices in this post');
+
+    const title = document.createElement('p');
+    title.className = `${className}-title`;
+    title.textContent = options.title || 'Voices in this post';
+
+    const list = document.createElement('ul');
+    list.className = `${className}-list`;
+
+    counts.forEach(({ voice, count }) => {
+      const item = document.createElement('li');
+      item.className = `${className}-item`;
+      this.apply(item, voice);
+
+      const icon = document.createElement('span');
+      icon.className = `${className}-icon`;
+      icon.setAttribute('aria-hidden', 'true');
+      icon.textContent = voice.icon;
+
+      const label = document.createElement('span');
+      label.className = `${className}-label`;
+      label.textContent = voice.label;
+
+      const total = document.createElement('span');
+      total.className = `${className}-count`;
+      total.textContent = `${count} ${count === 1 ? 'note' : 'notes'}`;
+
+      item.append(icon, label, total);
+      list.appendChild(item);
+    });
+
+    legend.append(title, list);
+    return legend;
+  }
+
+  /**
+   * @private
+   */
+  normalize(value) {
+    return String(value).trim().toLowerCase();
+  }
+
+  /**
+   * @private
+   */
+  capitalize(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VoiceRegistry;
+} else if (typeof window !== 'undefined') {
+  window.VoiceRegistry = VoiceRegistry;
+}
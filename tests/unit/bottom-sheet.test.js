@@ -0,0 +1,95 @@
+/**
+ * Unit Tests - Bottom Sheet
+ * Tests paging, dismissal by swipe, backdrop and back button, and focus return
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true, url: 'https://example.com/post/' });
+global.document = window.document;
+global.window = window;
+global.history = window.history;
+
+const BottomSheet = require('../../assets/js/utils/bottom-sheet.js');
+
+describe('BottomSheet', () => {
+  const notes = [
+    { id: '1', title: 'Note 1', html: '<p>First</p>' },
+    { id: '2', title: 'Note 2', html: '<p>Second</p>' },
+    { id: '3', title: 'Note 3', html: '<p>Third</p>' }
+  ];
+  let sheet;
+  let trigger;
+
+  const swipe = (dx, dy) => {
+    const touch = (x, y) => ({ touches: [{ clientX: x, clientY: y }] });
+    sheet.element.dispatchEvent(Object.assign(new window.Event('touchstart'), touch(100, 100)));
+    sheet.element.dispatchEvent(Object.assign(new window.Event('touchmove'), touch(100 + dx, 100 + dy)));
+    sheet.element.dispatchEvent(new window.Event('touchend'));
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = '<a id="trigger" href="#fn-2">2</a>';
+    trigger = document.getElementById('trigger');
+    sheet = new BottomSheet({ swipeThreshold: 60 });
+    sheet.open(notes, 1, trigger);
+  });
+
+  afterEach(() => {
+    sheet.destroy();
+  });
+
+  test('opens as a modal dialog on the chosen note', () => {
+    expect(sheet.isOpen).toBe(true);
+    expect(sheet.element.getAttribute('role')).toBe('dialog');
+    expect(sheet.element.querySelector('.note-sheet-title').textContent).toBe('Note 2');
+    expect(sheet.element.querySelector('.note-sheet-position').textContent).toBe('2 / 3');
+    expect(sheet.element.querySelector('.note-sheet-body').innerHTML).toBe('<p>Second</p>');
+    expect(document.body.classList.contains('note-sheet-open')).toBe(true);
+    expect(document.activeElement).toBe(sheet.element);
+  });
+
+  test('pages with buttons, arrow keys and sideways swipes, stopping at the ends', () => {
+    sheet.element.querySelector('.note-sheet-next').click();
+    expect(sheet.index).toBe(2);
+    expect(sheet.element.querySelector('.note-sheet-next').disabled).toBe(true);
+
+    sheet.element.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowLeft' }));
+    expect(sheet.index).toBe(1);
+
+    swipe(80, 5);
+    expect(sheet.index).toBe(0);
+    swipe(80, 5);
+    expect(sheet.index).toBe(0);
+
+    expect(sheet.showId('3')).toBe(true);
+    expect(sheet.element.dataset.note).toBe('3');
+  });
+
+  test('closes on a downward swipe past the threshold and refocuses the trigger', () => {
+    swipe(0, 30);
+    expect(sheet.isOpen).toBe(true);
+
+    swipe(0, 90);
+    expect(sheet.isOpen).toBe(false);
+    expect(document.body.classList.contains('note-sheet-open')).toBe(false);
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  test('closes from the backdrop, Escape and the back button', () => {
+    document.querySelector('.note-sheet-backdrop').click();
+    expect(sheet.isOpen).toBe(false);
+
+    sheet.open(notes, 0, trigger);
+    sheet.element.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(sheet.isOpen).toBe(false);
+
+    sheet.open(notes, 0, trigger);
+    expect(history.state).toEqual({ 'note-sheet': true });
+    window.dispatchEvent(new window.PopStateEvent('popstate'));
+    expect(sheet.isOpen).toBe(false);
+    expect(sheet.historyEntry).toBe(false);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Unit Tests - Citation Processor
+ * Tests [@cite:key] resolution, bibliography sources, citation styles and Works Cited
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true });
+global.document = window.document;
+global.window = window;
+
+const CitationProcessor = require('../../assets/js/processors/citation-processor.js');
+const FootnoteProcessor = require('../../assets/js/processors/footnote-processor.js');
+const BibtexParser = require('../../assets/js/utils/bibtex-parser.js');
+const CitationFormatter = require('../../assets/js/utils/citation-formatter.js');
+
+const CSL = [
+  {
+    id: 'derrida-1967',
+    type: 'book',
+    title: 'Of Grammatology',
+    author: [{ family: 'Derrida', given: 'Jacques' }],
+    issued: { 'date-parts': [[1967]] },
+    publisher: 'Minuit',
+    'publisher-place': 'Paris'
+  },
+  {
+    id: 'austin-1962',
+    type: 'book',
+    title: 'How to Do Things with Words',
+    author: [{ family: 'Austin', given: 'John Langshaw' }],
+    issued: { 'date-parts': [[1962]] },
+    publisher: 'Clarendon Press'
+  }
+];
+
+const BIBTEX = `
+@string{jhu = "Johns Hopkins University Press"}
+@incollection{spivak-1976,
+  author = {Spivak, Gayatri Chakravorty},
+  title = {Translator's Preface},
+  booktitle = {Of Grammatology},
+  publisher = jhu,
+  pages = {ix--lxxxvii},
+  year = 1976
+}
+`;
+
+describe('CitationProcessor', () => {
+  let container;
+  let processor;
+
+  const run = async (text, config = {}) => {
+    document.body.innerHTML = `
+      <script type="application/json" data-bibliography>${JSON.stringify(CSL)}</script>
+      <pre data-bibliography="bibtex">${BIBTEX}</pre>
+    `;
+    container = document.createElement('div');
+    container.innerHTML = `<p id="text">${text}</p><div class="footnote-collection"></div>`;
+    document.body.appendChild(container);
+
+    processor = new CitationProcessor({ behavior: { enableTooltips: true }, ...config }, container);
+    await processor.init();
+    processor.process();
+    return container.querySelector('#text');
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+    jest.spyOn(console, 'group').mockImplementation(() => {});
+    jest.spyOn(console, 'groupEnd').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    processor?.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  test('renders author-date citations with locators and links to Works Cited', async () => {
+    const paragraph = await run('As argued [@cite:derrida-1967, p. 42; spivak-1976].');
+
+    expect(paragraph.textContent).toBe('As argued (Derrida 1967, 42; Spivak 1976).');
+    const links = Array.from(paragraph.querySelectorAll('.citation-link'));
+    expect(links.map(link => link.getAttribute('href'))).toEqual(['#cite-derrida-1967', '#cite-spivak-1976']);
+  });
+
+  test('builds Works Cited after the footnote collection, sorted by author', async () => {
+    await run('[@cite:spivak-1976] [@cite:austin-1962] [@cite:derrida-1967]');
+
+    const section = container.querySelector('.footnote-collection + .works-cited');
+    expect(section).not.toBeNull();
+    expect(section.getAttribute('role')).toBe('doc-bibliography');
+
+    const entries = Array.from(section.querySelectorAll('.works-cited-entry'));
+    expect(entries.map(entry => entry.id)).toEqual(['cite-austin-1962', 'cite-derrida-1967', 'cite-spivak-1976']);
+    expect(entries[1].innerHTML).toBe('Derrida, Jacques. 1967. <em>Of Grammatology</em>. Paris: Minuit.');
+    expect(entries[2].textContent).toBe('Spivak, Gayatri Chakravorty. 1976. “Translator\'s Preface.” In Of Grammatology, ix–lxxxvii. Johns Hopkins University Press.');
+  });
+
+  test('strips javascript: links from Works Cited entries with an empty config', async () => {
+    const unsafe = [{ id: 'mallory-2020', type: 'webpage', title: 'Click', author: [{ family: 'Mallory' }], issued: { 'date-parts': [[2020]] }, URL: 'javascript:alert(1)' }];
+    document.body.innerHTML = `<script type="application/json" data-bibliography>${JSON.stringify(unsafe)}</script>`;
+    container = document.createElement('div');
+    container.innerHTML = '<p>[@cite:mallory-2020]</p>';
+    document.body.appendChild(container);
+
+    processor = new CitationProcessor({}, container);
+    await processor.init();
+    processor.process();
+
+    const entry = container.querySelector('#cite-mallory-2020');
+    expect(entry.textContent).toContain('Click');
+    expect(entry.querySelector('a').hasAttribute('href')).toBe(false);
+  });
+
+  test('numbers citations by first use in numeric format', async () => {
+    const paragraph = await run('[@cite:spivak-1976] then [@cite:derrida-1967, p. 3] and [@cite:spivak-1976]', { format: 'numeric' });
+
+    expect(paragraph.textContent).toBe('[1] then [2, p. 3] and [1]');
+    expect(container.querySelector('ol.works-cited-list .works-cited-entry').id).toBe('cite-spivak-1976');
+  });
+
+  test('marks unknown keys and lists them in stats', async () => {
+    const paragraph = await run('[@cite:derrida-1967; nobody-2000]');
+
+    const unresolved = paragraph.querySelector('.citation-unresolved');
+    expect(unresolved.textContent).toBe('[@cite:derrida-1967; nobody-2000]');
+    expect(unresolved.getAttribute('title')).toBe('No bibliography entry for nobody-2000');
+    expect(processor.getStats().unresolved).toEqual(['nobody-2000']);
+    expect(container.querySelector('.works-cited')).toBeNull();
+  });
+
+  test('shows the full reference in a footnote tooltip and hides the sources', async () => {
+    const paragraph = await run('[@cite:derrida-1967]');
+
+    paragraph.querySelector('.citation-link').dispatchEvent(new window.Event('mouseenter'));
+    const tooltip = document.querySelector('.footnote-tooltip.citation-tooltip');
+    expect(tooltip.textContent).toContain('Of Grammatology');
+    expect(document.querySelector('pre[data-bibliography]').hidden).toBe(true);
+  });
+
+  test('resolves citations inside a footnote for its tooltip and the notes panel', async () => {
+    document.body.innerHTML = `<script type="application/json" data-bibliography>${JSON.stringify(CSL)}</script>`;
+    container = document.createElement('div');
+    container.innerHTML = '<p>Writing[^1].</p><div data-ref="1">See [@cite:derrida-1967, p. 4]</div>';
+    document.body.appendChild(container);
+
+    const footnotes = new FootnoteProcessor({
+      patterns: { footnotePattern: /\[\^([\w-]+)\]/g, referenceAttribute: 'data-ref' },
+      behavior: { enableTooltips: true, defaultMode: 'hovering' }
+    }, container);
+    await footnotes.init();
+    await footnotes.process();
+    processor = new CitationProcessor({ behavior: { enableTooltips: true } }, container);
+    await processor.init();
+    processor.process();
+    footnotes.refreshContent(); // As the manager does once every processor has run
+
+    container.querySelector('.footnote-link').dispatchEvent(new window.MouseEvent('mouseenter'));
+    const tooltip = footnotes.tooltips.get(1);
+    expect(tooltip.textContent).toContain('See (Derrida 1967, 4)');
+    expect(tooltip.querySelector('.citation-link').getAttribute('href')).toBe('#cite-derrida-1967');
+    expect(footnotes.getNotes()[0].html).not.toContain('[@cite:');
+
+    footnotes.cleanup();
+  });
+});
+
+describe('BibtexParser', () => {
+  test('maps entries to CSL-JSON with @string values, names and LaTeX cleaned', () => {
+    const [spivak, item] = new BibtexParser().parse(`${BIBTEX}
+      @comment{ignored}
+      @article{g, author = {G{\\"o}del, Kurt and {Vienna Circle}}, title = "On {F}ormally Undecidable", journal = {Monatshefte}, year = {1931}}
+    `);
+
+    expect(spivak).toMatchObject({ type: 'chapter', publisher: 'Johns Hopkins University Press', page: 'ix–lxxxvii' });
+
+    expect(item).toEqual({
+      id: 'g',
+      type: 'article-journal',
+      title: 'On Formally Undecidable',
+      'container-title': 'Monatshefte',
+      author: [{ family: 'Gödel', given: 'Kurt' }, { literal: 'Vienna Circle' }],
+      issued: { 'date-parts': [[1931]] }
+    });
+  });
+});
+
+describe('CitationFormatter', () => {
+  const entry = {
+    id: 'dg',
+    type: 'book',
+    title: 'A Thousand Plateaus',
+    author: [{ family: 'Deleuze', given: 'Gilles' }, { family: 'Guattari', given: 'Félix' }],
+    issued: { 'date-parts': [[1980]] },
+    publisher: 'Minuit'
+  };
+  const cite = (style, locator = 'p. 12') =>
+    new CitationFormatter({ style }).formatCitation([{ key: 'dg', entry, locator }]).parts[0].text;
+
+  test('formats in-text citations per style', () => {
+    expect(cite('chicago')).toBe('Deleuze and Guattari 1980, 12');
+    expect(cite('apa')).toBe('Deleuze & Guattari, 1980, p. 12');
+    expect(cite('mla')).toBe('Deleuze and Guattari 12');
+  });
+
+  test('formats reference entries per style', () => {
+    expect(new CitationFormatter({ style: 'apa' }).formatEntry(entry))
+      .toBe('Deleuze, G., &amp; Guattari, F. (1980). <em>A Thousand Plateaus</em>. Minuit.');
+    expect(new CitationFormatter({ style: 'mla' }).formatEntry(entry))
+      .toBe('Deleuze, Gilles, and Félix Guattari. <em>A Thousand Plateaus</em>. Minuit, 1980.');
+  });
+});
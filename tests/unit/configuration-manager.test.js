@@ -12,7 +12,7 @@ global.document = window.document;
 global.window = window;
 
 // Import the class to test
-const ConfigurationManager = require('../../assets/js/configuration-manager.js');
+const ConfigurationManager = require('../../assets/js/core/configuration-manager.js');
 
 describe('Configuration Manager', () => {
   let configManager;
@@ -136,7 +136,7 @@ describe('Configuration Manager', () => {
       const unknownConfig = configManager.getProcessorConfig('unknown');
       
       expect(unknownConfig.theme).toBe('hacker'); // Global default
-      expect(unknownConfig.patterns.footnotePattern).toEqual(/\[\^(\d+)\]/g);
+      expect(unknownConfig.patterns.footnotePattern).toEqual(/\[\^([\w-]+)\]/g);
     });
   });
 
@@ -162,10 +162,12 @@ describe('Configuration Manager', () => {
   describe('Theme Management', () => {
     beforeEach(() => {
       configManager = new ConfigurationManager(mockConfig);
-      // Mock document.documentElement.style
-      document.documentElement.style = {
-        setProperty: jest.fn()
-      };
+      // Spy on document.documentElement.style (jsdom ignores assigning a new style object)
+      jest.spyOn(document.documentElement.style, 'setProperty');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
     });
 
     test('applies theme to document root', () => {
@@ -273,8 +275,8 @@ describe('Configuration Manager', () => {
     test('handles update errors gracefully', () => {
       const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
       
-      // Force an error by making config non-extensible
-      Object.freeze(configManager.config);
+      // Force an error by freezing the object that holds the setting
+      Object.freeze(configManager.config.global);
       const result = configManager.updateConfig('global.theme', 'academic');
       
       expect(result).toBe(false);
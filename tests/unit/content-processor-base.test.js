@@ -13,7 +13,7 @@ global.window = window;
 global.performance = { now: () => Date.now() };
 
 // Import the class to test
-const { ContentProcessor } = require('../../assets/js/content-processor-base.js');
+const { ContentProcessor } = require('../../assets/js/core/content-processor-base.js');
 
 describe('ContentProcessor Base Class', () => {
   let mockConfig;
@@ -157,12 +157,14 @@ describe('ContentProcessor Base Class', () => {
       expect(cleaned).toContain('Safe content');
     });
 
-    test('sanitizeHTML passes through content when disabled', () => {
-      processor.config.processing.sanitizeHTML = false;
-      const html = '<script>alert("xss")</script><p>Content</p>';
+    test('sanitizeHTML sanitizes even when the config does not ask for it', () => {
+      processor.config.processing = {};
+      const html = '<script>alert("xss")</script><a href="javascript:alert(1)">Content</a>';
       const result = processor.sanitizeHTML(html);
       
-      expect(result).toBe(html);
+      expect(result).not.toContain('<script>');
+      expect(result).not.toContain('javascript:');
+      expect(result).toContain('Content');
     });
   });
 
@@ -0,0 +1,146 @@
+/**
+ * Unit Tests - Content Tokenizer
+ * Tests text-node tokenization of enhancement patterns and DOM-preserving replacement
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+global.document = window.document;
+global.window = window;
+
+// Import the class to test
+const ContentTokenizer = require('../../assets/js/utils/content-tokenizer.js');
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Replaced nodes carry source-map ids, which depend on test order
+const withoutSourceIds = html => html.replace(/ data-source-id="[^"]*"/g, '');
+
+describe('ContentTokenizer', () => {
+  let tokenizer;
+  let container;
+
+  beforeEach(() => {
+    tokenizer = new ContentTokenizer(quietLogger);
+    container = document.createElement('div');
+    document.body.innerHTML = '';
+    document.body.appendChild(container);
+  });
+
+  describe('Tokenization', () => {
+    test('finds bracket patterns with nested brackets', () => {
+      container.innerHTML = '<p>Text [m][2 1.4][A note with [nested] brackets] more</p>';
+
+      const tokens = tokenizer.tokenize(container, [{ type: 'marginalia', trigger: '[m]', sections: 2 }]);
+
+      expect(tokens).toHaveLength(1);
+      expect(tokens[0].type).toBe('marginalia');
+      expect(tokens[0].sections).toEqual(['2 1.4', 'A note with [nested] brackets']);
+      expect(tokens[0].offset).toBe(5);
+      expect(tokens[0].block.tagName).toBe('P');
+    });
+
+    test('finds regex patterns', () => {
+      container.innerHTML = '<p>One[^1] and two[^2]</p>';
+
+      const tokens = tokenizer.tokenize(container, [{ type: 'footnote', pattern: /\[\^(\d+)\]/g }]);
+
+      expect(tokens.map(t => t.sections[0])).toEqual(['1', '2']);
+    });
+
+    test('matches patterns that span inline elements', () => {
+      container.innerHTML = '<p>Before [+][an <em>emphasised</em> aside] after</p>';
+
+      const tokens = tokenizer.tokenize(container, [{ type: 'extension', trigger: '[+]', sections: 1 }]);
+
+      expect(tokens).toHaveLength(1);
+      expect(tokens[0].sections[0]).toBe('an emphasised aside');
+      expect(tokenizer.getSectionHTML(tokens[0], 0)).toBe('an <em>emphasised</em> aside');
+    });
+
+    test('skips code, pre and attributes', () => {
+      container.innerHTML = `
+        <p><code>[^1]</code> <a title="[^2]" href="#">link</a></p>
+        <pre>[m][1][not a note]</pre>
+      `;
+
+      const tokens = tokenizer.tokenize(container, [
+        { type: 'footnote', pattern: /\[\^(\d+)\]/g },
+        { type: 'marginalia', trigger: '[m]', sections: 2 }
+      ]);
+
+      expect(tokens).toHaveLength(0);
+    });
+
+    test('does not match across block boundaries', () => {
+      container.innerHTML = '<p>[+][unclosed</p><p>still open]</p>';
+
+      const tokens = tokenizer.tokenize(container, [{ type: 'extension', trigger: '[+]', sections: 1 }]);
+
+      expect(tokens).toHaveLength(0);
+    });
+
+    test('respects the block selector', () => {
+      container.innerHTML = '<p>[^1]</p><h2>[^2]</h2>';
+
+      const tokens = tokenizer.tokenize(container, [{ type: 'footnote', pattern: /\[\^(\d+)\]/g }], { selector: 'p' });
+
+      expect(tokens).toHaveLength(1);
+      expect(tokens[0].sections[0]).toBe('1');
+    });
+  });
+
+  describe('Replacement', () => {
+    test('replaces tokens without destroying existing listeners', () => {
+      container.innerHTML = '<p><button>keep</button> text[^1] and [+][more]</p>';
+      const button = container.querySelector('button');
+      const handler = jest.fn();
+      button.addEventListener('click', handler);
+
+      const tokens = tokenizer.tokenize(container, [
+        { type: 'footnote', pattern: /\[\^(\d+)\]/g },
+        { type: 'extension', trigger: '[+]', sections: 1 }
+      ]);
+      const replaced = tokenizer.replaceTokens(tokens, token => {
+        const node = document.createElement('span');
+        node.className = token.type;
+        return node;
+      });
+
+      expect(replaced).toBe(2);
+      expect(container.querySelectorAll('[data-source-id]')).toHaveLength(2);
+      expect(withoutSourceIds(container.querySelector('p').innerHTML)).toBe('<button>keep</button> text<span class="footnote"></span> and <span class="extension"></span>');
+
+      container.querySelector('button').click();
+      expect(container.querySelector('button')).toBe(button);
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('renders tokens in document order', () => {
+      container.innerHTML = '<p>[^a] [^b]</p><p>[^c]</p>';
+      const order = [];
+
+      const tokens = tokenizer.tokenize(container, [{ type: 'footnote', pattern: /\[\^(\w+)\]/g }]);
+      tokenizer.replaceTokens(tokens, token => {
+        order.push(token.sections[0]);
+        return document.createTextNode(String(order.length));
+      });
+
+      expect(order).toEqual(['a', 'b', 'c']);
+      expect(container.textContent).toBe('1 23');
+    });
+
+    test('extractSection moves live nodes out of the document', () => {
+      container.innerHTML = '<p>[m][1][see <sup class="ref">1</sup>]</p>';
+      const sup = container.querySelector('sup');
+
+      const [token] = tokenizer.tokenize(container, [{ type: 'marginalia', trigger: '[m]', sections: 2 }]);
+      const fragment = tokenizer.extractSection(token, 1);
+
+      expect(fragment.querySelector('sup')).toBe(sup);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Unit Tests - Cross-Reference Processor
+ * Tests [@id] resolution, generated link text and previews
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true });
+global.document = window.document;
+global.window = window;
+
+const CrossReferenceProcessor = require('../../assets/js/processors/cross-reference-processor.js');
+const FootnoteProcessor = require('../../assets/js/processors/footnote-processor.js');
+
+describe('CrossReferenceProcessor', () => {
+  let container;
+  let processor;
+
+  // Markup as the footnote, marginalia, extension and interactive processors leave it
+  const processed = `
+    <h2 id="critique">The Critique</h2>
+    <p>Text<sup id="fnref-1"><a href="#footnote-1" class="footnote-link" data-footnote="1" data-footnote-label="derrida">1</a></sup>
+      <div class="marginalia-voice" data-voice="critic" data-marginalia-id="1" id="critic-1">The critic speaks</div>
+      <div class="marginalia-voice" data-voice="2" data-marginalia-id="2">Plain note</div>
+      <span class="extension-trigger" data-extension-id="1" data-extension-content="An &lt;em&gt;aside&lt;/em&gt;"></span>
+      <span class="interactive-marker" data-marker-id="interactive-marker-0">?</span></p>
+    <div class="footnote-collection"><div class="footnote-item" id="footnote-1"><div class="footnote-content">Of Grammatology</div></div></div>
+  `;
+
+  const run = async text => {
+    container.innerHTML = `${processed}<p id="refs">${text}</p>`;
+    await processor.init();
+    processor.process();
+    return Array.from(container.querySelectorAll('#refs .crossref-link'));
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+    jest.spyOn(console, 'group').mockImplementation(() => {});
+    jest.spyOn(console, 'groupEnd').mockImplementation(() => {});
+
+    document.body.innerHTML = '';
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    processor = new CrossReferenceProcessor({ behavior: { enableTooltips: true } }, container);
+  });
+
+  afterEach(() => {
+    processor.cleanup();
+    jest.restoreAllMocks();
+  });
+
+  test('generates link text for every target type', async () => {
+    const links = await run('[@derrida] [@1] [@critic-1] [@marginalia-2] [@extension-1] [@interactive-marker-0] [@critique]');
+
+    expect(links.map(link => link.textContent)).toEqual([
+      'note 1', 'note 1', 'margin note (critic)', 'margin note', 'extension 1', 'interactive passage', '§ The Critique'
+    ]);
+    expect(links.map(link => link.getAttribute('href'))).toEqual([
+      '#footnote-1', '#footnote-1', '#critic-1', '#marginalia-2', '#extension-1', '#interactive-marker-0', '#critique'
+    ]);
+  });
+
+  test('marks unresolved references and reports them in stats', async () => {
+    await run('See [@nowhere].');
+
+    const unresolved = container.querySelector('.crossref-unresolved');
+    expect(unresolved.textContent).toBe('[@nowhere]');
+    expect(processor.getStats().unresolved).toEqual(['nowhere']);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  test('leaves colon forms alone', async () => {
+    await run('[@type:key]');
+
+    expect(container.querySelector('#refs').textContent).toBe('[@type:key]');
+  });
+
+  test('previews the target in a footnote tooltip without duplicating ids', async () => {
+    const [link] = await run('[@critic-1]');
+
+    link.dispatchEvent(new window.MouseEvent('mouseenter'));
+
+    const tooltip = document.querySelector('.footnote-tooltip');
+    expect(tooltip.textContent).toContain('The critic speaks');
+    expect(tooltip.style.display).toBe('block');
+    expect(document.querySelectorAll('#critic-1')).toHaveLength(1);
+
+    link.dispatchEvent(new window.MouseEvent('mouseleave'));
+    expect(tooltip.style.display).toBe('none');
+  });
+
+  test('resolves references inside a footnote for its tooltip and the notes panel', async () => {
+    container.innerHTML = '<h2 id="sec">Speech</h2><p>Writing[^1].</p><div data-ref="1">And [@sec].</div>';
+    const footnotes = new FootnoteProcessor({
+      patterns: { footnotePattern: /\[\^([\w-]+)\]/g, referenceAttribute: 'data-ref' },
+      behavior: { enableTooltips: true, defaultMode: 'hovering' }
+    }, container);
+    await footnotes.init();
+    await footnotes.process();
+    await processor.init();
+    processor.process();
+    footnotes.refreshContent(); // As the manager does once every processor has run
+
+    container.querySelector('.footnote-link').dispatchEvent(new window.MouseEvent('mouseenter'));
+    const tooltip = footnotes.tooltips.get(1);
+    expect(tooltip.textContent).toContain('And § Speech.');
+    expect(tooltip.querySelector('.crossref-link').getAttribute('href')).toBe('#sec');
+    expect(footnotes.getNotes()[0].html).not.toContain('[@sec]');
+
+    footnotes.cleanup();
+  });
+
+  test('cleanup removes tooltips', async () => {
+    const [link] = await run('[@extension-1]');
+    link.dispatchEvent(new window.MouseEvent('mouseenter'));
+
+    expect(document.querySelector('.footnote-tooltip').innerHTML).toContain('<em>aside</em>');
+    processor.cleanup();
+    expect(document.querySelector('.footnote-tooltip')).toBeNull();
+  });
+});
@@ -0,0 +1,616 @@
+/**
+ * Unit Tests - Footnote Processor
+ * Tests display modes (resolution, rendering, persistence, refusal), nested footnotes,
+ * touch mode, print preparation, numbering schemes and notes panel entries
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+  pretendToBeVisual: true,
+  url: 'https://example.org/post/'
+});
+global.document = window.document;
+global.window = window;
+
+const FootnoteProcessor = require('../../assets/js/processors/footnote-processor.js');
+
+describe('FootnoteProcessor display modes', () => {
+  let article;
+  let container;
+  let processor;
+
+  const config = {
+    patterns: { footnotePattern: /\[\^([\w-]+)\]/g, referenceAttribute: 'data-ref' },
+    behavior: {
+      enableTooltips: true,
+      tooltipDelay: 150,
+      defaultMode: 'hovering',
+      refusalDelay: 2000,
+      modeStorageKey: 'test.footnote-mode'
+    }
+  };
+
+  const controls = `
+    <div class="footnotes-system" hidden>
+      <button data-mode="traditional" class="footnote-mode-btn" data-explanation="At the foot.">T</button>
+      <button data-mode="marginal" class="footnote-mode-btn" data-explanation="In the margin.">M</button>
+      <p class="mode-explanation"></p>
+    </div>`;
+
+  const run = async (extra = '') => {
+    container.innerHTML = `
+      <p>Writing[^1] and speech[^voice].</p>${extra}
+      <div data-ref="1">On *grammatology*</div>
+      <div data-ref="voice">Phonocentrism</div>`;
+    processor = new FootnoteProcessor(config, container);
+    await processor.init();
+    await processor.process();
+    return processor;
+  };
+
+  const link = num => container.querySelector(`.footnote-link[data-footnote="${num}"]`);
+
+  // jsdom has no matchMedia; this one reports a viewport wide enough (or not) for sidenotes
+  let media;
+  const setViewport = wide => {
+    media = Object.assign(new window.EventTarget(), { matches: wide });
+    window.matchMedia = jest.fn(() => media);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+    jest.spyOn(console, 'group').mockImplementation(() => {});
+    jest.spyOn(console, 'groupEnd').mockImplementation(() => {});
+
+    window.localStorage.clear();
+    setViewport(true);
+    document.body.innerHTML = `<article class="post"><div class="post-content"></div></article>${controls}`;
+    article = document.querySelector('article');
+    container = article.querySelector('.post-content');
+  });
+
+  afterEach(() => {
+    processor?.cleanup();
+    processor = null;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete window.matchMedia;
+  });
+
+  describe('resolving the mode', () => {
+    test('falls back to behavior.defaultMode', async () => {
+      await run();
+      expect(processor.mode).toBe('hovering');
+      expect(container.classList.contains('footnote-mode-hovering')).toBe(true);
+    });
+
+    test('takes the post default from an internal tag class', async () => {
+      article.classList.add('tag-hash-footnotes-invasive');
+      await run();
+      expect(processor.mode).toBe('invasive');
+    });
+
+    test('takes the post default from data-footnote-mode in the content', async () => {
+      article.classList.add('tag-hash-footnotes-invasive');
+      await run('<div data-footnote-mode="traditional"></div>');
+      expect(processor.mode).toBe('traditional');
+    });
+
+    test('prefers the reader\'s saved choice over the post default', async () => {
+      article.classList.add('tag-hash-footnotes-invasive');
+      window.localStorage.setItem('test.footnote-mode', 'marginal');
+      await run();
+      expect(processor.mode).toBe('marginal');
+    });
+
+    test('ignores unknown modes', async () => {
+      window.localStorage.setItem('test.footnote-mode', 'exploding');
+      await run('<div data-footnote-mode="shouting"></div>');
+      expect(processor.mode).toBe('hovering');
+    });
+  });
+
+  describe('rendering', () => {
+    test('marginal mode places rendered sidenotes after their references', async () => {
+      await run();
+      processor.setMode('marginal');
+
+      const sidenote = container.querySelector('#fnref-1 + .footnote-sidenote');
+      expect(sidenote.id).toBe('sidenote-1');
+      expect(sidenote.getAttribute('role')).toBe('note');
+      expect(sidenote.innerHTML).toContain('<em>grammatology</em>');
+      expect(container.querySelectorAll('.footnote-sidenote')).toHaveLength(2);
+    });
+
+    test('marginal mode falls back to tooltips below the breakpoint', async () => {
+      setViewport(false);
+      await run();
+      processor.setMode('marginal');
+
+      expect(container.querySelector('.footnote-sidenote')).toBeNull();
+      expect(container.classList.contains('footnote-sidenotes-active')).toBe(false);
+
+      link(1).dispatchEvent(new window.MouseEvent('mouseenter'));
+      expect(processor.tooltips.get(1).style.display).not.toBe('none');
+    });
+
+    test('sidenotes appear and disappear as the viewport crosses the breakpoint', async () => {
+      setViewport(false);
+      await run();
+      processor.setMode('marginal');
+
+      media.matches = true;
+      media.dispatchEvent(new window.Event('change'));
+      expect(container.querySelectorAll('.footnote-sidenote')).toHaveLength(2);
+
+      media.matches = false;
+      media.dispatchEvent(new window.Event('change'));
+      expect(container.querySelector('.footnote-sidenote')).toBeNull();
+    });
+
+    test('lays sidenotes out around marginalia and connects displaced ones', async () => {
+      await run('<div class="marginalia-voice">A voice in the margin</div>');
+      processor.setMode('marginal');
+
+      // Both references on one line at y=100; a marginalia note fills the column from 160 to 220
+      const rect = (left, top, width, height) => ({ left, top, width, height, right: left + width, bottom: top + height });
+      const rects = new Map([
+        [container, rect(0, 0, 600, 1000)],
+        [container.querySelector('#fnref-1'), rect(100, 100, 10, 20)],
+        [container.querySelector('#fnref-2'), rect(300, 100, 10, 20)],
+        [container.querySelector('#sidenote-1'), rect(632, 0, 200, 40)],
+        [container.querySelector('#sidenote-2'), rect(632, 0, 200, 40)],
+        [container.querySelector('.marginalia-voice'), rect(640, 160, 150, 60)]
+      ]);
+      rects.forEach((value, element) => {
+        element.getBoundingClientRect = () => value;
+      });
+
+      processor.layoutSidenotes();
+
+      expect(container.querySelector('#sidenote-1').style.top).toBe('100px');
+      expect(container.querySelector('#sidenote-2').style.top).toBe('232px');
+
+      const connectors = container.querySelectorAll('.sidenote-connectors polyline');
+      expect(connectors).toHaveLength(1);
+      expect(connectors[0].dataset.footnote).toBe('2');
+    });
+
+    test('invasive mode inlines notes, and switching away removes them', async () => {
+      await run();
+      processor.setMode('invasive');
+      expect(container.querySelector('#fnref-2 + #footnote-inline-2').textContent).toContain('Phonocentrism');
+
+      processor.setMode('traditional');
+      expect(container.querySelector('.footnote-inline')).toBeNull();
+      expect(container.classList.contains('footnote-mode-invasive')).toBe(false);
+      expect(container.classList.contains('footnote-mode-traditional')).toBe(true);
+    });
+
+    test('rejects unknown modes without changing anything', async () => {
+      await run();
+      expect(processor.setMode('exploding')).toBe(false);
+      expect(processor.mode).toBe('hovering');
+    });
+  });
+
+  describe('mode controls', () => {
+    test('reveals the controls and persists the reader\'s choice', async () => {
+      await run();
+      const system = document.querySelector('.footnotes-system');
+      const marginal = system.querySelector('[data-mode="marginal"]');
+
+      expect(system.hidden).toBe(false);
+      marginal.click();
+
+      expect(processor.mode).toBe('marginal');
+      expect(window.localStorage.getItem('test.footnote-mode')).toBe('marginal');
+      expect(marginal.getAttribute('aria-pressed')).toBe('true');
+      expect(marginal.classList.contains('active')).toBe(true);
+      expect(system.querySelector('.mode-explanation').textContent).toBe('In the margin.');
+    });
+
+    test('cleanup restores the content', async () => {
+      await run();
+      processor.setMode('marginal');
+      processor.cleanup();
+
+      expect(container.querySelector('.footnote-sidenote')).toBeNull();
+      document.querySelector('[data-mode="traditional"]').click();
+      expect(processor.mode).toBeNull();
+    });
+  });
+
+  describe('refusing mode', () => {
+    test('yields on the second click', async () => {
+      await run();
+      processor.setMode('refusing');
+
+      link(1).click();
+      expect(link(1).classList.contains('footnote-refused')).toBe(true);
+      expect(container.querySelector('#footnote-1').classList.contains('footnote-yielded')).toBe(false);
+
+      link(1).click();
+      expect(link(1).classList.contains('footnote-yielded')).toBe(true);
+      expect(container.querySelector('#footnote-1').classList.contains('footnote-yielded')).toBe(true);
+    });
+
+    test('yields after lingering for refusalDelay, but not if the reader leaves', async () => {
+      jest.useFakeTimers();
+      await run();
+      processor.setMode('refusing');
+
+      link(2).dispatchEvent(new window.MouseEvent('mouseenter'));
+      jest.advanceTimersByTime(1000);
+      link(2).dispatchEvent(new window.MouseEvent('mouseleave'));
+      jest.advanceTimersByTime(5000);
+      expect(link(2).classList.contains('footnote-yielded')).toBe(false);
+
+      link(2).dispatchEvent(new window.MouseEvent('mouseenter'));
+      jest.advanceTimersByTime(2000);
+      expect(link(2).classList.contains('footnote-yielded')).toBe(true);
+    });
+  });
+
+  describe('matching cards', () => {
+    const noteText = num => container.querySelector(`#footnote-${num} .footnote-content`)?.textContent.trim();
+
+    test('prefers a note\'s own card over an orphan whose number matches it', async () => {
+      container.innerHTML = `
+        <p>A[^1] B[^3]</p>
+        <div data-ref="1">one</div>
+        <div data-ref="2">orphan two</div>
+        <div data-ref="3">three</div>`;
+      processor = new FootnoteProcessor(config, container);
+      await processor.init();
+      await processor.process();
+
+      expect(noteText(1)).toBe('one');
+      expect(noteText(2)).toBe('three');
+      expect(container.querySelector('.footnote-collection').textContent).not.toContain('orphan two');
+    });
+
+    test('still matches a card by number when the note has no card under its label', async () => {
+      container.innerHTML = '<p>A[^derrida]</p><div data-ref="1">By number</div>';
+      processor = new FootnoteProcessor(config, container);
+      await processor.init();
+      await processor.process();
+
+      expect(noteText(1)).toBe('By number');
+    });
+  });
+
+  describe('nested footnotes', () => {
+    const runNested = async () => {
+      container.innerHTML = `
+        <p>Text[^a] and more[^b].</p>
+        <div data-ref="a">Note A, see [^c] and [^b]</div>
+        <div data-ref="b">Note B, see [^a]</div>
+        <div data-ref="c"><p>Note C, see [^d] and [^missing]</p></div>
+        <div data-ref="d">Note D</div>`;
+      processor = new FootnoteProcessor(config, container);
+      await processor.init();
+      await processor.process();
+      processor.setMode('hovering', { persist: false });
+    };
+
+    const tooltipLink = (parent, child) =>
+      processor.tooltips.get(parent).querySelector(`.footnote-link[data-footnote="${child}"]`);
+    const isOpen = num => processor.tooltips.get(num)?.style.display === 'block';
+
+    test('numbers notes first cited inside other notes after the text\'s notes', async () => {
+      await runNested();
+
+      expect(Array.from(processor.footnotes.values()).map(f => [f.globalNumber, f.label])).toEqual([
+        [1, 'a'], [2, 'b'], [3, 'c'], [4, 'd']
+      ]);
+      expect(processor.footnotes.get(3).parents).toEqual([1]);
+      expect(processor.footnotes.get(1).children).toEqual([3, 2]);
+      // The card's own paragraph is not mistaken for text
+      expect(container.querySelectorAll('p > sup.footnote-ref:not(.footnote-nested-ref)')).toHaveLength(2);
+    });
+
+    test('resolves references in note content and leaves unknown labels as text', async () => {
+      await runNested();
+
+      const content = container.querySelector('#footnote-3 .footnote-content');
+      expect(content.querySelector('.footnote-nested-ref .footnote-link').dataset.footnote).toBe('4');
+      expect(content.textContent).toContain('[^missing]');
+      expect(content.querySelector('.footnote-nested-ref').id).toBe('');
+    });
+
+    test('nests notes cited only from other notes in the collection', async () => {
+      await runNested();
+
+      const list = container.querySelector('.footnote-list');
+      expect(Array.from(list.children).map(item => item.id)).toEqual(['footnote-1', 'footnote-2']);
+      expect(container.querySelector('#footnote-1 > .footnote-children > #footnote-3 > .footnote-children > #footnote-4')).not.toBeNull();
+      expect(container.querySelector('#footnote-3 .footnote-backref').dataset.target).toBe('footnote-1');
+    });
+
+    test('stacks a child tooltip and keeps both open while the pointer moves between them', async () => {
+      jest.useFakeTimers();
+      await runNested();
+
+      link(1).dispatchEvent(new window.MouseEvent('mouseenter'));
+      link(1).dispatchEvent(new window.MouseEvent('mouseleave'));
+      processor.tooltips.get(1).dispatchEvent(new window.MouseEvent('mouseenter'));
+      tooltipLink(1, 3).dispatchEvent(new window.MouseEvent('mouseenter'));
+      processor.tooltips.get(1).dispatchEvent(new window.MouseEvent('mouseleave'));
+      processor.tooltips.get(3).dispatchEvent(new window.MouseEvent('mouseenter'));
+      jest.advanceTimersByTime(1000);
+
+      expect(processor.tooltipStack).toEqual([1, 3]);
+      expect(isOpen(1) && isOpen(3)).toBe(true);
+      expect(processor.tooltips.get(3).dataset.depth).toBe('1');
+
+      processor.tooltips.get(3).dispatchEvent(new window.MouseEvent('mouseleave'));
+      jest.advanceTimersByTime(1000);
+      expect(isOpen(1) || isOpen(3)).toBe(false);
+      expect(processor.tooltipStack).toEqual([]);
+    });
+
+    test('does not reopen a note already in the stack', async () => {
+      await runNested();
+
+      link(1).dispatchEvent(new window.MouseEvent('mouseenter'));
+      tooltipLink(1, 2).dispatchEvent(new window.MouseEvent('mouseenter'));
+      tooltipLink(2, 1).dispatchEvent(new window.MouseEvent('mouseenter'));
+
+      expect(processor.tooltipStack).toEqual([1, 2]);
+      expect(tooltipLink(2, 1).classList.contains('footnote-cycle')).toBe(true);
+    });
+
+    test('stops stacking at behavior.maxNestingDepth', async () => {
+      config.behavior.maxNestingDepth = 2;
+      await runNested();
+
+      link(1).dispatchEvent(new window.MouseEvent('mouseenter'));
+      tooltipLink(1, 3).dispatchEvent(new window.MouseEvent('mouseenter'));
+      tooltipLink(3, 4).dispatchEvent(new window.MouseEvent('mouseenter'));
+
+      expect(processor.tooltipStack).toEqual([1, 3]);
+      expect(tooltipLink(3, 4).classList.contains('footnote-depth-limit')).toBe(true);
+      delete config.behavior.maxNestingDepth;
+    });
+
+    test('keeps tooltips holding focus open, and Escape closes them a level at a time back to their references', async () => {
+      jest.useFakeTimers();
+      await runNested();
+
+      link(1).focus();
+      expect(processor.focusOpenTooltip()).toBe(true);
+      expect(document.activeElement).toBe(processor.tooltips.get(1));
+      jest.advanceTimersByTime(1000);
+      expect(isOpen(1)).toBe(true);
+
+      tooltipLink(1, 3).focus();
+      processor.focusOpenTooltip();
+      jest.advanceTimersByTime(1000);
+      expect(processor.tooltipStack).toEqual([1, 3]);
+
+      expect(processor.dismissTopmost('tooltip')).toBe(true);
+      expect(processor.tooltipStack).toEqual([1]);
+      expect(document.activeElement).toBe(tooltipLink(1, 3));
+
+      processor.dismissTopmost('tooltip');
+      expect(document.activeElement).toBe(link(1));
+      expect(isOpen(1)).toBe(false);
+      expect(processor.dismissTopmost('tooltip')).toBe(false);
+    });
+  });
+
+  describe('touch mode', () => {
+    beforeEach(() => {
+      window.ghost_custom_settings = { mobile_responsive: true };
+    });
+
+    afterEach(() => {
+      delete window.ghost_custom_settings;
+    });
+
+    test('opens tapped notes in the sheet instead of a tooltip', async () => {
+      await run();
+
+      expect(container.classList.contains('footnote-touch-mode')).toBe(true);
+      link(1).dispatchEvent(new window.MouseEvent('mouseenter'));
+      expect(processor.tooltipStack).toEqual([]);
+
+      link(2).click();
+      const sheet = document.querySelector('.note-sheet');
+      expect(sheet.hidden).toBe(false);
+      expect(sheet.querySelector('.note-sheet-title').textContent).toBe('Note 2');
+      expect(sheet.querySelector('.note-sheet-body').textContent).toContain('Phonocentrism');
+
+      sheet.querySelector('.note-sheet-previous').click();
+      expect(sheet.querySelector('.note-sheet-body').textContent).toContain('grammatology');
+    });
+
+    test('stays off without the mobile_responsive setting', async () => {
+      delete window.ghost_custom_settings;
+      await run();
+
+      expect(container.classList.contains('footnote-touch-mode')).toBe(false);
+      expect(processor.touchMedia).toBeNull();
+    });
+  });
+
+  describe('print', () => {
+    test('prints in traditional mode and restores the reader\'s mode afterwards', async () => {
+      await run();
+      processor.setMode('marginal', { persist: false });
+
+      processor.preparePrint();
+      expect(processor.mode).toBe('traditional');
+
+      processor.restorePrint();
+      expect(processor.mode).toBe('marginal');
+    });
+
+    test('gathers notes after each section with data-endnotes="section"', async () => {
+      container.innerHTML = `
+        <div data-endnotes="section"></div>
+        <p>Intro[^a].</p>
+        <h2 id="one">One</h2>
+        <p>First[^b] and second[^c].</p>
+        <h2 id="two">Two</h2>
+        <p>No notes here.</p>
+        <div data-ref="a">A</div>
+        <div data-ref="b">B</div>
+        <div data-ref="c">C</div>`;
+      processor = new FootnoteProcessor(config, container);
+      await processor.init();
+      await processor.process();
+
+      processor.preparePrint();
+
+      const blocks = Array.from(container.querySelectorAll('.print-endnotes'));
+      expect(blocks.map(block => block.nextElementSibling.id)).toEqual(['one', 'two']);
+      expect(Array.from(blocks[1].querySelectorAll('.footnote-item')).map(item => item.id))
+        .toEqual(['footnote-2', 'footnote-3']);
+      expect(container.querySelector('.footnote-collection').hidden).toBe(true);
+
+      processor.restorePrint();
+      expect(container.querySelector('.print-endnotes')).toBeNull();
+      expect(Array.from(container.querySelector('.footnote-list').children).map(item => item.id))
+        .toEqual(['footnote-1', 'footnote-2', 'footnote-3']);
+      expect(container.querySelector('.footnote-collection').hidden).toBe(false);
+    });
+  });
+
+  describe('numbering', () => {
+    const labels = () => Array.from(container.querySelectorAll('p .footnote-link')).map(link => link.textContent.trim());
+
+    test('uses the scheme a post picks with an internal tag', async () => {
+      article.classList.add('tag-hash-numbering-lower-roman');
+      await run();
+      expect(labels()).toEqual(['i', 'ii']);
+      expect(container.querySelector('#footnote-2 .footnote-backref').textContent).toBe('ii');
+    });
+
+    test('numbers a card\'s data-numbering notes in their own sequence', async () => {
+      container.innerHTML = `
+        <p>One[^a], a gloss[^tr], two[^b], another gloss[^tr2].</p>
+        <div data-ref="a">A</div>
+        <div data-ref="tr" data-numbering="symbol">Translator</div>
+        <div data-ref="b">B</div>
+        <div data-ref="tr2" data-numbering="symbol">Translator again</div>`;
+      processor = new FootnoteProcessor(config, container);
+      await processor.init();
+      await processor.process();
+
+      expect(labels()).toEqual(['1', '*', '2', '†']);
+      expect(link(2).getAttribute('aria-label')).toBe('Footnote *');
+    });
+
+    test('restarts in each section and groups the collection under section headings', async () => {
+      container.innerHTML = `
+        <div data-footnote-restart="h2"></div>
+        <p>Intro[^a].</p>
+        <h2>Speech</h2>
+        <p>First[^b] and second[^c].</p>
+        <h2>Writing</h2>
+        <p>Third[^d].</p>
+        <div data-ref="a">A</div>
+        <div data-ref="b">B</div>
+        <div data-ref="c">C</div>
+        <div data-ref="d">D</div>`;
+      processor = new FootnoteProcessor(config, container);
+      await processor.init();
+      await processor.process();
+
+      expect(labels()).toEqual(['1', '1', '2', '1']);
+      const list = container.querySelector('.footnote-list');
+      expect(Array.from(list.children).map(child => child.id || child.textContent)).toEqual([
+        'footnote-1', 'Speech', 'footnote-2', 'footnote-3', 'Writing', 'footnote-4'
+      ]);
+    });
+  });
+
+  describe('transclusion', () => {
+    const posts = {
+      'of-grammatology-part-1': '<p id="the-trace">The trace is <em>not</em> a presence.</p><div data-ref="2">Rousseau, *Confessions*.</div><div data-ref="3">As in [^2].</div>'
+    };
+
+    const runTranscluded = async cards => {
+      container.innerHTML = `<p>Quoted[^1] twice[^2].</p>${cards}`;
+      processor = new FootnoteProcessor({
+        ...config,
+        transclusion: { loader: async slug => posts[slug] ?? null, cachePrefix: 'test.transclusion:' }
+      }, container);
+      await processor.init();
+      await processor.process();
+    };
+
+    const noteContent = num => container.querySelector(`#footnote-${num} .footnote-content`);
+
+    beforeEach(() => window.sessionStorage.clear());
+
+    test('shows a loading state, then the note from the other post with a link back', async () => {
+      await runTranscluded(`
+        <div data-ref="1" data-transclude="/of-grammatology-part-1/#footnote-2"></div>
+        <div data-ref="2" data-transclude="/of-grammatology-part-1/#the-trace"></div>`);
+
+      expect(noteContent(1).querySelector('.footnote-transclusion-loading')).not.toBeNull();
+
+      await processor.settleTransclusions();
+      expect(noteContent(1).innerHTML).toContain('Rousseau, <em>Confessions</em>.');
+      expect(noteContent(2).innerHTML).toContain('The trace is <em>not</em> a presence.');
+      expect(noteContent(1).querySelector('.footnote-transclusion-source').href)
+        .toBe('https://example.org/of-grammatology-part-1/#footnote-2');
+      expect(processor.footnotes.get(1).transclusion.status).toBe('loaded');
+    });
+
+    test('resolves references in the loaded note to notes this post has', async () => {
+      await runTranscluded(`
+        <div data-ref="1" data-transclude="/of-grammatology-part-1/#footnote-3"></div>
+        <div data-ref="2">Rousseau.</div>`);
+      await processor.settleTransclusions();
+
+      const nested = noteContent(1).querySelector('.footnote-nested-ref .footnote-link');
+      expect(nested.dataset.footnote).toBe('2');
+      expect(processor.footnotes.get(1).children).toEqual([2]);
+
+      link(1).dispatchEvent(new window.MouseEvent('mouseenter'));
+      expect(processor.tooltips.get(1).querySelector('.footnote-nested-ref')).not.toBeNull();
+      expect(processor.tooltips.get(1).textContent).not.toContain('[^2]');
+    });
+
+    test('falls back to the card\'s own content, or an error linking to the original', async () => {
+      await runTranscluded(`
+        <div data-ref="1" data-transclude="/deleted-post/#footnote-1">Derrida, 1967.</div>
+        <div data-ref="2" data-transclude="/of-grammatology-part-1/#footnote-9"></div>`);
+      await processor.settleTransclusions();
+
+      expect(noteContent(1).textContent.trim()).toBe('Derrida, 1967.');
+      const error = noteContent(2).querySelector('.footnote-transclusion-error');
+      expect(error.querySelector('a').getAttribute('href')).toBe('https://example.org/of-grammatology-part-1/#footnote-9');
+      expect(processor.footnotes.get(2).transclusion).toEqual(expect.objectContaining({ status: 'error' }));
+    });
+
+    test('settles once every transcluded note has arrived', async () => {
+      await runTranscluded('<div data-ref="1" data-transclude="/of-grammatology-part-1/#the-trace"></div>');
+      await processor.settle();
+
+      expect(noteContent(1).querySelector('.footnote-transclusion-loading')).toBeNull();
+      expect(processor.footnotes.get(1).transclusion.status).toBe('loaded');
+    });
+  });
+
+  describe('notes panel entries', () => {
+    test('lists each note with content, anchored at its first reference', async () => {
+      await run('<p>Again[^1].</p>');
+
+      const notes = processor.getNotes();
+      expect(notes.map(note => note.label)).toEqual(['Note 1', 'Note 2']);
+      expect(notes[0].anchor.id).toBe('fnref-1');
+      expect(notes[0].html).toContain('<em>grammatology</em>');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit Tests - Inline Markdown
+ * Tests the renderer shared by marginalia, extensions, footnotes and tooltips
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+global.document = window.document;
+global.window = window;
+
+const InlineMarkdown = require('../../assets/js/utils/inline-markdown.js');
+
+describe('InlineMarkdown', () => {
+  let markdown;
+
+  beforeEach(() => {
+    markdown = new InlineMarkdown();
+  });
+
+  describe('inline syntax', () => {
+    test.each([
+      ['strong and em', '**bold** and *em*', '<strong>bold</strong> and <em>em</em>'],
+      ['strong inside em', '*a **b** c*', '<em>a <strong>b</strong> c</em>'],
+      ['em inside strong', '__a _b_ c__', '<strong>a <em>b</em> c</strong>'],
+      ['a triple run', '***both***', '<strong><em>both</em></strong>'],
+      ['strikethrough', '~~struck~~', '<del>struck</del>'],
+      ['unclosed delimiters', '**open and 2 * 3', '**open and 2 * 3'],
+      ['intraword underscores', 'snake_case_name', 'snake_case_name'],
+      ['backslash escapes', '\\*literal\\* \\[x\\]', '*literal* [x]'],
+      ['code with an escaped backtick', '`a\\`b` and `**x**`', '<code>a`b</code> and <code>**x**</code>'],
+      ['links with titles', '[*Said*](https://example.org/o "Orientalism")',
+        '<a href="https://example.org/o" title="Orientalism"><em>Said</em></a>'],
+      ['footnote references', 'see [^derrida] and *[^2]*', 'see [^derrida] and <em>[^2]</em>']
+    ])('renders %s', (label, source, expected) => {
+      expect(markdown.render(source)).toBe(expected);
+    });
+
+    test('leaves existing markup alone and formats the text around it', () => {
+      const html = '<sup id="fnref-1"><a href="#footnote-1" class="footnote-link">1</a></sup> *after*';
+
+      expect(markdown.render(html)).toBe(
+        '<sup id="fnref-1"><a href="#footnote-1" class="footnote-link">1</a></sup> <em>after</em>'
+      );
+    });
+  });
+
+  describe('blocks', () => {
+    test('keeps a single paragraph inline and joins its lines', () => {
+      expect(markdown.render('  one\n  line  ')).toBe('one line');
+    });
+
+    test('wraps paragraphs separated by blank lines', () => {
+      expect(markdown.render('First\n\nSecond')).toBe('<p>First</p><p>Second</p>');
+    });
+
+    test('renders bullet lists with continuation lines', () => {
+      expect(markdown.render('Readings:\n- *Glas*\n- Spurs,\n  on style')).toBe(
+        '<p>Readings:</p><ul><li><em>Glas</em></li><li>Spurs, on style</li></ul>'
+      );
+    });
+
+    test('does not wrap content that is already block markup', () => {
+      expect(markdown.render('<p>a</p>\n\n<p>*b*</p>')).toBe('<p>a</p><p><em>b</em></p>');
+    });
+  });
+
+  describe('sanitize', () => {
+    test('removes scripts, handlers and script URLs from rendered output', () => {
+      const html = markdown.render('<script>alert(1)</script><a href="javascript:alert(1)" onclick="x()">a</a> [b](vbscript:x)');
+
+      expect(html).toBe('<a>a</a> <a>b</a>');
+    });
+
+    test('drops SVG, including animations that set a script URL', () => {
+      const html = markdown.sanitize('<svg><a><animate attributeName="href" values="javascript:alert(1)"/><text>x</text></a></svg>after');
+
+      expect(html).toBe('after');
+    });
+
+    test('keeps only allowed elements and attributes', () => {
+      const html = markdown.sanitize('<custom-tag>kept <em class="a" data-x="1" formaction="y" style="color: red">text</em></custom-tag><a href="/p" ping="/track">p</a>');
+
+      expect(html).toBe('kept <em class="a" data-x="1" style="color: red">text</em><a href="/p">p</a>');
+    });
+
+    test('keeps image data URLs but not data links', () => {
+      const html = markdown.sanitize('<img src="data:image/png;base64,AA"><a href="data:text/html,x">x</a>');
+
+      expect(html).toBe('<img src="data:image/png;base64,AA"><a>x</a>');
+    });
+  });
+
+  test('marginalia and footnotes written the same way render the same', () => {
+    const MarginaliaProcessor = require('../../assets/js/processors/marginalia-processor.js');
+    const FootnoteProcessor = require('../../assets/js/processors/footnote-processor.js');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+
+    const source = 'A *trace* of **the `other`**';
+    const marginalia = new MarginaliaProcessor({}, document.body);
+    const footnotes = new FootnoteProcessor({}, document.body);
+
+    expect(marginalia.renderMarkdown(source)).toBe(footnotes.renderMarkdown(source));
+    expect(marginalia.getMarkdownRenderer()).toBeInstanceOf(InlineMarkdown);
+
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Unit Tests - Keyboard Navigator
+ * Tests next/previous shortcuts, Escape layering, the cheat sheet, remapping,
+ * and leaving keys alone while typing or during animations
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true });
+global.document = window.document;
+global.window = window;
+
+const KeyboardNavigator = require('../../assets/js/utils/keyboard-navigator.js');
+
+describe('KeyboardNavigator', () => {
+  let container;
+  let navigator;
+  let processors;
+  let panel;
+
+  // Stand-in for a ContentProcessor: records the layers it was asked to dismiss
+  const processor = (layers = {}) => ({
+    asked: [],
+    animating: false,
+    dismissTopmost(layer) {
+      this.asked.push(layer);
+      return !!layers[layer];
+    },
+    focusOpenTooltip: () => false,
+    isAnimating() {
+      return this.animating;
+    }
+  });
+
+  const press = (key, init = {}, target = document.activeElement || document.body) => {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+  };
+
+  const install = (options = {}) => {
+    navigator = new KeyboardNavigator(container, {
+      processors: () => processors,
+      notesPanel: () => panel,
+      ...options
+    });
+    navigator.install();
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div class="post-content">
+        <p>One<sup class="footnote-ref"><a href="#footnote-1" class="footnote-link" data-footnote="1" tabindex="0">1</a></sup>
+          <span class="extension-trigger footnote-ref" data-extension-id="1" tabindex="0"><span class="footnote-link" data-is-extension="true">+</span></span></p>
+        <div class="marginalia-voice" id="marginalia-a" data-voice="1">First margin note</div>
+        <p>Two<sup class="footnote-ref"><a href="#footnote-2" class="footnote-link" data-footnote="2" tabindex="0">2</a></sup>
+          <span class="interactive-marker" role="button" tabindex="0" data-marker-id="m1">?</span></p>
+        <button type="button" aria-controls="marginalia-b" aria-expanded="false">[m]</button>
+        <div class="marginalia-voice" id="marginalia-b" data-voice="2">Folded margin note</div>
+        <input type="search" class="comment-search">
+      </div>`;
+    container = document.querySelector('.post-content');
+    processors = [processor(), processor()];
+    panel = null;
+  });
+
+  afterEach(() => {
+    navigator?.destroy();
+    navigator = null;
+  });
+
+  const footnote = num => container.querySelector(`.footnote-link[data-footnote="${num}"]`);
+
+  test('moves between footnotes in reading order, leaving extensions out', () => {
+    install();
+
+    expect(press('f').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(footnote(1));
+    press('f');
+    expect(document.activeElement).toBe(footnote(2));
+
+    // Nothing further: the key is not consumed and focus stays
+    expect(press('f').defaultPrevented).toBe(false);
+    expect(document.activeElement).toBe(footnote(2));
+
+    press('F', { shiftKey: true });
+    expect(document.activeElement).toBe(footnote(1));
+  });
+
+  test('starts from the focused element when it is not a target of the type', () => {
+    install();
+    footnote(2).focus();
+
+    press('e', {});
+    expect(document.activeElement).toBe(footnote(2));
+
+    press('E', { shiftKey: true });
+    expect(document.activeElement).toBe(container.querySelector('.extension-trigger'));
+
+    press('i');
+    expect(document.activeElement).toBe(container.querySelector('.interactive-marker'));
+  });
+
+  test('focuses margin notes, or the toggle of one folded away', () => {
+    install();
+
+    press('m');
+    const first = container.querySelector('#marginalia-a');
+    expect(document.activeElement).toBe(first);
+    expect(first.getAttribute('tabindex')).toBe('-1');
+
+    press('m');
+    expect(document.activeElement).toBe(container.querySelector('[aria-controls="marginalia-b"]'));
+
+    press('M', { shiftKey: true });
+    expect(document.activeElement).toBe(first);
+  });
+
+  test('leaves keys typed into fields, and keys with modifiers, alone', () => {
+    install();
+    const field = container.querySelector('input');
+    field.focus();
+
+    expect(press('f').defaultPrevented).toBe(false);
+    expect(document.activeElement).toBe(field);
+
+    document.body.focus();
+    expect(press('f', { ctrlKey: true }, document.body).defaultPrevented).toBe(false);
+  });
+
+  test('waits while a processor is animating, but Escape still works', () => {
+    install();
+    processors[1].animating = true;
+
+    expect(press('f', {}, document.body).defaultPrevented).toBe(false);
+    expect(document.activeElement).toBe(document.body);
+
+    press('Escape', {}, document.body);
+    expect(processors[1].asked).toEqual(['tooltip', 'content']);
+  });
+
+  test('Escape asks every processor for tooltips before any for content, latest processor first', () => {
+    install();
+    processors = [processor({ content: true }), processor({ content: true })];
+
+    expect(press('Escape', {}, document.body).defaultPrevented).toBe(true);
+    expect(processors[1].asked).toEqual(['tooltip', 'content']);
+    expect(processors[0].asked).toEqual(['tooltip']);
+  });
+
+  test('Escape closes the notes panel after tooltips and before opened content', () => {
+    panel = { isOpen: true, close: jest.fn(function () { this.isOpen = false; }), toggle: jest.fn() };
+    processors = [processor({ content: true })];
+    install();
+
+    press('Escape', {}, document.body);
+    expect(panel.close).toHaveBeenCalled();
+    expect(processors[0].asked).toEqual(['tooltip']);
+
+    press('a', {}, document.body);
+    expect(panel.toggle).toHaveBeenCalled();
+  });
+
+  test('Escape handled by a component (default prevented) is not handled again', () => {
+    install();
+    const event = new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true });
+    event.preventDefault();
+    document.body.dispatchEvent(event);
+
+    expect(processors[0].asked).toEqual([]);
+  });
+
+  test('? shows the bound shortcuts and Escape closes them, returning focus', () => {
+    install({ shortcuts: { nextMarker: null } });
+    footnote(1).focus();
+
+    press('?', { shiftKey: true });
+    const help = document.querySelector('.keyboard-help');
+    expect(navigator.isHelpOpen).toBe(true);
+    expect(help.getAttribute('role')).toBe('dialog');
+    expect(document.activeElement).toBe(help);
+
+    const keys = Array.from(help.querySelectorAll('kbd')).map(kbd => kbd.textContent);
+    expect(keys).toEqual(expect.arrayContaining(['f', 'Shift F', 'Esc', '?']));
+    expect(keys).not.toContain('i');
+    expect(help.textContent).not.toContain('notes panel');
+
+    // Other shortcuts wait while the sheet is open
+    press('f');
+    expect(document.activeElement).toBe(help);
+
+    press('Escape');
+    expect(navigator.isHelpOpen).toBe(false);
+    expect(document.activeElement).toBe(footnote(1));
+    expect(processors[0].asked).toEqual([]);
+  });
+
+  test('shortcuts can be remapped, to several keys', () => {
+    install({ shortcuts: { nextFootnote: ['n', 'j'], previousFootnote: 'k' } });
+
+    press('f', {}, document.body);
+    expect(document.activeElement).toBe(document.body);
+
+    press('n', {}, document.body);
+    expect(document.activeElement).toBe(footnote(1));
+    press('j');
+    expect(document.activeElement).toBe(footnote(2));
+    press('k');
+    expect(document.activeElement).toBe(footnote(1));
+  });
+
+  test('destroy stops listening and removes the cheat sheet', () => {
+    install();
+    navigator.openHelp();
+    navigator.destroy();
+
+    expect(document.querySelector('.keyboard-help')).toBeNull();
+    press('f', {}, document.body);
+    expect(document.activeElement).toBe(document.body);
+  });
+});
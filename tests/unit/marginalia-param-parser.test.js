@@ -0,0 +1,99 @@
+/**
+ * Unit Tests - Marginalia Param Parser
+ * Tests positional and named marginalia parameters
+ *
+ * Created: October 19, 2026
+ */
+
+const MarginaliaParamParser = require('../../assets/js/utils/marginalia-param-parser.js');
+
+describe('MarginaliaParamParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new MarginaliaParamParser();
+  });
+
+  describe('Positional form', () => {
+    test('reads voice, scale, width and side in order', () => {
+      const { params, warnings } = parser.parse('2 1.4 40 left');
+
+      expect(params).toEqual({ voice: 2, fontScale: 1.4, width: 40, position: 'left' });
+      expect(warnings).toEqual([]);
+    });
+
+    test('fills missing parameters with defaults', () => {
+      expect(parser.parse('3').params).toEqual({ voice: 3, fontScale: 1.0, width: 30, position: 'right' });
+      expect(parser.parse('').params).toEqual({ voice: 1, fontScale: 1.0, width: 30, position: 'right' });
+    });
+
+    test('warns about a fifth positional value', () => {
+      const { warnings } = parser.parse('2 1.4 40 l extra');
+
+      expect(warnings.map(w => w.code)).toEqual(['extra-param']);
+    });
+  });
+
+  describe('Named form', () => {
+    test('reads named keys in any order', () => {
+      const { params, warnings } = parser.parse('voice=critic width=35 side=l scale=0.9');
+
+      expect(params).toEqual({ voice: 'critic', fontScale: 0.9, width: 35, position: 'left' });
+      expect(warnings).toEqual([]);
+    });
+
+    test('lets a parameter be skipped', () => {
+      expect(parser.parse('side=l').params).toEqual({ voice: 1, fontScale: 1.0, width: 30, position: 'left' });
+    });
+
+    test('reads optional anchor, id and collapse keys', () => {
+      const { params } = parser.parse('anchor="the trace" id=critic-1 collapse=true');
+
+      expect(params.anchor).toBe('the trace');
+      expect(params.id).toBe('critic-1');
+      expect(params.collapse).toBe(true);
+    });
+
+    test('reads the note a reply answers, by id or number', () => {
+      expect(parser.parse('voice=critic reply=translator-1').params.reply).toBe('translator-1');
+      expect(parser.parse('reply=3').params.reply).toBe('3');
+      expect(parser.parse('reply="the trace"').warnings.map(w => w.code)).toEqual(['param-out-of-range']);
+    });
+
+    test('accepts curly quotes from the Ghost editor', () => {
+      expect(parser.parse('anchor=“exact phrase”').params.anchor).toBe('exact phrase');
+    });
+
+    test('mixes positional and named parameters', () => {
+      expect(parser.parse('2 1.4 side=l').params).toEqual({ voice: 2, fontScale: 1.4, width: 30, position: 'left' });
+    });
+  });
+
+  describe('Warnings', () => {
+    test('warns about unknown keys', () => {
+      const { params, warnings } = parser.parse('voice=2 colour=red');
+
+      expect(params.voice).toBe(2);
+      expect(warnings).toEqual([{
+        code: 'unknown-param',
+        message: 'Unknown marginalia parameter "colour" - expected voice, scale, width, side, anchor, id, reply, collapse'
+      }]);
+    });
+
+    test('falls back to defaults for invalid values', () => {
+      const { params, warnings } = parser.parse('voice=9 width=200 side=up collapse=maybe');
+
+      expect(params).toEqual({ voice: 1, fontScale: 1.0, width: 30, position: 'right' });
+      expect(warnings.map(w => w.code)).toEqual([
+        'param-out-of-range', 'param-out-of-range', 'param-out-of-range', 'param-out-of-range'
+      ]);
+    });
+
+    test('warns when a parameter is given twice', () => {
+      const { params, warnings } = parser.parse('2 voice=3');
+
+      expect(params.voice).toBe(3);
+      expect(warnings.map(w => w.code)).toEqual(['duplicate-param']);
+    });
+  });
+});
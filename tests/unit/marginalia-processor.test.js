@@ -0,0 +1,611 @@
+/**
+ * Unit Tests - Marginalia Processor
+ * Tests the margin layout (placing notes beside their paragraphs in both
+ * margins, re-running it, handing notes back to CSS floats), notes
+ * anchored to phrases, voices, and compact badges on narrow screens
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true });
+global.document = window.document;
+global.window = window;
+
+const MarginaliaProcessor = require('../../assets/js/processors/marginalia-processor.js');
+
+describe('MarginaliaProcessor margin layout', () => {
+  let container;
+  let processor;
+  let media;
+  let rects;
+
+  const rect = (left, top, width, height) => ({ left, top, width, height, right: left + width, bottom: top + height });
+
+  // jsdom has no matchMedia; this one reports a viewport wide enough (or not) for the margin layout
+  // and never narrow enough for compact mode
+  const setViewport = wide => {
+    media = Object.assign(new window.EventTarget(), { matches: wide });
+    window.matchMedia = jest.fn(query => (query.includes('min-width') ? media : Object.assign(new window.EventTarget(), { matches: false })));
+  };
+
+  // jsdom has no layout engine: every element measures as the rect given here
+  const measure = element => rects.get(element) || rect(0, 0, 0, 0);
+
+  const run = async (config = {}) => {
+    container.innerHTML = `
+      <p id="p1">Writing [m][1][The supplement is dangerous]</p>
+      <p id="p2">Speech [m][2][Crowded out of the right margin]</p>
+      <p id="p3">Trace [m][voice=3 side=left][A left-hand voice]</p>`;
+    processor = new MarginaliaProcessor(config, container);
+    await processor.init();
+
+    // Notes are created during process(); stub their rects before layout measures them
+    const process = processor.processMarginaliaPatterns.bind(processor);
+    processor.processMarginaliaPatterns = () => {
+      process();
+      const [n1, n2, n3] = container.querySelectorAll('.marginalia-voice');
+      rects = new Map([
+        [container, rect(0, 0, 600, 1000)],
+        [container.querySelector('#p1'), rect(0, 0, 600, 30)],
+        [container.querySelector('#p2'), rect(0, 40, 600, 30)],
+        [container.querySelector('#p3'), rect(0, 300, 600, 30)],
+        [n1, rect(500, 0, 170, 200)],
+        [n2, rect(500, 0, 170, 60)],
+        [n3, rect(500, 0, 170, 40)]
+      ]);
+      container.querySelectorAll('*').forEach(element => {
+        element.getBoundingClientRect = () => measure(element);
+      });
+      container.getBoundingClientRect = () => measure(container);
+    };
+
+    processor.process();
+    return processor;
+  };
+
+  const note = id => container.querySelector(`.marginalia-voice[data-marginalia-id="${id}"]`);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+    jest.spyOn(console, 'time').mockImplementation(() => {});
+    jest.spyOn(console, 'timeEnd').mockImplementation(() => {});
+    jest.spyOn(console, 'group').mockImplementation(() => {});
+    document.body.innerHTML = '<div class="post-content"></div>';
+    container = document.querySelector('.post-content');
+    setViewport(true);
+  });
+
+  afterEach(async () => {
+    await processor?.cleanup();
+    processor = null;
+    delete window.matchMedia;
+    jest.restoreAllMocks();
+  });
+
+  test('places each note level with its paragraph, moving one out of a crowded margin', async () => {
+    const passes = jest.fn();
+    container.addEventListener('marginalia-layout', passes);
+    await run();
+
+    expect(container.classList.contains('marginalia-layout')).toBe(true);
+    expect([1, 2, 3].map(id => [note(id).dataset.side, note(id).style.top])).toEqual([
+      ['right', '0px'],
+      ['left', '40px'],   // The right margin is taken until 212px
+      ['left', '300px']
+    ]);
+    // The author's side is kept; only the layout moved it
+    expect(note(2).dataset.position).toBe('right');
+    expect(passes).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps every note on its own side when switching is turned off', async () => {
+    await run({ layout: { switchSides: false } });
+
+    expect(note(2).dataset.side).toBe('right');
+    expect(note(2).style.top).toBe('212px');
+  });
+
+  test('re-runs on resize, once per frame', async () => {
+    await run();
+    const layout = jest.spyOn(processor, 'layoutMarginalia');
+
+    rects.set(container.querySelector('#p3'), rect(0, 500, 600, 30));
+    window.dispatchEvent(new window.Event('resize'));
+    window.dispatchEvent(new window.Event('resize'));
+    await new Promise(resolve => window.requestAnimationFrame(resolve));
+
+    expect(layout).toHaveBeenCalledTimes(1);
+    expect(note(3).style.top).toBe('500px');
+  });
+
+  test('hands notes back to their floats below the breakpoint and takes them again above it', async () => {
+    await run();
+
+    media.matches = false;
+    media.dispatchEvent(new window.Event('change'));
+    expect(container.classList.contains('marginalia-layout')).toBe(false);
+    expect(note(1).dataset.side).toBeUndefined();
+    expect(note(1).style.top).toBe('');
+
+    media.matches = true;
+    media.dispatchEvent(new window.Event('change'));
+    expect(note(1).dataset.side).toBe('right');
+  });
+
+  test('stays out of the way for print and touch drawers', async () => {
+    await run();
+
+    processor.preparePrint();
+    expect(container.classList.contains('marginalia-layout')).toBe(false);
+    processor.restorePrint();
+    expect(note(2).style.top).toBe('40px');
+
+    processor.setTouchMode(true);
+    expect(container.classList.contains('marginalia-layout')).toBe(false);
+    expect(note(1).classList.contains('marginalia-drawer')).toBe(true);
+  });
+
+  test('cleanup removes the layout and stops listening', async () => {
+    await run();
+    const layout = jest.spyOn(processor, 'layoutMarginalia');
+    await processor.cleanup();
+
+    expect(container.classList.contains('marginalia-layout')).toBe(false);
+    window.dispatchEvent(new window.Event('resize'));
+    media.dispatchEvent(new window.Event('change'));
+    expect(layout).not.toHaveBeenCalled();
+  });
+});
+
+describe('MarginaliaProcessor anchored phrases', () => {
+  let container;
+  let processor;
+
+  const rect = (left, top, width, height) => ({ left, top, width, height, right: left + width, bottom: top + height });
+
+  const run = async html => {
+    container.innerHTML = html;
+    processor = new MarginaliaProcessor({}, container);
+    await processor.init();
+    processor.process();
+    return processor;
+  };
+
+  const highlight = () => container.querySelector('.marginalia-anchor');
+  const note = () => container.querySelector('.marginalia-voice');
+
+  beforeEach(() => {
+    ['log', 'info', 'debug', 'warn', 'time', 'timeEnd', 'group'].forEach(method => {
+      jest.spyOn(console, method).mockImplementation(() => {});
+    });
+    document.body.innerHTML = '<div class="post-content"></div>';
+    container = document.querySelector('.post-content');
+  });
+
+  afterEach(async () => {
+    await processor?.cleanup();
+    processor = null;
+    delete window.matchMedia;
+    delete window.ghost_custom_settings;
+    jest.restoreAllMocks();
+  });
+
+  test('anchor="phrase" highlights those words in the voice of the note', async () => {
+    await run('<p>The <em>trace</em> is not a presence. [m][voice=2 anchor="not a presence"][Nor an absence]</p>');
+
+    expect(highlight().textContent).toBe('not a presence');
+    expect(highlight().dataset.voice).toBe('translator');
+    expect(highlight().dataset.marginaliaFor).toBe(note().dataset.marginaliaId);
+    expect(container.querySelector('p em').textContent).toBe('trace');
+  });
+
+  test('falls back to ignoring case, and to the whole paragraph when the phrase is missing', async () => {
+    await run(`
+      <p>Writing is a Dangerous Supplement. [m][anchor="dangerous supplement"][Rousseau]</p>
+      <p>Speech. [m][anchor="nowhere to be found"][Lost]</p>`);
+
+    expect(container.querySelectorAll('.marginalia-anchor')).toHaveLength(1);
+    expect(highlight().textContent).toBe('Dangerous Supplement');
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('anchor "nowhere to be found" not found'));
+  });
+
+  test('the wrapped form highlights its words, keeping elements inside them live', async () => {
+    container.innerHTML = '<p>See [m~][voice=3][the <sup id="fnref-1">1</sup> supplement][A note on the word] here.</p>';
+    const reference = container.querySelector('#fnref-1');
+    processor = new MarginaliaProcessor({}, container);
+    await processor.init();
+    processor.process();
+
+    expect(highlight().textContent).toBe('the 1 supplement');
+    expect(highlight().querySelector('#fnref-1')).toBe(reference);
+    expect(highlight().nextElementSibling).toBe(note());
+    expect(note().textContent.trim()).toBe('A note on the word');
+    expect(container.querySelector('p').textContent).not.toContain('[m~]');
+  });
+
+  test('hovering either end lights both up and connects them', async () => {
+    await run('<p>The trace [m][anchor="trace"][Arche-writing]</p>');
+    container.getBoundingClientRect = () => rect(0, 0, 600, 1000);
+    highlight().getClientRects = () => [rect(100, 50, 40, 20)];
+    note().getBoundingClientRect = () => rect(620, 40, 150, 60);
+
+    note().dispatchEvent(new window.MouseEvent('mouseenter'));
+    expect(highlight().classList.contains('marginalia-active')).toBe(true);
+    expect(note().classList.contains('marginalia-active')).toBe(true);
+
+    const line = container.querySelector('.marginalia-connectors polyline');
+    expect(line.getAttribute('points')).toBe('140,60 600,60 620,48');
+
+    note().dispatchEvent(new window.MouseEvent('mouseleave'));
+    expect(highlight().classList.contains('marginalia-active')).toBe(false);
+    expect(container.querySelector('.marginalia-connectors polyline')).toBeNull();
+  });
+
+  test('on touch screens tapping the highlight opens the folded note', async () => {
+    window.ghost_custom_settings = { mobile_responsive: true };
+    window.matchMedia = jest.fn(query => Object.assign(new window.EventTarget(), { matches: query.includes('pointer') }));
+    await run('<p>The trace [m][anchor="trace"][Arche-writing]</p>');
+
+    expect(highlight().getAttribute('role')).toBe('button');
+    expect(highlight().getAttribute('aria-controls')).toBe(note().id);
+
+    highlight().click();
+    expect(note().classList.contains('marginalia-drawer-closed')).toBe(false);
+    expect(highlight().getAttribute('aria-expanded')).toBe('true');
+
+    highlight().dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    expect(note().classList.contains('marginalia-drawer-closed')).toBe(true);
+  });
+
+  test('the margin layout places an anchored note level with its phrase', async () => {
+    const media = Object.assign(new window.EventTarget(), { matches: true });
+    window.matchMedia = jest.fn(query => (query.includes('min-width') ? media : Object.assign(new window.EventTarget(), { matches: false })));
+    container.innerHTML = '<p>First line. Later, the trace. [m][anchor="the trace"][Arche-writing]</p>';
+    processor = new MarginaliaProcessor({}, container);
+    await processor.init();
+    const bindLayout = processor.bindLayoutListeners.bind(processor);
+    processor.bindLayoutListeners = () => {
+      container.getBoundingClientRect = () => rect(0, 0, 600, 1000);
+      container.querySelector('p').getBoundingClientRect = () => rect(0, 0, 600, 60);
+      highlight().getBoundingClientRect = () => rect(100, 30, 60, 20);
+      note().getBoundingClientRect = () => rect(620, 0, 150, 40);
+      bindLayout();
+    };
+    processor.process();
+
+    expect(note().style.top).toBe('30px');
+  });
+
+  test('cleanup turns phrase highlights back into plain text', async () => {
+    await run('<p>The trace [m][anchor="trace"][Arche-writing]</p>');
+    await processor.cleanup();
+
+    expect(highlight()).toBeNull();
+    expect(container.querySelector('p').textContent).toContain('The trace');
+  });
+});
+
+describe('MarginaliaProcessor voices', () => {
+  let container;
+  let processor;
+
+  const run = async (html, config = {}) => {
+    container.innerHTML = html;
+    processor = new MarginaliaProcessor(config, container);
+    await processor.init();
+    processor.process();
+    return processor;
+  };
+
+  const notes = () => Array.from(container.querySelectorAll('.marginalia-voice'));
+  const legend = () => container.querySelector('.voice-legend');
+
+  beforeEach(() => {
+    ['log', 'info', 'debug', 'warn', 'time', 'timeEnd', 'group'].forEach(method => {
+      jest.spyOn(console, method).mockImplementation(() => {});
+    });
+    document.body.innerHTML = '<article class="post"><div class="post-content"></div></article>';
+    container = document.querySelector('.post-content');
+  });
+
+  afterEach(async () => {
+    await processor?.cleanup();
+    processor = null;
+    jest.restoreAllMocks();
+  });
+
+  test('notes resolve numbers and names to one voice, with its look and icon', async () => {
+    await run(`
+      <p>Speech [m][2][By number]</p>
+      <p>Writing [m][voice=Translator][By name]</p>
+      <div class="marginalia-voice" data-voice="4">Written as HTML</div>`);
+
+    expect(notes().map(note => note.dataset.voice)).toEqual(['translator', 'translator', 'critic']);
+    expect(notes()[0].style.getPropertyValue('--voice-color')).toBe('#00ffff');
+    expect(notes()[2].dataset.voiceIcon).toBe('†');
+  });
+
+  test('a named voice without a side takes its own margin; numbers and given sides are kept', async () => {
+    await run(`
+      <p>One [m][voice=critic][Left by default]</p>
+      <p>Two [m][voice=critic side=r][Moved right]</p>
+      <p>Three [m][4][Numbered, right as always]</p>`);
+
+    expect(notes().map(note => note.dataset.position)).toEqual(['left', 'right', 'right']);
+  });
+
+  test('the notes panel names each note by its voice label', async () => {
+    await run('<p>One [m][voice=ghost][A spectre]</p>');
+
+    expect(processor.getNotes()[0]).toMatchObject({ label: 'Margin note (Ghost)', voice: 'ghost', voiceLabel: 'Ghost' });
+  });
+
+  test('a legend opens a post with two or more voices and is removed in cleanup', async () => {
+    await run('<p>One [m][voice=critic][A]</p><p>Two [m][1][B]</p><p>Three [m][voice=critic][C]</p>');
+
+    expect(container.firstElementChild).toBe(legend());
+    expect(Array.from(legend().querySelectorAll('.voice-legend-label')).map(label => label.textContent))
+      .toEqual(['Critic', 'Commentator']);
+
+    await processor.cleanup();
+    expect(legend()).toBeNull();
+  });
+
+  test('one voice gets no legend unless the post places one', async () => {
+    await run('<p>One [m][voice=critic][A]</p>');
+    expect(legend()).toBeNull();
+    await processor.cleanup();
+
+    await run('<p>One [m][voice=critic][A]</p><div id="key" data-voice-legend></div>');
+    expect(legend().parentElement.id).toBe('key');
+  });
+
+  test('a post can move the legend to the end or leave it out', async () => {
+    await run('<p>One [m][voice=critic][A]</p><p>Two [m][1][B]</p>', { legend: { position: 'end' } });
+    expect(container.lastElementChild).toBe(legend());
+    await processor.cleanup();
+
+    container.closest('article').classList.add('tag-hash-voice-legend-none');
+    await run('<p>One [m][voice=critic][A]</p><p>Two [m][1][B]</p>');
+    expect(legend()).toBeNull();
+  });
+});
+
+describe('MarginaliaProcessor compact mode', () => {
+  let container;
+  let processor;
+  let width;
+  let queries;
+
+  // jsdom has no matchMedia; these lists answer min-width/max-width queries for the current width
+  const evaluate = query => {
+    const [, bound, px] = query.match(/(min|max)-width:\s*(\d+)px/) || [];
+    if (!bound) return false;
+    return bound === 'min' ? width >= Number(px) : width <= Number(px);
+  };
+  const resize = next => {
+    width = next;
+    queries.forEach(list => {
+      const matches = evaluate(list.media);
+      if (matches === list.matches) return;
+      list.matches = matches;
+      list.dispatchEvent(new window.Event('change'));
+    });
+  };
+
+  const run = async (html, config = {}) => {
+    container.innerHTML = html;
+    processor = new MarginaliaProcessor(config, container);
+    await processor.init();
+    processor.process();
+    return processor;
+  };
+
+  const note = id => container.querySelector(`.marginalia-voice[data-marginalia-id="${id}"]`);
+  const badge = id => container.querySelector(`.marginalia-drawer-toggle[aria-controls="${note(id).id}"]`);
+
+  beforeEach(() => {
+    ['log', 'info', 'debug', 'warn', 'time', 'timeEnd', 'group'].forEach(method => {
+      jest.spyOn(console, method).mockImplementation(() => {});
+    });
+    document.body.innerHTML = '<div class="post-content"></div>';
+    container = document.querySelector('.post-content');
+    width = 400;
+    queries = [];
+    window.matchMedia = jest.fn(query => {
+      const list = Object.assign(new window.EventTarget(), { media: query, matches: evaluate(query) });
+      queries.push(list);
+      return list;
+    });
+  });
+
+  afterEach(async () => {
+    await processor?.cleanup();
+    processor = null;
+    delete window.matchMedia;
+    jest.restoreAllMocks();
+  });
+
+  test('below the breakpoint each note folds into a voice badge after its anchor', async () => {
+    await run(`
+      <p>The trace is not a presence, nor an absence. [m][voice=critic anchor="not a presence"][Nor an absence]</p>
+      <p>Speech [m][2][A translator's aside]</p>`);
+
+    expect(container.classList.contains('marginalia-compact')).toBe(true);
+    expect(window.matchMedia).toHaveBeenCalledWith('(max-width: 767px)');
+
+    // The anchored note moves up beside its words
+    const highlight = container.querySelector('.marginalia-anchor');
+    expect(highlight.nextSibling).toBe(badge(1));
+    expect(badge(1).nextSibling).toBe(note(1));
+    expect(badge(1).textContent).toBe('†');
+    expect(badge(1).getAttribute('aria-expanded')).toBe('false');
+    expect(badge(1).getAttribute('aria-label')).toBe('Show margin note (Critic)');
+
+    expect(badge(2).nextElementSibling).toBe(note(2));
+    expect(note(2).classList.contains('marginalia-drawer-closed')).toBe(true);
+
+    badge(2).click();
+    expect(note(2).classList.contains('marginalia-drawer-closed')).toBe(false);
+    expect(badge(2).getAttribute('aria-expanded')).toBe('true');
+  });
+
+  test('widening the viewport puts notes back where they were written, and narrowing it keeps them open', async () => {
+    await run(`
+      <p id="p1">The trace is not a presence. [m][voice=critic anchor="trace"][First]</p>
+      <p>Speech [m][2][Second]</p>`);
+    badge(1).click();
+
+    resize(1400);
+    expect(container.querySelector('.marginalia-drawer-toggle')).toBeNull();
+    expect(container.querySelector('#p1').lastElementChild).toBe(note(1));
+    expect(container.classList.contains('marginalia-layout')).toBe(true);
+
+    resize(400);
+    expect(note(1).classList.contains('marginalia-drawer-closed')).toBe(false);
+    expect(badge(1).getAttribute('aria-expanded')).toBe('true');
+    expect(container.querySelector('.marginalia-anchor').getAttribute('aria-expanded')).toBe('true');
+    expect(note(2).classList.contains('marginalia-drawer-closed')).toBe(true);
+  });
+
+  test('the breakpoint is configurable, and compact mode can be turned off', async () => {
+    width = 900;
+    await run('<p>Speech [m][2][Aside]</p>', { compact: { breakpoint: 1000 } });
+    expect(window.matchMedia).toHaveBeenCalledWith('(max-width: 999px)');
+    expect(badge(1)).not.toBeNull();
+    await processor.cleanup();
+
+    await run('<p>Speech [m][2][Aside]</p>', { compact: { enabled: false } });
+    expect(container.querySelector('.marginalia-drawer-toggle')).toBeNull();
+  });
+
+  test('print unfolds every note and folds them back as the reader left them', async () => {
+    await run('<p>One [m][1][First]</p><p>Two [m][2][Second]</p>');
+    badge(2).click();
+
+    processor.preparePrint();
+    expect(container.querySelector('.marginalia-drawer-toggle')).toBeNull();
+    expect(note(1).classList.contains('marginalia-drawer-closed')).toBe(false);
+
+    processor.restorePrint();
+    expect(note(1).classList.contains('marginalia-drawer-closed')).toBe(true);
+    expect(note(2).classList.contains('marginalia-drawer-closed')).toBe(false);
+  });
+});
+
+describe('MarginaliaProcessor threads', () => {
+  let container;
+  let processor;
+
+  const run = async html => {
+    container.innerHTML = html;
+    processor = new MarginaliaProcessor({}, container);
+    await processor.init();
+    processor.process();
+    return processor;
+  };
+
+  const dialogue = `
+    <p id="p1">Orientalism is a discourse. [m][voice=critic id=said][Who speaks for whom?]</p>
+    <p id="p2">An aside. [m][voice=reader][Not part of it]</p>
+    <p id="p3">The archive answers. [m][voice=archivist reply=said][Never neutral]</p>
+    <p id="p4">Again. [m][voice=critic reply=3][Nor this note]</p>`;
+
+  const note = id => container.querySelector(`.marginalia-voice[data-marginalia-id="${id}"]`);
+
+  beforeEach(() => {
+    ['log', 'info', 'debug', 'warn', 'time', 'timeEnd', 'group'].forEach(method => {
+      jest.spyOn(console, method).mockImplementation(() => {});
+    });
+    document.body.innerHTML = '<div class="post-content"></div>';
+    container = document.querySelector('.post-content');
+    window.HTMLElement.prototype.scrollIntoView = jest.fn();
+  });
+
+  afterEach(async () => {
+    await processor?.cleanup();
+    processor = null;
+    delete window.HTMLElement.prototype.scrollIntoView;
+    jest.restoreAllMocks();
+  });
+
+  test('replies join the thread of the note they answer, indented and headed by its voice', async () => {
+    await run(dialogue);
+
+    expect([1, 3, 4].map(id => note(id).dataset.threadDepth)).toEqual(['0', '1', '2']);
+    expect(note(2).dataset.thread).toBeUndefined();
+    expect(note(3).querySelector('.marginalia-reply-to').textContent).toBe('↳ Critic');
+    expect(note(4).querySelector('.marginalia-reply-to').textContent).toBe('↳ Archivist');
+    expect(note(4).querySelector('.marginalia-reply-to').style.getPropertyValue('--voice-color')).toBe('#ff6b9d');
+  });
+
+  test('a reply to no earlier note stands on its own', async () => {
+    await run('<p>One [m][reply=later][Too early]</p><p>Two [m][id=later][Later]</p>');
+
+    expect(container.querySelector('.marginalia-thread')).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('reply="later" matches no earlier note'));
+  });
+
+  test('the thread collapses to its first note, and collapse=true starts it collapsed', async () => {
+    await run(dialogue);
+    const toggle = note(1).querySelector('.marginalia-thread-toggle');
+
+    expect(toggle.getAttribute('aria-expanded')).toBe('true');
+    expect(toggle.getAttribute('aria-controls')).toBe(`${note(3).id} ${note(4).id}`);
+
+    toggle.click();
+    expect(toggle.getAttribute('aria-expanded')).toBe('false');
+    expect(toggle.textContent).toBe('+2 replies');
+    expect([3, 4].every(id => note(id).classList.contains('marginalia-thread-collapsed'))).toBe(true);
+    await processor.cleanup();
+
+    await run('<p>One [m][id=a collapse=true][First]</p><p>Two [m][reply=a][Second]</p>');
+    expect(note(2).classList.contains('marginalia-thread-collapsed')).toBe(true);
+  });
+
+  test('following the thread scrolls to the paragraph each reply is anchored to', async () => {
+    await run(dialogue);
+    note(1).querySelector('.marginalia-thread-toggle').click();
+
+    note(1).querySelector('.marginalia-thread-step:last-child').click();
+    expect(note(3).classList.contains('marginalia-thread-collapsed')).toBe(false);
+    expect(window.HTMLElement.prototype.scrollIntoView.mock.contexts.pop()).toBe(container.querySelector('#p3'));
+    expect(document.activeElement).toBe(note(3));
+
+    note(3).querySelector('.marginalia-thread-step:last-child').click();
+    expect(window.HTMLElement.prototype.scrollIntoView.mock.contexts.pop()).toBe(container.querySelector('#p4'));
+    expect(note(4).querySelector('.marginalia-thread-step:last-child').disabled).toBe(true);
+  });
+
+  test('the notes panel lists a thread in order under its first note', async () => {
+    await run(dialogue);
+    const notes = processor.getNotes();
+
+    expect(notes.map(entry => entry.label)).toEqual([
+      'Margin note (Critic)', 'Reply (Archivist) to Critic', 'Reply (Critic) to Archivist', 'Margin note (Reader)'
+    ]);
+    expect(notes.map(entry => entry.depth)).toEqual([undefined, 1, 2, undefined]);
+    expect(notes[2].position).toBe(note(1));
+    expect(notes[1].html).not.toContain('marginalia-thread-controls');
+  });
+
+  test('print numbers replies in thread order after their first note', async () => {
+    await run(dialogue);
+    processor.preparePrint();
+
+    expect([1, 2, 3, 4].map(id => note(id).dataset.printNumber)).toEqual(['1', '2', '1.1', '1.2']);
+    expect(note(3).previousElementSibling.textContent).toBe('1.1');
+  });
+
+  test('cleanup removes the thread controls', async () => {
+    await run(dialogue);
+    await processor.cleanup();
+
+    expect(container.querySelector('.marginalia-thread, .marginalia-thread-controls, .marginalia-reply-to')).toBeNull();
+    expect(note(3).hasAttribute('tabindex')).toBe(false);
+  });
+});
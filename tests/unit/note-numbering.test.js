@@ -0,0 +1,37 @@
+/**
+ * Unit Tests - Note Numbering
+ * Tests labels for each numbering scheme
+ *
+ * Created: October 19, 2026
+ */
+
+const NoteNumbering = require('../../assets/js/utils/note-numbering.js');
+
+describe('NoteNumbering', () => {
+  const labels = (scheme, count) =>
+    Array.from({ length: count }, (_, index) => NoteNumbering.format(index + 1, scheme));
+
+  test('arabic is the default and the fallback for unknown schemes', () => {
+    expect(labels(undefined, 3)).toEqual(['1', '2', '3']);
+    expect(NoteNumbering.format(12, 'hebrew')).toBe('12');
+  });
+
+  test('writes roman numerals in both cases', () => {
+    expect(labels('lower-roman', 5)).toEqual(['i', 'ii', 'iii', 'iv', 'v']);
+    expect(NoteNumbering.format(49, 'upper-roman')).toBe('XLIX');
+    expect(NoteNumbering.format(1994, 'upper-roman')).toBe('MCMXCIV');
+    expect(NoteNumbering.format(4000, 'upper-roman')).toBe('4000');
+  });
+
+  test('continues lower-alpha past z', () => {
+    expect(NoteNumbering.format(1, 'lower-alpha')).toBe('a');
+    expect(NoteNumbering.format(26, 'lower-alpha')).toBe('z');
+    expect(NoteNumbering.format(27, 'lower-alpha')).toBe('aa');
+    expect(NoteNumbering.format(28, 'lower-alpha')).toBe('ab');
+  });
+
+  test('doubles the symbol sequence once it runs out', () => {
+    expect(labels('symbol', 8)).toEqual(['*', '†', '‡', '§', '‖', '¶', '**', '††']);
+    expect(NoteNumbering.format(13, 'symbol')).toBe('***');
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests - Notes Panel
+ * Tests filtering by type and voice, full-text search, and revealing a note's anchor
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true });
+global.document = window.document;
+global.window = window;
+
+const NotesPanel = require('../../assets/js/utils/notes-panel.js');
+
+describe('NotesPanel', () => {
+  let panel;
+  let anchors;
+
+  const entries = () => [
+    { type: 'footnote', id: 'footnote-1', label: 'Note 1', voice: null, html: 'On <em>grammatology</em>', anchor: anchors[0] },
+    { type: 'marginalia', id: 'marginalia-1', label: 'Margin note (critic)', voice: 'critic', voiceLabel: 'Critic', html: 'Against the trace', anchor: anchors[1] },
+    { type: 'marginalia', id: 'marginalia-2', label: 'Margin note (1)', voice: '1', html: 'The supplement of writing', anchor: anchors[2] },
+    { type: 'extension', id: 'extension-1', label: 'Extension 1', voice: null, html: 'Writing before speech', anchor: anchors[3] }
+  ];
+
+  const labels = () => Array.from(document.querySelectorAll('.notes-panel-goto')).map(link => link.textContent);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = '<div class="post-content"><p id="a"></p><p id="b"></p><p id="c"></p><p id="d"></p></div>';
+    anchors = Array.from(document.querySelectorAll('p'));
+    anchors.forEach(anchor => { anchor.scrollIntoView = jest.fn(); });
+    window.innerWidth = 1280;
+
+    panel = new NotesPanel({ source: entries, highlightDuration: 1000 });
+    panel.mount();
+  });
+
+  afterEach(() => {
+    panel.destroy();
+    jest.useRealTimers();
+  });
+
+  test('opens from its toggle with every entry listed', () => {
+    document.querySelector('.notes-panel-toggle').click();
+
+    expect(panel.isOpen).toBe(true);
+    expect(labels()).toEqual(['Note 1', 'Margin note (critic)', 'Margin note (1)', 'Extension 1']);
+    expect(document.querySelector('.notes-panel-count').textContent).toBe('4 notes');
+    expect(document.activeElement).toBe(document.querySelector('.notes-panel-search'));
+  });
+
+  test('offers a filter per type present and a voice list when voices differ', () => {
+    panel.open();
+
+    const types = Array.from(document.querySelectorAll('.notes-panel-filter')).map(button => button.dataset.type);
+    expect(types).toEqual(['all', 'footnote', 'marginalia', 'extension']);
+    expect(document.querySelector('.notes-panel-voice').hidden).toBe(false);
+    expect(Array.from(document.querySelectorAll('.notes-panel-voice option')).map(option => option.textContent.trim()))
+      .toEqual(['All voices', 'Critic', 'Voice 1']);
+
+    document.querySelector('.notes-panel-filter[data-type="marginalia"]').click();
+    expect(labels()).toEqual(['Margin note (critic)', 'Margin note (1)']);
+
+    panel.setFilters({ voice: 'critic' });
+    expect(labels()).toEqual(['Margin note (critic)']);
+    expect(document.querySelector('.notes-panel-count').textContent).toBe('1 of 4 notes');
+  });
+
+  test('searches the text of every note, requiring each word', () => {
+    panel.open();
+
+    panel.setFilters({ query: 'writing' });
+    expect(labels()).toEqual(['Margin note (1)', 'Extension 1']);
+
+    panel.setFilters({ query: 'WRITING speech' });
+    expect(labels()).toEqual(['Extension 1']);
+
+    panel.setFilters({ query: 'grammatology' });
+    expect(labels()).toEqual(['Note 1']);
+  });
+
+  test('scrolls to a chosen note and highlights its anchor briefly', () => {
+    panel.open();
+    document.querySelectorAll('.notes-panel-excerpt')[3].click();
+
+    expect(anchors[3].scrollIntoView).toHaveBeenCalled();
+    expect(anchors[3].classList.contains('notes-panel-highlight')).toBe(true);
+    expect(panel.isOpen).toBe(true);
+
+    jest.advanceTimersByTime(1000);
+    expect(anchors[3].classList.contains('notes-panel-highlight')).toBe(false);
+  });
+
+  test('closes on choosing a note when the viewport is narrow', () => {
+    window.innerWidth = 500;
+    panel.open();
+    document.querySelector('.notes-panel-goto').click();
+
+    expect(anchors[0].scrollIntoView).toHaveBeenCalled();
+    expect(panel.isOpen).toBe(false);
+  });
+
+  test('closes on Escape and returns focus to the toggle', () => {
+    panel.open();
+    panel.element.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(panel.isOpen).toBe(false);
+    expect(document.activeElement).toBe(document.querySelector('.notes-panel-toggle'));
+  });
+});
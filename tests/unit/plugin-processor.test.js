@@ -0,0 +1,151 @@
+/**
+ * Unit Tests - Plugin Processor
+ * Tests custom bracket triggers registered without editing the theme
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+global.document = window.document;
+global.window = window;
+
+const PluginProcessor = require('../../assets/js/core/plugin-processor.js');
+
+describe('PluginProcessor', () => {
+  let container;
+
+  const glossary = {
+    name: 'glossary',
+    trigger: '[g]',
+    sections: 2,
+    render: match => `<dfn title="${match.sections[1]}">${match.html[0]}</dfn>`
+  };
+
+  // Replaced nodes carry source-map ids, which depend on test order
+  const rendered = () => container.innerHTML.replace(/ data-source-id="[^"]*"/g, '');
+
+  const run = async (definition, html) => {
+    container.innerHTML = html;
+    const processor = new PluginProcessor({ plugin: definition }, container);
+    await processor.init();
+    processor.process();
+    return processor;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    document.body.innerHTML = '';
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateDefinition', () => {
+    test('accepts a complete definition', () => {
+      expect(PluginProcessor.validateDefinition(glossary)).toBeNull();
+    });
+
+    test.each([
+      ['a name starting with a digit', { ...glossary, name: '1st' }, /name/],
+      ['an unbracketed trigger', { ...glossary, trigger: 'g' }, /must look like \[g\]/],
+      ['a built-in trigger', { ...glossary, trigger: '[m]' }, /built-in/],
+      ['the anchored marginalia trigger', { ...glossary, trigger: '[m~]' }, /built-in/],
+      ['a footnote trigger', { ...glossary, trigger: '[^note]' }, /built-in/],
+      ['a citation trigger', { ...glossary, trigger: '[@cite:key]' }, /built-in/],
+      ['a cross-reference trigger', { ...glossary, trigger: '[@gloss]' }, /built-in/],
+      ['zero sections', { ...glossary, sections: 0 }, /sections/],
+      ['a render that is not a function', { ...glossary, render: '<b>' }, /render/]
+    ])('rejects %s', (label, definition, problem) => {
+      expect(PluginProcessor.validateDefinition(definition)).toMatch(problem);
+    });
+  });
+
+  test('renders each match with its sections and inline HTML', async () => {
+    const processor = await run(glossary, '<p>A [g][<em>trace</em>][a mark of absence] and [g][différance][deferral].</p>');
+
+    expect(rendered()).toBe(
+      '<p>A <dfn title="a mark of absence"><em>trace</em></dfn> and <dfn title="deferral">différance</dfn>.</p>'
+    );
+    expect(processor.getStats()).toMatchObject({ processed: 2, errors: 0, plugin: 'glossary', trigger: '[g]' });
+  });
+
+  test('leaves matches alone when render returns null', async () => {
+    await run({ ...glossary, render: match => (match.index === 0 ? null : '<b>x</b>') }, '<p>[g][a][b] [g][c][d]</p>');
+
+    expect(rendered()).toBe('<p>[g][a][b] <b>x</b></p>');
+  });
+
+  test('counts render errors without stopping other matches', async () => {
+    const processor = await run({
+      ...glossary,
+      render: match => {
+        if (match.index === 0) throw new Error('bad');
+        return '<b>ok</b>';
+      }
+    }, '<p>[g][a][b] [g][c][d]</p>');
+
+    expect(rendered()).toBe('<p>[g][a][b] <b>ok</b></p>');
+    expect(processor.getStats()).toMatchObject({ processed: 1, errors: 1 });
+  });
+
+  test('calls the cleanup hook with the container', async () => {
+    const cleanup = jest.fn();
+    const processor = await run({ ...glossary, cleanup }, '<p>text</p>');
+
+    processor.cleanup();
+
+    expect(cleanup).toHaveBeenCalledWith(container);
+  });
+});
+
+describe('ContentEnhancementManager plugins', () => {
+  const { prerenderPost } = require('../../tools/prerender.js');
+  const ContentEnhancementManager = require('../../assets/js/core/content-enhancement-manager.js');
+
+  afterEach(() => {
+    ContentEnhancementManager.plugins.length = 0;
+  });
+
+  test('slots plugins into the processing order and checks their brackets', async () => {
+    ContentEnhancementManager.plugins.push(
+      { name: 'glossary', trigger: '[g]', sections: 2, after: 'footnotes', render: m => `<dfn>${m.html[0]}</dfn>` },
+      { name: 'tag', trigger: '[t]', before: 'footnotes', render: m => `<mark>${m.html[0]}</mark>` }
+    );
+
+    const { html, report } = await prerenderPost({
+      slug: 'plugins',
+      title: 'Plugins',
+      html: '<p>[t][new] [g][trace][mark][^1] [g][open</p><div data-ref="1">Note</div>'
+    });
+
+    expect(report.processing.processorOrder).toEqual(['tag', 'footnotes', 'glossary', 'marginalia', 'extensions', 'interactive', 'citations', 'crossrefs']);
+    expect(html).toContain('<mark>new</mark>');
+    expect(html).toContain('<dfn>trace</dfn>');
+    expect(report.diagnostics.findings).toEqual([
+      expect.objectContaining({ syntax: 'glossary', code: 'unbalanced-brackets' })
+    ]);
+  });
+
+  test('logs a plugin the running system fails to add', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.ContentEnhancementSystem = { addPlugin: jest.fn().mockRejectedValue(new Error('init threw')) };
+
+    try {
+      expect(window.TraceOfTheOther.registerProcessor({ name: 'late', trigger: '[l]', render: m => m.html[0] })).toBe(true);
+      await Promise.resolve();
+
+      expect(error).toHaveBeenCalledWith(expect.stringContaining("Plugin processor 'late' could not be added"), expect.any(Error));
+    } finally {
+      delete window.ContentEnhancementSystem;
+      error.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit Tests - Pre-renderer
+ * Tests running posts through the real processors from Node
+ *
+ * Created: October 19, 2026
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { prerenderPost, readPosts, getThemeSettings } = require('../../tools/prerender.js');
+
+describe('Pre-renderer', () => {
+  // The theme config is re-required for every window, which jest's module registry only honours after a reset
+  beforeEach(() => {
+    jest.resetModules();
+  });
+
+  test('renders footnotes, marginalia and extensions into static HTML', async () => {
+    const { html, report } = await prerenderPost({
+      slug: 'sample',
+      title: 'Sample',
+      html: '<p>Text[^1] [m][2 1.1 30 l][aside note] [+][more]</p><div data-ref="1">Note one</div>'
+    });
+
+    expect(report.processed).toBe(true);
+    expect(report.processing.processorOrder).toEqual(['footnotes', 'marginalia', 'extensions', 'interactive', 'citations', 'crossrefs']);
+    expect(html).toContain('class="footnote-ref');
+    expect(html).toContain('class="marginalia-voice"');
+    expect(html).toContain('extension-trigger');
+    expect(html).not.toContain('[m]');
+  });
+
+  test('waits for processors to settle before serializing', async () => {
+    const ParagraphExtensionProcessor = require('../../assets/js/processors/paragraph-extension-processor.js');
+    const settle = ParagraphExtensionProcessor.prototype.settle;
+    let settled = false;
+    jest.spyOn(ParagraphExtensionProcessor.prototype, 'settle').mockImplementation(async function () {
+      await settle.call(this);
+      settled = true;
+    });
+
+    await prerenderPost({ slug: 'deferred', title: 'Deferred', html: '<p>Text [+][more]</p>' });
+
+    expect(settled).toBe(true);
+    jest.restoreAllMocks();
+  });
+
+  test('serializes transcluded notes once they have settled', async () => {
+    const { html } = await prerenderPost({
+      slug: 'transcluded',
+      title: 'Transcluded',
+      html: '<p>Text[^1]</p><div data-ref="1" data-transclude="/elsewhere/#footnote-1">Derrida, 1967.</div>'
+    });
+
+    expect(html).not.toContain('Loading note…');
+    expect(html).toContain('Derrida, 1967.');
+  });
+
+  test('reports syntax problems found before processing', async () => {
+    const { report } = await prerenderPost({ slug: 'broken', title: 'Broken', html: '<p>[+][never closed</p>' });
+
+    expect(report.diagnostics.summary.errors).toBe(1);
+    expect(report.diagnostics.findings[0]).toMatchObject({ code: 'unbalanced-brackets', syntax: 'extension', paragraph: 1 });
+  });
+
+  test('leaves no browser globals behind', async () => {
+    await prerenderPost({ slug: 'globals', title: 'Globals', html: '<p>Text</p>' });
+
+    expect(global.window).toBeUndefined();
+    expect(global.document).toBeUndefined();
+  });
+
+  test('reads posts with rendered html from a Ghost export', () => {
+    const file = path.join(os.tmpdir(), `prerender-export-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      db: [{ data: { posts: [
+        { slug: 'one', title: 'One', html: '<p>1</p>' },
+        { slug: 'draft', title: 'Draft', html: null }
+      ] } }]
+    }));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    try {
+      expect(readPosts(file)).toEqual([{ slug: 'one', title: 'One', html: '<p>1</p>' }]);
+    } finally {
+      warn.mockRestore();
+      fs.unlinkSync(file);
+    }
+  });
+
+  test('uses package.json setting defaults with overrides', () => {
+    const settings = getThemeSettings({ enable_extensions: false });
+
+    expect(settings.enable_modern_footnotes).toBe(true);
+    expect(settings.enable_extensions).toBe(false);
+    expect(settings.enable_deconstruction).toBe(false);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests - Sidenote Layout
+ * Tests vertical placement of sidenotes around each other and margin obstacles
+ *
+ * Created: October 19, 2026
+ */
+
+const SidenoteLayout = require('../../assets/js/utils/sidenote-layout.js');
+
+describe('SidenoteLayout', () => {
+  let layout;
+
+  beforeEach(() => {
+    layout = new SidenoteLayout({ gap: 10 });
+  });
+
+  test('keeps notes level with their anchors when there is room', () => {
+    const placements = layout.place([
+      { id: 'a', top: 0, height: 50 },
+      { id: 'b', top: 100, height: 50 }
+    ]);
+
+    expect(placements.map(p => p.top)).toEqual([0, 100]);
+    expect(placements.some(p => p.shifted)).toBe(false);
+  });
+
+  test('pushes overlapping notes down and marks them shifted', () => {
+    const placements = layout.place([
+      { id: 'a', top: 0, height: 50 },
+      { id: 'b', top: 20, height: 50 },
+      { id: 'c', top: 30, height: 20 }
+    ]);
+
+    expect(placements).toEqual([
+      { id: 'a', top: 0, desiredTop: 0, shifted: false },
+      { id: 'b', top: 60, desiredTop: 20, shifted: true },
+      { id: 'c', top: 120, desiredTop: 30, shifted: true }
+    ]);
+  });
+
+  test('steps past obstacles, including ones met after an earlier push', () => {
+    const placements = layout.place(
+      [{ id: 'a', top: 0, height: 30 }],
+      [{ top: 100, bottom: 160 }, { top: 20, bottom: 80 }]
+    );
+
+    // 0 → clear of [20, 80] at 90, which now hits [100, 160] → 170
+    expect(placements[0].top).toBe(170);
+  });
+
+  test('fills a gap between obstacles when the note fits', () => {
+    const placements = layout.place(
+      [{ id: 'a', top: 0, height: 20 }],
+      [{ top: 0, bottom: 40 }, { top: 100, bottom: 200 }]
+    );
+
+    expect(placements[0].top).toBe(50);
+  });
+
+  test('returns placements in input order even when anchors are out of order', () => {
+    const placements = layout.place([
+      { id: 'late', top: 300, height: 20 },
+      { id: 'early', top: 0, height: 20 }
+    ]);
+
+    expect(placements.map(p => p.id)).toEqual(['late', 'early']);
+    expect(placements.map(p => p.top)).toEqual([300, 0]);
+  });
+
+  describe('placeSides', () => {
+    test('stacks each margin separately', () => {
+      const placements = layout.placeSides([
+        { id: 'a', top: 0, height: 50, side: 'left' },
+        { id: 'b', top: 10, height: 50, side: 'right' },
+        { id: 'c', top: 20, height: 20, side: 'left' }
+      ]);
+
+      expect(placements).toEqual([
+        { id: 'a', side: 'left', top: 0, desiredTop: 0, shifted: false, switched: false },
+        { id: 'b', side: 'right', top: 10, desiredTop: 10, shifted: false, switched: false },
+        { id: 'c', side: 'left', top: 60, desiredTop: 20, shifted: true, switched: false }
+      ]);
+    });
+
+    test('moves a note to the other margin when its own is crowded', () => {
+      const placements = layout.placeSides([
+        { id: 'a', top: 0, height: 200 },
+        { id: 'b', top: 20, height: 40 }
+      ]);
+
+      expect(placements[1]).toMatchObject({ side: 'left', top: 20, shifted: false, switched: true });
+    });
+
+    test('stays put when the push is small, or the other margin is no better', () => {
+      const small = layout.placeSides([
+        { id: 'a', top: 0, height: 20 },
+        { id: 'b', top: 10, height: 20 }
+      ]);
+      expect(small[1]).toMatchObject({ side: 'right', top: 30, switched: false });
+
+      const both = layout.placeSides(
+        [{ id: 'a', top: 0, height: 200 }, { id: 'b', top: 20, height: 40 }],
+        { left: [{ top: 0, bottom: 400 }] }
+      );
+      expect(both[1]).toMatchObject({ side: 'right', top: 210, switched: false });
+    });
+
+    test('keeps fixed notes on their side', () => {
+      const placements = layout.placeSides([
+        { id: 'a', top: 0, height: 200 },
+        { id: 'b', top: 20, height: 40, fixed: true }
+      ]);
+
+      expect(placements[1]).toMatchObject({ side: 'right', top: 210, switched: false });
+    });
+
+    test('the switch threshold is configurable', () => {
+      layout = new SidenoteLayout({ gap: 10, switchThreshold: 500 });
+      const placements = layout.placeSides([
+        { id: 'a', top: 0, height: 200 },
+        { id: 'b', top: 20, height: 40 }
+      ]);
+
+      expect(placements[1].side).toBe('right');
+    });
+  });
+});
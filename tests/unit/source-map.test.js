@@ -0,0 +1,137 @@
+/**
+ * Unit Tests - Source Map
+ * Tests the source records kept for generated elements and the debug overlay
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+global.document = window.document;
+global.window = window;
+
+const ContentTokenizer = require('../../assets/js/utils/content-tokenizer.js');
+const SourceMap = require('../../assets/js/utils/source-map.js');
+const SourceMapOverlay = require('../../assets/js/debug/source-map-overlay.js');
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('SourceMap', () => {
+  let tokenizer;
+  let container;
+
+  // Footnotes first, then marginalia - the order the processors run in
+  const process = () => {
+    const footnotes = tokenizer.tokenize(container, [{ type: 'footnote', trigger: '[^', pattern: /\[\^(\w+)\]/g }]);
+    tokenizer.replaceTokens(footnotes, token => {
+      const sup = document.createElement('sup');
+      sup.textContent = token.sections[0];
+      return sup;
+    });
+
+    const marginalia = tokenizer.tokenize(container, [{ type: 'marginalia', trigger: '[m]', sections: 2 }]);
+    tokenizer.replaceTokens(marginalia, token => {
+      const note = document.createElement('div');
+      note.className = 'marginalia-voice';
+      note.innerHTML = tokenizer.getSectionHTML(token, 1);
+      return note;
+    });
+  };
+
+  beforeEach(() => {
+    SourceMap.forDocument(document).clear();
+    tokenizer = new ContentTokenizer(quietLogger);
+    document.body.innerHTML = '';
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  test('records trigger, raw text and offset for each generated element', () => {
+    container.innerHTML = '<p>Said[^1] writes [m][voice=critic][A reply[^2]] here.</p>';
+    process();
+
+    const sourceMap = SourceMap.forDocument(document);
+    const note = container.querySelector('.marginalia-voice');
+
+    expect(sourceMap.get(note)).toMatchObject({
+      type: 'marginalia',
+      trigger: '[m]',
+      raw: '[m][voice=critic][A reply[^2]]',
+      offset: 16,
+      parentId: null
+    });
+    expect(sourceMap.get(container.querySelector('p > sup'))).toMatchObject({ trigger: '[^', raw: '[^1]', offset: 4 });
+  });
+
+  test('offsets count earlier enhancements as the author wrote them', () => {
+    container.innerHTML = '<p>[^long-label] then [m][1][note]</p>';
+    process();
+
+    const record = SourceMap.forDocument(document).get(container.querySelector('.marginalia-voice'));
+    expect(record.offset).toBe('[^long-label] then '.length);
+  });
+
+  test('nested generated elements keep their own record', () => {
+    container.innerHTML = '<p>[m][1][A note[^2]]</p>';
+    process();
+
+    const nested = container.querySelector('.marginalia-voice sup');
+    expect(SourceMap.forDocument(document).get(nested).raw).toBe('[^2]');
+  });
+
+  test('a pattern rendered as several elements is written back once', () => {
+    container.innerHTML = '<p>See [m~][1][the words][a note] here.</p>';
+    const tokens = tokenizer.tokenize(container, [{ type: 'marginalia-anchored', trigger: '[m~]', sections: 3 }]);
+    tokenizer.replaceTokens(tokens, token => {
+      const fragment = document.createDocumentFragment();
+      const highlight = document.createElement('span');
+      highlight.appendChild(tokenizer.extractSection(token, 1));
+      const note = document.createElement('div');
+      note.textContent = token.sections[2];
+      fragment.append(highlight, note);
+      return fragment;
+    });
+
+    const range = document.createRange();
+    range.selectNodeContents(container.querySelector('p'));
+    expect(SourceMap.forDocument(document).getSourceText(range)).toBe('See [m~][1][the words][a note] here.');
+  });
+
+  test('returns null for content that was not generated', () => {
+    container.innerHTML = '<p>Plain text</p>';
+    process();
+
+    expect(SourceMap.forDocument(document).get(container.querySelector('p'))).toBeNull();
+  });
+
+  test('TraceOfTheOther.getSource looks up any element inside an enhancement', () => {
+    require('../../assets/js/core/content-enhancement-manager.js');
+    container.innerHTML = '<p>Text [m][2][<em>styled</em> note]</p>';
+    process();
+
+    const source = window.TraceOfTheOther.getSource(container.querySelector('.marginalia-voice em'));
+    expect(source.raw).toBe('[m][2][styled note]');
+  });
+
+  describe('SourceMapOverlay', () => {
+    test('toggles raw syntax annotations next to generated elements', () => {
+      container.innerHTML = '<p>One[^1] and [m][1][two]</p>';
+      process();
+
+      const overlay = new SourceMapOverlay(container, SourceMap.forDocument(document));
+      const button = overlay.mount();
+
+      button.click();
+      const annotations = Array.from(container.querySelectorAll('.source-map-annotation'));
+      expect(annotations.map(a => a.textContent)).toEqual(['[^1]', '[m][1][two]']);
+      expect(button.getAttribute('aria-pressed')).toBe('true');
+
+      button.click();
+      expect(container.querySelector('.source-map-annotation')).toBeNull();
+
+      overlay.destroy();
+      expect(document.querySelector('.source-map-toggle')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Unit Tests - Syntax Diagnostics
+ * Tests the authoring report for malformed enhancement syntax
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+global.document = window.document;
+global.window = window;
+
+// Import the class to test
+const SyntaxDiagnostics = require('../../assets/js/utils/syntax-diagnostics.js');
+
+const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('SyntaxDiagnostics', () => {
+  let diagnostics;
+  let container;
+
+  const analyze = html => {
+    container.innerHTML = html;
+    return diagnostics.analyze(container);
+  };
+  const codes = report => report.findings.map(finding => finding.code);
+
+  beforeEach(() => {
+    diagnostics = new SyntaxDiagnostics({}, quietLogger);
+    document.body.innerHTML = '';
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  test('reports nothing for well-formed content', () => {
+    const report = analyze(`
+      <p>Text[^1] [m][2 1.4 40 left][note] [+][aside] [?][target:p1][poem]</p>
+      <p data-deconstruct="dissolve">fading</p>
+      <div data-ref="1">Note</div>
+    `);
+
+    expect(report.findings).toEqual([]);
+    expect(report.summary).toEqual({ errors: 0, warnings: 0, total: 0 });
+  });
+
+  test('reports unbalanced brackets and missing sections with paragraph and excerpt', () => {
+    const report = analyze('<p>Fine.</p><p>[+] alone and [m][1][never closed</p>');
+
+    const unclosed = report.findings.find(f => f.code === 'unbalanced-brackets');
+
+    expect(codes(report).sort()).toEqual(['missing-section', 'unbalanced-brackets']);
+    expect(unclosed).toMatchObject({
+      severity: 'error',
+      syntax: 'marginalia',
+      paragraph: 2
+    });
+    expect(unclosed.excerpt).toContain('[m][1][never closed');
+  });
+
+  test('reports malformed footnote references', () => {
+    const report = analyze('<p>Broken [^two words] ref</p>');
+
+    expect(codes(report)).toEqual(['unbalanced-brackets']);
+    expect(report.findings[0].syntax).toBe('footnote');
+  });
+
+  test('matches footnote cards by label and by citation order', () => {
+    const report = analyze(`
+      <p>A[^derrida] B[^missing] C[^numbered]</p>
+      <div data-ref="derrida">Named</div>
+      <div data-ref="3">Numbered by order</div>
+      <div data-ref="9">Orphan</div>
+      <div data-ref="derrida">Duplicate</div>
+    `);
+
+    expect(codes(report).sort()).toEqual(['duplicate-card', 'missing-card', 'orphan-card']);
+    expect(report.findings.find(f => f.code === 'missing-card').message).toContain('[^missing]');
+  });
+
+  test('reports an orphan card whose number matches a note that has its own card', () => {
+    const report = analyze(`
+      <p>A[^1] B[^3]</p>
+      <div data-ref="1">one</div>
+      <div data-ref="2">orphan two</div>
+      <div data-ref="3">three</div>
+    `);
+
+    expect(codes(report)).toEqual(['orphan-card']);
+    expect(report.findings[0].message).toContain('data-ref="2"');
+  });
+
+  test('checks footnotes only where FootnoteProcessor reads them, counting notes cited from cards', () => {
+    const report = analyze(`
+      <h2>Heading[^title]</h2>
+      <p>Text[^derrida]</p>
+      <div data-ref="derrida">Compare [^rousseau].</div>
+      <div data-ref="rousseau">Cited only from a note</div>
+    `);
+
+    expect(report.findings).toEqual([]);
+  });
+
+  test('flags out-of-range marginalia parameters as warnings', () => {
+    const report = analyze('<p>[m][7 3 40 up][note]</p>');
+
+    expect(report.findings.map(f => f.message)).toEqual([
+      'Marginalia voice "7" must be 1-6 or a voice name - using 1',
+      'Marginalia scale "3" is outside 0.4-2.5 - using 1',
+      'Marginalia side "up" must be left, right, l or r - using right'
+    ]);
+    expect(report.summary.warnings).toBe(3);
+  });
+
+  test('flags unknown named marginalia parameters', () => {
+    const report = analyze('<p>[m][voice=critic colour=red][note]</p>');
+
+    expect(codes(report)).toEqual(['unknown-param']);
+  });
+
+  test('checks anchored marginalia: the phrase must be in the paragraph, the wrapped form needs three sections', () => {
+    const report = analyze(`
+      <p>The trace. [m][anchor="the trace"][found] [m][anchor="absent"][missing]</p>
+      <p>[m~][2][the words][note] and [m~][2][no note]</p>`);
+
+    expect(codes(report)).toEqual(['anchor-not-found', 'missing-section']);
+    expect(report.findings[0].message).toContain('"absent"');
+    expect(report.findings[1].message).toBe('[m~] needs 3 bracketed sections, found 2');
+  });
+
+  test('checks that a reply answers an earlier note', () => {
+    const report = analyze(`
+      <p>[m][id=said][Orientalism] [m][reply=said][A reply] [m][reply=2][A reply to the reply]</p>
+      <p>[m][reply=later][Too early] [m][id=later][Later] [m][reply=9][Nobody]</p>`);
+
+    expect(codes(report)).toEqual(['reply-not-found', 'reply-not-found']);
+    expect(report.findings[0].message).toContain('"later"');
+    expect(report.findings[1].message).toContain('"9"');
+  });
+
+  test('flags interactive targets that match nothing', () => {
+    const report = analyze('<p>[?][target:#missing|fade:0.5][poem]</p>');
+
+    expect(codes(report)).toEqual(['target-not-found']);
+  });
+
+  test('flags cross-references that will not resolve', () => {
+    const report = analyze(`
+      <h2 id="critique">Critique</h2>
+      <p>Text[^derrida] [m][id=critic-1][note] [m~][2][words][other] [m][3][third] [+][aside]</p>
+      <p>[@derrida] [@1] [@critic-1] [@marginalia-3] [@extension-1] [@critique] [@nowhere] [@extension-2]</p>
+      <div data-ref="derrida">Note</div>
+    `);
+
+    expect(codes(report)).toEqual(['crossref-not-found', 'crossref-not-found']);
+    expect(report.findings.map(finding => finding.message)).toEqual([
+      'Cross-reference [@nowhere] matches no footnote, marginalia, extension, marker or heading',
+      'Cross-reference [@extension-2] matches no footnote, marginalia, extension, marker or heading'
+    ]);
+  });
+
+  test('checks cross-references only where CrossReferenceProcessor reads them, including footnote cards', () => {
+    const report = analyze(`
+      <h2>About [@nowhere]</h2>
+      <p>Text[^1]</p>
+      <div data-ref="1">See [@missing].</div>
+    `);
+
+    expect(codes(report)).toEqual(['crossref-not-found']);
+    expect(report.findings[0].message).toContain('[@missing]');
+  });
+
+  test('flags unknown deconstruction effects', () => {
+    const report = analyze('<p data-deconstruct="melt">text</p>');
+
+    expect(codes(report)).toEqual(['unknown-effect']);
+  });
+
+  test('does not modify the content', () => {
+    const html = '<p>Text[^1] [m][9][note] [+] <em>x</em></p>';
+    analyze(html);
+
+    expect(container.innerHTML).toBe(html);
+  });
+
+  test('produces a JSON-serializable report', () => {
+    const report = analyze('<p>[+] alone</p>');
+
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit Tests - Tooltip Positioner
+ * Tests placement, flipping, shifting, arrow alignment, RTL and tracking with fake rects
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', { pretendToBeVisual: true });
+global.document = window.document;
+global.window = window;
+
+const TooltipPositioner = require('../../assets/js/utils/tooltip-positioner.js');
+
+describe('TooltipPositioner', () => {
+  const viewport = { width: 1000, height: 800 };
+  const tooltip = { width: 200, height: 100 };
+  let positioner;
+
+  beforeEach(() => {
+    positioner = new TooltipPositioner({ offset: 8, viewportPadding: 12, arrowPadding: 12 });
+  });
+
+  describe('compute', () => {
+    test('centres below the anchor with the arrow on the anchor', () => {
+      const result = positioner.compute({ anchor: { left: 490, top: 300, width: 20, height: 20 }, tooltip, viewport });
+
+      expect(result).toEqual({
+        placement: 'bottom',
+        left: 400,
+        top: 328,
+        arrow: { left: 100 },
+        flipped: false,
+        shifted: false
+      });
+    });
+
+    test('flips to the opposite side when the preferred one has no room', () => {
+      const below = positioner.compute({ anchor: { left: 490, top: 740, width: 20, height: 20 }, tooltip, viewport });
+      expect(below).toMatchObject({ placement: 'top', top: 632, flipped: true });
+
+      const above = positioner.compute({ anchor: { left: 490, top: 30, width: 20, height: 20 }, tooltip, viewport, placement: 'top' });
+      expect(above).toMatchObject({ placement: 'bottom', top: 58, flipped: true });
+    });
+
+    test('shifts inside the viewport and keeps the arrow on the anchor, off the corners', () => {
+      const nearLeft = positioner.compute({ anchor: { left: 20, top: 300, width: 20, height: 20 }, tooltip, viewport });
+      expect(nearLeft).toMatchObject({ left: 12, shifted: true, arrow: { left: 18 } });
+
+      const atEdge = positioner.compute({ anchor: { left: 0, top: 300, width: 4, height: 20 }, tooltip, viewport });
+      expect(atEdge.arrow.left).toBe(12);
+
+      const nearRight = positioner.compute({ anchor: { left: 980, top: 300, width: 10, height: 20 }, tooltip, viewport });
+      expect(nearRight).toMatchObject({ left: 788, arrow: { left: 188 } });
+    });
+
+    test('places on the sides, with start and end following text direction', () => {
+      const anchor = { left: 400, top: 300, width: 100, height: 20 };
+
+      expect(positioner.compute({ anchor, tooltip, viewport, placement: 'right' }))
+        .toMatchObject({ placement: 'right', left: 508, top: 260, arrow: { top: 50 } });
+      expect(positioner.compute({ anchor, tooltip, viewport, placement: 'start' }).placement).toBe('left');
+      expect(positioner.compute({ anchor, tooltip, viewport, placement: 'start', rtl: true }).placement).toBe('right');
+    });
+
+    test('keeps the reading-start edge visible when the tooltip is wider than the viewport', () => {
+      const wide = { width: 1200, height: 100 };
+      const anchor = { left: 490, top: 300, width: 20, height: 20 };
+
+      expect(positioner.compute({ anchor, tooltip: wide, viewport }).left).toBe(12);
+      expect(positioner.compute({ anchor, tooltip: wide, viewport, rtl: true }).left).toBe(1000 - 12 - 1200);
+    });
+  });
+
+  test('clamps the width to tooltip_max_width and the viewport', () => {
+    expect(new TooltipPositioner({ maxWidth: '400px', viewportPadding: 12 }).getMaxWidth(1000)).toBe(400);
+    expect(new TooltipPositioner({ maxWidth: '400px', viewportPadding: 12 }).getMaxWidth(320)).toBe(296);
+    expect(new TooltipPositioner({ viewportPadding: 12 }).getMaxWidth(1000)).toBe(976);
+  });
+
+  describe('elements', () => {
+    let anchor;
+    let element;
+    let anchorRect;
+
+    beforeEach(() => {
+      document.body.innerHTML = '<p><a id="ref">1</a></p><div class="footnote-tooltip"><div class="footnote-tooltip-arrow"></div></div>';
+      anchor = document.getElementById('ref');
+      element = document.querySelector('.footnote-tooltip');
+
+      anchorRect = { left: 490, top: 300, width: 20, height: 20 };
+      anchor.getBoundingClientRect = () => ({ ...anchorRect, right: anchorRect.left + anchorRect.width, bottom: anchorRect.top + anchorRect.height });
+      element.getBoundingClientRect = () => ({ left: 0, top: 0, width: 200, height: 100, right: 200, bottom: 100 });
+
+      window.innerWidth = 1000;
+      window.innerHeight = 800;
+      positioner = new TooltipPositioner({ maxWidth: '400px' });
+    });
+
+    afterEach(() => {
+      positioner.untrack(element);
+    });
+
+    test('applies the computed position, arrow and width', () => {
+      positioner.position(element, anchor, { placement: 'top' });
+
+      expect(element.style.position).toBe('fixed');
+      expect(element.style.left).toBe('400px');
+      expect(element.style.top).toBe('192px');
+      expect(element.style.maxWidth).toBe('400px');
+      expect(element.style.visibility).toBe('visible');
+      expect(element.dataset.placement).toBe('top');
+
+      const arrow = element.querySelector('.footnote-tooltip-arrow');
+      expect(arrow.className).toBe('footnote-tooltip-arrow arrow-bottom');
+      expect(arrow.style.left).toBe('100px');
+    });
+
+    test('follows the anchor on scroll until the tooltip is hidden', () => {
+      positioner.position(element, anchor);
+      positioner.track(element, anchor);
+
+      anchorRect.top = 100;
+      positioner.update();
+      expect(element.style.top).toBe('128px');
+
+      anchorRect.top = -50;
+      positioner.update();
+      expect(element.style.visibility).toBe('hidden');
+
+      element.style.display = 'none';
+      positioner.update();
+      expect(positioner.tracked.size).toBe(0);
+    });
+
+    test('reads direction from the closest dir attribute', () => {
+      anchor.parentElement.setAttribute('dir', 'rtl');
+      expect(positioner.isRTL(anchor)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests - Transclusion Fetcher
+ * Tests target parsing, finding notes and paragraphs in another post, the
+ * JSON and Content API loaders, sessionStorage caching and sanitizing
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+  url: 'https://example.org/of-grammatology-part-3/'
+});
+global.document = window.document;
+global.window = window;
+
+const TransclusionFetcher = require('../../assets/js/utils/transclusion-fetcher.js');
+
+const FIXTURE = path.join(__dirname, '../fixtures/posts.json');
+
+// Serves the fixture file for any URL
+const serveFixture = () => jest.fn(async () => ({
+  ok: true,
+  status: 200,
+  json: async () => JSON.parse(fs.readFileSync(FIXTURE, 'utf8'))
+}));
+
+describe('TransclusionFetcher', () => {
+  let fetcher;
+
+  beforeEach(() => {
+    window.sessionStorage.clear();
+    global.fetch = serveFixture();
+    fetcher = new TransclusionFetcher({ loader: TransclusionFetcher.jsonLoader('/posts.json'), storage: window.sessionStorage });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('parses a target into the post slug and anchor', () => {
+    expect(fetcher.parseTarget('/of-grammatology-part-1/#footnote-2')).toEqual({
+      slug: 'of-grammatology-part-1',
+      anchor: 'footnote-2',
+      url: 'https://example.org/of-grammatology-part-1/#footnote-2'
+    });
+    expect(fetcher.parseTarget('https://example.org/blog/essay/#the-trace').slug).toBe('essay');
+    expect(fetcher.parseTarget('/of-grammatology-part-1/')).toBeNull();
+  });
+
+  test('finds a footnote by its card in the other post', async () => {
+    await expect(fetcher.fetch('/of-grammatology-part-1/#footnote-2')).resolves.toBe('Rousseau, *Confessions*, book III.');
+  });
+
+  test('finds any element by id', async () => {
+    await expect(fetcher.fetch('/of-grammatology-part-1/#the-trace')).resolves.toBe('The trace is <em>not</em> a presence.');
+  });
+
+  test('loads the file once and caches each fragment in sessionStorage', async () => {
+    await fetcher.fetch('/of-grammatology-part-1/#footnote-2');
+    await fetcher.fetch('/of-grammatology-part-1/#the-trace');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(window.sessionStorage.getItem('transclusion:of-grammatology-part-1#the-trace')).toContain('The trace');
+
+    // A new page load (new fetcher) reads from the cache
+    const later = new TransclusionFetcher({ loader: jest.fn(), storage: window.sessionStorage });
+    await expect(later.fetch('/of-grammatology-part-1/#footnote-2')).resolves.toContain('Rousseau');
+    expect(later.loader).not.toHaveBeenCalled();
+  });
+
+  test('sanitizes every fragment it returns, cached or not', async () => {
+    const sanitize = jest.fn(html => html.replace(/<script[\s\S]*?<\/script>/g, '').replace(/ onclick="[^"]*"/g, ''));
+    fetcher = new TransclusionFetcher({ loader: TransclusionFetcher.jsonLoader('/posts.json'), storage: window.sessionStorage, sanitize });
+
+    const first = await fetcher.fetch('/of-grammatology-part-1/#footnote-supplement');
+    const second = await fetcher.fetch('/of-grammatology-part-1/#footnote-supplement');
+
+    expect(first).toBe('<p>A dangerous supplement.</p>');
+    expect(second).toBe(first);
+    expect(sanitize).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects unknown posts and anchors without caching them', async () => {
+    await expect(fetcher.fetch('/missing-post/#footnote-1')).rejects.toThrow('Post "missing-post" not found');
+    await expect(fetcher.fetch('/of-grammatology-part-2/#footnote-9')).rejects.toThrow('No #footnote-9');
+    await expect(fetcher.fetch('not a target')).rejects.toThrow('/post-slug/#anchor');
+    expect(window.sessionStorage.length).toBe(0);
+  });
+
+  test('the Content API loader uses the key and URL Ghost gives its search script, falling back to pages', async () => {
+    document.body.innerHTML = '<script data-sodo-search="https://example.org/" data-key="abc123"></script>';
+    global.fetch = jest.fn(async url => (url.includes('/posts/')
+      ? { ok: false, status: 404 }
+      : { ok: true, status: 200, json: async () => ({ pages: [{ html: '<p id="about">About</p>' }] }) }));
+
+    fetcher = new TransclusionFetcher({ storage: null });
+    await expect(fetcher.fetch('/about/#about')).resolves.toBe('About');
+
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+      'https://example.org/ghost/api/content/posts/slug/about/?key=abc123&fields=html',
+      'https://example.org/ghost/api/content/pages/slug/about/?key=abc123&fields=html'
+    ]);
+  });
+});
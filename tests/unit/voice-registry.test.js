@@ -0,0 +1,70 @@
+/**
+ * Unit Tests - Voice Registry
+ * Tests resolving voices by name and alias, configured voices, applying a
+ * voice to an element and the per-post legend
+ *
+ * Created: October 19, 2026
+ */
+
+// Mock DOM environment for testing
+const { JSDOM } = require('jsdom');
+const { window } = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+global.document = window.document;
+global.window = window;
+
+const VoiceRegistry = require('../../assets/js/utils/voice-registry.js');
+
+describe('VoiceRegistry', () => {
+  let voices;
+
+  beforeEach(() => {
+    voices = new VoiceRegistry();
+  });
+
+  test('resolves voices by name, ignoring case, and the numbered voices by alias', () => {
+    expect(voices.resolve('critic')).toMatchObject({ name: 'critic', label: 'Critic', icon: '†', side: 'left' });
+    expect(voices.resolve('Translator').name).toBe('translator');
+    expect(voices.resolve(2).name).toBe('translator');
+    expect(voices.resolve('4').name).toBe('critic');
+    expect(voices.resolve('uncertain')).toBeNull();
+  });
+
+  test('unknown names keep their name with the fallback voice\'s look', () => {
+    expect(voices.get('oracle')).toMatchObject({ name: 'oracle', label: 'Oracle', color: '#00ff00', side: 'right' });
+    expect(voices.get(undefined).name).toBe('commentator');
+  });
+
+  test('configured voices and aliases are added to the built-in ones', () => {
+    voices = new VoiceRegistry({
+      registry: { critic: { label: 'The Critic', color: '#123456', side: 'right' }, oracle: { icon: '☉' } },
+      aliases: { 7: 'oracle' },
+      fallback: 'ghost'
+    });
+
+    expect(voices.resolve(4)).toMatchObject({ label: 'The Critic', color: '#123456', side: 'right' });
+    expect(voices.resolve(7)).toMatchObject({ name: 'oracle', label: 'Oracle', icon: '☉' });
+    expect(voices.get('unheard').color).toBe('#8a2be2');
+    expect(voices.list()).toHaveLength(9);
+  });
+
+  test('apply() writes the voice name and look onto an element', () => {
+    const element = document.createElement('div');
+    const voice = voices.apply(element, 3);
+
+    expect(voice.name).toBe('ghost');
+    expect(element.dataset.voice).toBe('ghost');
+    expect(element.style.getPropertyValue('--voice-color')).toBe('#8a2be2');
+    expect(element.style.getPropertyValue('--voice-font')).toContain('JetBrains Mono');
+  });
+
+  test('the legend lists each voice once, in order of appearance, with its note count', () => {
+    const legend = voices.createLegend(['critic', 'translator', 'critic', 2], { title: 'Who speaks' });
+    const items = Array.from(legend.querySelectorAll('.voice-legend-item'));
+
+    expect(legend.tagName).toBe('ASIDE');
+    expect(legend.querySelector('.voice-legend-title').textContent).toBe('Who speaks');
+    expect(items.map(item => item.textContent)).toEqual(['†Critic2 notes', '⇄Translator2 notes']);
+    expect(items[0].dataset.voice).toBe('critic');
+    expect(voices.createLegend([])).toBeNull();
+  });
+});
@@ -0,0 +1,351 @@
+#!/usr/bin/env node
+/**
+ * Pre-renderer - Run posts through the theme's content processors in Node
+ *
+ * Reads a Ghost JSON export (or a single post's HTML), runs each post through
+ * ContentEnhancementManager in jsdom with the real processors, and writes
+ * enhanced static HTML plus a per-post syntax report.
+ *
+ * Uses:
+ * - Check every post in the archive after a theme upgrade
+ * - Produce no-JS fallbacks
+ *
+ * Usage:
+ *   node tools/prerender.js <ghost-export.json | post.html> [options]
+ *
+ * Options:
+ *   --out <dir>         Output directory (default: ./prerendered)
+ *   --slug <slug>       Only render this post (Ghost exports)
+ *   --set <key=value>   Override a theme setting, e.g. --set enable_extensions=false
+ *   --strict            Exit with status 1 when any post has syntax errors
+ *   --verbose           Show the theme's console logging
+ *
+ * Requires jsdom: npm install jsdom
+ *
+ * Created: October 19, 2026
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const THEME_ROOT = path.resolve(__dirname, '..');
+const JS_ROOT = path.join(THEME_ROOT, 'assets', 'js');
+
+// Window properties the theme scripts use as bare globals
+const BROWSER_GLOBALS = [
+  'window', 'document', 'navigator', 'location', 'Node', 'NodeFilter', 'Element',
+  'HTMLElement', 'Event', 'CustomEvent', 'KeyboardEvent', 'MutationObserver',
+  'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame',
+  'localStorage', 'sessionStorage'
+];
+
+// Modules driven directly by the pre-renderer; processors are loaded by the manager
+const THEME_CONFIG = path.join(JS_ROOT, 'config', 'theme-config.js');
+const MANAGER = path.join(JS_ROOT, 'core', 'content-enhancement-manager.js');
+
+/**
+ * Load jsdom with a helpful message when it is missing
+ * @returns {Function} JSDOM constructor
+ */
+function loadJSDOM() {
+  try {
+    return require('jsdom').JSDOM;
+  } catch (error) {
+    console.error('❌ jsdom is required: npm install jsdom');
+    process.exit(2);
+  }
+}
+
+/**
+ * Theme settings as Ghost would provide them: package.json defaults plus overrides
+ * Deconstruction effects are animations with nothing to pre-render, so they are off
+ * unless explicitly enabled with --set enable_deconstruction=true
+ * @param {Object} overrides - Setting overrides
+ * @returns {Object} Settings for window.ghost_custom_settings
+ */
+function getThemeSettings(overrides = {}) {
+  const packageJSON = JSON.parse(fs.readFileSync(path.join(THEME_ROOT, 'package.json'), 'utf8'));
+  const custom = packageJSON.config?.custom || {};
+
+  const settings = {};
+  Object.entries(custom).forEach(([key, definition]) => {
+    settings[key] = definition.default;
+  });
+  settings.enable_deconstruction = false;
+
+  return { ...settings, ...overrides };
+}
+
+/**
+ * Parse --set key=value into a typed setting
+ * @param {string} assignment - key=value
+ * @returns {Array} [key, value]
+ */
+function parseSetting(assignment) {
+  const [key, ...rest] = assignment.split('=');
+  const raw = rest.join('=');
+  const value = raw === 'true' ? true : raw === 'false' ? false : raw;
+  return [key.trim(), value];
+}
+
+/**
+ * Read posts from a Ghost JSON export or a single HTML file
+ * @param {string} inputPath - Input file
+ * @returns {Array<Object>} Posts with {slug, title, html}
+ */
+function readPosts(inputPath) {
+  const source = fs.readFileSync(inputPath, 'utf8');
+
+  if (path.extname(inputPath).toLowerCase() === '.json') {
+    const exported = JSON.parse(source);
+    // Ghost exports wrap data in db[0]; older exports and API dumps do not
+    const data = exported.db?.[0]?.data || exported.data || exported;
+    const posts = data.posts || [];
+
+    return posts
+      .filter(post => {
+        if (!post.html) {
+          console.warn(`⚠️ Skipping "${post.slug}" - no rendered html in export`);
+          return false;
+        }
+        return true;
+      })
+      .map(post => ({ slug: post.slug, title: post.title || post.slug, html: post.html }));
+  }
+
+  const slug = path.basename(inputPath, path.extname(inputPath));
+  return [{ slug, title: slug, html: source }];
+}
+
+/**
+ * Point the Node globals at a jsdom window
+ * @param {Window} window - jsdom window
+ * @returns {Function} Restores the previous globals
+ */
+function installGlobals(window) {
+  const previous = {};
+
+  BROWSER_GLOBALS.forEach(name => {
+    previous[name] = Object.getOwnPropertyDescriptor(global, name);
+    const value = typeof window[name] === 'function' && !/^[A-Z]/.test(name)
+      ? window[name].bind(window)
+      : window[name];
+    Object.defineProperty(global, name, { value, configurable: true, writable: true });
+  });
+
+  return () => {
+    BROWSER_GLOBALS.forEach(name => {
+      if (previous[name]) {
+        Object.defineProperty(global, name, previous[name]);
+      } else {
+        delete global[name];
+      }
+    });
+  };
+}
+
+/**
+ * Silence theme logging and collect warnings and errors for the report
+ * @param {boolean} verbose - Keep theme logging
+ * @returns {Object} {messages, restore}
+ */
+function captureConsole(verbose) {
+  const original = { ...console };
+  const messages = [];
+  const format = args => args.map(arg => (arg instanceof Error ? arg.message : typeof arg === 'string' ? arg : JSON.stringify(arg))).join(' ');
+
+  ['warn', 'error'].forEach(level => {
+    console[level] = (...args) => {
+      messages.push({ level, message: format(args) });
+      if (verbose) original[level](...args);
+    };
+  });
+
+  if (!verbose) {
+    ['log', 'info', 'debug', 'group', 'groupCollapsed', 'groupEnd', 'time', 'timeEnd', 'table'].forEach(level => {
+      console[level] = () => {};
+    });
+  }
+
+  return {
+    messages,
+    restore: () => Object.assign(console, original)
+  };
+}
+
+/**
+ * Render one post through the theme's processors
+ * @param {Object} post - {slug, title, html}
+ * @param {Object} options - {settings, verbose}
+ * @returns {Promise<Object>} {html, report}
+ */
+async function prerenderPost(post, options = {}) {
+  const JSDOM = loadJSDOM();
+  const settings = options.settings || getThemeSettings();
+
+  // A full document is reduced to its post content
+  const parsed = new JSDOM(post.html).window.document;
+  const content = parsed.querySelector('.post-content, .page-content');
+  const bodyHTML = content ? content.innerHTML : parsed.body.innerHTML;
+
+  const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body><article class="post-content">${bodyHTML}</article></body></html>`, {
+    url: `http://localhost/${encodeURIComponent(post.slug)}/`,
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  window.ghost_custom_settings = settings;
+
+  const restoreGlobals = installGlobals(window);
+  const logs = captureConsole(options.verbose);
+
+  try {
+    // The config is rebuilt for every window; ghost settings are applied on DOMContentLoaded
+    delete require.cache[require.resolve(THEME_CONFIG)];
+    const config = require(THEME_CONFIG);
+    await new Promise(resolve => {
+      if (window.document.readyState === 'loading') {
+        window.document.addEventListener('DOMContentLoaded', resolve, { once: true });
+      } else {
+        resolve();
+      }
+    });
+
+    const ContentEnhancementManager = require(MANAGER);
+    const manager = new ContentEnhancementManager(config);
+
+    const initialized = await manager.initialize();
+    // Diagnostics must see the raw markup, so they run before processing
+    const diagnostics = initialized ? manager.runDiagnostics() : null;
+    const processed = initialized ? await manager.processContent() : false;
+
+    // Let processors finish deferred work; processContent waits for it too, but not when it fails part-way
+    if (initialized) await manager.settle();
+
+    const stats = manager.getSystemStats();
+    const container = window.document.querySelector('.post-content');
+
+    // Source ids point at records in this window's memory, which the export does not carry
+    container.querySelectorAll('[data-source-id]').forEach(element => element.removeAttribute('data-source-id'));
+
+    return {
+      html: container.innerHTML,
+      report: {
+        slug: post.slug,
+        title: post.title,
+        processed,
+        diagnostics,
+        processing: {
+          processorOrder: stats.processorOrder,
+          totalProcessedItems: stats.totalProcessedItems,
+          errors: stats.errors
+        },
+        console: logs.messages
+      }
+    };
+  } finally {
+    logs.restore();
+    restoreGlobals();
+    window.close();
+  }
+}
+
+/**
+ * Wrap rendered content in a standalone document
+ * @param {Object} post - Post
+ * @param {string} html - Rendered content
+ * @returns {string} HTML document
+ */
+function renderDocument(post, html) {
+  const title = post.title.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+</head>
+<body>
+<article class="post-content">
+${html}
+</article>
+</body>
+</html>
+`;
+}
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = { input: null, out: 'prerendered', slug: null, overrides: {}, strict: false, verbose: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') options.out = argv[++i];
+    else if (arg === '--slug') options.slug = argv[++i];
+    else if (arg === '--set') {
+      const [key, value] = parseSetting(argv[++i] || '');
+      options.overrides[key] = value;
+    } else if (arg === '--strict') options.strict = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else options.input = arg;
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help || !options.input) {
+    console.log('Usage: node tools/prerender.js <ghost-export.json | post.html> [--out dir] [--slug slug] [--set key=value] [--strict] [--verbose]');
+    process.exit(options.help ? 0 : 2);
+  }
+
+  const settings = getThemeSettings(options.overrides);
+  const posts = readPosts(options.input).filter(post => !options.slug || post.slug === options.slug);
+
+  if (posts.length === 0) {
+    console.error('❌ No posts to render');
+    process.exit(2);
+  }
+
+  fs.mkdirSync(options.out, { recursive: true });
+
+  let totalErrors = 0;
+
+  for (const post of posts) {
+    try {
+      const { html, report } = await prerenderPost(post, { settings, verbose: options.verbose });
+      const summary = report.diagnostics?.summary || { errors: 0, warnings: 0 };
+      totalErrors += summary.errors + report.processing.errors.length;
+
+      fs.writeFileSync(path.join(options.out, `${post.slug}.html`), renderDocument(post, html));
+      fs.writeFileSync(path.join(options.out, `${post.slug}.report.json`), JSON.stringify(report, null, 2));
+
+      const status = summary.errors > 0 ? '❌' : summary.warnings > 0 ? '⚠️' : '✅';
+      console.log(`${status} ${post.slug}: ${summary.errors} errors, ${summary.warnings} warnings`);
+    } catch (error) {
+      totalErrors++;
+      console.error(`❌ ${post.slug}: rendering failed - ${error.message}`);
+    }
+  }
+
+  console.log(`\n📁 Wrote ${posts.length} posts to ${options.out}`);
+
+  if (options.strict && totalErrors > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Pre-rendering failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { prerenderPost, readPosts, getThemeSettings, renderDocument };